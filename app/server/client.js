@@ -5,7 +5,12 @@ import { ethers } from 'ethers';
 import chalk from 'chalk';
 import crypto from 'crypto';
 import fs from 'fs/promises';
+import path from 'path';
 import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { commitmentTypedData, hashCommitment } from './lib/commitment.js';
+import { deriveSecret, indexForNonce } from './lib/shachain.js';
+import { loadKeystoreWallet } from './lib/keystore.js';
 
 /**
  * Lightning Network Payment Channel Content Client
@@ -16,10 +21,16 @@ import readline from 'readline';
 
 const SERVER_URL = 'http://localhost:3000';
 
-// Client's wallet (PartyA - content buyer)
-const partyAPrivateKey = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+// Client's wallet (PartyA - content buyer), decrypted from its keystore
 const provider = new ethers.JsonRpcProvider('http://localhost:8545');
-const partyA = new ethers.Wallet(partyAPrivateKey, provider);
+const partyA = await loadKeystoreWallet({
+  keystorePath: process.env.CLIENT_KEYSTORE || fileURLToPath(new URL('./data/keystore/client.json', import.meta.url)),
+  passphraseFile: process.env.CLIENT_PASSPHRASE_FILE,
+  label: 'client'
+}).then(wallet => wallet.connect(provider), error => {
+  console.error(chalk.red(`✗ ${error.message}`));
+  process.exit(1);
+});
 
 console.log(chalk.blue.bold('\n════════════════════════════════════════════════════════════════'));
 console.log(chalk.blue.bold('     LIGHTNING NETWORK CONTENT DELIVERY CLIENT'));
@@ -53,7 +64,8 @@ class ContentDecryption {
   }
 }
 
-// Revocation Key Manager for PartyA
+// Revocation Key Manager for PartyA: secrets come from a shachain, so the
+// server can keep every revealed one in a few entries
 class RevocationKeyManager {
   constructor(seed) {
     this.seed = seed;
@@ -62,9 +74,7 @@ class RevocationKeyManager {
   }
 
   generateSecret(nonce) {
-    const secret = ethers.keccak256(
-      ethers.solidityPacked(['bytes32', 'uint256'], [this.seed, nonce])
-    );
+    const secret = deriveSecret(this.seed, indexForNonce(nonce));
     this.secrets.set(nonce, secret);
     return secret;
   }
@@ -75,28 +85,47 @@ class RevocationKeyManager {
   }
 
   revealSecret(nonce) {
-    const secret = this.secrets.get(nonce);
-    if (!secret) {
-      throw new Error(`No secret found for nonce ${nonce}`);
-    }
+    const secret = this.secrets.get(nonce) ?? this.generateSecret(nonce);
     this.revealedSecrets.set(nonce, secret);
     this.secrets.delete(nonce);
     return secret;
   }
 }
 
-// Initialize PartyA's revocation key manager
-const partyARevocationManager = new RevocationKeyManager(
-  ethers.keccak256(ethers.toUtf8Bytes("partyA-client-seed"))
-);
+/**
+ * PartyA's shachain seed for a channel: random, and kept in a mode 600 file so
+ * a later run can still reveal the secrets of commitments signed before it.
+ * Nothing public may go into it, or anyone could compute our secrets.
+ */
+async function loadRevocationSeed(address) {
+  const seedPath = fileURLToPath(new URL(`./data/revocation-seeds/${address.toLowerCase()}.key`, import.meta.url));
+  try {
+    return (await fs.readFile(seedPath, 'utf8')).trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const seed = '0x' + crypto.randomBytes(32).toString('hex');
+  await fs.mkdir(path.dirname(seedPath), { recursive: true, mode: 0o700 });
+  await fs.writeFile(seedPath, seed + '\n', { mode: 0o600, flag: 'wx' });
+  return seed;
+}
+
+// PartyA's revocation key manager, set up with the channel
+let partyARevocationManager = null;
+
+// Server's revocation hashes from invoices, and the secrets it revealed for them
+const serverRevocationHashes = new Map();
+const serverRevocationSecrets = new Map();
 
 // Channel state management
 let channelAddress = null;
 let channelContract = null;
 let currentNonce = 0;
-let partyABalance = '5'; // Store as ETH string
-let partyBBalance = '0.01'; // Store as ETH string
+let partyABalance = ethers.parseEther('5').toString(); // Store as wei string
+let partyBBalance = ethers.parseEther('0.01').toString(); // Store as wei string
 const purchasedContent = [];
+const catalogById = new Map();
 
 // Setup readline for user input
 const rl = readline.createInterface({
@@ -125,6 +154,8 @@ async function setupChannel() {
 
     console.log(chalk.green(`✓ Using channel: ${channelAddress}\n`));
 
+    partyARevocationManager = new RevocationKeyManager(await loadRevocationSeed(channelAddress));
+
     // Load contract ABI
     // First try to load from centralized ABI location (created by make update-abis)
     let contractPath = new URL('../shared/BidirectionalChannel.json', import.meta.url);
@@ -152,7 +183,7 @@ async function setupChannel() {
 // Fetch and display catalog
 async function fetchCatalog() {
   try {
-    console.log(chalk.cyan('\n📚 Fetching content catalog...\n'));
+    console.log(chalk.cyan('\n📚 Fetching video catalog...\n'));
 
     const response = await axios.get(`${SERVER_URL}/catalog`);
     const { catalog } = response.data;
@@ -161,9 +192,10 @@ async function fetchCatalog() {
     console.log(chalk.gray('─'.repeat(60)));
 
     catalog.forEach((item, index) => {
+      catalogById.set(item.id, item);
       console.log(chalk.white(`\n${index + 1}. ${chalk.bold(item.title)}`));
       console.log(chalk.gray(`   ${item.description}`));
-      console.log(chalk.green(`   Price: ${item.price} ETH`));
+      console.log(chalk.green(`   Price: ${ethers.formatEther(item.fullPrice)} ETH`));
       console.log(chalk.gray(`   ID: ${item.id}`));
     });
 
@@ -176,51 +208,35 @@ async function fetchCatalog() {
   }
 }
 
-// Purchase content
-async function purchaseContent(contentId) {
+// Purchase a full video
+async function purchaseContent(videoId) {
   try {
     console.log(chalk.blue.bold(`\n╔════════════════════════════════════════════╗`));
-    console.log(chalk.blue.bold(`║        PURCHASING CONTENT: ${contentId.padEnd(15)}║`));
+    console.log(chalk.blue.bold(`║        PURCHASING VIDEO: ${videoId.padEnd(17)}║`));
     console.log(chalk.blue.bold(`╚════════════════════════════════════════════╝\n`));
 
-    // Step 1: Request content from server
-    console.log(chalk.yellow('📦 STEP 1: Requesting content from server...\n'));
+    // Step 1: Request an invoice from the server
+    console.log(chalk.yellow('📦 STEP 1: Requesting invoice from server...\n'));
 
-    const requestResponse = await axios.post(`${SERVER_URL}/request-content`, {
-      contentId,
+    const requestResponse = await axios.post(`${SERVER_URL}/purchase-video`, {
+      videoId,
+      purchaseType: 'full',
       channelAddress,
-      currentNonce,
-      partyAAddress: partyA.address,
-      currentPartyABalance: partyABalance,
-      currentPartyBBalance: partyBBalance
+      partyAAddress: partyA.address
     });
 
     const { invoice } = requestResponse.data;
+    serverRevocationHashes.set(invoice.nonce, invoice.partyBRevocationHash);
 
     console.log(chalk.cyan('Invoice received with commitment:'));
     console.log(chalk.gray(`  Invoice ID: ${invoice.id.substring(0, 20)}...`));
     console.log(chalk.gray(`  Title: ${invoice.title}`));
-    console.log(chalk.gray(`  Price: ${invoice.price} ETH`));
+    console.log(chalk.gray(`  Price: ${ethers.formatUnits(invoice.price, invoice.decimals)} ${invoice.symbol}`));
     console.log(chalk.gray(`  Nonce: ${invoice.nonce}`));
     console.log(chalk.gray(`  PartyB's revocation hash: ${invoice.partyBRevocationHash.substring(0, 20)}...`));
-    console.log(chalk.gray(`  Encrypted content size: ${invoice.encryptedContent.length} bytes`));
-    console.log(chalk.gray(`  Preview: "${invoice.contentPreview}"`));
-    console.log(chalk.cyan('\n📝 Server-created commitment:'));
-    console.log(chalk.gray(`  New PartyA balance: ${invoice.commitment.partyABalance} ETH`));
-    console.log(chalk.gray(`  New PartyB balance: ${invoice.commitment.partyBBalance} ETH`));
-
-    // Step 2: Try to decrypt without payment (will fail)
-    console.log(chalk.yellow('\n🔒 STEP 2: Attempting decryption without payment...\n'));
-
-    try {
-      ContentDecryption.decrypt(invoice.encryptedContent, 'wrong-key');
-      console.log(chalk.green('Decrypted content (this should not happen!)'));
-    } catch (error) {
-      console.log(chalk.red(`❌ ${error.message} - Content is locked!\n`));
-    }
 
-    // Step 3: Sign the server-provided commitment
-    console.log(chalk.yellow('💳 STEP 3: Signing server-provided commitment...\n'));
+    // Step 2: Sign the server-provided commitment
+    console.log(chalk.yellow('\n💳 STEP 2: Signing server-provided commitment...\n'));
 
     // Use the commitment from the invoice
     const commitment = invoice.commitment;
@@ -228,99 +244,112 @@ async function purchaseContent(contentId) {
     console.log(chalk.cyan('Verifying commitment from server:'));
     console.log(chalk.gray(`  Channel: ${commitment.channelAddress}`));
     console.log(chalk.gray(`  Nonce: ${commitment.nonce}`));
-    console.log(chalk.gray(`  New PartyA balance: ${commitment.partyABalance} ETH`));
-    console.log(chalk.gray(`  New PartyB balance: ${commitment.partyBBalance} ETH`));
-    console.log(chalk.gray(`  PartyB's revocation hash: ${commitment.partyBRevocationHash.substring(0, 20)}...`));
+    console.log(chalk.gray(`  New PartyA balance: ${ethers.formatUnits(commitment.partyABalance, invoice.decimals)} ${invoice.symbol}`));
+    console.log(chalk.gray(`  New PartyB balance: ${ethers.formatUnits(commitment.partyBBalance, invoice.decimals)} ${invoice.symbol}`));
 
     // Generate PartyA's revocation hash for this nonce
     const partyARevocationHash = partyARevocationManager.generateRevocationHash(invoice.nonce);
     console.log(chalk.gray(`\n  PartyA's revocation hash: ${partyARevocationHash.substring(0, 20)}...`));
 
     // Sign the server-provided commitment
-    const commitmentData = ethers.solidityPacked(
-      ['address', 'uint256', 'uint256', 'uint256', 'bytes32', 'bytes32'],
-      [
-        commitment.channelAddress,
-        commitment.nonce,
-        ethers.parseEther(commitment.partyABalance),
-        ethers.parseEther(commitment.partyBBalance),
-        partyARevocationHash,
-        commitment.partyBRevocationHash
-      ]
-    );
-
-    const commitmentHash = ethers.keccak256(commitmentData);
+    const { chainId } = await provider.getNetwork();
+    const signedCommitment = { ...commitment, chainId, partyARevocationHash };
+    const commitmentHash = hashCommitment(signedCommitment);
     console.log(chalk.gray(`  Commitment hash: ${commitmentHash.substring(0, 20)}...`));
 
-    const partyASignature = await partyA.signMessage(ethers.getBytes(commitmentHash));
+    const { domain, types, message } = commitmentTypedData(signedCommitment);
+    const partyASignature = await partyA.signTypedData(domain, types, message);
     console.log(chalk.gray(`  PartyA's signature: ${partyASignature.substring(0, 20)}...`));
 
-    // Step 4: Submit signed commitment to server
-    console.log(chalk.yellow('\n📤 STEP 4: Submitting signed commitment to server...\n'));
+    // Step 3: Submit signed commitment and check the server's counter-signature
+    console.log(chalk.yellow('\n📤 STEP 3: Submitting signed commitment to server...\n'));
 
-    const paymentResponse = await axios.post(`${SERVER_URL}/submit-commitment`, {
+    const paymentResponse = await axios.post(`${SERVER_URL}/submit-video-payment`, {
       invoiceId: invoice.id,
       commitment,
       partyASignature,
       partyARevocationHash
     });
 
-    const { partyBSignature, revocationSecret } = paymentResponse.data;
+    const { partyBSignature } = paymentResponse.data;
+    const { data: serverInfo } = await axios.get(`${SERVER_URL}/server-info`);
+    if (ethers.recoverAddress(commitmentHash, partyBSignature).toLowerCase() !== serverInfo.address.toLowerCase()) {
+      throw new Error('Server signature on the new commitment is invalid');
+    }
 
-    console.log(chalk.green('✓ Payment accepted!'));
+    console.log(chalk.green(`✓ Commitment ${invoice.nonce} co-signed by server`));
     console.log(chalk.gray(`  PartyB's signature: ${partyBSignature.substring(0, 20)}...`));
-    console.log(chalk.magenta(`  Revocation secret received: ${revocationSecret.substring(0, 30)}...`));
 
-    // Step 5: Decrypt content with revocation secret
-    console.log(chalk.yellow('\n🔓 STEP 5: Decrypting content with revocation secret...\n'));
+    // Step 4: Revoke our previous commitment, receive the server's previous secret
+    console.log(chalk.yellow('\n🔐 STEP 4: Exchanging revocation secrets for the previous commitment...\n'));
 
-    try {
-      const decryptedContent = ContentDecryption.decrypt(invoice.encryptedContent, revocationSecret);
-
-      console.log(chalk.green('✅ DECRYPTION SUCCESSFUL!\n'));
-      console.log(chalk.cyan('Decrypted Content:'));
-      console.log(chalk.gray('─'.repeat(60)));
-      console.log(chalk.white(decryptedContent));
-      console.log(chalk.gray('─'.repeat(60)));
-
-      // Update local state with the commitment balances (use formatEther for consistent format)
-      partyABalance = ethers.formatEther(ethers.parseEther(commitment.partyABalance));
-      partyBBalance = ethers.formatEther(ethers.parseEther(commitment.partyBBalance));
-      currentNonce = invoice.nonce;
-
-      // Store purchased content
-      purchasedContent.push({
-        contentId: invoice.contentId,
-        title: invoice.title,
-        content: decryptedContent,
-        price: invoice.price,
-        nonce: invoice.nonce,
-        timestamp: Date.now()
-      });
-
-      console.log(chalk.green(`\n✓ Content successfully purchased and decrypted!`));
-      console.log(chalk.cyan(`Updated channel state:`));
-      console.log(chalk.gray(`  Nonce: ${currentNonce}`));
-      console.log(chalk.gray(`  PartyA balance: ${parseFloat(partyABalance).toFixed(4)} ETH`));
-      console.log(chalk.gray(`  PartyB balance: ${parseFloat(partyBBalance).toFixed(4)} ETH`));
-
-      // Step 6: Reveal PartyA's old revocation secret (if applicable)
-      if (currentNonce > 1) {
-        console.log(chalk.yellow('\n🔐 STEP 6: Revealing old revocation secret...\n'));
-        const oldSecret = partyARevocationManager.revealSecret(currentNonce - 1);
-        console.log(chalk.gray(`  PartyA reveals secret for nonce ${currentNonce - 1}: ${oldSecret.substring(0, 30)}...`));
-        console.log(chalk.gray(`  This revokes the previous commitment\n`));
-      }
+    const previousNonce = invoice.nonce - 1;
+    const oldSecret = partyARevocationManager.revealSecret(previousNonce);
+    console.log(chalk.gray(`  PartyA reveals secret for nonce ${previousNonce}: ${oldSecret.substring(0, 30)}...`));
 
-      return true;
+    const revocationResponse = await axios.post(`${SERVER_URL}/reveal-revocation`, {
+      invoiceId: invoice.id,
+      revocationSecret: oldSecret
+    });
 
-    } catch (error) {
-      console.error(chalk.red(`\n❌ Decryption failed: ${error.message}`));
-      return false;
+    const { revocationSecret, accessToken } = revocationResponse.data;
+
+    // Keep the server's secret: it lets us punish a broadcast of its old state
+    const expectedHash = serverRevocationHashes.get(previousNonce);
+    if (expectedHash && ethers.keccak256(revocationSecret) !== expectedHash) {
+      throw new Error(`Server revealed an invalid secret for nonce ${previousNonce}`);
     }
+    serverRevocationSecrets.set(previousNonce, revocationSecret);
+
+    console.log(chalk.green('✓ Payment accepted!'));
+    console.log(chalk.magenta(`  Server's secret for nonce ${previousNonce}: ${revocationSecret.substring(0, 30)}...`));
+
+    // Update local state with the commitment balances (wei strings)
+    partyABalance = commitment.partyABalance;
+    partyBBalance = commitment.partyBBalance;
+    currentNonce = invoice.nonce;
+
+    // Step 5: Fetch a paid segment and decrypt it with the revealed secret
+    console.log(chalk.yellow('\n🔓 STEP 5: Decrypting a paid segment with the revocation secret...\n'));
+
+    const video = catalogById.get(videoId);
+    const segmentName = video?.segments?.find(segment => segment !== video.previewSegment);
+    if (segmentName) {
+      const segmentResponse = await axios.get(
+        `${SERVER_URL}/video/${videoId}/segment/${segmentName}`,
+        { responseType: 'text', headers: { Authorization: `Bearer ${accessToken}` } }
+      );
+
+      try {
+        const segment = Buffer.from(ContentDecryption.decrypt(segmentResponse.data, revocationSecret), 'base64');
+        console.log(chalk.green(`✅ DECRYPTION SUCCESSFUL! ${segmentName}: ${segment.length} bytes\n`));
+      } catch (error) {
+        console.error(chalk.red(`\n❌ Decryption failed: ${error.message}`));
+        return false;
+      }
+    }
+
+    // Store purchased content
+    purchasedContent.push({
+      videoId: invoice.videoId,
+      title: invoice.title,
+      price: invoice.price,
+      nonce: invoice.nonce,
+      revocationSecret,
+      timestamp: Date.now()
+    });
+
+    console.log(chalk.green(`\n✓ Video successfully purchased!`));
+    console.log(chalk.cyan(`Updated channel state:`));
+    console.log(chalk.gray(`  Nonce: ${currentNonce}`));
+    console.log(chalk.gray(`  PartyA balance: ${ethers.formatEther(partyABalance)} ETH`));
+    console.log(chalk.gray(`  PartyB balance: ${ethers.formatEther(partyBBalance)} ETH`));
+
+    return true;
 
   } catch (error) {
-    console.error(chalk.red(`\nPurchase failed: ${error.message}`));
+    const reason = error.response?.data?.error || error.message;
+    console.error(chalk.red(`\nPurchase failed: ${reason}`));
     return false;
   }
 }
@@ -337,9 +366,9 @@ function showPurchasedContent() {
 
   purchasedContent.forEach((item, index) => {
     console.log(chalk.white(`\n${index + 1}. ${chalk.bold(item.title)}`));
-    console.log(chalk.gray(`   Price paid: ${item.price} ETH`));
+    console.log(chalk.gray(`   Price paid: ${ethers.formatEther(item.price)} ETH`));
     console.log(chalk.gray(`   Nonce: ${item.nonce}`));
-    console.log(chalk.gray(`   Content: "${item.content.substring(0, 50)}..."`));
+    console.log(chalk.gray(`   Key: ${item.revocationSecret.substring(0, 30)}...`));
   });
 
   console.log(chalk.gray('\n' + '─'.repeat(60)));
@@ -384,8 +413,8 @@ async function mainMenu() {
       console.log(chalk.cyan('\n📊 Channel State:\n'));
       console.log(chalk.gray(`  Channel: ${channelAddress}`));
       console.log(chalk.gray(`  Current nonce: ${currentNonce}`));
-      console.log(chalk.gray(`  PartyA balance: ${parseFloat(partyABalance).toFixed(4)} ETH`));
-      console.log(chalk.gray(`  PartyB balance: ${parseFloat(partyBBalance).toFixed(4)} ETH`));
+      console.log(chalk.gray(`  PartyA balance: ${ethers.formatEther(partyABalance)} ETH`));
+      console.log(chalk.gray(`  PartyB balance: ${ethers.formatEther(partyBBalance)} ETH`));
       console.log(chalk.gray(`  Total purchased: ${purchasedContent.length} items\n`));
       break;
 
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import { FileStoreBackend } from './store.js';
+
+/**
+ * Short-lived access tokens for playlist and segment requests.
+ *
+ * A token is `v1.<kid>.<payload>.<mac>`: the base64url JSON payload binds the
+ * channel, the video and the segments the channel has paid for ('*' for a
+ * full purchase), and the MAC is HMAC-SHA256 under the signing key `kid`.
+ *
+ * Signing keys live in a key file and are rotated on a schedule. Retired keys
+ * keep verifying until every token they signed has expired. Single tokens are
+ * revoked by id; all tokens of a channel are revoked by moving the channel's
+ * cutoff forward. Both are kept in the store's revokedTokens collection.
+ */
+
+const VERSION = 'v1';
+const CHANNEL_CUTOFF_PREFIX = 'channel:';
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function newKey() {
+  return {
+    kid: crypto.randomBytes(8).toString('hex'),
+    secret: crypto.randomBytes(32).toString('hex'),
+    createdAt: Date.now(),
+    retiredAt: null
+  };
+}
+
+export class AccessTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccessTokenError';
+  }
+}
+
+export class AccessTokenManager {
+  /**
+   * @param {object} options
+   * @param {ServerStore} options.store - Store holding revocations
+   * @param {string} options.keyPath - Key file, written with mode 600
+   * @param {number} options.ttl - Token lifetime in seconds
+   * @param {number} options.rotationInterval - Seconds between key rotations
+   */
+  constructor({ store, keyPath, ttl = 900, rotationInterval = 86400 }) {
+    this.store = store;
+    this.keyFile = new FileStoreBackend(keyPath, { mode: 0o600 });
+    this.ttl = ttl * 1000;
+    this.rotationInterval = rotationInterval * 1000;
+    this.keys = [];
+    this.timer = null;
+  }
+
+  async init() {
+    const saved = await this.keyFile.load();
+    this.keys = saved?.keys || [];
+
+    if (!this.currentKey() || Date.now() - this.currentKey().createdAt >= this.rotationInterval) {
+      await this.rotateKey();
+    }
+
+    this.timer = setInterval(() => {
+      this.rotateKey().catch(error => console.error('Access token key rotation failed:', error.message));
+    }, this.rotationInterval);
+    this.timer.unref();
+  }
+
+  currentKey() {
+    return this.keys.find(key => !key.retiredAt);
+  }
+
+  /**
+   * Start signing with a fresh key. Keys retired longer than one token
+   * lifetime ago are dropped, along with expired revocations.
+   */
+  async rotateKey() {
+    const timestamp = Date.now();
+    for (const key of this.keys) {
+      if (!key.retiredAt) key.retiredAt = timestamp;
+    }
+
+    const key = newKey();
+    this.keys = [key, ...this.keys.filter(k => timestamp - k.retiredAt < this.ttl)];
+    await this.keyFile.save({ keys: this.keys });
+
+    await this.store.transaction(tx => {
+      for (const jti of tx.revokedTokens.keys()) {
+        const entry = tx.revokedTokens.get(jti);
+        if (entry.expiresAt && entry.expiresAt <= timestamp) {
+          tx.revokedTokens.delete(jti);
+        }
+      }
+    });
+
+    return key.kid;
+  }
+
+  /**
+   * Drop a key immediately, invalidating every token it signed
+   */
+  async removeKey(kid) {
+    const remaining = this.keys.filter(key => key.kid !== kid);
+    if (remaining.length === this.keys.length) {
+      throw new AccessTokenError(`Unknown signing key ${kid}`);
+    }
+
+    this.keys = remaining;
+    if (!this.currentKey()) {
+      await this.rotateKey();
+    } else {
+      await this.keyFile.save({ keys: this.keys });
+    }
+  }
+
+  /**
+   * Issue a token for channelAddress on videoId covering segments
+   * ('*' for the whole video)
+   */
+  issue({ channelAddress, videoId, segments }) {
+    const key = this.currentKey();
+    const iat = Date.now();
+    const claims = {
+      jti: crypto.randomBytes(16).toString('hex'),
+      channel: channelAddress,
+      videoId,
+      segments,
+      iat,
+      exp: iat + this.ttl
+    };
+
+    const body = `${VERSION}.${key.kid}.${base64url(JSON.stringify(claims))}`;
+    return {
+      token: `${body}.${this.mac(key, body)}`,
+      expiresAt: claims.exp
+    };
+  }
+
+  /**
+   * Verify a token and return its claims, or throw AccessTokenError
+   */
+  verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 4 || parts[0] !== VERSION) {
+      throw new AccessTokenError('Malformed access token');
+    }
+
+    const [, kid, payload, mac] = parts;
+    const key = this.keys.find(k => k.kid === kid);
+    if (!key) {
+      throw new AccessTokenError('Access token signed with an unknown key');
+    }
+
+    const expected = Buffer.from(this.mac(key, `${VERSION}.${kid}.${payload}`));
+    const actual = Buffer.from(mac);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new AccessTokenError('Invalid access token signature');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.exp <= Date.now()) {
+      throw new AccessTokenError('Access token expired');
+    }
+    if (this.store.revokedTokens.has(claims.jti)) {
+      throw new AccessTokenError('Access token revoked');
+    }
+
+    const cutoff = this.store.revokedTokens.get(CHANNEL_CUTOFF_PREFIX + claims.channel.toLowerCase());
+    if (cutoff && claims.iat < cutoff.revokedAt) {
+      throw new AccessTokenError('Access token revoked');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Revoke a single token until it would have expired anyway
+   */
+  async revoke(claims) {
+    await this.store.transaction(tx => {
+      tx.revokedTokens.set(claims.jti, {
+        channel: claims.channel,
+        revokedAt: Date.now(),
+        expiresAt: claims.exp
+      });
+    });
+  }
+
+  /**
+   * Revoke every token issued so far for a channel
+   */
+  async revokeChannel(channelAddress) {
+    await this.store.transaction(tx => {
+      tx.revokedTokens.set(CHANNEL_CUTOFF_PREFIX + channelAddress.toLowerCase(), {
+        channel: channelAddress.toLowerCase(),
+        revokedAt: Date.now(),
+        expiresAt: null
+      });
+    });
+  }
+
+  mac(key, body) {
+    return crypto.createHmac('sha256', Buffer.from(key.secret, 'hex')).update(body).digest('base64url');
+  }
+}
+
+/**
+ * Whether verified claims cover videoId and, if given, segmentName
+ */
+export function tokenCovers(claims, videoId, segmentName = null) {
+  if (claims.videoId !== videoId) return false;
+  return !segmentName || claims.segments === '*' || claims.segments.includes(segmentName);
+}
+
+/**
+ * Message PartyA signs (EIP-191) to request a fresh token for a channel's video
+ */
+export function accessTokenRequestMessage({ channelAddress, videoId, issuedAt, revokeExisting = false }) {
+  return [
+    'Access token request',
+    `Channel: ${channelAddress.toLowerCase()}`,
+    `Video: ${videoId}`,
+    `Issued at: ${issuedAt}`,
+    `Revoke existing tokens: ${revokeExisting ? 'yes' : 'no'}`
+  ].join('\n');
+}
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+/**
+ * Operator authentication for the /admin endpoints, a shared bearer token
+ * (ADMIN_TOKEN) that disables the admin API when unset, and the reports and
+ * exports those endpoints serve.
+ */
+
+// Revenue bucket lengths, aligned to UTC midnight (weeks start on Thursday, the epoch's weekday)
+export const REVENUE_WINDOWS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+export const EVIDENCE_FORMAT = 'channel-evidence';
+export const EVIDENCE_VERSION = 1;
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Express middleware admitting requests with `Authorization: Bearer <token>`
+ */
+export function requireAdmin(token) {
+  const expected = token ? digest(token) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({
+        success: false,
+        error: 'Admin API disabled: set ADMIN_TOKEN'
+      });
+    }
+
+    const header = req.headers.authorization;
+    const presented = header?.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+    // Compare digests, which have equal length, in constant time
+    if (!crypto.timingSafeEqual(digest(presented), expected)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Admin token required'
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Sum payments (store.payments records) per video and per time window. Amounts
+ * in different assets never add up, so every total is per asset (ETH or the
+ * token address).
+ *
+ * @param {object[]} payments - Ledger records
+ * @param {object} options
+ * @param {string} options.window - Key of REVENUE_WINDOWS
+ * @param {number} options.from - Earliest paidAt included (ms)
+ * @param {number} options.to - Latest paidAt included (ms)
+ */
+export function aggregateRevenue(payments, { window = 'day', from = 0, to = Infinity } = {}) {
+  const length = REVENUE_WINDOWS[window];
+  if (!length) {
+    throw new Error(`Unknown window "${window}" (one of ${Object.keys(REVENUE_WINDOWS).join(', ')})`);
+  }
+
+  const byVideo = new Map();
+  const byWindow = new Map();
+  const add = (groups, key, fields, payment) => {
+    const group = groups.get(key) ?? { ...fields, symbol: payment.asset.symbol, decimals: payment.asset.decimals, purchases: 0, amount: 0n };
+    group.purchases++;
+    group.amount += BigInt(payment.price);
+    groups.set(key, group);
+  };
+
+  for (const payment of payments) {
+    if (payment.paidAt < from || payment.paidAt > to) continue;
+
+    const asset = payment.asset.token ?? 'ETH';
+    const start = payment.paidAt - (payment.paidAt % length);
+    add(byVideo, `${payment.videoId}|${asset}`, { videoId: payment.videoId, asset }, payment);
+    add(byWindow, `${start}|${asset}`, { start, end: start + length, asset }, payment);
+  }
+
+  const totals = (groups, order) => [...groups.values()].sort(order).map(group => ({ ...group, amount: group.amount.toString() }));
+  return {
+    window,
+    byVideo: totals(byVideo, (a, b) => (a.amount === b.amount ? 0 : a.amount < b.amount ? 1 : -1)),
+    byWindow: totals(byWindow, (a, b) => a.start - b.start)
+  };
+}
+
+/**
+ * A channel's dispute evidence (every commitment with both signatures and
+ * revocation hashes, the shachain table of the buyer's revealed revocation
+ * secrets, watchtower actions) as signed JSON: content is the evidence text,
+ * signature the operator's EIP-191 signature over its hash
+ */
+export async function exportEvidence({ wallet, chainId, channelAddress, channel }) {
+  const content = JSON.stringify({
+    channelAddress,
+    chainId: chainId.toString(),
+    partyA: channel.partyA,
+    partyB: channel.partyB,
+    asset: channel.asset ?? null,
+    latestNonce: channel.latestNonce,
+    balances: { partyA: channel.currentPartyABalance, partyB: channel.currentPartyBBalance },
+    commitments: channel.commitments,
+    partyARevocationSecrets: channel.partyARevocationSecrets ?? [],
+    onChain: channel.onChain ?? null,
+    watchtowerActions: channel.watchtowerActions ?? [],
+    closeRequest: channel.closeRequest ?? null,
+    exportedAt: Date.now()
+  });
+  const signature = await wallet.signMessage(`${EVIDENCE_FORMAT}:v${EVIDENCE_VERSION}:${ethers.keccak256(ethers.toUtf8Bytes(content))}`);
+
+  return { format: EVIDENCE_FORMAT, version: EVIDENCE_VERSION, signer: wallet.address, content, signature };
+}
@@ -0,0 +1,64 @@
+import { ethers } from 'ethers';
+
+/**
+ * The asset a channel is denominated in. ETH channels deploy with token
+ * address(0); token channels hold one ERC-20. Every balance and price is
+ * tracked as an integer string in the asset's smallest unit (wei for ETH);
+ * decimals only matter when showing amounts.
+ */
+
+export const ETH_ASSET = { token: null, symbol: 'ETH', decimals: 18 };
+
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
+/**
+ * Symbol and decimals of an ERC-20 token
+ */
+export async function loadTokenAsset(provider, tokenAddress) {
+  const erc20 = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  const [decimals, symbol] = await Promise.all([erc20.decimals(), erc20.symbol()]);
+  return { token: ethers.getAddress(tokenAddress), symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Asset of a deployed channel. Token channels are only accepted when they
+ * use acceptedToken (the server's configured payment token).
+ */
+export async function readChannelAsset(contract, acceptedToken) {
+  const token = await contract.token();
+  if (token === ethers.ZeroAddress) return ETH_ASSET;
+
+  if (!acceptedToken || token.toLowerCase() !== acceptedToken.token.toLowerCase()) {
+    throw new Error(`Channel token ${token} is not accepted by this server`);
+  }
+  return acceptedToken;
+}
+
+/**
+ * Asset of a stored channel record; records from before token support are ETH
+ */
+export function assetOf(channel) {
+  return channel?.asset || ETH_ASSET;
+}
+
+/**
+ * Amount from a request or record (an integer string in the asset's smallest
+ * unit) to a bigint. Decimal strings are rejected rather than rounded.
+ */
+export function parseWei(value, label = 'amount') {
+  const text = (value ?? '0').toString();
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${label} "${text}": expected an integer amount in wei`);
+  }
+  return BigInt(text);
+}
+
+/**
+ * Smallest-unit amount for logs, e.g. "0.05 ETH"
+ */
+export function formatAmount(value, asset = ETH_ASSET) {
+  return `${ethers.formatUnits(value, asset.decimals)} ${asset.symbol}`;
+}
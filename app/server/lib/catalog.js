@@ -0,0 +1,288 @@
+import fsSync from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { ethers } from 'ethers';
+import { parseWei } from './asset.js';
+
+/**
+ * The video catalog, read from disk: one directory per title holding a
+ * video.json manifest and an HLS playlist. The directory name is the video id.
+ *
+ *   content/video-1/video.json       { title, description, thumbnail?,
+ *                                      pricePerSegment, fullPrice,
+ *                                      tokenPricePerSegment?, tokenFullPrice?,
+ *                                      previewSegment?, playlist? }
+ *   content/video-1/playlist.m3u8    segments are the playlist's URI lines
+ *   content/video-1/video10.ts ...
+ *
+ * Prices are wei strings, token prices whole PAYMENT_TOKENs (see priceOf in
+ * server.js), required only when a payment token is configured. Segments,
+ * their durations and the total duration come from the playlist; the preview
+ * is the first segment unless previewSegment names another. The thumbnail, if any, is an image file next to the manifest, the
+ * only file of a title served without payment besides the preview. Files that
+ * are missing are reported, since buyers could pay for them and get an error.
+ *
+ * With watch(), changes under the root reload the catalog. A title whose
+ * manifest or playlist no longer loads keeps its last good version until it
+ * is fixed.
+ */
+
+const MANIFEST = 'video.json';
+const DEFAULT_PLAYLIST = 'playlist.m3u8';
+const RELOAD_DELAY = 250;
+const THUMBNAIL_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/**
+ * Segments of an HLS media playlist: every URI line with the duration of the
+ * #EXTINF tag before it. Segment URIs must be plain file names next to the
+ * playlist, since they are served as /video/:videoId/segment/:segmentName.
+ */
+export function parsePlaylist(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines[0]?.trim() !== '#EXTM3U') {
+    throw new Error('Not an HLS playlist (no #EXTM3U header)');
+  }
+
+  const segments = [];
+  let duration = null;
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line && !line.startsWith('#')) {
+      if (line !== path.basename(line) || line.includes('://') || line.includes('?')) {
+        throw new Error(`Segment URI "${line}" is not a file name next to the playlist`);
+      }
+      if (!Number.isFinite(duration)) {
+        throw new Error(`Segment ${line} has no #EXTINF duration`);
+      }
+      segments.push({ name: line, duration });
+      duration = null;
+    }
+  }
+
+  if (segments.length === 0) {
+    throw new Error('Playlist lists no segments');
+  }
+  return segments;
+}
+
+/**
+ * Playlist text with every segment URI replaced by segmentUrl(name)
+ */
+export function renderPlaylist(video, segmentUrl) {
+  const names = new Set(video.segments);
+  return video.playlistText
+    .split(/\r?\n/)
+    .map(line => (names.has(line.trim()) ? segmentUrl(line.trim()) : line))
+    .join('\n');
+}
+
+function requireString(manifest, field) {
+  if (typeof manifest[field] !== 'string' || !manifest[field].trim()) {
+    throw new Error(`${MANIFEST}: "${field}" is required`);
+  }
+  return manifest[field];
+}
+
+/**
+ * One title from its directory, with the segment files that are missing
+ */
+async function loadVideo(dir, id, tokenDecimals) {
+  const manifest = JSON.parse(await fs.readFile(path.join(dir, MANIFEST), 'utf8'));
+
+  const title = requireString(manifest, 'title');
+  for (const field of ['pricePerSegment', 'fullPrice']) {
+    parseWei(requireString(manifest, field), field);
+  }
+  if (tokenDecimals !== null) {
+    for (const field of ['tokenPricePerSegment', 'tokenFullPrice']) {
+      ethers.parseUnits(requireString(manifest, field), tokenDecimals);
+    }
+  }
+
+  const playlist = manifest.playlist || DEFAULT_PLAYLIST;
+  const playlistText = await fs.readFile(path.join(dir, playlist), 'utf8');
+  const parsed = parsePlaylist(playlistText);
+  const segments = parsed.map(segment => segment.name);
+
+  const previewSegment = manifest.previewSegment || segments[0];
+  if (!segments.includes(previewSegment)) {
+    throw new Error(`${MANIFEST}: preview segment ${previewSegment} is not in ${playlist}`);
+  }
+
+  const thumbnail = manifest.thumbnail || null;
+  if (thumbnail && (thumbnail !== path.basename(thumbnail) ||
+      !THUMBNAIL_EXTENSIONS.includes(path.extname(thumbnail).toLowerCase()))) {
+    throw new Error(`${MANIFEST}: thumbnail must be an image file name (${THUMBNAIL_EXTENSIONS.join(', ')}) next to it`);
+  }
+
+  const missing = [];
+  for (const name of thumbnail ? [...segments, thumbnail] : segments) {
+    try {
+      await fs.access(path.join(dir, name));
+    } catch {
+      missing.push(name);
+    }
+  }
+
+  const video = {
+    id,
+    title,
+    description: manifest.description || '',
+    thumbnail,
+    duration: Math.round(parsed.reduce((total, segment) => total + segment.duration, 0)),
+    dir,
+    playlist,
+    playlistText,
+    segments,
+    segmentDurations: Object.fromEntries(parsed.map(segment => [segment.name, segment.duration])),
+    segmentCount: segments.length,
+    previewSegment,
+    pricePerSegment: manifest.pricePerSegment,
+    fullPrice: manifest.fullPrice,
+    tokenPricePerSegment: manifest.tokenPricePerSegment,
+    tokenFullPrice: manifest.tokenFullPrice
+  };
+  return { video, missing };
+}
+
+export class Catalog {
+  /**
+   * @param {object} options
+   * @param {string} options.root - Directory with one subdirectory per title
+   * @param {number|null} options.tokenDecimals - Decimals token prices must fit
+   *   (PAYMENT_TOKEN's), or null when only ETH is accepted and token prices are not needed
+   * @param {function} options.log - log(message, level) for progress reports
+   */
+  constructor({ root, tokenDecimals = null, log = () => {} }) {
+    this.root = root;
+    this.tokenDecimals = tokenDecimals;
+    this.log = log;
+    this.videos = new Map();
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.loading = null;
+    this.reloadPending = false;
+  }
+
+  get(videoId) {
+    return this.videos.get(videoId);
+  }
+
+  has(videoId) {
+    return this.videos.has(videoId);
+  }
+
+  values() {
+    return [...this.videos.values()];
+  }
+
+  get size() {
+    return this.videos.size;
+  }
+
+  /**
+   * Path of one of a title's segment files
+   */
+  segmentPath(video, segmentName) {
+    return path.join(video.dir, segmentName);
+  }
+
+  /**
+   * Path of a title's thumbnail, or null when it has none
+   */
+  thumbnailPath(video) {
+    return video.thumbnail ? path.join(video.dir, video.thumbnail) : null;
+  }
+
+  /**
+   * Read every title directory and replace the catalog. Returns the problems
+   * found: { videoId, error } for titles that did not load, { videoId,
+   * missing } for titles with missing segment or thumbnail files.
+   */
+  async load() {
+    const entries = await fs.readdir(this.root, { withFileTypes: true });
+    const videos = new Map();
+    const problems = [];
+
+    for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+      const dir = path.join(this.root, entry.name);
+      const hasManifest = await fs.access(path.join(dir, MANIFEST)).then(() => true, () => false);
+      if (!hasManifest) continue;
+
+      try {
+        const { video, missing } = await loadVideo(dir, entry.name, this.tokenDecimals);
+        videos.set(video.id, video);
+        if (missing.length > 0) {
+          problems.push({ videoId: video.id, missing });
+        }
+      } catch (error) {
+        problems.push({ videoId: entry.name, error: error.message });
+        // Keep serving the last good version while the files are being edited
+        if (this.videos.has(entry.name)) {
+          videos.set(entry.name, this.videos.get(entry.name));
+        }
+      }
+    }
+
+    this.videos = videos;
+    for (const problem of problems) {
+      if (problem.error) {
+        this.log(`${problem.videoId}: ${problem.error}`, 'error');
+      } else {
+        this.log(`${problem.videoId}: missing file(s) ${problem.missing.join(', ')}`, 'warning');
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Reload (once the files settle) whenever something under the root changes
+   */
+  watch() {
+    this.watcher = fsSync.watch(this.root, { recursive: true }, () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY);
+      this.reloadTimer.unref();
+    });
+    this.watcher.unref();
+  }
+
+  stop() {
+    this.watcher?.close();
+    this.watcher = null;
+    clearTimeout(this.reloadTimer);
+  }
+
+  /**
+   * Reload; overlapping calls wait for the running one, which then loads once
+   * more since it may have read the directory before their change
+   */
+  reload() {
+    if (this.loading) {
+      this.reloadPending = true;
+    } else {
+      const before = new Set(this.videos.keys());
+      this.loading = this.load()
+        .then(() => {
+          const added = [...this.videos.keys()].filter(id => !before.has(id));
+          const removed = [...before].filter(id => !this.videos.has(id));
+          this.log(`Catalog reloaded: ${this.size} title(s)` +
+            (added.length ? `, added ${added.join(', ')}` : '') +
+            (removed.length ? `, removed ${removed.join(', ')}` : ''), 'info');
+        })
+        .catch(error => this.log(`Catalog reload failed: ${error.message}`, 'error'))
+        .finally(() => {
+          this.loading = null;
+        })
+        .then(() => {
+          if (this.reloadPending) {
+            this.reloadPending = false;
+            return this.reload();
+          }
+        });
+    }
+    return this.loading;
+  }
+}
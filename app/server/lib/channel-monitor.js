@@ -0,0 +1,214 @@
+import { ethers } from 'ethers';
+import { LogPoller } from './log-poller.js';
+import { adoptSplice, spliceExpired } from './splices.js';
+
+/**
+ * Tracks the on-chain state of every registered channel, so the server stops
+ * selling against channels that were closed, disputed or penalized.
+ *
+ * Lifecycle logs of all registered channels are followed by a LogPoller whose
+ * cursor is kept in the store's monitor collection; each log triggers a fresh
+ * read of the channel's getChannelInfo, which is what gets recorded. A
+ * challenge emits no log and nodes can miss logs, so every channel that is
+ * not yet closed is also re-read on a slower schedule.
+ *
+ * The result is kept on the channel record as onChain:
+ *   { state, balance, latestNonce, penalized, lastEvent, blockNumber, updatedAt }
+ *
+ * A co-signed splice found on-chain (after ChannelSpliced, or at any read
+ * showing its nonce) becomes the channel's base state without waiting for
+ * the client to confirm it; one that expired before landing is dropped.
+ */
+
+const STATE_NAMES = ['FUNDING', 'OPEN', 'DISPUTED', 'CLOSED'];
+const TRACKED_EVENTS = ['ChannelOpened', 'ChannelSpliced', 'DisputeInitiated', 'ChannelSettled', 'PenaltyApplied', 'DepositReclaimed'];
+
+// Error codes for clients, by on-chain state
+const STATE_CODES = { FUNDING: 'CHANNEL_NOT_OPEN', DISPUTED: 'CHANNEL_DISPUTED', CLOSED: 'CHANNEL_CLOSED' };
+
+/**
+ * A request refused because the channel is no longer OPEN on-chain. code is
+ * CHANNEL_NOT_OPEN, CHANNEL_DISPUTED, CHANNEL_CLOSED or CHANNEL_PENALIZED.
+ */
+export class ChannelStateError extends Error {
+  constructor(message, { code, status = 409 } = {}) {
+    super(message);
+    this.name = 'ChannelStateError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Throw ChannelStateError unless the channel's tracked on-chain state is
+ * OPEN. A channel whose state has not been read yet (monitor disabled, node
+ * unreachable at registration) passes.
+ */
+export function assertChannelOpen(channel) {
+  const onChain = channel?.onChain;
+  if (!onChain || onChain.state === 'OPEN') return;
+
+  if (onChain.penalized) {
+    throw new ChannelStateError('Channel was closed by a revocation penalty', { code: 'CHANNEL_PENALIZED' });
+  }
+  throw new ChannelStateError(`Channel is ${onChain.state} on-chain`, { code: STATE_CODES[onChain.state] });
+}
+
+export class ChannelMonitor {
+  /**
+   * @param {object} options
+   * @param {ethers.Provider} options.provider - Chain to read
+   * @param {ServerStore} options.store - Store with channels and the monitor cursor
+   * @param {Array} options.abi - BidirectionalChannel ABI
+   * @param {number} options.pollInterval - Milliseconds between log polls
+   * @param {number} options.refreshInterval - Milliseconds between full re-reads of open channels
+   * @param {number} options.confirmations - Blocks to wait before processing logs
+   * @param {number} options.blockRange - Maximum blocks per log query
+   * @param {function} options.log - log(message, level) for progress reports
+   */
+  constructor({ provider, store, abi, pollInterval = 5000, refreshInterval = 60000, confirmations = 0, blockRange = 2000, log = () => {} }) {
+    this.provider = provider;
+    this.store = store;
+    this.abi = abi;
+    this.iface = new ethers.Interface(abi);
+    this.topics = TRACKED_EVENTS.map(name => this.iface.getEvent(name).topicHash);
+    this.refreshInterval = refreshInterval;
+    this.log = log;
+    this.timer = null;
+    this.poller = new LogPoller({
+      provider,
+      store,
+      collection: 'monitor',
+      processRange: (fromBlock, toBlock) => this.processRange(fromBlock, toBlock),
+      pollInterval,
+      confirmations,
+      blockRange,
+      log
+    });
+  }
+
+  /**
+   * Read every channel once, then follow their logs
+   */
+  async start() {
+    // The reads below cover everything before the current head
+    await this.poller.init();
+
+    await this.refreshAll();
+
+    this.poller.start();
+    this.timer = setInterval(() => this.refreshAll(), this.refreshInterval);
+    this.timer.unref();
+    this.log(`Tracking ${this.store.channels.keys().length} channel(s) from block ${this.poller.cursor() + 1}`, 'info');
+  }
+
+  stop() {
+    this.poller.stop();
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Re-read every channel with logs in the range
+   */
+  async processRange(fromBlock, toBlock) {
+    const channels = this.store.channels.keys();
+    if (channels.length === 0) return;
+
+    const logs = await this.provider.getLogs({
+      address: channels,
+      topics: [this.topics],
+      fromBlock,
+      toBlock
+    });
+
+    for (const entry of logs) {
+      const { name } = this.iface.parseLog(entry);
+      const channelAddress = channels.find(addr => addr.toLowerCase() === entry.address.toLowerCase());
+      await this.refresh(channelAddress, { name, blockNumber: entry.blockNumber, txHash: entry.transactionHash });
+    }
+  }
+
+  /**
+   * Re-read every channel that is not closed yet (closing is final)
+   */
+  async refreshAll() {
+    for (const [channelAddress, channel] of this.store.channels.entries()) {
+      if (channel.onChain?.state === 'CLOSED') continue;
+      try {
+        await this.refresh(channelAddress);
+      } catch (error) {
+        this.log(`Could not read ${channelAddress}: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  /**
+   * Read a channel's on-chain state and record it; event is the log that
+   * prompted the read, if any
+   */
+  async refresh(channelAddress, event = null) {
+    const contract = this.contractFor(channelAddress);
+    const [info, blockNumber] = await Promise.all([contract.getChannelInfo(), this.provider.getBlockNumber()]);
+
+    const previous = await this.store.transaction(tx => {
+      const channel = tx.channels.get(channelAddress);
+      if (!channel) return null;
+
+      const before = channel.onChain ?? null;
+      const splice = settleSplice(channel, info);
+      channel.onChain = {
+        state: STATE_NAMES[Number(info[3])],
+        balance: info[2].toString(),
+        latestNonce: info[4].toString(),
+        penalized: Boolean(before?.penalized) || event?.name === 'PenaltyApplied',
+        lastEvent: event ?? before?.lastEvent ?? null,
+        blockNumber,
+        updatedAt: Date.now()
+      };
+      return { before, after: channel.onChain, splice };
+    });
+
+    if (previous?.splice) {
+      const { nonce, outcome } = previous.splice;
+      if (outcome === 'adopted') {
+        this.log(`${channelAddress} spliced on-chain at nonce ${nonce}; adopted as the base state`, 'info');
+      } else {
+        this.log(`${channelAddress} splice at nonce ${nonce} expired without being executed`, 'warning');
+      }
+    }
+
+    if (previous && previous.before?.state !== previous.after.state) {
+      const cause = event ? ` (${event.name}, block ${event.blockNumber})` : '';
+      const level = previous.after.state === 'OPEN' ? 'info' : 'warning';
+      this.log(`${channelAddress} is ${previous.after.state}${cause}`, level);
+    }
+    return previous?.after ?? null;
+  }
+
+  contractFor(channelAddress) {
+    return new ethers.Contract(channelAddress, this.abi, this.provider);
+  }
+}
+
+/**
+ * Adopt the channel's signed splice if the chain is at its nonce and balance,
+ * or drop it once it expired without landing. Returns what happened, if
+ * anything.
+ */
+function settleSplice(channel, info) {
+  const splice = channel.pendingSplice;
+  if (splice?.status !== 'signed') return null;
+
+  const onChainNonce = Number(info[4]);
+  const balance = BigInt(splice.partyABalance) + BigInt(splice.partyBBalance);
+  if (onChainNonce === splice.nonce && info[2] === balance) {
+    adoptSplice(channel);
+    return { nonce: splice.nonce, outcome: 'adopted' };
+  }
+  if (onChainNonce < splice.nonce && spliceExpired(splice)) {
+    delete channel.pendingSplice;
+    return { nonce: splice.nonce, outcome: 'expired' };
+  }
+  return null;
+}
@@ -0,0 +1,374 @@
+import { ethers } from 'ethers';
+import { closeTypedData, hashClose } from './commitment.js';
+import { ChannelStateError } from './channel-monitor.js';
+import { assetOf } from './asset.js';
+import { signedSplice } from './splices.js';
+
+/**
+ * Server-initiated channel closes, so earned funds do not stay locked in
+ * channels whose viewers stopped coming back.
+ *
+ * A close request is the server's signature on a cooperative close at the
+ * channel's latest co-signed balances, kept on the channel record as
+ * closeRequest for the client to pick up (GET /channel/:address/close-request).
+ * Purchases and splices are refused while it is active. The client answers by
+ * submitting cooperativeClose itself or by handing its signature to the
+ * server. Without an answer within the response window, the server opens a
+ * dispute with its newest co-signed commitment and finalizes it once the
+ * dispute period is over:
+ *
+ *   requested ─► closed        (cooperative close, by either party)
+ *       └─► disputed ─► closed (initiateDispute by either party, then finalizeDispute)
+ *
+ * Requests come from an operator (admin API) or from the policy, which is
+ * checked on every tick and whose rules each trigger a request on their own:
+ * idle for idleDays, buyer balance below the cheapest catalog price, server
+ * revenue in the channel at or above a threshold. Every rule is off unless
+ * configured.
+ */
+
+export const CLOSE_REQUEST_STATUS = {
+  REQUESTED: 'requested',
+  DISPUTED: 'disputed',
+  CLOSED: 'closed'
+};
+
+const STATE_NAMES = ['FUNDING', 'OPEN', 'DISPUTED', 'CLOSED'];
+const DAY = 24 * 60 * 60 * 1000;
+
+function isActive(closeRequest) {
+  return Boolean(closeRequest) && closeRequest.status !== CLOSE_REQUEST_STATUS.CLOSED;
+}
+
+/**
+ * Throw ChannelStateError (CHANNEL_CLOSING) while the server is closing the
+ * channel, so no new payments are taken against it
+ */
+export function assertNotClosing(channel) {
+  if (isActive(channel?.closeRequest)) {
+    throw new ChannelStateError(`Channel is being closed (${channel.closeRequest.reason})`, { code: 'CHANNEL_CLOSING' });
+  }
+}
+
+/**
+ * Last time the channel moved: its newest commitment, or its registration
+ */
+function lastActivity(channel) {
+  const latest = channel.commitments.reduce((newest, c) => Math.max(newest, c.timestamp ?? 0), 0);
+  return latest || channel.registeredAt || null;
+}
+
+export class ChannelCloser {
+  /**
+   * @param {object} options
+   * @param {ethers.Wallet} options.wallet - Server wallet (connected to a provider)
+   * @param {ServerStore} options.store - Store with channels and invoices
+   * @param {InvoiceBook} options.invoices - Open invoices block close requests
+   * @param {Array} options.abi - BidirectionalChannel ABI
+   * @param {object} options.policy - Rules for automatic requests, each optional
+   * @param {number} options.policy.idleDays - Days without a commitment
+   * @param {function} options.policy.minBalance - asset => wei string the buyer must keep (cheapest price)
+   * @param {function} options.policy.revenueThreshold - asset => wei string of server revenue that triggers a close
+   * @param {number} options.responseWindow - Seconds the client has to answer a request
+   * @param {number} options.checkInterval - Seconds between ticks
+   * @param {function} options.log - log(message, level) for progress reports
+   */
+  constructor({ wallet, store, invoices, abi, policy = {}, responseWindow = 86400, checkInterval = 300, log = () => {} }) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.store = store;
+    this.invoices = invoices;
+    this.abi = abi;
+    this.policy = policy;
+    this.responseWindow = responseWindow * 1000;
+    this.checkInterval = checkInterval * 1000;
+    this.log = log;
+    this.timer = null;
+    this.ticking = null;
+    this.queue = Promise.resolve();
+  }
+
+  get policyEnabled() {
+    const { idleDays, minBalance, revenueThreshold } = this.policy;
+    return Boolean(idleDays || minBalance || revenueThreshold);
+  }
+
+  async start() {
+    await this.tick();
+
+    this.timer = setInterval(() => this.tick(), this.checkInterval);
+    this.timer.unref();
+    this.log(this.policyEnabled ? 'Close policy active' : 'No close policy configured: closes are only requested by an operator', 'info');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run fn after every earlier close step, so a client's answer and the
+   * dispute fallback never act on the same request at once
+   */
+  exclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Advance active requests, then request closes the policy asks for;
+   * overlapping calls wait for the running one
+   */
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.exclusive(() => this.processChannels())
+        .catch(error => this.log(`Close check failed: ${error.message}`, 'error'))
+        .finally(() => {
+          this.ticking = null;
+        });
+    }
+    return this.ticking;
+  }
+
+  async processChannels() {
+    for (const [channelAddress, channel] of this.store.channels.entries()) {
+      try {
+        if (isActive(channel.closeRequest)) {
+          await this.advance(channelAddress);
+        } else if (this.policyEnabled && this.reasons(channel).length > 0) {
+          await this.request(channelAddress, { reason: this.reasons(channel).join(', '), requestedBy: 'policy' });
+        }
+      } catch (error) {
+        this.log(`${channelAddress}: ${error.message}`, 'warning');
+      }
+    }
+  }
+
+  /**
+   * Policy rules the channel meets (empty when none, or when it cannot be
+   * closed now anyway)
+   */
+  reasons(channel, now = Date.now()) {
+    if (channel.pendingFunding || channel.closeRequest) return [];
+    if (channel.onChain && channel.onChain.state !== 'OPEN') return [];
+    if (channel.pendingRevocation || signedSplice(channel, now)) return [];
+
+    const { idleDays, minBalance, revenueThreshold } = this.policy;
+    const asset = assetOf(channel);
+    const reasons = [];
+
+    const since = lastActivity(channel);
+    if (idleDays && since && now - since >= idleDays * DAY) {
+      reasons.push(`idle for ${Math.floor((now - since) / DAY)} days`);
+    }
+
+    const cheapest = minBalance?.(asset);
+    if (cheapest && BigInt(channel.currentPartyABalance) < BigInt(cheapest)) {
+      reasons.push('buyer balance below the cheapest price');
+    }
+
+    const threshold = revenueThreshold?.(asset);
+    if (threshold && BigInt(channel.currentPartyBBalance) - BigInt(channel.initialBalanceB) >= BigInt(threshold)) {
+      reasons.push('revenue threshold reached');
+    }
+    return reasons;
+  }
+
+  /**
+   * Registered channels the policy would close, with its reasons
+   */
+  candidates() {
+    return this.store.channels.entries()
+      .map(([channelAddress, channel]) => ({ channelAddress, reasons: this.reasons(channel) }))
+      .filter(candidate => candidate.reasons.length > 0);
+  }
+
+  /**
+   * Ask the client to close the channel at its latest co-signed balances
+   *
+   * @param {string} channelAddress - Registered channel
+   * @param {object} options
+   * @param {string} options.reason - Shown to the client
+   * @param {string} options.requestedBy - 'policy' or 'admin'
+   */
+  async requestClose(channelAddress, options) {
+    return this.exclusive(() => this.request(channelAddress, options));
+  }
+
+  async request(channelAddress, { reason, requestedBy }) {
+    const channel = this.store.channels.get(channelAddress);
+    if (!channel) {
+      throw new Error('Channel not registered');
+    }
+    if (isActive(channel.closeRequest)) {
+      throw new Error(`A close request is already ${channel.closeRequest.status}`);
+    }
+
+    const info = await this.contractFor(channelAddress).getChannelInfo();
+    if (STATE_NAMES[Number(info[3])] !== 'OPEN') {
+      throw new Error(`Channel is ${STATE_NAMES[Number(info[3])]} on-chain`);
+    }
+
+    const balanceA = channel.currentPartyABalance;
+    const balanceB = channel.currentPartyBBalance;
+    if (info[2] !== BigInt(balanceA) + BigInt(balanceB)) {
+      throw new Error(`On-chain balance ${info[2]} does not match the tracked balances`);
+    }
+
+    const close = { channelAddress, chainId: (await this.provider.getNetwork()).chainId, balanceA, balanceB };
+    const typedClose = closeTypedData(close);
+    const partyBSignature = await this.wallet.signTypedData(typedClose.domain, typedClose.types, typedClose.message);
+
+    const closeRequest = await this.store.transaction(tx => {
+      const stored = tx.channels.get(channelAddress);
+      if (stored.latestNonce !== channel.latestNonce) {
+        throw new Error(`Channel moved on to nonce ${stored.latestNonce}`);
+      }
+      if (stored.pendingRevocation) {
+        throw new Error(`Payment for nonce ${stored.latestNonce} is awaiting the revocation secret`);
+      }
+      const splice = signedSplice(stored);
+      if (splice) {
+        throw new Error(`Splice at nonce ${splice.nonce} must be confirmed or expire first`);
+      }
+      const open = this.invoices.openInvoice(tx, channelAddress);
+      if (open) {
+        throw new Error(`Invoice ${open.id} is still open`);
+      }
+
+      const now = Date.now();
+      stored.closeRequest = {
+        nonce: stored.latestNonce,
+        balanceA,
+        balanceB,
+        partyBSignature,
+        closeHash: hashClose(close),
+        reason,
+        requestedBy,
+        status: CLOSE_REQUEST_STATUS.REQUESTED,
+        requestedAt: now,
+        deadline: now + this.responseWindow
+      };
+      return stored.closeRequest;
+    });
+
+    this.log(`Close requested on ${channelAddress} (${reason}), answer due by ${new Date(closeRequest.deadline).toISOString()}`, 'info');
+    return closeRequest;
+  }
+
+  /**
+   * Submit the cooperative close with the client's signature on the
+   * requested balances
+   */
+  async accept(channelAddress, partyASignature) {
+    return this.exclusive(async () => {
+      const channel = this.store.channels.get(channelAddress);
+      const closeRequest = channel?.closeRequest;
+      if (closeRequest?.status !== CLOSE_REQUEST_STATUS.REQUESTED) {
+        throw new Error(closeRequest ? `Close request is ${closeRequest.status}` : 'No close request for this channel');
+      }
+
+      const { chainId } = await this.provider.getNetwork();
+      const typedClose = closeTypedData({ channelAddress, chainId, balanceA: closeRequest.balanceA, balanceB: closeRequest.balanceB });
+      let signer;
+      try {
+        signer = ethers.verifyTypedData(typedClose.domain, typedClose.types, typedClose.message, partyASignature);
+      } catch {
+        throw new Error('Malformed close signature');
+      }
+      if (signer.toLowerCase() !== channel.partyA.toLowerCase()) {
+        throw new Error('Close signature is not from partyA');
+      }
+
+      const tx = await this.contractFor(channelAddress).cooperativeClose(
+        BigInt(closeRequest.balanceA),
+        BigInt(closeRequest.balanceB),
+        partyASignature,
+        closeRequest.partyBSignature
+      );
+      await tx.wait();
+
+      this.log(`Channel ${channelAddress} closed cooperatively: ${tx.hash}`, 'success');
+      return this.record(channelAddress, { status: CLOSE_REQUEST_STATUS.CLOSED, outcome: 'cooperative', txHash: tx.hash, closedAt: Date.now() });
+    });
+  }
+
+  /**
+   * Move an active request along: notice a close or a dispute by the client,
+   * open the dispute once the response window has passed, finalize any
+   * dispute once the dispute period is over
+   */
+  async advance(channelAddress) {
+    const channel = this.store.channels.get(channelAddress);
+    let { closeRequest } = channel;
+    const contract = this.contractFor(channelAddress);
+    const state = STATE_NAMES[Number(await contract.channelState())];
+
+    if (state === 'CLOSED') {
+      this.log(`Channel ${channelAddress} is closed`, 'success');
+      return this.record(channelAddress, { status: CLOSE_REQUEST_STATUS.CLOSED, outcome: closeRequest.status === CLOSE_REQUEST_STATUS.DISPUTED ? 'dispute' : 'cooperative', closedAt: Date.now() });
+    }
+
+    if (closeRequest.status === CLOSE_REQUEST_STATUS.REQUESTED && state === 'OPEN' && Date.now() >= closeRequest.deadline) {
+      return this.dispute(channelAddress, channel, contract);
+    }
+
+    // The watchtower answers disputes the client opens; whoever opened it,
+    // the dispute is finalized here
+    if (state === 'DISPUTED') {
+      const [deadline, block] = await Promise.all([contract.disputeDeadline(), this.provider.getBlock('latest')]);
+      if (closeRequest.status !== CLOSE_REQUEST_STATUS.DISPUTED) {
+        this.log(`Client answered the close request on ${channelAddress} with a dispute`, 'warning');
+        closeRequest = await this.record(channelAddress, { status: CLOSE_REQUEST_STATUS.DISPUTED, disputeDeadline: Number(deadline) * 1000 });
+      }
+      if (BigInt(block.timestamp) < deadline) return closeRequest;
+
+      const tx = await contract.finalizeDispute();
+      await tx.wait();
+      this.log(`Dispute on ${channelAddress} finalized: ${tx.hash}`, 'success');
+      return this.record(channelAddress, { status: CLOSE_REQUEST_STATUS.CLOSED, outcome: 'dispute', settleTxHash: tx.hash, closedAt: Date.now() });
+    }
+    return closeRequest;
+  }
+
+  /**
+   * Open a dispute with the newest commitment both parties signed
+   */
+  async dispute(channelAddress, channel, contract) {
+    const latest = channel.commitments
+      .filter(c => c.partyASignature && c.partyBSignature)
+      .reduce((newest, c) => (!newest || c.nonce > newest.nonce ? c : newest), null);
+    if (!latest) {
+      throw new Error('No co-signed commitment to dispute with');
+    }
+
+    this.log(`No answer to the close request on ${channelAddress}: disputing with nonce ${latest.nonce}`, 'warning');
+    const tx = await contract.initiateDispute(
+      latest.nonce,
+      BigInt(latest.partyABalance),
+      BigInt(latest.partyBBalance),
+      latest.partyARevocationHash,
+      latest.partyBRevocationHash,
+      latest.partyASignature,
+      latest.partyBSignature
+    );
+    await tx.wait();
+
+    const disputeDeadline = Number(await contract.disputeDeadline()) * 1000;
+    this.log(`Dispute opened on ${channelAddress}: ${tx.hash}, final after ${new Date(disputeDeadline).toISOString()}`, 'success');
+    return this.record(channelAddress, { status: CLOSE_REQUEST_STATUS.DISPUTED, disputeTxHash: tx.hash, disputedNonce: latest.nonce, disputeDeadline });
+  }
+
+  contractFor(channelAddress) {
+    return new ethers.Contract(channelAddress, this.abi, this.wallet);
+  }
+
+  async record(channelAddress, update) {
+    return this.store.transaction(tx => {
+      const channel = tx.channels.get(channelAddress);
+      channel.closeRequest = { ...channel.closeRequest, ...update };
+      return channel.closeRequest;
+    });
+  }
+}
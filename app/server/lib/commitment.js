@@ -0,0 +1,121 @@
+import { ethers } from 'ethers';
+import { parseWei } from './asset.js';
+
+// Placeholder for a revocation hash the counterparty has not provided yet
+export const ZERO_REVOCATION_HASH = ethers.ZeroHash;
+
+// EIP-712 types, identical to BidirectionalChannel.COMMITMENT_TYPEHASH / CLOSE_TYPEHASH / SPLICE_TYPEHASH
+const COMMITMENT_TYPES = {
+  Commitment: [
+    { name: 'nonce', type: 'uint256' },
+    { name: 'balanceA', type: 'uint256' },
+    { name: 'balanceB', type: 'uint256' },
+    { name: 'revocationHashA', type: 'bytes32' },
+    { name: 'revocationHashB', type: 'bytes32' }
+  ]
+};
+
+const CLOSE_TYPES = {
+  Close: [
+    { name: 'balanceA', type: 'uint256' },
+    { name: 'balanceB', type: 'uint256' }
+  ]
+};
+
+const SPLICE_TYPES = {
+  Splice: [
+    { name: 'nonce', type: 'uint256' },
+    { name: 'balanceA', type: 'uint256' },
+    { name: 'balanceB', type: 'uint256' },
+    { name: 'depositA', type: 'uint256' },
+    { name: 'depositB', type: 'uint256' },
+    { name: 'withdrawA', type: 'uint256' },
+    { name: 'withdrawB', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+function channelDomain(channelAddress, chainId) {
+  return {
+    name: 'BidirectionalChannel',
+    version: '1',
+    chainId,
+    verifyingContract: channelAddress
+  };
+}
+
+/**
+ * EIP-712 typed data for a commitment, ready for signTypedData.
+ * Balances are wei strings as tracked by the server.
+ */
+export function commitmentTypedData({ channelAddress, chainId, nonce, partyABalance, partyBBalance, partyARevocationHash, partyBRevocationHash }) {
+  return {
+    domain: channelDomain(channelAddress, chainId),
+    types: COMMITMENT_TYPES,
+    message: {
+      nonce,
+      balanceA: parseWei(partyABalance, 'partyABalance'),
+      balanceB: parseWei(partyBBalance, 'partyBBalance'),
+      revocationHashA: partyARevocationHash || ZERO_REVOCATION_HASH,
+      revocationHashB: partyBRevocationHash || ZERO_REVOCATION_HASH
+    }
+  };
+}
+
+/**
+ * Commitment digest, identical to BidirectionalChannel.hashCommitment.
+ */
+export function hashCommitment(commitment) {
+  const { domain, types, message } = commitmentTypedData(commitment);
+  return ethers.TypedDataEncoder.hash(domain, types, message);
+}
+
+/**
+ * EIP-712 typed data for a cooperative close (balances in wei).
+ */
+export function closeTypedData({ channelAddress, chainId, balanceA, balanceB }) {
+  return {
+    domain: channelDomain(channelAddress, chainId),
+    types: CLOSE_TYPES,
+    message: {
+      balanceA: parseWei(balanceA, 'balanceA'),
+      balanceB: parseWei(balanceB, 'balanceB')
+    }
+  };
+}
+
+/**
+ * Cooperative close digest, identical to BidirectionalChannel.hashClose.
+ */
+export function hashClose(close) {
+  const { domain, types, message } = closeTypedData(close);
+  return ethers.TypedDataEncoder.hash(domain, types, message);
+}
+
+/**
+ * EIP-712 typed data for a splice (all amounts in wei, deadline in seconds).
+ */
+export function spliceTypedData({ channelAddress, chainId, nonce, partyABalance, partyBBalance, depositA = '0', depositB = '0', withdrawA = '0', withdrawB = '0', deadline }) {
+  return {
+    domain: channelDomain(channelAddress, chainId),
+    types: SPLICE_TYPES,
+    message: {
+      nonce,
+      balanceA: parseWei(partyABalance, 'partyABalance'),
+      balanceB: parseWei(partyBBalance, 'partyBBalance'),
+      depositA: parseWei(depositA, 'depositA'),
+      depositB: parseWei(depositB, 'depositB'),
+      withdrawA: parseWei(withdrawA, 'withdrawA'),
+      withdrawB: parseWei(withdrawB, 'withdrawB'),
+      deadline: BigInt(deadline)
+    }
+  };
+}
+
+/**
+ * Splice digest, identical to BidirectionalChannel.hashSplice.
+ */
+export function hashSplice(splice) {
+  const { domain, types, message } = spliceTypedData(splice);
+  return ethers.TypedDataEncoder.hash(domain, types, message);
+}
@@ -0,0 +1,96 @@
+import { LogPoller } from './log-poller.js';
+
+/**
+ * Discovers channels opened toward the server by following the channel
+ * factory's ChannelCreated events with the server as partyB.
+ *
+ * Every discovered channel is recorded in the store's factoryChannels
+ * collection, keyed by channel address, so clients can look up channels they
+ * created even before registering them. Logs are followed by a LogPoller
+ * whose cursor is kept in the store's discovery collection; recording a
+ * channel twice is harmless.
+ */
+
+export class ChannelDiscovery {
+  /**
+   * @param {object} options
+   * @param {ethers.Contract} options.factory - BidirectionalChannelFactory (connected to a provider)
+   * @param {string} options.partyB - Server address; only channels toward it are recorded
+   * @param {ServerStore} options.store - Store with the factoryChannels and discovery collections
+   * @param {number} options.fromBlock - First block to scan on first start (default: current head)
+   * @param {number} options.pollInterval - Milliseconds between polls
+   * @param {number} options.confirmations - Blocks to wait before processing logs
+   * @param {number} options.blockRange - Maximum blocks per log query
+   * @param {function} options.log - log(message, level) for progress reports
+   */
+  constructor({ factory, partyB, store, fromBlock, pollInterval = 5000, confirmations = 0, blockRange = 2000, log = () => {} }) {
+    this.factory = factory;
+    this.provider = factory.runner.provider;
+    this.partyB = partyB;
+    this.store = store;
+    this.fromBlock = fromBlock;
+    this.log = log;
+    this.poller = new LogPoller({
+      provider: this.provider,
+      store,
+      collection: 'discovery',
+      processRange: (fromBlock, toBlock) => this.processRange(fromBlock, toBlock),
+      pollInterval,
+      confirmations,
+      blockRange,
+      log
+    });
+  }
+
+  async start() {
+    await this.poller.init(this.fromBlock ?? await this.provider.getBlockNumber());
+    await this.poller.poll();
+
+    this.poller.start();
+    this.log(`Following ChannelCreated on ${await this.factory.getAddress()} from block ${this.poller.cursor() + 1}`, 'info');
+  }
+
+  stop() {
+    this.poller.stop();
+  }
+
+  /**
+   * Record the channels created toward the server in the range
+   */
+  async processRange(fromBlock, toBlock) {
+    const events = await this.factory.queryFilter(this.factory.filters.ChannelCreated(null, this.partyB), fromBlock, toBlock);
+    if (events.length === 0) return;
+
+    const discovered = await this.store.transaction(tx => {
+      const added = [];
+      for (const event of events) {
+        const { partyA, channel } = event.args;
+        if (tx.factoryChannels.has(channel)) continue;
+
+        tx.factoryChannels.set(channel, {
+          partyA,
+          partyB: this.partyB,
+          blockNumber: event.blockNumber,
+          txHash: event.transactionHash,
+          discoveredAt: Date.now()
+        });
+        added.push(event);
+      }
+      return added;
+    });
+
+    for (const { args, blockNumber } of discovered) {
+      this.log(`Discovered channel ${args.channel} from ${args.partyA} (block ${blockNumber})`, 'success');
+    }
+  }
+
+  /**
+   * Channels created toward the server by partyA, newest first
+   */
+  channelsOf(partyA) {
+    return this.store.factoryChannels.entries()
+      .filter(([, record]) => record.partyA.toLowerCase() === partyA.toLowerCase())
+      .map(([channelAddress, record]) => ({ channelAddress, ...record }))
+      .sort((a, b) => b.blockNumber - a.blockNumber);
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Invoices for content purchases and the channel nonces they reserve.
+ *
+ * An invoice quotes the next commitment of its channel (nonce and balances),
+ * so a channel has at most one open invoice at a time: one that is issued,
+ * or paid by a co-signed commitment and awaiting the buyer's revocation
+ * secret. Issuing, paying and cancelling all happen inside store
+ * transactions, which run one at a time, so two quick purchases on one
+ * channel can never be quoted the same nonce. Asking again for the item an
+ * open invoice already quotes returns that invoice.
+ *
+ *   issued ─► awaiting_revocation ─► paid
+ *     ├─► expired     (not paid within the TTL)
+ *     └─► cancelled   (by the buyer, or replaced by a re-quote)
+ *
+ * Closed invoices (paid, expired, cancelled) are kept for `retention`
+ * seconds and then removed by a periodic sweep, which also expires issued
+ * invoices past their deadline.
+ */
+
+export const INVOICE_STATUS = {
+  ISSUED: 'issued',
+  AWAITING_REVOCATION: 'awaiting_revocation',
+  PAID: 'paid',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+// Seconds an issued invoice holds its channel's next nonce
+export const DEFAULT_INVOICE_TTL = 120;
+
+const CLOSED = [INVOICE_STATUS.PAID, INVOICE_STATUS.EXPIRED, INVOICE_STATUS.CANCELLED];
+
+/**
+ * A purchase step refused because of an invoice's or its channel's state.
+ * code is stable for clients (e.g. INVOICE_PENDING, INVOICE_EXPIRED), status
+ * is the HTTP status and details are extra response fields.
+ */
+export class InvoiceError extends Error {
+  constructor(message, { code, status = 409, invoiceId = null, details = {} } = {}) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.code = code;
+    this.status = status;
+    this.invoiceId = invoiceId;
+    this.details = details;
+  }
+}
+
+function sameItem(invoice, item) {
+  return invoice.videoId === item.videoId &&
+    invoice.purchaseType === item.purchaseType &&
+    (invoice.segmentName || null) === (item.segmentName || null) &&
+    invoice.partyAAddress.toLowerCase() === item.partyAAddress.toLowerCase();
+}
+
+export class InvoiceBook {
+  /**
+   * @param {object} options
+   * @param {ServerStore} options.store - Store with the invoices collection
+   * @param {number} options.ttl - Seconds an issued invoice stays payable
+   * @param {number} options.retention - Seconds closed invoices are kept
+   * @param {number} options.sweepInterval - Seconds between sweeps
+   * @param {function} options.log - log(message, level) for progress reports
+   */
+  constructor({ store, ttl = DEFAULT_INVOICE_TTL, retention = 86400, sweepInterval = 60, log = () => {} }) {
+    this.store = store;
+    this.ttl = ttl * 1000;
+    this.retention = retention * 1000;
+    this.sweepInterval = sweepInterval * 1000;
+    this.log = log;
+    this.timer = null;
+  }
+
+  async start() {
+    await this.sweep();
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => this.log(`Invoice sweep failed: ${error.message}`, 'error'));
+    }, this.sweepInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Expire overdue invoices and remove closed ones past their retention
+   */
+  async sweep() {
+    const now = Date.now();
+    const counts = await this.store.transaction(tx => {
+      const swept = { expired: 0, removed: 0 };
+      for (const id of tx.invoices.keys()) {
+        const invoice = tx.invoices.get(id);
+        if (this.expire(invoice, now)) {
+          swept.expired++;
+        } else if (CLOSED.includes(invoice.status) && now - (invoice.closedAt ?? invoice.timestamp) >= this.retention) {
+          tx.invoices.delete(id);
+          swept.removed++;
+        }
+      }
+      return swept;
+    });
+
+    if (counts.expired || counts.removed) {
+      this.log(`Expired ${counts.expired} invoice(s), removed ${counts.removed} closed invoice(s)`, 'info');
+    }
+    return counts;
+  }
+
+  /**
+   * Move an issued invoice past its deadline to expired (inside a transaction)
+   */
+  expire(invoice, now = Date.now()) {
+    if (invoice.status !== INVOICE_STATUS.ISSUED || invoice.expiresAt > now) return false;
+    invoice.status = INVOICE_STATUS.EXPIRED;
+    invoice.closedAt = now;
+    return true;
+  }
+
+  /**
+   * The invoice holding a channel's next nonce, if any (inside a transaction;
+   * overdue invoices are expired on the way)
+   */
+  openInvoice(tx, channelAddress, now = Date.now()) {
+    for (const id of tx.invoices.keys()) {
+      const invoice = tx.invoices.get(id);
+      if (invoice.channelAddress !== channelAddress) continue;
+
+      this.expire(invoice, now);
+      if (invoice.status === INVOICE_STATUS.ISSUED || invoice.status === INVOICE_STATUS.AWAITING_REVOCATION) {
+        return { id, invoice };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Issue an invoice for item on a channel. quote(tx, channel) runs inside
+   * the transaction with the stored channel and returns { id, ...invoice }
+   * for its next nonce, or throws to refuse. An open invoice for the same
+   * item is returned instead ({ reused: true }); one for anything else is
+   * refused with INVOICE_PENDING.
+   *
+   * @param {string} channelAddress - Registered channel
+   * @param {object} item - { videoId, purchaseType, segmentName, partyAAddress }
+   * @param {function} quote - (tx, channel) => { id, ...invoice }
+   * @param {object} options
+   * @param {string} options.replaces - Invoice this one re-quotes; cancelled in the same transaction
+   */
+  async issue(channelAddress, item, quote, { replaces = null } = {}) {
+    return this.store.transaction(tx => {
+      const now = Date.now();
+      const replaced = replaces ? this.close(tx, replaces, INVOICE_STATUS.CANCELLED) : null;
+      const open = this.openInvoice(tx, channelAddress, now);
+      if (open) {
+        if (open.invoice.status === INVOICE_STATUS.ISSUED && sameItem(open.invoice, item)) {
+          return { id: open.id, invoice: open.invoice, reused: true };
+        }
+        throw new InvoiceError(
+          open.invoice.status === INVOICE_STATUS.ISSUED
+            ? `Invoice for nonce ${open.invoice.nonce} is still open: pay, cancel or re-quote it first`
+            : `Previous payment is awaiting the revocation secret for nonce ${open.invoice.nonce - 1}`,
+          { code: open.invoice.status === INVOICE_STATUS.ISSUED ? 'INVOICE_PENDING' : 'REVOCATION_PENDING', invoiceId: open.id }
+        );
+      }
+
+      const { id, ...quoted } = quote(tx, tx.channels.get(channelAddress));
+      const invoice = {
+        ...quoted,
+        ...item,
+        segmentName: item.segmentName || null,
+        channelAddress,
+        status: INVOICE_STATUS.ISSUED,
+        timestamp: now,
+        expiresAt: now + this.ttl
+      };
+      tx.invoices.set(id, invoice);
+      if (replaced) {
+        replaced.replacedBy = id;
+      }
+      return { id, invoice, reused: false };
+    });
+  }
+
+  /**
+   * Check that an invoice (as stored under invoiceId) can take a payment now
+   */
+  assertPayable(invoice, invoiceId) {
+    if (!invoice) {
+      throw new InvoiceError('Invoice not found', { code: 'INVOICE_NOT_FOUND', status: 404, invoiceId });
+    }
+    this.expire(invoice);
+    if (invoice.status === INVOICE_STATUS.EXPIRED) {
+      throw new InvoiceError('Invoice expired: re-quote it', { code: 'INVOICE_EXPIRED', status: 410, invoiceId });
+    }
+    if (invoice.status !== INVOICE_STATUS.ISSUED) {
+      throw new InvoiceError(`Invoice is ${invoice.status}`, { code: 'INVOICE_NOT_PAYABLE', invoiceId });
+    }
+    return invoice;
+  }
+
+  /**
+   * Cancel an issued (or already expired) invoice, freeing its nonce
+   */
+  async cancel(invoiceId) {
+    return this.store.transaction(tx => this.close(tx, invoiceId, INVOICE_STATUS.CANCELLED));
+  }
+
+  /**
+   * Close an invoice that holds no co-signed commitment (inside a transaction)
+   */
+  close(tx, invoiceId, status) {
+    const invoice = tx.invoices.get(invoiceId);
+    if (!invoice) {
+      throw new InvoiceError('Invoice not found', { code: 'INVOICE_NOT_FOUND', status: 404, invoiceId });
+    }
+    this.expire(invoice);
+    if (invoice.status === INVOICE_STATUS.ISSUED) {
+      invoice.status = status;
+      invoice.closedAt = Date.now();
+    } else if (invoice.status !== INVOICE_STATUS.EXPIRED && invoice.status !== INVOICE_STATUS.CANCELLED) {
+      throw new InvoiceError(`Invoice is ${invoice.status} and can no longer be cancelled`, { code: 'INVOICE_NOT_CANCELLABLE', invoiceId });
+    }
+    return invoice;
+  }
+}
@@ -0,0 +1,77 @@
+import { ethers } from 'ethers';
+import fs from 'fs/promises';
+import readline from 'readline';
+import { Writable } from 'stream';
+
+/**
+ * Loads a wallet from an encrypted JSON keystore, the same format the CLI's
+ * `key create` / `key import` write (and geth or `cast wallet` produce), so
+ * an operator key can be made with:
+ *
+ *   KEYSTORE_PATH=app/server/data/keystore channel-cli --profile operator key import
+ *
+ * The passphrase is read from a passphrase file or prompted for on a
+ * terminal. A missing keystore or passphrase stops startup.
+ */
+
+/**
+ * Read a line from the terminal without echoing it
+ */
+function promptHidden(query) {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk, encoding);
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+
+  return new Promise(resolve => {
+    rl.question(query, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+async function readPassphrase(passphraseFile, label) {
+  if (passphraseFile) {
+    const passphrase = (await fs.readFile(passphraseFile, 'utf8')).split(/\r?\n/)[0];
+    if (!passphrase) {
+      throw new Error(`Passphrase file ${passphraseFile} is empty`);
+    }
+    return passphrase;
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new Error(`No passphrase for the ${label} keystore: set a passphrase file or start in a terminal`);
+  }
+  return promptHidden(`Passphrase for the ${label} keystore: `);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.keystorePath - Encrypted JSON keystore file
+ * @param {string} options.passphraseFile - File holding the passphrase (prompted for if omitted)
+ * @param {string} options.label - Whose key this is, for messages (e.g. "operator")
+ * @returns {Promise<ethers.Wallet>} The decrypted wallet, not connected to a provider
+ */
+export async function loadKeystoreWallet({ keystorePath, passphraseFile, label = 'wallet' }) {
+  let json;
+  try {
+    json = await fs.readFile(keystorePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    throw new Error(`No ${label} keystore at ${keystorePath}; create one with "channel-cli key create" or "key import" (see README)`);
+  }
+
+  const passphrase = await readPassphrase(passphraseFile, label);
+  try {
+    return await ethers.Wallet.fromEncryptedJson(json, passphrase);
+  } catch {
+    throw new Error(`Wrong passphrase for the ${label} keystore ${keystorePath}`);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Follows the chain in block ranges from a cursor kept in the store, for the
+ * services that react to contract logs (watchtower, channel monitor, channel
+ * discovery).
+ *
+ * Each poll hands the blocks between the cursor and the head, less the
+ * confirmations, to processRange in chunks of at most blockRange blocks. The
+ * cursor only moves past a chunk once processRange has finished with it, so a
+ * restart resumes where the last run stopped and may replay the chunk it was
+ * in; processRange must be safe to run twice on the same blocks.
+ */
+
+const CURSOR_KEY = 'cursor';
+
+export class LogPoller {
+  /**
+   * @param {object} options
+   * @param {ethers.Provider} options.provider - Chain to follow
+   * @param {ServerStore} options.store - Store holding the cursor
+   * @param {string} options.collection - Store collection the cursor is kept in
+   * @param {function} options.processRange - async (fromBlock, toBlock) => handle the logs in the range
+   * @param {number} options.pollInterval - Milliseconds between polls
+   * @param {number} options.confirmations - Blocks to wait before processing logs
+   * @param {number} options.blockRange - Maximum blocks per log query
+   * @param {function} options.log - log(message, level) for progress reports
+   */
+  constructor({ provider, store, collection, processRange, pollInterval = 5000, confirmations = 0, blockRange = 2000, log = () => {} }) {
+    this.provider = provider;
+    this.store = store;
+    this.collection = collection;
+    this.processRange = processRange;
+    this.pollInterval = pollInterval;
+    this.confirmations = confirmations;
+    this.blockRange = blockRange;
+    this.log = log;
+    this.timer = null;
+    this.polling = null;
+  }
+
+  /**
+   * On first start, set the cursor so processing begins at startBlock
+   * (default: the block after the current head)
+   */
+  async init(startBlock) {
+    if (!this.store[this.collection].has(CURSOR_KEY)) {
+      await this.saveCursor(startBlock !== undefined ? startBlock - 1 : await this.provider.getBlockNumber());
+    }
+  }
+
+  start() {
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Last block fully processed
+   */
+  cursor() {
+    return this.store[this.collection].get(CURSOR_KEY).blockNumber;
+  }
+
+  async saveCursor(blockNumber) {
+    await this.store.transaction(tx => {
+      tx[this.collection].set(CURSOR_KEY, { blockNumber, updatedAt: Date.now() });
+    });
+  }
+
+  /**
+   * Process new blocks; overlapping calls wait for the running one
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this.processNewBlocks()
+        .catch(error => this.log(`Poll failed: ${error.message}`, 'error'))
+        .finally(() => {
+          this.polling = null;
+        });
+    }
+    return this.polling;
+  }
+
+  async processNewBlocks() {
+    const safeHead = (await this.provider.getBlockNumber()) - this.confirmations;
+
+    let fromBlock = this.cursor() + 1;
+    while (fromBlock <= safeHead) {
+      const toBlock = Math.min(fromBlock + this.blockRange - 1, safeHead);
+      await this.processRange(fromBlock, toBlock);
+
+      await this.saveCursor(toBlock);
+      fromBlock = toBlock + 1;
+    }
+  }
+}
@@ -0,0 +1,160 @@
+import { ethers } from 'ethers';
+import { assetOf } from './asset.js';
+import { DEFAULT_INVOICE_TTL, INVOICE_STATUS } from './invoices.js';
+
+/**
+ * Upgrades of the store state, keyed by the schema version they upgrade
+ * from. Each one takes the state at that version and returns it at the next;
+ * ServerStore.init applies them in order and persists the result.
+ */
+
+/**
+ * Version 1 to 2: amounts move from decimal strings in the channel's asset to
+ * integer wei strings. Signed amounts always parse exactly; anything with
+ * more digits than the asset supports is rounded half up.
+ */
+function amountsToWei(state) {
+  const decimalsOf = channelAddress => assetOf(state.channels[channelAddress]).decimals;
+
+  const toWei = (value, decimals) => {
+    if (value === undefined || value === null) return value;
+
+    const text = value.toString().trim();
+    const [whole, fraction = ''] = text.split('.');
+    if (fraction.length <= decimals) {
+      return ethers.parseUnits(text, decimals).toString();
+    }
+    const wei = ethers.parseUnits(`${whole}.${fraction.slice(0, decimals)}`, decimals);
+    return (fraction[decimals] >= '5' ? wei + 1n : wei).toString();
+  };
+
+  const convert = (record, fields, decimals) => {
+    if (!record) return;
+    for (const field of fields) {
+      record[field] = toWei(record[field], decimals);
+    }
+  };
+
+  for (const [channelAddress, channel] of Object.entries(state.channels)) {
+    const decimals = decimalsOf(channelAddress);
+    convert(channel, ['initialBalanceA', 'initialBalanceB', 'currentPartyABalance', 'currentPartyBBalance'], decimals);
+    for (const commitment of channel.commitments || []) {
+      convert(commitment, ['partyABalance', 'partyBBalance'], decimals);
+      convert(commitment.splice, ['depositA', 'withdrawA'], decimals);
+    }
+    convert(channel.pendingSplice, ['partyABalance', 'partyBBalance', 'depositA', 'withdrawA'], decimals);
+  }
+
+  for (const invoice of Object.values(state.invoices)) {
+    const decimals = decimalsOf(invoice.channelAddress);
+    convert(invoice, ['price'], decimals);
+    convert(invoice.commitment, ['partyABalance', 'partyBBalance'], decimals);
+  }
+
+  // Purchase keys start with the channel address (see getUserVideoKey)
+  for (const purchases of [state.videoPurchases, state.segmentPurchases]) {
+    for (const [key, grant] of Object.entries(purchases)) {
+      convert(grant, ['price'], decimalsOf(key.split('_')[0]));
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Version 2 to 3: invoices get explicit states and an expiry. A 'pending'
+ * invoice becomes 'issued', payable for the default TTL from when it was
+ * created; the sweep expires it from there.
+ */
+function invoiceStates(state) {
+  for (const invoice of Object.values(state.invoices)) {
+    if (invoice.status === 'pending') {
+      invoice.status = INVOICE_STATUS.ISSUED;
+    }
+    invoice.expiresAt ??= invoice.timestamp + DEFAULT_INVOICE_TTL * 1000;
+  }
+  return state;
+}
+
+/**
+ * Version 3 to 4: access grants name what they cover, and every grant is
+ * entered in the payments ledger, which keeps revenue on record after a grant
+ * is revoked. Grant keys are `<channel>_<videoId>` for full videos and
+ * `<channel>_<videoId>_<segment>` for segments (see getUserVideoKey).
+ */
+function paymentLedger(state) {
+  const entries = [
+    ...Object.entries(state.videoPurchases).map(([key, grant]) => ['full', key, grant]),
+    ...Object.entries(state.segmentPurchases).map(([key, grant]) => ['segment', key, grant])
+  ];
+
+  for (const [purchaseType, key, grant] of entries) {
+    const channelAddress = key.slice(0, 42);
+    const rest = key.slice(43);
+    const split = purchaseType === 'segment' ? rest.lastIndexOf('_') : rest.length;
+
+    grant.channelAddress = channelAddress;
+    grant.videoId = rest.slice(0, split);
+    grant.segmentName = purchaseType === 'segment' ? rest.slice(split + 1) : null;
+
+    state.payments[`${channelAddress}:${grant.nonce}`] = {
+      channelAddress,
+      videoId: grant.videoId,
+      purchaseType,
+      segmentName: grant.segmentName,
+      price: grant.price,
+      asset: assetOf(state.channels[channelAddress]),
+      nonce: grant.nonce,
+      invoiceId: null,
+      paidAt: grant.timestamp
+    };
+  }
+  return state;
+}
+
+/**
+ * Version 4 to 5: channel addresses are checksummed everywhere. Earlier
+ * versions kept the address as the client sent it, so one channel could be
+ * registered under several letter cases; of those records the one with the
+ * highest nonce is kept.
+ */
+function checksummedAddresses(state) {
+  const channels = {};
+  for (const [key, channel] of Object.entries(state.channels)) {
+    const channelAddress = ethers.getAddress(key);
+    const kept = channels[channelAddress];
+    if (!kept || (channel.latestNonce ?? -1) > (kept.latestNonce ?? -1)) {
+      channels[channelAddress] = channel;
+    }
+  }
+  state.channels = channels;
+
+  for (const invoice of Object.values(state.invoices)) {
+    invoice.channelAddress = ethers.getAddress(invoice.channelAddress);
+  }
+
+  // Grant keys start with the channel address (see getUserVideoKey)
+  for (const name of ['videoPurchases', 'segmentPurchases']) {
+    const grants = {};
+    for (const [key, grant] of Object.entries(state[name])) {
+      grant.channelAddress = ethers.getAddress(grant.channelAddress);
+      grants[grant.channelAddress + key.slice(42)] ??= grant;
+    }
+    state[name] = grants;
+  }
+
+  const payments = {};
+  for (const payment of Object.values(state.payments)) {
+    payment.channelAddress = ethers.getAddress(payment.channelAddress);
+    payments[`${payment.channelAddress}:${payment.nonce}`] ??= payment;
+  }
+  state.payments = payments;
+  return state;
+}
+
+export const MIGRATIONS = {
+  1: amountsToWei,
+  2: invoiceStates,
+  3: paymentLedger,
+  4: checksummedAddresses
+};
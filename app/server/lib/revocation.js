@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { ethers } from 'ethers';
+import { deriveSecret, indexForNonce, ShachainStore } from './shachain.js';
+
+/**
+ * Load the server's revocation master key.
+ *
+ * REVOCATION_MASTER_KEY (32-byte hex) takes precedence. Otherwise the key is
+ * read from keyPath, which is created with a random key on first start and
+ * must not be readable by group or others.
+ */
+export async function loadMasterKey(keyPath) {
+  if (process.env.REVOCATION_MASTER_KEY) {
+    return parseMasterKey(process.env.REVOCATION_MASTER_KEY);
+  }
+
+  let stat;
+  try {
+    stat = await fs.stat(keyPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+
+    await fs.mkdir(path.dirname(keyPath), { recursive: true, mode: 0o700 });
+    const masterKey = '0x' + crypto.randomBytes(32).toString('hex');
+    await fs.writeFile(keyPath, masterKey + '\n', { mode: 0o600, flag: 'wx' });
+    return masterKey;
+  }
+
+  if (process.platform !== 'win32' && (stat.mode & 0o077) !== 0) {
+    throw new Error(`Revocation master key ${keyPath} must not be accessible by group or others (chmod 600)`);
+  }
+
+  return parseMasterKey(await fs.readFile(keyPath, 'utf8'));
+}
+
+function parseMasterKey(value) {
+  const key = value.trim();
+  if (!/^0x[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error('Revocation master key must be 32 bytes of hex');
+  }
+  return key;
+}
+
+/**
+ * Derives the server's per-commitment revocation secrets.
+ *
+ * Each channel gets its own shachain seed, HMAC'd from the master key and the
+ * channel address, so revealing a secret on one channel says nothing about
+ * any other channel.
+ */
+export class RevocationSecretManager {
+  constructor(masterKey) {
+    this.masterKey = Buffer.from(parseMasterKey(masterKey).slice(2), 'hex');
+  }
+
+  channelSeed(channelAddress) {
+    const seed = crypto
+      .createHmac('sha256', this.masterKey)
+      .update(`revocation-seed:${channelAddress.toLowerCase()}`)
+      .digest();
+    return '0x' + seed.toString('hex');
+  }
+
+  secretFor(channelAddress, nonce) {
+    return deriveSecret(this.channelSeed(channelAddress), indexForNonce(nonce));
+  }
+
+  revocationHashFor(channelAddress, nonce) {
+    return ethers.keccak256(this.secretFor(channelAddress, nonce));
+  }
+}
+
+/**
+ * The buyer's revealed secret for a commitment, derived from the shachain
+ * table kept on the channel record (partyARevocationSecrets), or null while
+ * that commitment has not been revoked
+ */
+export function revealedSecretFor(channel, nonce) {
+  return new ShachainStore(channel.partyARevocationSecrets).get(indexForNonce(nonce));
+}
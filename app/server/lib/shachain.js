@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+
+/**
+ * Shachain per-commitment secrets (BOLT #3).
+ *
+ * The sender derives every secret from one seed. Secrets are indexed from
+ * 2^48 - 1 downwards, so once the receiver holds the secret for index I it can
+ * derive the secrets of all older commitments that share I's bit prefix, and
+ * never needs to keep more than 49 secrets for a channel.
+ */
+
+const INDEX_BITS = 48;
+export const MAX_INDEX = (1n << BigInt(INDEX_BITS)) - 1n;
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest();
+}
+
+function toBuffer(secret) {
+  const buffer = Buffer.from(secret.replace(/^0x/, ''), 'hex');
+  if (buffer.length !== 32) {
+    throw new Error('Shachain secrets and seeds must be 32 bytes');
+  }
+  return buffer;
+}
+
+function toHex(buffer) {
+  return '0x' + buffer.toString('hex');
+}
+
+// Flip the given bits of base, hashing after each one, from the highest bit down
+function derive(base, bits, index) {
+  const value = Buffer.from(base);
+  for (let bit = bits - 1; bit >= 0; bit--) {
+    if ((index >> BigInt(bit)) & 1n) {
+      value[bit >> 3] ^= 1 << (bit & 7);
+      value.set(sha256(value));
+    }
+  }
+  return value;
+}
+
+/**
+ * Shachain index of the secret for a commitment nonce (newest = lowest index)
+ */
+export function indexForNonce(nonce) {
+  const index = MAX_INDEX - BigInt(nonce);
+  if (index < 0n) {
+    throw new Error(`Nonce ${nonce} is outside the shachain range`);
+  }
+  return index;
+}
+
+/**
+ * Derive the secret at index from a 32-byte seed
+ */
+export function deriveSecret(seed, index) {
+  return toHex(derive(toBuffer(seed), INDEX_BITS, BigInt(index)));
+}
+
+// Position of a secret in the receiver's table: its number of trailing zero bits
+function slotForIndex(index) {
+  for (let bit = 0; bit < INDEX_BITS; bit++) {
+    if ((index >> BigInt(bit)) & 1n) return bit;
+  }
+  return INDEX_BITS;
+}
+
+/**
+ * Receiver-side storage of a counterparty's revealed shachain secrets
+ */
+export class ShachainStore {
+  constructor(known = []) {
+    this.known = known.map(entry => entry && {
+      index: BigInt(entry.index),
+      secret: entry.secret
+    });
+  }
+
+  /**
+   * Store the secret for index, checking that it is consistent with every
+   * secret it should be able to derive. Secrets must arrive in order.
+   */
+  insert(index, secret) {
+    index = BigInt(index);
+    const slot = slotForIndex(index);
+    const base = toBuffer(secret);
+
+    for (let b = 0; b < slot; b++) {
+      const entry = this.known[b];
+      if (!entry) continue;
+
+      if (toHex(derive(base, slot, entry.index)) !== entry.secret) {
+        throw new Error(`Secret for index ${index} does not derive the stored secret for index ${entry.index}`);
+      }
+    }
+
+    this.known[slot] = { index, secret: toHex(base) };
+  }
+
+  /**
+   * Return the secret for index, derived from a stored one, or null
+   */
+  get(index) {
+    index = BigInt(index);
+    for (let b = 0; b < this.known.length; b++) {
+      const entry = this.known[b];
+      if (!entry) continue;
+
+      const mask = ~((1n << BigInt(b)) - 1n);
+      if ((index & mask) === entry.index) {
+        return toHex(derive(toBuffer(entry.secret), b, index));
+      }
+    }
+    return null;
+  }
+
+  toJSON() {
+    return this.known.map(entry => entry && {
+      index: entry.index.toString(),
+      secret: entry.secret
+    });
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Splices the server has co-signed. Once PartyA holds both signatures it can
+ * execute the splice on-chain until the deadline in the signed data, so in
+ * the meantime the channel takes no payments and no close request. After
+ * that the splice is either on-chain, where it becomes the channel's new base
+ * state whether or not the client confirms it, or it can never land and is
+ * dropped.
+ *
+ * The pending splice is kept on the channel record as pendingSplice:
+ *   { nonce, partyABalance, partyBBalance, depositA, withdrawA, deadline, status, ... }
+ * with deadline in seconds, as the contract compares it with block.timestamp.
+ */
+
+// Block timestamps may run a little behind our clock
+const DEADLINE_MARGIN = 60;
+
+/**
+ * Whether the splice can no longer be executed on-chain
+ */
+export function spliceExpired(splice, now = Date.now()) {
+  return splice.deadline !== undefined && now > (splice.deadline + DEADLINE_MARGIN) * 1000;
+}
+
+/**
+ * The channel's co-signed splice, unless it has expired
+ */
+export function signedSplice(channel, now = Date.now()) {
+  const splice = channel.pendingSplice;
+  return splice?.status === 'signed' && !spliceExpired(splice, now) ? splice : null;
+}
+
+/**
+ * Make the channel's signed splice its base state, once it is on-chain.
+ * Changes the channel record in place; returns the splice's commitment.
+ */
+export function adoptSplice(channel) {
+  const splice = channel.pendingSplice;
+  const commitment = {
+    nonce: splice.nonce,
+    hash: splice.commitmentHash,
+    partyABalance: splice.partyABalance,
+    partyBBalance: splice.partyBBalance,
+    partyASignature: splice.partyACommitmentSignature,
+    partyBSignature: splice.partyBCommitmentSignature,
+    partyARevocationHash: splice.partyARevocationHash,
+    partyBRevocationHash: splice.partyBRevocationHash,
+    splice: { depositA: splice.depositA, withdrawA: splice.withdrawA },
+    timestamp: Date.now()
+  };
+
+  channel.commitments.push(commitment);
+  channel.latestNonce = splice.nonce;
+  channel.currentPartyABalance = splice.partyABalance;
+  channel.currentPartyBBalance = splice.partyBBalance;
+  delete channel.pendingSplice;
+  return commitment;
+}
@@ -0,0 +1,237 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { MIGRATIONS } from './migrations.js';
+
+/**
+ * Persistent storage for the server's channel records, commitment history,
+ * invoices, access grants and the ledger of completed payments.
+ *
+ * All writes go through transaction(), which applies the callback to a copy of
+ * the current state and only swaps it in once the backend has persisted it.
+ * A failed callback or write leaves both memory and disk untouched.
+ *
+ * Backends implement load() and save(state); FileStoreBackend is the default.
+ * State from an older schema version is upgraded on load (see migrations.js);
+ * backends may implement backup(version) to keep the original first.
+ */
+
+export const SCHEMA_VERSION = 5;
+const COLLECTIONS = ['channels', 'invoices', 'videoPurchases', 'segmentPurchases', 'revokedTokens', 'watchtower', 'factoryChannels', 'discovery', 'monitor', 'payments'];
+
+function emptyState() {
+  const state = { version: SCHEMA_VERSION };
+  for (const name of COLLECTIONS) {
+    state[name] = {};
+  }
+  return state;
+}
+
+/**
+ * Read-only view of one collection. Values are copies so callers cannot
+ * change stored records without going through a transaction.
+ */
+class Collection {
+  constructor(getState, name) {
+    this.getState = getState;
+    this.name = name;
+  }
+
+  get(key) {
+    const value = this.getState()[this.name][key];
+    return value === undefined ? undefined : structuredClone(value);
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.getState()[this.name], key);
+  }
+
+  keys() {
+    return Object.keys(this.getState()[this.name]);
+  }
+
+  values() {
+    return Object.values(this.getState()[this.name]).map(value => structuredClone(value));
+  }
+
+  entries() {
+    return Object.entries(this.getState()[this.name]).map(([key, value]) => [key, structuredClone(value)]);
+  }
+}
+
+/**
+ * Writable view of one collection inside a transaction
+ */
+class TransactionCollection {
+  constructor(draft, name) {
+    this.records = draft[name];
+  }
+
+  get(key) {
+    return this.records[key];
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.records, key);
+  }
+
+  keys() {
+    return Object.keys(this.records);
+  }
+
+  set(key, value) {
+    this.records[key] = value;
+  }
+
+  delete(key) {
+    delete this.records[key];
+  }
+}
+
+/**
+ * JSON file backend. Writes go to a temporary file that is fsynced and then
+ * renamed over the store, so a crash leaves either the old or the new state.
+ * The store and its backups hold content keys and revealed revocation
+ * secrets, so they are only readable by the owner (mode 600) by default.
+ */
+export class FileStoreBackend {
+  constructor(filePath, { mode = 0o600 } = {}) {
+    this.filePath = filePath;
+    this.mode = mode;
+  }
+
+  async load() {
+    let data;
+    try {
+      data = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Store file ${this.filePath} is corrupted: ${error.message}`);
+    }
+  }
+
+  async save(state) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const handle = await fs.open(tmpPath, 'w', this.mode);
+    try {
+      await handle.writeFile(JSON.stringify(state, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Copy the store file aside before a migration rewrites it
+   */
+  async backup(version) {
+    const backupPath = `${this.filePath}.v${version}.bak`;
+    // Created with the store's mode; chmod covers a backup left by an earlier run
+    await fs.writeFile(backupPath, await fs.readFile(this.filePath), { mode: this.mode });
+    await fs.chmod(backupPath, this.mode);
+    return backupPath;
+  }
+}
+
+/**
+ * Backend that keeps state in memory only (state is lost on restart)
+ */
+export class MemoryStoreBackend {
+  constructor() {
+    this.state = null;
+  }
+
+  async load() {
+    return this.state ? structuredClone(this.state) : null;
+  }
+
+  async save(state) {
+    this.state = structuredClone(state);
+  }
+}
+
+export class ServerStore {
+  constructor(backend) {
+    this.backend = backend;
+    this.state = emptyState();
+    this.queue = Promise.resolve();
+
+    for (const name of COLLECTIONS) {
+      this[name] = new Collection(() => this.state, name);
+    }
+  }
+
+  async init() {
+    let loaded = await this.backend.load();
+    if (!loaded) return;
+
+    if (loaded.version !== SCHEMA_VERSION) {
+      const fromVersion = loaded.version;
+      for (let version = fromVersion; version !== SCHEMA_VERSION; version++) {
+        if (!MIGRATIONS[version]) {
+          throw new Error(`Unsupported store schema version ${loaded.version} (expected ${SCHEMA_VERSION})`);
+        }
+      }
+
+      await this.backend.backup?.(fromVersion);
+      for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+        loaded = MIGRATIONS[version]({ ...emptyState(), ...loaded });
+        loaded.version = version + 1;
+      }
+      await this.backend.save(loaded);
+    }
+
+    this.state = { ...emptyState(), ...loaded };
+  }
+
+  /**
+   * Apply fn to a draft of the state and persist the result atomically.
+   * Transactions run one at a time; fn may be async but should not wait
+   * on anything slow, since it holds the store lock.
+   */
+  transaction(fn) {
+    const run = this.queue.then(async () => {
+      const draft = structuredClone(this.state);
+      const tx = {};
+      for (const name of COLLECTIONS) {
+        tx[name] = new TransactionCollection(draft, name);
+      }
+
+      const result = await fn(tx);
+      await this.backend.save(draft);
+      this.state = draft;
+      return result;
+    });
+
+    // Keep the queue alive after a failed transaction
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * Create the store selected by STORE_BACKEND ('file' or 'memory')
+ */
+export async function createStore({ backend = 'file', filePath } = {}) {
+  let storeBackend;
+  if (backend === 'file') {
+    storeBackend = new FileStoreBackend(filePath);
+  } else if (backend === 'memory') {
+    storeBackend = new MemoryStoreBackend();
+  } else {
+    throw new Error(`Unknown store backend: ${backend}`);
+  }
+
+  const store = new ServerStore(storeBackend);
+  await store.init();
+  return store;
+}
@@ -0,0 +1,178 @@
+import { ethers } from 'ethers';
+import { LogPoller } from './log-poller.js';
+import { revealedSecretFor } from './revocation.js';
+
+/**
+ * Watches every channel in the store for DisputeInitiated and answers
+ * disputes the counterparty opens with a stale commitment:
+ *
+ * - proveRevocationBreach, when we hold the initiator's secret for the
+ *   disputed commitment (it was revoked in a later payment)
+ * - challengeDispute with our newest co-signed commitment otherwise
+ *
+ * Logs are followed by a LogPoller whose cursor is kept in the store's
+ * watchtower collection, so a restart resumes where it stopped. Each response
+ * is decided from the channel's current on-chain dispute state, which makes
+ * replaying a range after a crash harmless.
+ */
+
+const STATE_DISPUTED = 2;
+
+export class Watchtower {
+  /**
+   * @param {object} options
+   * @param {ethers.Wallet} options.wallet - Server wallet (connected to a provider)
+   * @param {ServerStore} options.store - Store with channels and the watchtower cursor
+   * @param {Array} options.abi - BidirectionalChannel ABI
+   * @param {number} options.pollInterval - Milliseconds between polls
+   * @param {number} options.confirmations - Blocks to wait before processing logs
+   * @param {number} options.blockRange - Maximum blocks per log query
+   * @param {function} options.log - log(message, level) for progress reports
+   */
+  constructor({ wallet, store, abi, pollInterval = 5000, confirmations = 0, blockRange = 2000, log = () => {} }) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.store = store;
+    this.abi = abi;
+    this.iface = new ethers.Interface(abi);
+    this.disputeTopic = this.iface.getEvent('DisputeInitiated').topicHash;
+    this.log = log;
+    this.poller = new LogPoller({
+      provider: this.provider,
+      store,
+      collection: 'watchtower',
+      processRange: (fromBlock, toBlock) => this.processRange(fromBlock, toBlock),
+      pollInterval,
+      confirmations,
+      blockRange,
+      log
+    });
+  }
+
+  /**
+   * Answer disputes that are already open, then start polling for new ones
+   */
+  async start() {
+    // First start: nothing older than the current head needs replaying,
+    // since open disputes are picked up by the sweep below
+    await this.poller.init();
+
+    for (const channelAddress of this.store.channels.keys()) {
+      try {
+        await this.respond(channelAddress, 'startup sweep');
+      } catch (error) {
+        this.log(`Could not check ${channelAddress}: ${error.message}`, 'error');
+      }
+    }
+
+    this.poller.start();
+    this.log(`Watching ${this.store.channels.keys().length} channel(s) from block ${this.poller.cursor() + 1}`, 'info');
+  }
+
+  stop() {
+    this.poller.stop();
+  }
+
+  /**
+   * Answer every dispute opened in the range
+   */
+  async processRange(fromBlock, toBlock) {
+    const channels = this.store.channels.keys();
+    if (channels.length === 0) return;
+
+    const logs = await this.provider.getLogs({
+      address: channels,
+      topics: [this.disputeTopic],
+      fromBlock,
+      toBlock
+    });
+
+    for (const entry of logs) {
+      const { args } = this.iface.parseLog(entry);
+      const channelAddress = channels.find(addr => addr.toLowerCase() === entry.address.toLowerCase());
+      this.log(`DisputeInitiated on ${channelAddress} by ${args.initiator} at nonce ${args.nonce} (block ${entry.blockNumber})`, 'warning');
+      await this.respond(channelAddress, `block ${entry.blockNumber}`);
+    }
+  }
+
+  /**
+   * Answer the channel's open dispute, if the counterparty opened it with a
+   * commitment older than our newest one
+   */
+  async respond(channelAddress, reason) {
+    const contract = this.contractFor(channelAddress);
+
+    if (Number(await contract.channelState()) !== STATE_DISPUTED) return;
+
+    const initiator = await contract.disputeInitiator();
+    if (initiator.toLowerCase() === this.wallet.address.toLowerCase()) return;
+
+    const disputedNonce = Number(await contract.disputedNonce());
+    const channel = this.store.channels.get(channelAddress);
+
+    // A revoked commitment forfeits the whole channel balance
+    const revealedSecret = revealedSecretFor(channel, disputedNonce);
+    if (revealedSecret) {
+      const disputedHash = await contract.disputedRevocationHashA();
+      if (ethers.keccak256(revealedSecret) === disputedHash.toLowerCase()) {
+        this.log(`Proving revocation breach on ${channelAddress} (nonce ${disputedNonce}, ${reason})`, 'warning');
+        const tx = await contract.proveRevocationBreach(revealedSecret);
+        await tx.wait();
+        await this.recordAction(channelAddress, { type: 'proveRevocationBreach', disputedNonce, txHash: tx.hash });
+        this.log(`Revocation breach proven on ${channelAddress}: ${tx.hash}`, 'success');
+        return;
+      }
+    }
+
+    // Otherwise replace the disputed state with our newest co-signed commitment,
+    // including the base state of a splice that may have landed unconfirmed
+    const candidates = [...channel.commitments];
+    if (channel.pendingSplice?.status === 'signed' &&
+        Number(await contract.latestNonce()) === channel.pendingSplice.nonce) {
+      const { nonce, partyABalance, partyBBalance, partyARevocationHash, partyBRevocationHash } = channel.pendingSplice;
+      candidates.push({
+        nonce,
+        partyABalance,
+        partyBBalance,
+        partyARevocationHash,
+        partyBRevocationHash,
+        partyASignature: channel.pendingSplice.partyACommitmentSignature,
+        partyBSignature: channel.pendingSplice.partyBCommitmentSignature
+      });
+    }
+
+    const latest = candidates
+      .filter(c => c.partyASignature && c.partyBSignature)
+      .reduce((newest, c) => (!newest || c.nonce > newest.nonce ? c : newest), null);
+
+    if (!latest || latest.nonce <= disputedNonce) {
+      this.log(`Dispute on ${channelAddress} uses our latest commitment (nonce ${disputedNonce}), nothing to answer`, 'info');
+      return;
+    }
+
+    this.log(`Challenging dispute on ${channelAddress}: nonce ${disputedNonce} -> ${latest.nonce} (${reason})`, 'warning');
+    const tx = await contract.challengeDispute(
+      latest.nonce,
+      BigInt(latest.partyABalance),
+      BigInt(latest.partyBBalance),
+      latest.partyARevocationHash,
+      latest.partyBRevocationHash,
+      latest.partyASignature,
+      latest.partyBSignature
+    );
+    await tx.wait();
+    await this.recordAction(channelAddress, { type: 'challengeDispute', disputedNonce, nonce: latest.nonce, txHash: tx.hash });
+    this.log(`Dispute challenged on ${channelAddress}: ${tx.hash}`, 'success');
+  }
+
+  contractFor(channelAddress) {
+    return new ethers.Contract(channelAddress, this.abi, this.wallet);
+  }
+
+  async recordAction(channelAddress, action) {
+    await this.store.transaction(tx => {
+      const channel = tx.channels.get(channelAddress);
+      channel.watchtowerActions = [...(channel.watchtowerActions || []), { ...action, timestamp: Date.now() }];
+    });
+  }
+}
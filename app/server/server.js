@@ -8,6 +8,21 @@ import fs from 'fs/promises';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { closeTypedData, commitmentTypedData, hashClose, hashCommitment, hashSplice, spliceTypedData, ZERO_REVOCATION_HASH } from './lib/commitment.js';
+import { createStore } from './lib/store.js';
+import { loadMasterKey, RevocationSecretManager } from './lib/revocation.js';
+import { indexForNonce, ShachainStore } from './lib/shachain.js';
+import { AccessTokenError, AccessTokenManager, accessTokenRequestMessage, tokenCovers } from './lib/access-tokens.js';
+import { DEFAULT_INVOICE_TTL, INVOICE_STATUS, InvoiceBook, InvoiceError } from './lib/invoices.js';
+import { Watchtower } from './lib/watchtower.js';
+import { assertChannelOpen, ChannelMonitor, ChannelStateError } from './lib/channel-monitor.js';
+import { ChannelDiscovery } from './lib/discovery.js';
+import { assertNotClosing, ChannelCloser } from './lib/closer.js';
+import { aggregateRevenue, exportEvidence, requireAdmin } from './lib/admin.js';
+import { loadKeystoreWallet } from './lib/keystore.js';
+import { Catalog, renderPlaylist } from './lib/catalog.js';
+import { adoptSplice, signedSplice } from './lib/splices.js';
+import { assetOf, formatAmount, loadTokenAsset, parseWei, readChannelAsset } from './lib/asset.js';
 
 /**
  * Lightning Network Payment Channel Video Streaming Server
@@ -28,16 +43,67 @@ app.use(cors({
   exposedHeaders: ['X-Encrypted', 'X-Encryption-Format', 'X-Channel-Address']
 }));
 
+// Channel records are keyed by checksummed address; normalize every channel
+// address a route receives so no letter case can reach a second record
+function checksumChannelAddress(value, res) {
+  if (!ethers.isAddress(value)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid channel address'
+    });
+    return null;
+  }
+  return ethers.getAddress(value);
+}
+
+app.use((req, res, next) => {
+  if (typeof req.body?.channelAddress !== 'string') return next();
+  const channelAddress = checksumChannelAddress(req.body.channelAddress, res);
+  if (channelAddress) {
+    req.body.channelAddress = channelAddress;
+    next();
+  }
+});
+
+app.param('address', (req, res, next, address) => {
+  const channelAddress = checksumChannelAddress(address, res);
+  if (channelAddress) {
+    req.params.address = channelAddress;
+    next();
+  }
+});
+
 const PORT = 3000;
 
+// How long a signed access token request stays valid
+const ACCESS_TOKEN_REQUEST_WINDOW = 5 * 60 * 1000;
+
+// Seconds PartyA has to execute a splice once proposed (the signed deadline)
+const SPLICE_WINDOW = 10 * 60;
+
 // Get the directory path
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Server's wallet (PartyB - content seller)
-const partyBPrivateKey = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+// Server's wallet (PartyB - content seller), decrypted from the operator keystore
 const provider = new ethers.JsonRpcProvider('http://localhost:8545');
-const serverWallet = new ethers.Wallet(partyBPrivateKey, provider);
+const serverWallet = await loadKeystoreWallet({
+  keystorePath: process.env.OPERATOR_KEYSTORE || path.join(__dirname, 'data', 'keystore', 'operator.json'),
+  passphraseFile: process.env.OPERATOR_PASSPHRASE_FILE,
+  label: 'operator'
+}).then(wallet => wallet.connect(provider), error => {
+  console.error(chalk.red(`✗ ${error.message}`));
+  process.exit(1);
+});
+
+// Chain ID for the EIP-712 domain, resolved once from the provider
+let chainIdPromise = null;
+function getChainId() {
+  if (!chainIdPromise) {
+    chainIdPromise = provider.getNetwork().then(network => network.chainId);
+  }
+  return chainIdPromise;
+}
 
 console.log(chalk.blue.bold('\n════════════════════════════════════════════════════════════════'));
 console.log(chalk.blue.bold('     PAYMENT CHANNEL VIDEO STREAMING SERVER'));
@@ -89,91 +155,61 @@ class ContentEncryption {
   }
 }
 
-// Revocation Key Manager
-class RevocationKeyManager {
-  constructor(seed) {
-    this.seed = seed;
-    this.secrets = new Map();
-    this.revealedSecrets = new Map();
-  }
+// PartyB's per-channel revocation secrets, derived from the master key at startup
+let revocationSecrets = null;
 
-  generateSecret(nonce) {
-    const secret = ethers.keccak256(
-      ethers.solidityPacked(['bytes32', 'uint256'], [this.seed, nonce])
-    );
-    this.secrets.set(nonce, secret);
-    return secret;
-  }
+// Persistent storage for channels, commitments, invoices and purchases
+// (store.videoPurchases tracks full video purchases, store.segmentPurchases per-segment ones,
+// store.payments every completed payment by channel and nonce)
+let store = null;
 
-  generateRevocationHash(nonce) {
-    const secret = this.generateSecret(nonce);
-    return ethers.keccak256(secret);
-  }
+// Issues, expires and cleans up invoices; one open invoice per channel
+let invoices = null;
 
-  revealSecret(nonce) {
-    const secret = this.secrets.get(nonce);
-    if (!secret) {
-      throw new Error(`No secret found for nonce ${nonce}`);
-    }
-    this.revealedSecrets.set(nonce, secret);
-    this.secrets.delete(nonce);
-    return secret;
+// Signs and verifies the short-lived tokens that authorize playlist and segment requests
+let accessTokens = null;
+
+// Answers disputes opened with stale commitments on any registered channel
+let watchtower = null;
+
+// Tracks each registered channel's on-chain state (channel.onChain)
+let monitor = null;
+
+// Records channels the factory creates toward the server
+let discovery = null;
+
+// Requests closes (by an operator or the close policy) and disputes unanswered ones
+let closer = null;
+
+// ERC-20 the server accepts for token channels (PAYMENT_TOKEN), alongside ETH.
+// { token, symbol, decimals } once loaded, null when only ETH is accepted.
+let paymentToken = null;
+
+// Titles loaded from the content directory, reloaded when it changes (see lib/catalog.js)
+let catalog = null;
+
+/**
+ * Price of a full video or one segment in asset, as a wei string. Token
+ * prices are configured in whole tokens since the token's decimals are only
+ * known once PAYMENT_TOKEN is loaded.
+ */
+function priceOf(video, purchaseType, asset) {
+  if (!asset.token) {
+    return purchaseType === 'full' ? video.fullPrice : video.pricePerSegment;
   }
+  const price = purchaseType === 'full' ? video.tokenFullPrice : video.tokenPricePerSegment;
+  return ethers.parseUnits(price, asset.decimals).toString();
 }
 
-// Initialize PartyB's revocation key manager
-const partyBRevocationManager = new RevocationKeyManager(
-  ethers.keccak256(ethers.toUtf8Bytes("partyB-server-seed"))
-);
-
-// In-memory storage for channel states and content
-const channels = new Map();
-const pendingInvoices = new Map();
-const videoPurchases = new Map(); // Track full video purchases
-const segmentPurchases = new Map(); // Track per-segment purchases
-
-// Video content catalog with metadata
-const videoCatalog = {
-  'video-1': {
-    id: 'video-1',
-    title: 'Amazing Nature Documentary',
-    description: 'Explore the wonders of nature in stunning 4K',
-    thumbnail: '/content/video1-thumb.jpg', // We'll serve a placeholder
-    duration: 54, // seconds
-    playlist: 'video1.m3u8',
-    segments: ['video10.ts', 'video11.ts', 'video12.ts', 'video13.ts', 'video14.ts', 'video15.ts', 'video16.ts'],
-    segmentCount: 7,
-    previewSegment: 'video10.ts', // First segment is free preview
-    pricePerSegment: '0.01', // ETH per segment
-    fullPrice: '0.05' // ETH for full video (discounted)
-  },
-  'video-2': {
-    id: 'video-2',
-    title: 'Coding Tutorial: Build a DApp',
-    description: 'Learn to build decentralized applications step by step',
-    thumbnail: '/content/video2-thumb.jpg',
-    duration: 13, // seconds
-    playlist: 'video2.m3u8',
-    segments: ['video20.ts', 'video21.ts', 'video22.ts'],
-    segmentCount: 3,
-    previewSegment: 'video20.ts',
-    pricePerSegment: '0.015',
-    fullPrice: '0.035'
-  },
-  'video-3': {
-    id: 'video-3',
-    title: 'Blockchain Explained',
-    description: 'Understanding blockchain technology in simple terms',
-    thumbnail: '/content/video3-thumb.jpg',
-    duration: 20, // seconds
-    playlist: 'video3.m3u8',
-    segments: ['video30.ts', 'video31.ts', 'video32.ts'],
-    segmentCount: 3,
-    previewSegment: 'video30.ts',
-    pricePerSegment: '0.012',
-    fullPrice: '0.03'
-  }
-};
+/**
+ * Lowest price of anything in the catalog in asset; a buyer with less can no
+ * longer purchase
+ */
+function cheapestPrice(asset) {
+  return catalog.values()
+    .flatMap(video => [priceOf(video, 'full', asset), priceOf(video, 'segment', asset)])
+    .reduce((lowest, price) => (lowest === null || BigInt(price) < BigInt(lowest) ? price : lowest), null);
+}
 
 // Track segment access per user/channel
 function getUserVideoKey(channelAddress, videoId) {
@@ -184,11 +220,75 @@ function getUserSegmentKey(channelAddress, videoId, segmentName) {
   return `${channelAddress}_${videoId}_${segmentName}`;
 }
 
+/**
+ * Issue an access token covering everything channelAddress has bought of videoId
+ */
+function issueAccessToken(channelAddress, videoId) {
+  let segments;
+  if (store.videoPurchases.has(getUserVideoKey(channelAddress, videoId))) {
+    segments = '*';
+  } else {
+    // A title removed from the catalog keeps only full purchases playable
+    segments = (catalog.get(videoId)?.segments ?? []).filter(segmentName =>
+      store.segmentPurchases.has(getUserSegmentKey(channelAddress, videoId, segmentName))
+    );
+  }
+
+  return accessTokens.issue({ channelAddress, videoId, segments });
+}
+
+// Bearer token from the Authorization header, or ?token= for players that cannot set headers
+function getAccessToken(req) {
+  const header = req.get('Authorization');
+  if (header?.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length);
+  }
+  return req.query.token;
+}
+
+/**
+ * Check the request's access token for videoId (and segmentName, if given).
+ * Sends the error response and returns null if access is denied.
+ */
+function authorizeContent(req, res, videoId, segmentName) {
+  let claims;
+  try {
+    claims = accessTokens.verify(getAccessToken(req));
+  } catch (error) {
+    if (!(error instanceof AccessTokenError)) throw error;
+    console.log(chalk.red(`❌ Rejected access token: ${error.message}`));
+    res.status(401).json({ success: false, error: error.message });
+    return null;
+  }
+
+  if (!tokenCovers(claims, videoId, segmentName)) {
+    console.log(chalk.red(`❌ Access token does not cover ${videoId}${segmentName ? `/${segmentName}` : ''}`));
+    res.status(403).json({
+      success: false,
+      error: segmentName ? 'Segment not purchased. Purchase full video or this segment.' : 'Access token is for another video'
+    });
+    return null;
+  }
+
+  // Nothing is delivered once the channel has left OPEN on-chain
+  try {
+    assertChannelOpen(store.channels.get(claims.channel));
+  } catch (error) {
+    sendPurchaseError(res, error);
+    return null;
+  }
+
+  return claims;
+}
+
 // Load or initialize channel contract
 let channelContract = null;
 let channelAddress = null;
 let contractAbi = null;
-let contractBytecode = null;
+
+// Channel factory (CHANNEL_FACTORY); only channels it created are accepted
+let channelFactory = null;
+let factoryAbi = null;
 
 async function loadChannelContract() {
   try {
@@ -204,8 +304,21 @@ async function loadChannelContract() {
 
     const contractJson = JSON.parse(await fs.readFile(contractPath, 'utf8'));
     contractAbi = contractJson.abi;
-    // Handle both formats: direct bytecode or nested under .bytecode.object
-    contractBytecode = contractJson.bytecode?.object || contractJson.bytecode;
+
+    let factoryPath = new URL('../shared/BidirectionalChannelFactory.json', import.meta.url);
+    try {
+      await fs.access(factoryPath);
+    } catch {
+      factoryPath = new URL('../../contract/out/BidirectionalChannelFactory.sol/BidirectionalChannelFactory.json', import.meta.url);
+    }
+    factoryAbi = JSON.parse(await fs.readFile(factoryPath, 'utf8')).abi;
+
+    if (process.env.CHANNEL_FACTORY) {
+      channelFactory = new ethers.Contract(process.env.CHANNEL_FACTORY, factoryAbi, provider);
+      console.log(chalk.green(`✓ Using channel factory: ${process.env.CHANNEL_FACTORY}\n`));
+    } else {
+      console.log(chalk.yellow('⚠ No channel factory configured. Use CHANNEL_FACTORY env variable; channels cannot be registered without it.\n'));
+    }
 
     // For demo, we'll use environment variable or config file for channel address
     channelAddress = process.env.CHANNEL_ADDRESS;
@@ -231,15 +344,19 @@ async function loadChannelContract() {
 app.get('/catalog', (req, res) => {
   console.log(chalk.cyan('\n📹 Video catalog request received'));
 
-  const catalog = Object.values(videoCatalog).map(item => ({
+  const items = catalog.values().map(item => ({
     id: item.id,
     title: item.title,
     description: item.description,
-    thumbnail: item.thumbnail,
+    thumbnail: item.thumbnail ? `/video/${item.id}/thumbnail` : null,
     duration: item.duration,
     segmentCount: item.segmentCount,
     pricePerSegment: item.pricePerSegment,
     fullPrice: item.fullPrice,
+    ...(paymentToken && {
+      tokenPricePerSegment: priceOf(item, 'segment', paymentToken),
+      tokenFullPrice: priceOf(item, 'full', paymentToken)
+    }),
     hasPreview: true,
     segments: item.segments, // Include segments array
     previewSegment: item.previewSegment // Include preview segment identifier
@@ -247,19 +364,20 @@ app.get('/catalog', (req, res) => {
 
   res.json({
     success: true,
-    catalog
+    catalog: items,
+    paymentToken
   });
 });
 
 /**
  * GET /video/:videoId/preview - Get free preview playlist
  */
-app.get('/video/:videoId/preview', async (req, res) => {
+app.get('/video/:videoId/preview', (req, res) => {
   const { videoId } = req.params;
 
   console.log(chalk.cyan(`\n🎬 Preview request for video: ${videoId}`));
 
-  const video = videoCatalog[videoId];
+  const video = catalog.get(videoId);
   if (!video) {
     return res.status(404).json({
       success: false,
@@ -267,75 +385,29 @@ app.get('/video/:videoId/preview', async (req, res) => {
     });
   }
 
-  // Read the original playlist and modify it to only include the first segment
-  const playlistPath = path.join(__dirname, '..', 'content', video.playlist);
-
-  try {
-    const originalPlaylist = await fs.readFile(playlistPath, 'utf8');
-    const lines = originalPlaylist.split('\n');
-    const modifiedLines = [];
-    let segmentCount = 0;
-    let includeNext = false;
-
-    for (const line of lines) {
-      if (line.startsWith('#EXTM3U') || line.startsWith('#EXT-X-VERSION') ||
-          line.startsWith('#EXT-X-TARGETDURATION') || line.startsWith('#EXT-X-MEDIA-SEQUENCE')) {
-        modifiedLines.push(line);
-      } else if (line.startsWith('#EXTINF')) {
-        if (segmentCount === 0) {
-          modifiedLines.push(line);
-          includeNext = true;
-        }
-        segmentCount++;
-      } else if (includeNext && line.trim() && !line.startsWith('#')) {
-        // This is the segment filename - make it absolute
-        modifiedLines.push(`http://localhost:3000/video/${videoId}/preview-segment`);
-        includeNext = false;
-        break; // Stop after first segment
-      }
-    }
-
-    modifiedLines.push('#EXT-X-ENDLIST');
-    const previewPlaylist = modifiedLines.join('\n');
-
-    res.set({
-      'Content-Type': 'application/vnd.apple.mpegurl; charset=utf-8',
-      'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': '*',
-      'Content-Disposition': 'inline'
-    });
-    res.type('application/vnd.apple.mpegurl');
-    res.send(previewPlaylist);
-    console.log(chalk.green(`✓ Preview playlist served for video: ${videoId}`));
-  } catch (error) {
-    console.error(chalk.red('Failed to read playlist:'), error.message);
-    // Fallback to simple playlist
-    const segmentUrl = `http://localhost:3000/video/${videoId}/preview-segment`;
-    const previewPlaylist = `#EXTM3U
+  // One-segment playlist with the preview's duration from the title's playlist
+  const duration = video.segmentDurations[video.previewSegment];
+  const previewPlaylist = `#EXTM3U
 #EXT-X-VERSION:3
-#EXT-X-TARGETDURATION:10
+#EXT-X-TARGETDURATION:${Math.ceil(duration)}
 #EXT-X-MEDIA-SEQUENCE:0
-#EXTINF:10.0,
-${segmentUrl}
+#EXTINF:${duration},
+http://localhost:3000/video/${videoId}/preview-segment
 #EXT-X-ENDLIST`;
 
-    res.set({
-      'Content-Type': 'application/vnd.apple.mpegurl; charset=utf-8',
-      'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': '*',
-      'Content-Disposition': 'inline'
-    });
-    res.type('application/vnd.apple.mpegurl');
-    res.send(previewPlaylist);
-  }
+  res.set({
+    'Content-Type': 'application/vnd.apple.mpegurl; charset=utf-8',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': '*',
+    'Content-Disposition': 'inline'
+  });
+  res.type('application/vnd.apple.mpegurl');
+  res.send(previewPlaylist);
+  console.log(chalk.green(`✓ Preview playlist served for video: ${videoId}`));
 });
 
 /**
@@ -344,7 +416,7 @@ ${segmentUrl}
 app.get('/video/:videoId/preview-segment', async (req, res) => {
   const { videoId } = req.params;
 
-  const video = videoCatalog[videoId];
+  const video = catalog.get(videoId);
   if (!video) {
     return res.status(404).json({
       success: false,
@@ -353,7 +425,7 @@ app.get('/video/:videoId/preview-segment', async (req, res) => {
   }
 
   // Serve the preview segment
-  const segmentPath = path.join(__dirname, '..', 'content', video.previewSegment);
+  const segmentPath = catalog.segmentPath(video, video.previewSegment);
 
   try {
     const segmentData = await fs.readFile(segmentPath);
@@ -377,17 +449,42 @@ app.get('/video/:videoId/preview-segment', async (req, res) => {
   }
 });
 
+/**
+ * GET /video/:videoId/thumbnail - The title's thumbnail image. Segments,
+ * manifests and playlists are only served through the routes above and below.
+ */
+app.get('/video/:videoId/thumbnail', async (req, res) => {
+  const video = catalog.get(req.params.videoId);
+  const thumbnailPath = video && catalog.thumbnailPath(video);
+  if (!thumbnailPath) {
+    return res.status(404).json({
+      success: false,
+      error: 'Thumbnail not found'
+    });
+  }
+
+  try {
+    const image = await fs.readFile(thumbnailPath);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type(path.extname(thumbnailPath));
+    res.send(image);
+  } catch {
+    res.status(404).json({
+      success: false,
+      error: 'Thumbnail not found'
+    });
+  }
+});
+
 /**
  * GET /video/:videoId/playlist.m3u8 - Get HLS playlist (requires purchase)
  */
-app.get('/video/:videoId/playlist.m3u8', async (req, res) => {
+app.get('/video/:videoId/playlist.m3u8', (req, res) => {
   const { videoId } = req.params;
-  const { channel } = req.query; // Channel address for authorization
 
   console.log(chalk.cyan(`\n📺 Playlist request for video: ${videoId}`));
-  console.log(chalk.gray(`  Channel: ${channel}`));
 
-  const video = videoCatalog[videoId];
+  const video = catalog.get(videoId);
   if (!video) {
     return res.status(404).json({
       success: false,
@@ -395,12 +492,14 @@ app.get('/video/:videoId/playlist.m3u8', async (req, res) => {
     });
   }
 
-  // Check if user has purchased full video OR is in segment purchase mode
-  const userVideoKey = getUserVideoKey(channel, videoId);
-  const hasFullAccess = videoPurchases.has(userVideoKey);
+  // Any valid token for this video unlocks the playlist;
+  // individual segments are checked against the token's segment set
+  const claims = authorizeContent(req, res, videoId);
+  if (!claims) return;
 
-  // In segment purchase mode, we allow playlist access
-  // Individual segments will be authorized when requested
+  console.log(chalk.gray(`  Channel: ${claims.channel}`));
+
+  const hasFullAccess = claims.segments === '*';
   if (!hasFullAccess) {
     console.log(chalk.yellow(`⚠ Playlist access for segment purchase mode: ${videoId}`));
     // Don't block access - allow playlist for segment-by-segment purchases
@@ -408,31 +507,18 @@ app.get('/video/:videoId/playlist.m3u8', async (req, res) => {
     console.log(chalk.green(`✓ Full video access verified for: ${videoId}`));
   }
 
-  // Read and serve the playlist
-  const playlistPath = path.join(__dirname, '..', 'content', video.playlist);
-
-  try {
-    let playlistContent = await fs.readFile(playlistPath, 'utf8');
-
-    // Modify playlist URLs to include authorization
-    playlistContent = playlistContent.replace(
-      /^(video\d+\.ts)$/gm,
-      `/video/${videoId}/segment/$1?channel=${channel}`
-    );
+  // Point segment URLs at the server, passing the token on if it came in the query
+  const tokenQuery = req.query.token ? `?token=${encodeURIComponent(req.query.token)}` : '';
+  const playlistContent = renderPlaylist(video, segmentName =>
+    `/video/${videoId}/segment/${encodeURIComponent(segmentName)}${tokenQuery}`
+  );
 
-    res.set({
-      'Content-Type': 'application/x-mpegURL',
-      'Cache-Control': 'no-cache'
-    });
-    res.send(playlistContent);
-    console.log(chalk.green(`✓ Playlist served for purchased video`));
-  } catch (error) {
-    console.error(chalk.red('Failed to serve playlist:'), error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to load playlist'
-    });
-  }
+  res.set({
+    'Content-Type': 'application/x-mpegURL',
+    'Cache-Control': 'no-cache'
+  });
+  res.send(playlistContent);
+  console.log(chalk.green(`✓ Playlist served for purchased video`));
 });
 
 /**
@@ -440,11 +526,10 @@ app.get('/video/:videoId/playlist.m3u8', async (req, res) => {
  */
 app.get('/video/:videoId/segment/:segmentName', async (req, res) => {
   const { videoId, segmentName } = req.params;
-  const { channel } = req.query;
 
   console.log(chalk.cyan(`\n🎞 Segment request: ${segmentName} for video: ${videoId}`));
 
-  const video = videoCatalog[videoId];
+  const video = catalog.get(videoId);
   if (!video) {
     return res.status(404).json({
       success: false,
@@ -452,9 +537,17 @@ app.get('/video/:videoId/segment/:segmentName', async (req, res) => {
     });
   }
 
+  // Only files the title's playlist lists are served
+  if (!video.segments.includes(segmentName)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Segment not found'
+    });
+  }
+
   // Check if this is the preview segment (always free)
   if (segmentName === video.previewSegment) {
-    const segmentPath = path.join(__dirname, '..', 'content', segmentName);
+    const segmentPath = catalog.segmentPath(video, segmentName);
     try {
       const segmentData = await fs.readFile(segmentPath);
       res.set({
@@ -473,12 +566,17 @@ app.get('/video/:videoId/segment/:segmentName', async (req, res) => {
     }
   }
 
-  // Check authorization - either full video purchase or per-segment purchase
+  // Check authorization - the token must cover this segment, and the grant it
+  // was issued for must still be on record
+  const claims = authorizeContent(req, res, videoId, segmentName);
+  if (!claims) return;
+
+  const channel = claims.channel;
   const userVideoKey = getUserVideoKey(channel, videoId);
   const userSegmentKey = getUserSegmentKey(channel, videoId, segmentName);
 
-  const hasFullAccess = videoPurchases.has(userVideoKey);
-  const hasSegmentAccess = segmentPurchases.has(userSegmentKey);
+  const hasFullAccess = store.videoPurchases.has(userVideoKey);
+  const hasSegmentAccess = store.segmentPurchases.has(userSegmentKey);
 
   if (!hasFullAccess && !hasSegmentAccess) {
     console.log(chalk.red(`❌ Unauthorized segment access: ${segmentName}`));
@@ -489,7 +587,7 @@ app.get('/video/:videoId/segment/:segmentName', async (req, res) => {
   }
 
   // Serve the segment
-  const segmentPath = path.join(__dirname, '..', 'content', segmentName);
+  const segmentPath = catalog.segmentPath(video, segmentName);
 
   try {
     const segmentData = await fs.readFile(segmentPath);
@@ -500,14 +598,14 @@ app.get('/video/:videoId/segment/:segmentName', async (req, res) => {
 
     if (hasFullAccess) {
       // For full video access, use the revocation secret from the full purchase
-      const purchase = videoPurchases.get(userVideoKey);
+      const purchase = store.videoPurchases.get(userVideoKey);
       if (purchase && purchase.revocationSecret) {
         revocationSecret = purchase.revocationSecret;
         accessType = 'full access';
       }
     } else if (hasSegmentAccess) {
       // For segment purchase, use the segment-specific revocation secret
-      const segmentPurchase = segmentPurchases.get(userSegmentKey);
+      const segmentPurchase = store.segmentPurchases.get(userSegmentKey);
       if (segmentPurchase && segmentPurchase.revocationSecret) {
         revocationSecret = segmentPurchase.revocationSecret;
         accessType = 'segment purchase';
@@ -568,7 +666,7 @@ app.post('/purchase-video', async (req, res) => {
   console.log(chalk.gray(`  PartyA address: ${partyAAddress}`));
 
   // Validate channel is registered
-  const channel = channels.get(clientChannelAddress);
+  const channel = store.channels.get(clientChannelAddress);
   if (!channel) {
     console.log(chalk.red(`\n❌ Channel not registered: ${clientChannelAddress}`));
     return res.status(400).json({
@@ -586,16 +684,8 @@ app.post('/purchase-video', async (req, res) => {
     });
   }
 
-  // Use server's tracked balances
-  const currentPartyABalance = channel.currentPartyABalance;
-  const currentPartyBBalance = channel.currentPartyBBalance;
-  const currentNonce = channel.latestNonce;
-
-  console.log(chalk.gray(`  Server-tracked nonce: ${currentNonce}`));
-  console.log(chalk.gray(`  Server-tracked balances - PartyA: ${currentPartyABalance}, PartyB: ${currentPartyBBalance}`));
-
   // Validate video exists
-  const video = videoCatalog[videoId];
+  const video = catalog.get(videoId);
   if (!video) {
     return res.status(404).json({
       success: false,
@@ -603,12 +693,11 @@ app.post('/purchase-video', async (req, res) => {
     });
   }
 
-  // Determine price based on purchase type
+  // Determine price based on purchase type, in the channel's asset
+  const asset = assetOf(channel);
   let price;
-  let purchaseDescription;
   if (purchaseType === 'full') {
-    price = parseFloat(video.fullPrice);
-    purchaseDescription = `Full video: ${video.title}`;
+    price = priceOf(video, 'full', asset);
   } else if (purchaseType === 'segment') {
     if (!segmentName || !video.segments.includes(segmentName)) {
       return res.status(400).json({
@@ -623,8 +712,7 @@ app.post('/purchase-video', async (req, res) => {
         error: 'Preview segment is free'
       });
     }
-    price = parseFloat(video.pricePerSegment);
-    purchaseDescription = `Segment ${segmentName} of ${video.title}`;
+    price = priceOf(video, 'segment', asset);
   } else {
     return res.status(400).json({
       success: false,
@@ -632,44 +720,96 @@ app.post('/purchase-video', async (req, res) => {
     });
   }
 
+  // The nonce and balances are taken from the stored channel inside the
+  // invoice book's transaction, so two quick purchases never share a nonce
+  let issued;
+  try {
+    issued = await invoices.issue(
+      clientChannelAddress,
+      { videoId, purchaseType, segmentName, partyAAddress },
+      (tx, storedChannel) => quoteInvoice(storedChannel, { channelAddress: clientChannelAddress, videoId, purchaseType, segmentName, price })
+    );
+  } catch (error) {
+    return sendPurchaseError(res, error);
+  }
+
+  if (issued.reused) {
+    console.log(chalk.green(`\n✓ Returning open invoice: ${issued.id.substring(0, 20)}...`));
+  } else {
+    console.log(chalk.green(`\n✓ Invoice created: ${issued.id.substring(0, 20)}... (expires ${new Date(issued.invoice.expiresAt).toLocaleTimeString()})`));
+  }
+
+  res.json({
+    success: true,
+    invoice: invoiceResponse(issued.id, issued.invoice)
+  });
+});
+
+/**
+ * Quote the next commitment of a channel for a purchase at price (wei):
+ * the invoice record the invoice book stores. Runs inside its transaction,
+ * with the stored channel.
+ */
+function quoteInvoice(channel, { channelAddress: addr, videoId, purchaseType, segmentName, price }) {
+  assertChannelOpen(channel);
+  assertNotClosing(channel);
+
+  // The previous payment must be completed before the channel can move on
+  if (channel.pendingRevocation) {
+    throw new InvoiceError(`Previous payment is awaiting the revocation secret for nonce ${channel.pendingRevocation.nonce}`, {
+      code: 'REVOCATION_PENDING',
+      invoiceId: channel.pendingRevocation.invoiceId
+    });
+  }
+
+  // A co-signed splice can still land on-chain and replace the base state
+  const splice = signedSplice(channel);
+  if (splice) {
+    throw new InvoiceError(`Splice at nonce ${splice.nonce} must be confirmed or expire before new payments`, { code: 'SPLICE_PENDING' });
+  }
+
+  // Use server's tracked balances
+  const currentPartyABalance = channel.currentPartyABalance;
+  const currentPartyBBalance = channel.currentPartyBBalance;
+  const currentNonce = channel.latestNonce;
+
+  const asset = assetOf(channel);
+  console.log(chalk.gray(`  Server-tracked nonce: ${currentNonce}`));
+  console.log(chalk.gray(`  Server-tracked balances - PartyA: ${formatAmount(currentPartyABalance, asset)}, PartyB: ${formatAmount(currentPartyBBalance, asset)}`));
+
+  // Integer arithmetic in wei, so the new balances always add up to the
+  // channel balance the contract checks in disputes
+  const priceWei = BigInt(price);
+  const partyAWei = BigInt(currentPartyABalance);
+  const partyBWei = BigInt(currentPartyBBalance);
+
   // Check if client has sufficient funds
-  const clientBalance = parseFloat(currentPartyABalance);
-  if (clientBalance < price) {
-    console.log(chalk.red(`\n❌ Insufficient funds:`));
-    console.log(chalk.gray(`  Client balance: ${clientBalance} ETH`));
-    console.log(chalk.gray(`  Required: ${price} ETH`));
-    return res.status(400).json({
-      success: false,
-      error: 'Insufficient funds',
-      required: price.toString(),
-      available: currentPartyABalance
+  if (partyAWei < priceWei) {
+    throw new InvoiceError(`Insufficient funds: ${formatAmount(price, asset)} required, ${formatAmount(currentPartyABalance, asset)} available`, {
+      code: 'INSUFFICIENT_FUNDS',
+      status: 400,
+      details: { required: price, available: currentPartyABalance }
     });
   }
 
-  // Generate new nonce for this payment
+  // The invoice reserves the next nonce until it is paid, expires or is cancelled
   const newNonce = currentNonce + 1;
 
   // Calculate new balances after payment
-  const newPartyABalance = (parseFloat(currentPartyABalance) - price).toString();
-  const newPartyBBalance = (parseFloat(currentPartyBBalance) + price).toString();
+  const newPartyABalance = (partyAWei - priceWei).toString();
+  const newPartyBBalance = (partyBWei + priceWei).toString();
 
   console.log(chalk.cyan('\n💰 Balance calculation:'));
-  console.log(chalk.gray(`  Payment amount: ${price} ETH`));
-  console.log(chalk.gray(`  New PartyA balance: ${newPartyABalance} ETH`));
-  console.log(chalk.gray(`  New PartyB balance: ${newPartyBBalance} ETH`));
-
-  // Generate PartyB's revocation secret for this nonce
-  const partyBRevocationSecret = partyBRevocationManager.generateSecret(newNonce);
-  const partyBRevocationHash = ethers.keccak256(partyBRevocationSecret);
+  console.log(chalk.gray(`  Payment amount: ${formatAmount(price, asset)}`));
+  console.log(chalk.gray(`  New PartyA balance: ${formatAmount(newPartyABalance, asset)}`));
+  console.log(chalk.gray(`  New PartyB balance: ${formatAmount(newPartyBBalance, asset)}`));
 
-  console.log(chalk.yellow('\n🔐 Generated revocation secret:'));
-  console.log(chalk.gray(`  Nonce: ${newNonce}`));
-  console.log(chalk.gray(`  Secret: ${partyBRevocationSecret.substring(0, 30)}...`));
-  console.log(chalk.gray(`  Hash: ${partyBRevocationHash.substring(0, 30)}...`));
+  // PartyB's revocation hash for this nonce (the secret stays derivable, never stored)
+  const partyBRevocationHash = revocationSecrets.revocationHashFor(addr, newNonce);
 
   // Create the commitment structure
   const commitment = {
-    channelAddress: clientChannelAddress,
+    channelAddress: addr,
     nonce: newNonce,
     partyABalance: newPartyABalance,
     partyBBalance: newPartyBBalance,
@@ -678,52 +818,71 @@ app.post('/purchase-video', async (req, res) => {
   };
 
   console.log(chalk.yellow('\n📝 Created unsigned commitment:'));
-  console.log(chalk.gray(`  Channel: ${commitment.channelAddress}`));
   console.log(chalk.gray(`  Nonce: ${commitment.nonce}`));
-  console.log(chalk.gray(`  PartyA balance: ${commitment.partyABalance} ETH`));
-  console.log(chalk.gray(`  PartyB balance: ${commitment.partyBBalance} ETH`));
+  console.log(chalk.gray(`  PartyB revocation hash: ${partyBRevocationHash.substring(0, 30)}...`));
 
-  // Create invoice ID
-  const invoiceId = ethers.keccak256(
+  // Random salt: a re-quote for the same item and nonce gets a new id
+  const id = ethers.keccak256(
     ethers.solidityPacked(
-      ['address', 'uint256', 'string'],
-      [clientChannelAddress, newNonce, `${videoId}_${purchaseType}_${segmentName || 'full'}`]
+      ['address', 'uint256', 'string', 'bytes32'],
+      [addr, newNonce, `${videoId}_${purchaseType}_${segmentName || 'full'}`, ethers.hexlify(crypto.randomBytes(32))]
     )
   );
 
-  // Store pending invoice with commitment details
-  pendingInvoices.set(invoiceId, {
-    videoId,
-    purchaseType,
-    segmentName,
-    channelAddress: clientChannelAddress,
+  return {
+    id,
     nonce: newNonce,
-    price: price.toString(),
-    partyBRevocationSecret,
+    price,
+    symbol: asset.symbol,
     partyBRevocationHash,
-    partyAAddress,
-    commitment,
-    timestamp: Date.now()
-  });
+    commitment
+  };
+}
 
-  console.log(chalk.green(`\n✓ Invoice created: ${invoiceId.substring(0, 20)}...`));
+/**
+ * Invoice as returned to clients
+ */
+function invoiceResponse(id, invoice) {
+  const video = catalog.get(invoice.videoId);
+  const asset = assetOf(store.channels.get(invoice.channelAddress));
+
+  return {
+    id,
+    videoId: invoice.videoId,
+    title: video?.title,
+    purchaseDescription: invoice.purchaseType === 'full'
+      ? `Full video: ${video?.title}`
+      : `Segment ${invoice.segmentName} of ${video?.title}`,
+    purchaseType: invoice.purchaseType,
+    segmentName: invoice.segmentName,
+    price: invoice.price,
+    symbol: asset.symbol,
+    decimals: asset.decimals,
+    nonce: invoice.nonce,
+    partyBRevocationHash: invoice.partyBRevocationHash,
+    commitment: invoice.commitment, // Include the unsigned commitment
+    status: invoice.status,
+    expiresAt: invoice.expiresAt
+  };
+}
 
-  res.json({
-    success: true,
-    invoice: {
-      id: invoiceId,
-      videoId: video.id,
-      title: video.title,
-      purchaseDescription,
-      purchaseType,
-      segmentName,
-      price: price.toString(),
-      nonce: newNonce,
-      partyBRevocationHash,
-      commitment: commitment // Include the unsigned commitment
-    }
+// Refusals from the invoice book and the channel monitor carry a code clients can act on
+function sendPurchaseError(res, error) {
+  console.log(chalk.red(`\n❌ ${error.message}`));
+  if (!(error instanceof InvoiceError || error instanceof ChannelStateError)) {
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.invoiceId && { invoiceId: error.invoiceId }),
+    ...error.details
   });
-});
+}
 
 /**
  * POST /submit-video-payment - Submit signed commitment for video payment
@@ -734,16 +893,34 @@ app.post('/submit-video-payment', async (req, res) => {
     commitment,
     partyASignature,
     partyARevocationHash
-  } = req.body;
+  } = req.body ?? {};
+
+  if (typeof invoiceId !== 'string' || typeof commitment !== 'object' || commitment === null ||
+      !ethers.isHexString(partyASignature) || !ethers.isHexString(partyARevocationHash, 32)) {
+    return res.status(400).json({
+      success: false,
+      error: 'invoiceId, commitment, partyASignature and partyARevocationHash (32 bytes) are required'
+    });
+  }
 
   console.log(chalk.cyan(`\n💳 Video payment commitment received for invoice: ${invoiceId.substring(0, 20)}...`));
 
-  // Retrieve pending invoice
-  const invoice = pendingInvoices.get(invoiceId);
-  if (!invoice) {
-    return res.status(404).json({
+  // Retrieve the issued invoice; expired ones must be re-quoted
+  let invoice;
+  try {
+    invoice = invoices.assertPayable(store.invoices.get(invoiceId), invoiceId);
+  } catch (error) {
+    return sendPurchaseError(res, error);
+  }
+
+  // The commitment must be for the channel the invoice was quoted on, or the
+  // buyer could have us co-sign this channel's balances on another channel
+  if (!ethers.isAddress(commitment.channelAddress) ||
+      ethers.getAddress(commitment.channelAddress) !== ethers.getAddress(invoice.channelAddress)) {
+    console.log(chalk.red(`❌ Commitment is for ${commitment.channelAddress}, invoice for ${invoice.channelAddress}`));
+    return res.status(400).json({
       success: false,
-      error: 'Invoice not found or expired'
+      error: 'Commitment is not for the invoice\'s channel'
     });
   }
 
@@ -751,32 +928,38 @@ app.post('/submit-video-payment', async (req, res) => {
   console.log(chalk.yellow('\n🔍 Verifying commitment:'));
   console.log(chalk.gray(`  Channel: ${commitment.channelAddress}`));
   console.log(chalk.gray(`  Nonce: ${commitment.nonce}`));
-  console.log(chalk.gray(`  PartyA balance: ${commitment.partyABalance} ETH`));
-  console.log(chalk.gray(`  PartyB balance: ${commitment.partyBBalance} ETH`));
-
-  // Recreate commitment hash
-  const commitmentData = ethers.solidityPacked(
-    ['address', 'uint256', 'uint256', 'uint256', 'bytes32', 'bytes32'],
-    [
-      commitment.channelAddress,
-      commitment.nonce,
-      ethers.parseEther(commitment.partyABalance),
-      ethers.parseEther(commitment.partyBBalance),
-      partyARevocationHash,
-      invoice.partyBRevocationHash
-    ]
-  );
-
-  const commitmentHash = ethers.keccak256(commitmentData);
+  console.log(chalk.gray(`  PartyA balance: ${commitment.partyABalance} wei`));
+  console.log(chalk.gray(`  PartyB balance: ${commitment.partyBBalance} wei`));
+
+  // Recreate the typed commitment (same digest the contract verifies in disputes)
+  const signedCommitment = {
+    ...commitment,
+    channelAddress: invoice.channelAddress,
+    chainId: await getChainId(),
+    partyARevocationHash,
+    partyBRevocationHash: invoice.partyBRevocationHash
+  };
+  let commitmentHash;
+  try {
+    commitmentHash = hashCommitment(signedCommitment);
+  } catch (error) {
+    console.log(chalk.red(`❌ Malformed commitment: ${error.message}`));
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
   console.log(chalk.gray(`  Commitment hash: ${commitmentHash.substring(0, 30)}...`));
 
   // Verify PartyA's signature
-  const recoveredAddress = ethers.verifyMessage(
-    ethers.getBytes(commitmentHash),
-    partyASignature
-  );
+  let recoveredAddress = null;
+  try {
+    recoveredAddress = ethers.recoverAddress(commitmentHash, partyASignature);
+  } catch {
+    // Not a signature at all, refused below like a wrong one
+  }
 
-  if (recoveredAddress.toLowerCase() !== invoice.partyAAddress.toLowerCase()) {
+  if (recoveredAddress?.toLowerCase() !== invoice.partyAAddress.toLowerCase()) {
     console.log(chalk.red('❌ Invalid signature!'));
     return res.status(400).json({
       success: false,
@@ -787,7 +970,7 @@ app.post('/submit-video-payment', async (req, res) => {
   console.log(chalk.green('✓ PartyA\'s signature verified'));
 
   // Validate commitment matches invoice expectations
-  const channel = channels.get(commitment.channelAddress);
+  const channel = store.channels.get(invoice.channelAddress);
   if (!channel) {
     return res.status(400).json({
       success: false,
@@ -819,103 +1002,452 @@ app.post('/submit-video-payment', async (req, res) => {
 
   // PartyB signs the commitment
   console.log(chalk.yellow('\n✍️ PartyB counter-signing commitment...'));
-  const partyBSignature = await serverWallet.signMessage(ethers.getBytes(commitmentHash));
+  const typedCommitment = commitmentTypedData(signedCommitment);
+  const partyBSignature = await serverWallet.signTypedData(
+    typedCommitment.domain,
+    typedCommitment.types,
+    typedCommitment.message
+  );
   console.log(chalk.gray(`  PartyB's signature: ${partyBSignature.substring(0, 30)}...`));
 
-  // Store the completed commitment and update balances
-  channel.commitments.push({
-    nonce: commitment.nonce,
-    hash: commitmentHash,
-    partyABalance: commitment.partyABalance,
-    partyBBalance: commitment.partyBBalance,
-    partyASignature,
-    partyBSignature,
-    timestamp: Date.now()
-  });
-  channel.latestNonce = commitment.nonce;
-  channel.currentPartyABalance = commitment.partyABalance;
-  channel.currentPartyBBalance = commitment.partyBBalance;
+  // Store the co-signed commitment and new balances. Access is only granted
+  // once the buyer revokes its previous state (see /reveal-revocation).
+  const previousNonce = commitment.nonce - 1;
+  try {
+    await store.transaction(tx => {
+      // Another request may have paid (or cancelled) this invoice while we were signing
+      const storedInvoice = invoices.assertPayable(tx.invoices.get(invoiceId), invoiceId);
+
+      const storedChannel = tx.channels.get(invoice.channelAddress);
+      assertChannelOpen(storedChannel);
+      assertNotClosing(storedChannel);
+      if (storedChannel.latestNonce !== previousNonce) {
+        throw new Error(`Channel moved on to nonce ${storedChannel.latestNonce}`);
+      }
 
-  console.log(chalk.green('✓ Commitment accepted and stored'));
-  console.log(chalk.cyan(`  Updated balances - PartyA: ${channel.currentPartyABalance}, PartyB: ${channel.currentPartyBBalance}`));
+      storedChannel.commitments.push({
+        nonce: commitment.nonce,
+        hash: commitmentHash,
+        partyABalance: commitment.partyABalance,
+        partyBBalance: commitment.partyBBalance,
+        partyASignature,
+        partyBSignature,
+        partyARevocationHash,
+        partyBRevocationHash: invoice.partyBRevocationHash,
+        timestamp: Date.now()
+      });
+      storedChannel.latestNonce = commitment.nonce;
+      storedChannel.currentPartyABalance = commitment.partyABalance;
+      storedChannel.currentPartyBBalance = commitment.partyBBalance;
+      storedChannel.pendingRevocation = { invoiceId, nonce: previousNonce };
 
-  // Grant access based on purchase type
-  const video = videoCatalog[invoice.videoId];
-  if (invoice.purchaseType === 'full') {
-    const userVideoKey = getUserVideoKey(commitment.channelAddress, invoice.videoId);
-    videoPurchases.set(userVideoKey, {
-      timestamp: Date.now(),
-      price: invoice.price,
-      nonce: commitment.nonce,
-      revocationSecret: invoice.partyBRevocationSecret // Store the revocation secret for encryption
-    });
-    console.log(chalk.magenta(`\n🎬 Full video access granted: ${video.title}`));
-  } else if (invoice.purchaseType === 'segment') {
-    const userSegmentKey = getUserSegmentKey(commitment.channelAddress, invoice.videoId, invoice.segmentName);
-    segmentPurchases.set(userSegmentKey, {
-      timestamp: Date.now(),
-      price: invoice.price,
-      nonce: commitment.nonce,
-      revocationSecret: invoice.partyBRevocationSecret // Store unique revocation secret for this segment
+      storedInvoice.status = INVOICE_STATUS.AWAITING_REVOCATION;
+      storedInvoice.partyBSignature = partyBSignature;
+    });
+  } catch (error) {
+    if (error instanceof InvoiceError || error instanceof ChannelStateError) {
+      return sendPurchaseError(res, error);
+    }
+    console.log(chalk.red(`❌ Payment not recorded: ${error.message}`));
+    return res.status(409).json({
+      success: false,
+      error: error.message
     });
-    console.log(chalk.magenta(`\n🎞 Segment access granted: ${invoice.segmentName}`));
   }
 
-  // Mark invoice as paid
-  pendingInvoices.delete(invoiceId);
+  console.log(chalk.green('✓ Commitment accepted and stored'));
+  const asset = assetOf(channel);
+  console.log(chalk.cyan(`  Updated balances - PartyA: ${formatAmount(commitment.partyABalance, asset)}, PartyB: ${formatAmount(commitment.partyBBalance, asset)}`));
+  console.log(chalk.yellow(`  Waiting for PartyA's revocation secret for nonce ${previousNonce}`));
 
   res.json({
     success: true,
     partyBSignature,
-    accessGranted: invoice.purchaseType === 'full' ? 'full_video' : `segment_${invoice.segmentName}`,
-    message: `Payment accepted! You now have access to ${invoice.purchaseType === 'full' ? 'the full video' : `segment ${invoice.segmentName}`}.`,
-    // Include revocation secret for both full video and segment purchases so client can decrypt
-    revocationSecret: invoice.partyBRevocationSecret
+    awaitingRevocationNonce: previousNonce,
+    message: `Commitment co-signed. Reveal your revocation secret for nonce ${previousNonce} to unlock the content.`
   });
 });
 
 /**
- * GET /channel/:address - Get channel state
+ * POST /reveal-revocation - Second half of the payment: the buyer revokes its
+ * previous commitment, the server revokes its own and releases the content
  */
-app.get('/channel/:address', (req, res) => {
-  const { address } = req.params;
-  const channel = channels.get(address);
+app.post('/reveal-revocation', async (req, res) => {
+  const { invoiceId, revocationSecret } = req.body;
 
-  if (!channel) {
+  console.log(chalk.cyan(`\n🔐 Revocation secret received for invoice: ${invoiceId?.substring(0, 20)}...`));
+
+  const invoice = store.invoices.get(invoiceId);
+  if (!invoice || invoice.status !== INVOICE_STATUS.AWAITING_REVOCATION) {
     return res.status(404).json({
       success: false,
-      error: 'Channel not found'
+      error: 'No co-signed payment awaiting revocation for this invoice'
     });
   }
 
-  res.json({
-    success: true,
-    channel: {
-      address,
-      latestNonce: channel.latestNonce,
-      currentPartyABalance: channel.currentPartyABalance,
-      currentPartyBBalance: channel.currentPartyBBalance,
-      totalCommitments: channel.commitments.length,
-      latestCommitment: channel.commitments[channel.commitments.length - 1]
-    }
-  });
-});
+  const channel = store.channels.get(invoice.channelAddress);
+  const previousNonce = invoice.nonce - 1;
+  const previousCommitment = channel.commitments.find(c => c.nonce === previousNonce);
 
-/**
- * GET /contract - Get contract ABI and bytecode for channel deployment
- */
+  // The secret must open the revocation hash PartyA committed to in nonce N-1
+  let partyASecrets = null;
+  if (previousCommitment?.partyARevocationHash) {
+    if (!revocationSecret || !ethers.isHexString(revocationSecret, 32) ||
+        ethers.keccak256(revocationSecret) !== previousCommitment.partyARevocationHash.toLowerCase()) {
+      console.log(chalk.red(`❌ Invalid revocation secret for nonce ${previousNonce}`));
+      return res.status(400).json({
+        success: false,
+        error: `Invalid revocation secret for nonce ${previousNonce}`
+      });
+    }
+
+    // PartyA's secrets come from its shachain, so the channel keeps at most
+    // one per bit of the index and derives the older ones on demand
+    partyASecrets = new ShachainStore(channel.partyARevocationSecrets);
+    try {
+      partyASecrets.insert(indexForNonce(previousNonce), revocationSecret);
+    } catch (error) {
+      console.log(chalk.red(`❌ Revocation secret for nonce ${previousNonce} is not from PartyA's shachain: ${error.message}`));
+      return res.status(400).json({
+        success: false,
+        error: `Revocation secret for nonce ${previousNonce} does not match the secrets revealed before it`
+      });
+    }
+    console.log(chalk.green(`✓ PartyA's revocation secret for nonce ${previousNonce} verified`));
+  }
+
+  // Our own secret for N-1 revokes our previous state and doubles as the
+  // key for the content bought with this payment
+  const revealedSecret = revocationSecrets.secretFor(invoice.channelAddress, previousNonce);
+
+  const video = catalog.get(invoice.videoId);
+  try {
+    await store.transaction(tx => {
+      const storedInvoice = tx.invoices.get(invoiceId);
+      if (!storedInvoice || storedInvoice.status !== INVOICE_STATUS.AWAITING_REVOCATION) {
+        throw new Error('Payment already completed');
+      }
+
+      // Keep PartyA's secret as evidence for breach proofs
+      const storedChannel = tx.channels.get(invoice.channelAddress);
+      if (partyASecrets) {
+        storedChannel.partyARevocationSecrets = partyASecrets.toJSON();
+      }
+      const storedPrevious = storedChannel.commitments.find(c => c.nonce === previousNonce);
+      if (storedPrevious) {
+        storedPrevious.partyBSecretRevealedAt = Date.now();
+      }
+      delete storedChannel.pendingRevocation;
+
+      // Grant access based on purchase type
+      const now = Date.now();
+      const grant = {
+        channelAddress: invoice.channelAddress,
+        videoId: invoice.videoId,
+        segmentName: invoice.segmentName,
+        timestamp: now,
+        price: invoice.price,
+        nonce: invoice.nonce,
+        revocationSecret: revealedSecret // Revealed secret for nonce N-1 encrypts the purchased content
+      };
+      if (invoice.purchaseType === 'full') {
+        tx.videoPurchases.set(getUserVideoKey(invoice.channelAddress, invoice.videoId), grant);
+      } else if (invoice.purchaseType === 'segment') {
+        tx.segmentPurchases.set(
+          getUserSegmentKey(invoice.channelAddress, invoice.videoId, invoice.segmentName),
+          grant
+        );
+      }
+
+      // Revenue stays on record even if the grant is revoked later
+      tx.payments.set(`${invoice.channelAddress}:${invoice.nonce}`, {
+        channelAddress: invoice.channelAddress,
+        videoId: invoice.videoId,
+        purchaseType: invoice.purchaseType,
+        segmentName: invoice.segmentName,
+        price: invoice.price,
+        asset: assetOf(storedChannel),
+        nonce: invoice.nonce,
+        invoiceId,
+        paidAt: now
+      });
+
+      // Mark invoice as paid; the sweep removes it after the retention period
+      storedInvoice.status = INVOICE_STATUS.PAID;
+      storedInvoice.closedAt = now;
+    });
+  } catch (error) {
+    console.log(chalk.red(`❌ Revocation not recorded: ${error.message}`));
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (invoice.purchaseType === 'full') {
+    console.log(chalk.magenta(`\n🎬 Full video access granted: ${video?.title ?? invoice.videoId}`));
+  } else if (invoice.purchaseType === 'segment') {
+    console.log(chalk.magenta(`\n🎞 Segment access granted: ${invoice.segmentName}`));
+  }
+
+  // Token covering this purchase and everything bought before it for the video
+  const { token: accessToken, expiresAt: accessTokenExpiresAt } = issueAccessToken(invoice.channelAddress, invoice.videoId);
+
+  res.json({
+    success: true,
+    accessToken,
+    accessTokenExpiresAt,
+    accessGranted: invoice.purchaseType === 'full' ? 'full_video' : `segment_${invoice.segmentName}`,
+    message: `Payment accepted! You now have access to ${invoice.purchaseType === 'full' ? 'the full video' : `segment ${invoice.segmentName}`}.`,
+    // Our secret for the previous commitment: revokes it and decrypts the purchased content
+    revocationSecret: revealedSecret,
+    revokedNonce: previousNonce
+  });
+});
+
+/**
+ * GET /invoice/:id - Invoice and its status. Invoice ids are random, so
+ * knowing one is what entitles a client to read, cancel or re-quote it.
+ */
+app.get('/invoice/:id', (req, res) => {
+  const invoice = store.invoices.get(req.params.id);
+  if (!invoice) {
+    return sendPurchaseError(res, new InvoiceError('Invoice not found', { code: 'INVOICE_NOT_FOUND', status: 404 }));
+  }
+  invoices.expire(invoice);
+
+  res.json({
+    success: true,
+    invoice: invoiceResponse(req.params.id, invoice),
+    ...(invoice.replacedBy && { replacedBy: invoice.replacedBy })
+  });
+});
+
+/**
+ * POST /invoice/:id/cancel - Cancel an unpaid invoice, releasing the nonce
+ * it reserves
+ */
+app.post('/invoice/:id/cancel', async (req, res) => {
+  console.log(chalk.cyan(`\n🗑 Cancel request for invoice: ${req.params.id.substring(0, 20)}...`));
+
+  try {
+    const invoice = await invoices.cancel(req.params.id);
+    console.log(chalk.green(`✓ Invoice for nonce ${invoice.nonce} is ${invoice.status}`));
+    res.json({
+      success: true,
+      status: invoice.status
+    });
+  } catch (error) {
+    sendPurchaseError(res, error);
+  }
+});
+
+/**
+ * POST /invoice/:id/requote - Replace an unpaid or expired invoice with a
+ * fresh one for the same item at the channel's current nonce and price
+ */
+app.post('/invoice/:id/requote', async (req, res) => {
+  const invoiceId = req.params.id;
+  console.log(chalk.cyan(`\n🔁 Re-quote request for invoice: ${invoiceId.substring(0, 20)}...`));
+
+  const stale = store.invoices.get(invoiceId);
+  const channel = stale && store.channels.get(stale.channelAddress);
+  const video = stale && catalog.get(stale.videoId);
+  if (!channel || !video) {
+    return sendPurchaseError(res, new InvoiceError('Invoice not found', { code: 'INVOICE_NOT_FOUND', status: 404, invoiceId }));
+  }
+
+  const { videoId, purchaseType, segmentName, partyAAddress, channelAddress: addr } = stale;
+  const price = priceOf(video, purchaseType, assetOf(channel));
+
+  try {
+    const issued = await invoices.issue(
+      addr,
+      { videoId, purchaseType, segmentName, partyAAddress },
+      (tx, storedChannel) => quoteInvoice(storedChannel, { channelAddress: addr, videoId, purchaseType, segmentName, price }),
+      { replaces: invoiceId }
+    );
+    console.log(chalk.green(`✓ Re-quoted as ${issued.id.substring(0, 20)}... at nonce ${issued.invoice.nonce}`));
+
+    res.json({
+      success: true,
+      replaced: invoiceId,
+      invoice: invoiceResponse(issued.id, issued.invoice)
+    });
+  } catch (error) {
+    sendPurchaseError(res, error);
+  }
+});
+
+/**
+ * POST /access-token - Issue a fresh access token for a video the channel has
+ * paid for. The request must be signed by the channel's PartyA.
+ */
+app.post('/access-token', async (req, res) => {
+  const { channelAddress: clientChannelAddress, videoId, issuedAt, revokeExisting = false, signature } = req.body;
+
+  console.log(chalk.cyan(`\n🎫 Access token request for ${videoId} on ${clientChannelAddress}`));
+
+  const channel = store.channels.get(clientChannelAddress);
+  if (!channel) {
+    return res.status(400).json({
+      success: false,
+      error: 'Channel not registered'
+    });
+  }
+
+  if (!catalog.get(videoId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Video not found'
+    });
+  }
+
+  if (!Number.isInteger(issuedAt) || Math.abs(Date.now() - issuedAt) > ACCESS_TOKEN_REQUEST_WINDOW) {
+    return res.status(400).json({
+      success: false,
+      error: 'Access token request is stale'
+    });
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(
+      accessTokenRequestMessage({ channelAddress: clientChannelAddress, videoId, issuedAt, revokeExisting }),
+      signature
+    );
+  } catch {
+    signer = null;
+  }
+  if (!signer || signer.toLowerCase() !== channel.partyA.toLowerCase()) {
+    console.log(chalk.red('❌ Access token request not signed by PartyA'));
+    return res.status(401).json({
+      success: false,
+      error: 'Access token request must be signed by PartyA'
+    });
+  }
+
+  if (revokeExisting) {
+    await accessTokens.revokeChannel(clientChannelAddress);
+    console.log(chalk.yellow(`  Revoked all earlier tokens for ${clientChannelAddress}`));
+  }
+
+  const { token, expiresAt } = issueAccessToken(clientChannelAddress, videoId);
+  console.log(chalk.green(`✓ Access token issued, expires ${new Date(expiresAt).toISOString()}`));
+
+  res.json({
+    success: true,
+    accessToken: token,
+    accessTokenExpiresAt: expiresAt
+  });
+});
+
+/**
+ * POST /access-token/revoke - Revoke the bearer's own access token
+ */
+app.post('/access-token/revoke', async (req, res) => {
+  let claims;
+  try {
+    claims = accessTokens.verify(getAccessToken(req));
+  } catch (error) {
+    if (!(error instanceof AccessTokenError)) throw error;
+    return res.status(401).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  await accessTokens.revoke(claims);
+  console.log(chalk.yellow(`\n🎫 Access token revoked for ${claims.videoId} on ${claims.channel}`));
+
+  res.json({ success: true });
+});
+
+/**
+ * GET /channel/:address - Get channel state
+ */
+app.get('/channel/:address', (req, res) => {
+  const { address } = req.params;
+  const channel = store.channels.get(address);
+
+  if (!channel) {
+    return res.status(404).json({
+      success: false,
+      error: 'Channel not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    channel: {
+      address,
+      latestNonce: channel.latestNonce,
+      currentPartyABalance: channel.currentPartyABalance,
+      currentPartyBBalance: channel.currentPartyBBalance,
+      asset: assetOf(channel),
+      totalCommitments: channel.commitments.length,
+      latestCommitment: channel.commitments[channel.commitments.length - 1],
+      // As last read by the channel monitor: { state, balance, latestNonce, penalized, lastEvent, blockNumber, updatedAt }
+      onChain: channel.onChain ?? null,
+      // Set while the server is closing the channel (see /channel/:address/close-request)
+      closeRequest: channel.closeRequest ?? null
+    }
+  });
+});
+
+/**
+ * Throw unless addr is a channel created by our factory. Clones of the
+ * factory's implementation run known code, so their on-chain state can be
+ * trusted without inspecting bytecode.
+ */
+async function assertFactoryChannel(addr) {
+  if (!channelFactory) {
+    throw new Error('Channel factory not configured');
+  }
+  if (!await channelFactory.isChannel(addr)) {
+    throw new Error('Channel was not created by the channel factory');
+  }
+}
+
+/**
+ * GET /discovered-channels/:partyA - Channels the factory created toward the
+ * server for a client, whether or not they have been registered yet
+ */
+app.get('/discovered-channels/:partyA', (req, res) => {
+  if (!discovery) {
+    return res.status(503).json({
+      success: false,
+      error: 'Channel discovery not running'
+    });
+  }
+
+  const channels = discovery.channelsOf(req.params.partyA).map(channel => ({
+    ...channel,
+    registered: store.channels.has(channel.channelAddress)
+  }));
+
+  res.json({
+    success: true,
+    channels
+  });
+});
+
+/**
+ * GET /contract - Get the channel ABI and the factory that creates channels
+ */
 app.get('/contract', (req, res) => {
-  if (!contractAbi || !contractBytecode) {
+  if (!contractAbi || !channelFactory) {
     return res.status(500).json({
       success: false,
-      error: 'Contract not loaded'
+      error: 'Contract or channel factory not loaded'
     });
   }
 
   res.json({
     success: true,
     abi: contractAbi,
-    bytecode: contractBytecode
+    factoryAddress: channelFactory.target,
+    factoryAbi
   });
 });
 
@@ -926,7 +1458,9 @@ app.get('/server-info', (req, res) => {
   res.json({
     success: true,
     address: serverWallet.address,
-    defaultDeposit: '0.001'
+    defaultDeposit: ethers.parseEther('0.001').toString(),
+    paymentToken,
+    defaultTokenDeposit: paymentToken ? ethers.parseUnits('5', paymentToken.decimals).toString() : null
   });
 });
 
@@ -946,11 +1480,8 @@ app.post('/register-channel', async (req, res) => {
       throw new Error('Contract ABI not loaded');
     }
 
-    // Verify contract exists
-    const code = await provider.getCode(addr);
-    if (code === '0x') {
-      throw new Error('No contract at address');
-    }
+    // Verify the channel runs our code
+    await assertFactoryChannel(addr);
 
     const contract = new ethers.Contract(addr, contractAbi, provider);
 
@@ -961,10 +1492,13 @@ app.post('/register-channel', async (req, res) => {
     const balance = info[2];
     const stateIndex = Number(info[3]);
 
+    const asset = await readChannelAsset(contract, paymentToken);
+    const format = value => formatAmount(value, asset);
+
     console.log(chalk.yellow('\n🔍 Verifying channel on-chain:'));
     console.log(chalk.gray(`  PartyA: ${partyA}`));
     console.log(chalk.gray(`  PartyB: ${partyB}`));
-    console.log(chalk.gray(`  Balance: ${ethers.formatEther(balance)} ETH`));
+    console.log(chalk.gray(`  Balance: ${format(balance)}`));
     console.log(chalk.gray(`  State: ${stateIndex}`));
 
     // Verify server is partyB (info[1] is the partyB address from contract)
@@ -991,38 +1525,51 @@ app.post('/register-channel', async (req, res) => {
     const depositA = await contract.deposits(partyA);
     const depositB = await contract.deposits(partyB);
 
-    console.log(chalk.gray(`  Deposit A: ${ethers.formatEther(depositA)} ETH`));
-    console.log(chalk.gray(`  Deposit B: ${ethers.formatEther(depositB)} ETH`));
+    console.log(chalk.gray(`  Deposit A: ${format(depositA)}`));
+    console.log(chalk.gray(`  Deposit B: ${format(depositB)}`));
 
     // Store channel reference
     channelAddress = addr;
 
     // Get existing channel data (may have been created during initial commitment signing)
-    const existingChannel = channels.get(addr);
-    const initialPartyABalance = ethers.formatEther(depositA);
-    const initialPartyBBalance = ethers.formatEther(depositB);
+    const existingChannel = store.channels.get(addr);
+    const initialPartyABalance = depositA.toString();
+    const initialPartyBBalance = depositB.toString();
 
     // Initialize or update channel tracking with current balances
-    channels.set(addr, {
-      commitments: existingChannel?.commitments || [],
-      latestNonce: existingChannel?.latestNonce || 0,
-      partyA,
-      partyB,
-      initialBalanceA: initialPartyABalance,
-      initialBalanceB: initialPartyBBalance,
-      currentPartyABalance: existingChannel?.currentPartyABalance || initialPartyABalance,
-      currentPartyBBalance: existingChannel?.currentPartyBBalance || initialPartyBBalance,
-      pendingFunding: false
+    await store.transaction(tx => {
+      tx.channels.set(addr, {
+        commitments: existingChannel?.commitments || [],
+        latestNonce: existingChannel?.latestNonce || 0,
+        partyA,
+        partyB,
+        asset,
+        initialBalanceA: initialPartyABalance,
+        initialBalanceB: initialPartyBBalance,
+        currentPartyABalance: existingChannel?.currentPartyABalance || initialPartyABalance,
+        currentPartyBBalance: existingChannel?.currentPartyBBalance || initialPartyBBalance,
+        pendingFunding: false,
+        registeredAt: existingChannel?.registeredAt || Date.now(),
+        // Registering again must not cancel a close in progress
+        ...(existingChannel?.closeRequest && { closeRequest: existingChannel.closeRequest })
+      });
+    });
+
+    // Purchases are refused once the monitor sees the channel leave OPEN
+    await monitor?.refresh(addr).catch(error => {
+      console.log(chalk.yellow(`⚠ Could not record on-chain state of ${addr}: ${error.message}`));
     });
 
     console.log(chalk.green(`\n✓ Channel registered: ${addr}`));
-    console.log(chalk.cyan(`  Initial balances - PartyA: ${initialPartyABalance}, PartyB: ${initialPartyBBalance}`));
+    console.log(chalk.cyan(`  Initial balances - PartyA: ${format(depositA)}, PartyB: ${format(depositB)}`));
 
     res.json({
       success: true,
-      totalBalance: ethers.formatEther(balance),
-      depositA: ethers.formatEther(depositA),
-      depositB: ethers.formatEther(depositB)
+      totalBalance: balance.toString(),
+      depositA: initialPartyABalance,
+      depositB: initialPartyBBalance,
+      symbol: asset.symbol,
+      decimals: asset.decimals
     });
   } catch (error) {
     console.error(chalk.red('Registration failed:'), error.message);
@@ -1050,25 +1597,23 @@ app.post('/sign-initial-commitment', async (req, res) => {
   console.log(chalk.cyan(`\n📝 Initial commitment signing request:`));
   console.log(chalk.gray(`  Channel: ${addr}`));
   console.log(chalk.gray(`  Client: ${clientAddress}`));
-  console.log(chalk.gray(`  Client deposit: ${clientDeposit} ETH`));
+  console.log(chalk.gray(`  Client deposit: ${clientDeposit} wei`));
   console.log(chalk.gray(`  Commitment hash: ${commitmentHash.substring(0, 30)}...`));
 
   try {
-    // Verify contract exists and is in FUNDING state
+    // Verify the channel runs our code and is in FUNDING state
     if (!contractAbi) {
       throw new Error('Contract ABI not loaded');
     }
 
-    const code = await provider.getCode(addr);
-    if (code === '0x') {
-      throw new Error('No contract at address');
-    }
+    await assertFactoryChannel(addr);
 
     const contract = new ethers.Contract(addr, contractAbi, provider);
     const info = await contract.getChannelInfo();
     const partyA = info[0];
     const partyB = info[1];
     const stateIndex = Number(info[3]);
+    const asset = await readChannelAsset(contract, paymentToken);
 
     console.log(info)
 
@@ -1087,11 +1632,25 @@ app.post('/sign-initial-commitment', async (req, res) => {
       throw new Error('Client is not partyA in this channel');
     }
 
+    // The initial commitment refunds the client's deposit. The server's
+    // revocation hash is not known yet when the client signs, so it is zero.
+    const initialCommitment = {
+      channelAddress: addr,
+      chainId: await getChainId(),
+      nonce: 0,
+      partyABalance: parseWei(clientDeposit, 'clientDeposit').toString(),
+      partyBBalance: '0',
+      partyARevocationHash: clientRevocationHash,
+      partyBRevocationHash: ZERO_REVOCATION_HASH
+    };
+    const expectedHash = hashCommitment(initialCommitment);
+
+    if (expectedHash !== commitmentHash) {
+      throw new Error('Commitment hash does not match initial commitment');
+    }
+
     // Verify client's signature on the commitment hash
-    const recoveredAddress = ethers.verifyMessage(
-      ethers.getBytes(commitmentHash),
-      clientSignature
-    );
+    const recoveredAddress = ethers.recoverAddress(commitmentHash, clientSignature);
 
     if (recoveredAddress.toLowerCase() !== clientAddress.toLowerCase()) {
       throw new Error('Invalid client signature');
@@ -1099,40 +1658,47 @@ app.post('/sign-initial-commitment', async (req, res) => {
 
     console.log(chalk.green('✓ Client signature verified'));
 
-    // Generate server's revocation hash for this commitment (nonce 0)
-    const serverRevocationSecret = partyBRevocationManager.generateSecret(0);
-    const serverRevocationHash = ethers.keccak256(serverRevocationSecret);
+    // Server's revocation hash for this commitment (nonce 0)
+    const serverRevocationHash = revocationSecrets.revocationHashFor(addr, 0);
 
-    console.log(chalk.yellow('\n🔐 Generated server revocation hash:'));
+    console.log(chalk.yellow('\n🔐 Derived server revocation hash:'));
     console.log(chalk.gray(`  Hash: ${serverRevocationHash.substring(0, 30)}...`));
 
     // Sign the commitment hash
-    const serverSignature = await serverWallet.signMessage(ethers.getBytes(commitmentHash));
+    const typedCommitment = commitmentTypedData(initialCommitment);
+    const serverSignature = await serverWallet.signTypedData(
+      typedCommitment.domain,
+      typedCommitment.types,
+      typedCommitment.message
+    );
 
     console.log(chalk.green('✓ Commitment signed by server'));
     console.log(chalk.gray(`  Signature: ${serverSignature.substring(0, 30)}...`));
 
     // Store pending channel info for when it gets funded
-    channels.set(addr, {
-      commitments: [{
-        nonce: 0,
-        hash: commitmentHash,
-        partyABalance: clientDeposit,
-        partyBBalance: '0',
-        partyASignature: clientSignature,
-        partyBSignature: serverSignature,
-        partyARevocationHash: clientRevocationHash,
-        partyBRevocationHash: serverRevocationHash,
-        timestamp: Date.now()
-      }],
-      latestNonce: 0,
-      partyA,
-      partyB,
-      initialBalanceA: clientDeposit,
-      initialBalanceB: '0',
-      currentPartyABalance: clientDeposit,
-      currentPartyBBalance: '0',
-      pendingFunding: true
+    await store.transaction(tx => {
+      tx.channels.set(addr, {
+        commitments: [{
+          nonce: 0,
+          hash: commitmentHash,
+          partyABalance: initialCommitment.partyABalance,
+          partyBBalance: '0',
+          partyASignature: clientSignature,
+          partyBSignature: serverSignature,
+          partyARevocationHash: clientRevocationHash,
+          partyBRevocationHash: ZERO_REVOCATION_HASH,
+          timestamp: Date.now()
+        }],
+        latestNonce: 0,
+        partyA,
+        partyB,
+        asset,
+        initialBalanceA: initialCommitment.partyABalance,
+        initialBalanceB: '0',
+        currentPartyABalance: initialCommitment.partyABalance,
+        currentPartyBBalance: '0',
+        pendingFunding: true
+      });
     });
 
     res.json({
@@ -1158,8 +1724,8 @@ app.post('/close-channel', async (req, res) => {
 
   console.log(chalk.cyan(`\n🔒 Channel close request:`));
   console.log(chalk.gray(`  Channel: ${addr}`));
-  console.log(chalk.gray(`  Requested Balance A: ${balanceA} ETH`));
-  console.log(chalk.gray(`  Requested Balance B: ${balanceB} ETH`));
+  console.log(chalk.gray(`  Requested Balance A: ${balanceA} wei`));
+  console.log(chalk.gray(`  Requested Balance B: ${balanceB} wei`));
 
   try {
     if (!contractAbi) {
@@ -1167,22 +1733,21 @@ app.post('/close-channel', async (req, res) => {
     }
 
     // Validate channel is registered
-    const channel = channels.get(addr);
+    const channel = store.channels.get(addr);
     if (!channel) {
       throw new Error('Channel not registered');
     }
 
-    // Validate requested balances match server's tracked state (compare as wei to avoid floating-point issues)
+    // Validate requested balances match server's tracked state
+    const asset = assetOf(channel);
     console.log(chalk.yellow('\n🔍 Validating balances against server state:'));
-    console.log(chalk.gray(`  Server-tracked PartyA: ${channel.currentPartyABalance} ETH`));
-    console.log(chalk.gray(`  Server-tracked PartyB: ${channel.currentPartyBBalance} ETH`));
+    console.log(chalk.gray(`  Server-tracked PartyA: ${formatAmount(channel.currentPartyABalance, asset)}`));
+    console.log(chalk.gray(`  Server-tracked PartyB: ${formatAmount(channel.currentPartyBBalance, asset)}`));
 
-    const requestedPartyAWei = ethers.parseEther(balanceA);
-    const requestedPartyBWei = ethers.parseEther(balanceB);
-    const trackedPartyAWei = ethers.parseEther(channel.currentPartyABalance);
-    const trackedPartyBWei = ethers.parseEther(channel.currentPartyBBalance);
+    const requestedPartyAWei = parseWei(balanceA, 'balanceA');
+    const requestedPartyBWei = parseWei(balanceB, 'balanceB');
 
-    if (requestedPartyAWei !== trackedPartyAWei || requestedPartyBWei !== trackedPartyBWei) {
+    if (requestedPartyAWei !== BigInt(channel.currentPartyABalance) || requestedPartyBWei !== BigInt(channel.currentPartyBBalance)) {
       console.log(chalk.red(`\n❌ Balance mismatch with server state`));
       throw new Error(`Balance mismatch: expected PartyA=${channel.currentPartyABalance}, PartyB=${channel.currentPartyBBalance}`);
     }
@@ -1200,21 +1765,18 @@ app.post('/close-channel', async (req, res) => {
 
     // Verify balances match channel balance
     const channelBalance = info[2];
-    const totalBalance = ethers.parseEther(balanceA) + ethers.parseEther(balanceB);
+    const totalBalance = requestedPartyAWei + requestedPartyBWei;
     if (totalBalance !== channelBalance) {
-      throw new Error(`On-chain balance mismatch: ${ethers.formatEther(totalBalance)} != ${ethers.formatEther(channelBalance)}`);
+      throw new Error(`On-chain balance mismatch: ${formatAmount(totalBalance, asset)} != ${formatAmount(channelBalance, asset)}`);
     }
 
-    // Create close message hash (must match contract)
-    const closeHash = ethers.keccak256(
-      ethers.solidityPacked(
-        ['string', 'address', 'uint256', 'uint256'],
-        ['CLOSE', addr, ethers.parseEther(balanceA), ethers.parseEther(balanceB)]
-      )
-    );
+    // Typed close message (must match contract)
+    const close = { channelAddress: addr, chainId: await getChainId(), balanceA, balanceB };
+    const closeHash = hashClose(close);
 
     // Sign with PartyB's key
-    const partyBSignature = await serverWallet.signMessage(ethers.getBytes(closeHash));
+    const typedClose = closeTypedData(close);
+    const partyBSignature = await serverWallet.signTypedData(typedClose.domain, typedClose.types, typedClose.message);
 
     console.log(chalk.green(`\n✓ Close message signed`));
     console.log(chalk.gray(`  Close hash: ${closeHash.substring(0, 30)}...`));
@@ -1233,6 +1795,359 @@ app.post('/close-channel', async (req, res) => {
   }
 });
 
+/**
+ * GET /channel/:address/close-request - The server's request to close the
+ * channel, if any: balances and PartyB's close signature, the deadline after
+ * which the server disputes, and the outcome once closed
+ */
+app.get('/channel/:address/close-request', (req, res) => {
+  const channel = store.channels.get(req.params.address);
+  if (!channel) {
+    return res.status(404).json({
+      success: false,
+      error: 'Channel not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    closeRequest: channel.closeRequest ?? null
+  });
+});
+
+/**
+ * POST /channel/:address/close-request/accept - Answer a close request with
+ * PartyA's signature on the requested balances; the server submits the
+ * cooperative close
+ */
+app.post('/channel/:address/close-request/accept', async (req, res) => {
+  const { address: addr } = req.params;
+  const { partyASignature } = req.body;
+
+  console.log(chalk.cyan(`\n🔒 Close request accepted by client: ${addr}`));
+
+  try {
+    if (!closer) {
+      throw new Error('Channel closer not running');
+    }
+    const closeRequest = await closer.accept(addr, partyASignature);
+    res.json({
+      success: true,
+      closeRequest
+    });
+  } catch (error) {
+    console.error(chalk.red('Close failed:'), error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /splice - Propose adding funds to (depositA) or withdrawing part of
+ * PartyA's balance from (withdrawA) an open channel. The server answers with
+ * its revocation hash and signature on the commitment for the new base state;
+ * the splice itself is only signed once PartyA has signed that commitment.
+ */
+app.post('/splice', async (req, res) => {
+  const {
+    channelAddress: addr,
+    partyAAddress,
+    depositA = '0',
+    withdrawA = '0',
+    partyARevocationHash
+  } = req.body;
+
+  console.log(chalk.cyan(`\n🔀 Splice request:`));
+  console.log(chalk.gray(`  Channel: ${addr}`));
+  console.log(chalk.gray(`  Deposit A: ${depositA} wei`));
+  console.log(chalk.gray(`  Withdraw A: ${withdrawA} wei`));
+
+  try {
+    if (!contractAbi) {
+      throw new Error('Contract ABI not loaded');
+    }
+
+    const channel = store.channels.get(addr);
+    if (!channel) {
+      throw new Error('Channel not registered');
+    }
+
+    if (!partyAAddress || channel.partyA.toLowerCase() !== partyAAddress.toLowerCase()) {
+      throw new Error('Invalid caller - not partyA');
+    }
+
+    if (!ethers.isHexString(partyARevocationHash, 32)) {
+      throw new Error('PartyA revocation hash required');
+    }
+
+    if (channel.pendingRevocation) {
+      throw new Error(`Previous payment is awaiting the revocation secret for nonce ${channel.pendingRevocation.nonce}`);
+    }
+
+    const signed = signedSplice(channel);
+    if (signed) {
+      throw new Error(`Splice at nonce ${signed.nonce} must be confirmed or expire first`);
+    }
+
+    assertNotClosing(channel);
+
+    // Exact wei arithmetic, so the new balances add up the way the contract checks
+    const asset = assetOf(channel);
+    const depositWei = parseWei(depositA, 'depositA');
+    const withdrawWei = parseWei(withdrawA, 'withdrawA');
+    if (depositWei === 0n && withdrawWei === 0n) {
+      throw new Error('Splice must deposit or withdraw a positive amount');
+    }
+
+    const partyAWei = BigInt(channel.currentPartyABalance);
+    const newPartyAWei = partyAWei + depositWei - withdrawWei;
+    const partyBWei = BigInt(channel.currentPartyBBalance);
+    if (newPartyAWei < 0n) {
+      throw new Error(`Cannot withdraw more than the current balance of ${formatAmount(partyAWei, asset)}`);
+    }
+    if (newPartyAWei + partyBWei === 0n) {
+      throw new Error('Splice would leave the channel empty - close it instead');
+    }
+
+    // The splice starts from the on-chain balance, which must match ours
+    const contract = new ethers.Contract(addr, contractAbi, provider);
+    const info = await contract.getChannelInfo();
+    if (Number(info[3]) !== 1) {
+      throw new Error('Channel is not open');
+    }
+    if (info[2] !== partyAWei + partyBWei) {
+      throw new Error(`On-chain balance mismatch: ${formatAmount(info[2], asset)}`);
+    }
+
+    const nonce = channel.latestNonce + 1;
+    // An earlier splice that landed after all has to be adopted first
+    if (Number(info[4]) >= nonce) {
+      throw new Error(`Channel is at nonce ${info[4]} on-chain - confirm the earlier splice first`);
+    }
+    const partyABalance = newPartyAWei.toString();
+    const partyBBalance = channel.currentPartyBBalance;
+    const partyBRevocationHash = revocationSecrets.revocationHashFor(addr, nonce);
+
+    // Commitment for the new base state, signed now so PartyA can check it
+    // before anything is submitted on-chain
+    const commitment = {
+      channelAddress: addr,
+      chainId: await getChainId(),
+      nonce,
+      partyABalance,
+      partyBBalance,
+      partyARevocationHash,
+      partyBRevocationHash
+    };
+    const typedCommitment = commitmentTypedData(commitment);
+    const partyBCommitmentSignature = await serverWallet.signTypedData(
+      typedCommitment.domain,
+      typedCommitment.types,
+      typedCommitment.message
+    );
+
+    const pendingSplice = {
+      nonce,
+      partyABalance,
+      partyBBalance,
+      depositA: depositWei.toString(),
+      withdrawA: withdrawWei.toString(),
+      deadline: Math.floor(Date.now() / 1000) + SPLICE_WINDOW,
+      commitmentHash: hashCommitment(commitment),
+      partyARevocationHash,
+      partyBRevocationHash,
+      partyBCommitmentSignature,
+      status: 'proposed',
+      timestamp: Date.now()
+    };
+
+    await store.transaction(tx => {
+      const storedChannel = tx.channels.get(addr);
+      if (storedChannel.latestNonce !== channel.latestNonce || signedSplice(storedChannel)) {
+        throw new Error('Channel changed while preparing the splice');
+      }
+      const open = invoices.openInvoice(tx, addr);
+      if (open) {
+        throw new Error(`Invoice ${open.id.substring(0, 20)}... holds nonce ${open.invoice.nonce}: pay or cancel it first`);
+      }
+      storedChannel.pendingSplice = pendingSplice;
+    });
+
+    console.log(chalk.green(`\n✓ Splice proposed at nonce ${nonce}`));
+    console.log(chalk.gray(`  New balances - PartyA: ${formatAmount(partyABalance, asset)}, PartyB: ${formatAmount(partyBBalance, asset)}`));
+
+    res.json({
+      success: true,
+      splice: {
+        nonce,
+        partyABalance,
+        partyBBalance,
+        depositA: pendingSplice.depositA,
+        withdrawA: pendingSplice.withdrawA,
+        deadline: pendingSplice.deadline
+      },
+      partyBRevocationHash,
+      partyBCommitmentSignature
+    });
+  } catch (error) {
+    console.error(chalk.red('Splice request failed:'), error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /splice/sign - Exchange PartyA's signature on the new base state
+ * commitment for the server's signature on the splice
+ */
+app.post('/splice/sign', async (req, res) => {
+  const { channelAddress: addr, partyACommitmentSignature } = req.body;
+
+  console.log(chalk.cyan(`\n🔀 Splice signature request for ${addr}`));
+
+  try {
+    const channel = store.channels.get(addr);
+    const pending = channel?.pendingSplice;
+    if (!pending || pending.status !== 'proposed') {
+      throw new Error('No proposed splice for this channel');
+    }
+
+    if (channel.latestNonce !== pending.nonce - 1) {
+      throw new Error(`Channel moved on to nonce ${channel.latestNonce} - propose the splice again`);
+    }
+
+    if (!(pending.deadline * 1000 > Date.now())) {
+      throw new Error('Splice proposal expired - propose the splice again');
+    }
+
+    const recoveredAddress = ethers.recoverAddress(pending.commitmentHash, partyACommitmentSignature);
+    if (recoveredAddress.toLowerCase() !== channel.partyA.toLowerCase()) {
+      throw new Error('Invalid commitment signature');
+    }
+
+    console.log(chalk.green('✓ PartyA\'s commitment signature verified'));
+
+    const splice = {
+      channelAddress: addr,
+      chainId: await getChainId(),
+      nonce: pending.nonce,
+      partyABalance: pending.partyABalance,
+      partyBBalance: pending.partyBBalance,
+      depositA: pending.depositA,
+      withdrawA: pending.withdrawA,
+      deadline: pending.deadline
+    };
+    const typedSplice = spliceTypedData(splice);
+    const partyBSpliceSignature = await serverWallet.signTypedData(
+      typedSplice.domain,
+      typedSplice.types,
+      typedSplice.message
+    );
+
+    // From here on PartyA can execute the splice, so payments wait for it
+    await store.transaction(tx => {
+      const storedChannel = tx.channels.get(addr);
+      if (storedChannel.pendingSplice?.status !== 'proposed' || storedChannel.pendingSplice.nonce !== pending.nonce) {
+        throw new Error('Splice changed while signing');
+      }
+      storedChannel.pendingSplice.status = 'signed';
+      storedChannel.pendingSplice.partyACommitmentSignature = partyACommitmentSignature;
+      storedChannel.pendingSplice.partyBSpliceSignature = partyBSpliceSignature;
+    });
+
+    console.log(chalk.green(`✓ Splice signed at nonce ${pending.nonce}`));
+
+    res.json({
+      success: true,
+      partyBSpliceSignature,
+      spliceHash: hashSplice(splice)
+    });
+  } catch (error) {
+    console.error(chalk.red('Splice signing failed:'), error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /splice/confirm - Adopt the splice as the new base state once it has
+ * been executed on-chain. The channel monitor adopts executed splices on its
+ * own, in which case this reports the splice it adopted.
+ */
+app.post('/splice/confirm', async (req, res) => {
+  const { channelAddress: addr } = req.body;
+
+  console.log(chalk.cyan(`\n🔀 Splice confirmation for ${addr}`));
+
+  try {
+    if (!contractAbi) {
+      throw new Error('Contract ABI not loaded');
+    }
+
+    const channel = store.channels.get(addr);
+    const pending = channel?.pendingSplice;
+    if (!pending || pending.status !== 'signed') {
+      const latest = channel?.commitments.at(-1);
+      if (latest?.splice && latest.nonce === channel.latestNonce) {
+        return res.json({
+          success: true,
+          nonce: latest.nonce,
+          partyABalance: latest.partyABalance,
+          partyBBalance: latest.partyBBalance
+        });
+      }
+      throw new Error('No signed splice for this channel');
+    }
+
+    const contract = new ethers.Contract(addr, contractAbi, provider);
+    const info = await contract.getChannelInfo();
+    const onChainNonce = Number(info[4]);
+
+    if (onChainNonce < pending.nonce) {
+      return res.status(409).json({
+        success: false,
+        error: `Splice at nonce ${pending.nonce} has not been executed on-chain yet`
+      });
+    }
+
+    const asset = assetOf(channel);
+    const expectedBalance = BigInt(pending.partyABalance) + BigInt(pending.partyBBalance);
+    if (onChainNonce !== pending.nonce || info[2] !== expectedBalance) {
+      throw new Error(`On-chain state (nonce ${onChainNonce}, ${formatAmount(info[2], asset)}) does not match the splice`);
+    }
+
+    await store.transaction(tx => {
+      const storedChannel = tx.channels.get(addr);
+      // The monitor may have adopted it in the meantime
+      if (storedChannel.pendingSplice?.nonce === pending.nonce) {
+        adoptSplice(storedChannel);
+      }
+    });
+
+    console.log(chalk.green(`✓ Splice confirmed at nonce ${pending.nonce}`));
+    console.log(chalk.cyan(`  Updated balances - PartyA: ${formatAmount(pending.partyABalance, asset)}, PartyB: ${formatAmount(pending.partyBBalance, asset)}`));
+
+    res.json({
+      success: true,
+      nonce: pending.nonce,
+      partyABalance: pending.partyABalance,
+      partyBBalance: pending.partyBBalance
+    });
+  } catch (error) {
+    console.error(chalk.red('Splice confirmation failed:'), error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /channel-status/:address - Get on-chain channel status
  */
@@ -1246,6 +2161,7 @@ app.get('/channel-status/:address', async (req, res) => {
 
     const contract = new ethers.Contract(addr, contractAbi, provider);
     const info = await contract.getChannelInfo();
+    const { symbol, decimals } = assetOf(store.channels.get(addr));
 
     const stateNames = ['FUNDING', 'OPEN', 'DISPUTED', 'CLOSED'];
 
@@ -1253,7 +2169,9 @@ app.get('/channel-status/:address', async (req, res) => {
       success: true,
       partyA: info[0],
       partyB: info[1],
-      balance: ethers.formatEther(info[2]),
+      balance: info[2].toString(),
+      symbol,
+      decimals,
       state: stateNames[info[3]],
       stateIndex: Number(info[3]),
       latestNonce: info[4].toString()
@@ -1266,33 +2184,405 @@ app.get('/channel-status/:address', async (req, res) => {
   }
 });
 
-// Serve static content files (for direct access during development)
-app.use('/content', express.static(path.join(__dirname, '..', 'content')));
+// Operator admin API: every /admin route requires ADMIN_TOKEN (see lib/admin.js)
+const adminOnly = requireAdmin(process.env.ADMIN_TOKEN);
+
+/**
+ * GET /admin/channels - Every registered channel with its off-chain balances
+ * and its balance and state as last read on-chain
+ */
+app.get('/admin/channels', adminOnly, (req, res) => {
+  const channels = store.channels.entries().map(([address, channel]) => {
+    const offChainTotal = BigInt(channel.currentPartyABalance) + BigInt(channel.currentPartyBBalance);
+    return {
+      address,
+      partyA: channel.partyA,
+      asset: assetOf(channel),
+      registeredAt: channel.registeredAt ?? null,
+      pendingFunding: Boolean(channel.pendingFunding),
+      offChain: {
+        nonce: channel.latestNonce,
+        partyABalance: channel.currentPartyABalance,
+        partyBBalance: channel.currentPartyBBalance,
+        revenue: (BigInt(channel.currentPartyBBalance) - BigInt(channel.initialBalanceB)).toString()
+      },
+      onChain: channel.onChain ?? null,
+      // False when the chain holds a different total than the co-signed balances (e.g. an unconfirmed splice)
+      balanceMatches: channel.onChain ? BigInt(channel.onChain.balance) === offChainTotal : null,
+      pendingRevocation: channel.pendingRevocation ?? null,
+      pendingSplice: channel.pendingSplice ? { nonce: channel.pendingSplice.nonce, status: channel.pendingSplice.status, deadline: channel.pendingSplice.deadline } : null,
+      closeRequest: channel.closeRequest ? { status: channel.closeRequest.status, reason: channel.closeRequest.reason, deadline: channel.closeRequest.deadline } : null
+    };
+  });
+
+  res.json({
+    success: true,
+    channels
+  });
+});
+
+/**
+ * GET /admin/revenue - Completed payments summed per video and per time
+ * window; ?window=hour|day|week (default day), ?from= / ?to= as ms timestamps
+ */
+app.get('/admin/revenue', adminOnly, (req, res) => {
+  try {
+    const revenue = aggregateRevenue(store.payments.values(), {
+      window: req.query.window || 'day',
+      from: req.query.from ? Number(req.query.from) : undefined,
+      to: req.query.to ? Number(req.query.to) : undefined
+    });
+    const titled = revenue.byVideo.map(entry => ({ ...entry, title: catalog.get(entry.videoId)?.title ?? null }));
+
+    res.json({
+      success: true,
+      ...revenue,
+      byVideo: titled
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/invoices - Invoices by status; ?status= takes a comma-separated
+ * list and defaults to the open ones (issued, awaiting_revocation)
+ */
+app.get('/admin/invoices', adminOnly, (req, res) => {
+  const statuses = req.query.status
+    ? req.query.status.split(',')
+    : [INVOICE_STATUS.ISSUED, INVOICE_STATUS.AWAITING_REVOCATION];
+
+  const listed = store.invoices.entries()
+    .map(([id, invoice]) => {
+      invoices.expire(invoice);
+      return { id, ...invoice };
+    })
+    .filter(invoice => statuses.includes(invoice.status))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  res.json({
+    success: true,
+    invoices: listed
+  });
+});
+
+/**
+ * GET /admin/access - Access grants, optionally for one ?channel= and/or
+ * ?videoId=. Revocation secrets (the content keys) are left out.
+ */
+app.get('/admin/access', adminOnly, (req, res) => {
+  const { channel, videoId } = req.query;
+  const grants = [
+    ...store.videoPurchases.values().map(grant => ({ ...grant, purchaseType: 'full' })),
+    ...store.segmentPurchases.values().map(grant => ({ ...grant, purchaseType: 'segment' }))
+  ]
+    .filter(grant => (!channel || grant.channelAddress.toLowerCase() === channel.toLowerCase()) && (!videoId || grant.videoId === videoId))
+    .map(({ revocationSecret, ...grant }) => grant);
+
+  res.json({
+    success: true,
+    grants
+  });
+});
+
+/**
+ * POST /admin/access/revoke - Withdraw a channel's access to a video (or one
+ * segment of it) and revoke every access token issued to the channel; tokens
+ * for what it still owns can be requested again via /access-token
+ */
+app.post('/admin/access/revoke', adminOnly, async (req, res) => {
+  const { channelAddress, videoId, segmentName = null } = req.body;
+
+  console.log(chalk.cyan(`\n🚫 Operator revokes ${videoId}${segmentName ? `/${segmentName}` : ''} from ${channelAddress}`));
+
+  try {
+    if (!channelAddress || !videoId) {
+      throw new Error('channelAddress and videoId required');
+    }
+    const matches = grant => grant.channelAddress === channelAddress && grant.videoId === videoId;
+
+    const revoked = await store.transaction(tx => {
+      const keys = [];
+      if (!segmentName) {
+        for (const key of tx.videoPurchases.keys()) {
+          if (matches(tx.videoPurchases.get(key))) {
+            tx.videoPurchases.delete(key);
+            keys.push(key);
+          }
+        }
+      }
+      for (const key of tx.segmentPurchases.keys()) {
+        const grant = tx.segmentPurchases.get(key);
+        if (matches(grant) && (!segmentName || grant.segmentName === segmentName)) {
+          tx.segmentPurchases.delete(key);
+          keys.push(key);
+        }
+      }
+      return keys;
+    });
+    if (revoked.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No matching access grant'
+      });
+    }
+
+    await accessTokens.revokeChannel(channelAddress);
+    console.log(chalk.green(`✓ Revoked ${revoked.length} grant(s) and the channel's access tokens`));
+
+    res.json({
+      success: true,
+      revoked
+    });
+  } catch (error) {
+    console.error(chalk.red('Revocation failed:'), error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/channels/:address/evidence - Signed export of the channel's
+ * commitments, revealed revocation secrets and watchtower actions, for
+ * settling a dispute by hand or keeping off-site
+ */
+app.get('/admin/channels/:address/evidence', adminOnly, async (req, res) => {
+  const { address: addr } = req.params;
+  const channel = store.channels.get(addr);
+  if (!channel) {
+    return res.status(404).json({
+      success: false,
+      error: 'Channel not found'
+    });
+  }
+
+  try {
+    const evidence = await exportEvidence({ wallet: serverWallet, chainId: await getChainId(), channelAddress: addr, channel });
+    res.set('Content-Disposition', `attachment; filename="evidence-${addr}.json"`);
+    res.json(evidence);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/close-candidates - Channels the close policy would close, and why
+ */
+app.get('/admin/close-candidates', adminOnly, (req, res) => {
+  if (!closer) {
+    return res.status(503).json({
+      success: false,
+      error: 'Channel closer not running'
+    });
+  }
+
+  res.json({
+    success: true,
+    candidates: closer.candidates()
+  });
+});
+
+/**
+ * POST /admin/channels/:address/close - Ask the client to close a channel now,
+ * whatever the policy says
+ */
+app.post('/admin/channels/:address/close', adminOnly, async (req, res) => {
+  const { address: addr } = req.params;
+  const { reason = 'requested by the operator' } = req.body;
+
+  console.log(chalk.cyan(`\n🔒 Operator close request: ${addr}`));
+
+  try {
+    if (!closer) {
+      throw new Error('Channel closer not running');
+    }
+    const closeRequest = await closer.requestClose(addr, { reason, requestedBy: 'admin' });
+    res.json({
+      success: true,
+      closeRequest
+    });
+  } catch (error) {
+    console.error(chalk.red('Close request failed:'), error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
 // Initialize server
 async function startServer() {
   const abi = await loadChannelContract();
 
+  if (process.env.PAYMENT_TOKEN) {
+    paymentToken = await loadTokenAsset(provider, process.env.PAYMENT_TOKEN);
+    console.log(chalk.green(`✓ Accepting ${paymentToken.symbol} (${paymentToken.decimals} decimals) at ${paymentToken.token}\n`));
+  }
+
+  const logColors = { info: chalk.gray, success: chalk.green, warning: chalk.yellow, error: chalk.red };
+
+  catalog = new Catalog({
+    root: process.env.CATALOG_DIR || path.join(__dirname, '..', 'content'),
+    tokenDecimals: paymentToken?.decimals ?? null,
+    log: (message, level) => console.log(logColors[level](`📹 ${message}`))
+  });
+  const problems = await catalog.load();
+  console.log(chalk.green(`✓ Loaded ${catalog.size} title(s) from ${catalog.root}${problems.length ? `, ${problems.length} with problems (see above)` : ''}\n`));
+  if (process.env.CATALOG_WATCH !== 'off') {
+    catalog.watch();
+  }
+
+  store = await createStore({
+    backend: process.env.STORE_BACKEND || 'file',
+    filePath: process.env.STORE_PATH || path.join(__dirname, 'data', 'store.json')
+  });
+  console.log(chalk.green(`✓ Loaded ${store.channels.keys().length} channel(s) from store\n`));
+
+  revocationSecrets = new RevocationSecretManager(
+    await loadMasterKey(process.env.REVOCATION_KEY_PATH || path.join(__dirname, 'data', 'revocation-master.key'))
+  );
+
+  accessTokens = new AccessTokenManager({
+    store,
+    keyPath: process.env.ACCESS_TOKEN_KEYS_PATH || path.join(__dirname, 'data', 'access-token-keys.json'),
+    ttl: Number(process.env.ACCESS_TOKEN_TTL || 900),
+    rotationInterval: Number(process.env.ACCESS_TOKEN_KEY_ROTATION || 86400)
+  });
+  await accessTokens.init();
+
+  invoices = new InvoiceBook({
+    store,
+    ttl: Number(process.env.INVOICE_TTL || DEFAULT_INVOICE_TTL),
+    retention: Number(process.env.INVOICE_RETENTION || 86400),
+    log: (message, level) => console.log(logColors[level](`🧾 ${message}`))
+  });
+  await invoices.start();
+
+  // Log polling for the watchtower, channel monitor and discovery
+  const chainPolling = {
+    pollInterval: Number(process.env.CHAIN_POLL_INTERVAL || 5000),
+    confirmations: Number(process.env.CHAIN_CONFIRMATIONS || 0),
+    blockRange: Number(process.env.CHAIN_BLOCK_RANGE || 2000)
+  };
+
+  if (process.env.WATCHTOWER === 'off') {
+    console.log(chalk.yellow('⚠ Watchtower disabled (WATCHTOWER=off)\n'));
+  } else if (!abi) {
+    console.log(chalk.yellow('⚠ Watchtower not started: contract ABI not loaded\n'));
+  } else {
+    watchtower = new Watchtower({
+      wallet: serverWallet,
+      store,
+      abi,
+      ...chainPolling,
+      log: (message, level) => console.log(logColors[level](`🗼 ${message}`))
+    });
+    await watchtower.start();
+  }
+
+  if (process.env.CHANNEL_MONITOR === 'off') {
+    console.log(chalk.yellow('⚠ Channel monitor disabled (CHANNEL_MONITOR=off): purchases are not checked against on-chain state\n'));
+  } else if (!abi) {
+    console.log(chalk.yellow('⚠ Channel monitor not started: contract ABI not loaded\n'));
+  } else {
+    monitor = new ChannelMonitor({
+      provider,
+      store,
+      abi,
+      ...chainPolling,
+      refreshInterval: Number(process.env.CHANNEL_REFRESH_INTERVAL || 60000),
+      log: (message, level) => console.log(logColors[level](`📡 ${message}`))
+    });
+    await monitor.start();
+  }
+
+  if (!channelFactory) {
+    console.log(chalk.yellow('⚠ Channel discovery not started: no channel factory\n'));
+  } else {
+    discovery = new ChannelDiscovery({
+      factory: channelFactory,
+      partyB: serverWallet.address,
+      store,
+      fromBlock: process.env.CHANNEL_FACTORY_START_BLOCK ? Number(process.env.CHANNEL_FACTORY_START_BLOCK) : undefined,
+      ...chainPolling,
+      log: (message, level) => console.log(logColors[level](`🔎 ${message}`))
+    });
+    await discovery.start();
+  }
+
+  if (!abi) {
+    console.log(chalk.yellow('⚠ Channel closer not started: contract ABI not loaded\n'));
+  } else {
+    // Wei for ETH channels, whole tokens for token channels (like token prices)
+    const { CLOSE_REVENUE_THRESHOLD: ethThreshold, CLOSE_REVENUE_THRESHOLD_TOKEN: tokenThreshold } = process.env;
+    const revenueThreshold = asset => {
+      if (!asset.token) return ethThreshold || null;
+      return tokenThreshold ? ethers.parseUnits(tokenThreshold, asset.decimals).toString() : null;
+    };
+
+    closer = new ChannelCloser({
+      wallet: serverWallet,
+      store,
+      invoices,
+      abi,
+      policy: {
+        idleDays: Number(process.env.CLOSE_IDLE_DAYS || 0),
+        minBalance: process.env.CLOSE_BELOW_CHEAPEST_PRICE === 'on' ? cheapestPrice : null,
+        revenueThreshold: ethThreshold || tokenThreshold ? revenueThreshold : null
+      },
+      responseWindow: Number(process.env.CLOSE_RESPONSE_WINDOW || 86400),
+      checkInterval: Number(process.env.CLOSE_CHECK_INTERVAL || 300),
+      log: (message, level) => console.log(logColors[level](`🔒 ${message}`))
+    });
+    await closer.start();
+  }
+
   app.listen(PORT, () => {
     console.log(chalk.green.bold(`\n✓ Video streaming server running on http://localhost:${PORT}\n`));
 
     console.log(chalk.yellow('Available endpoints:'));
     console.log(chalk.white('  GET  /catalog                        - List available videos'));
     console.log(chalk.white('  GET  /video/:videoId/preview         - Get free preview segment'));
-    console.log(chalk.white('  GET  /video/:videoId/playlist.m3u8   - Get HLS playlist (requires purchase)'));
-    console.log(chalk.white('  GET  /video/:videoId/segment/:name   - Get video segment'));
+    console.log(chalk.white('  GET  /video/:videoId/playlist.m3u8   - Get HLS playlist (requires access token)'));
+    console.log(chalk.white('  GET  /video/:videoId/segment/:name   - Get video segment (requires access token)'));
     console.log(chalk.white('  POST /purchase-video                 - Purchase full video or segment'));
     console.log(chalk.white('  POST /submit-video-payment           - Submit payment commitment'));
+    console.log(chalk.white('  POST /reveal-revocation              - Revoke previous state, unlock content'));
+    console.log(chalk.white('  GET  /invoice/:id                    - Get invoice status'));
+    console.log(chalk.white('  POST /invoice/:id/cancel             - Cancel an unpaid invoice'));
+    console.log(chalk.white('  POST /invoice/:id/requote            - Replace a stale invoice'));
+    console.log(chalk.white('  POST /access-token                   - Refresh a content access token'));
+    console.log(chalk.white('  POST /access-token/revoke            - Revoke an access token'));
     console.log(chalk.white('  GET  /channel/:address               - Get channel state'));
-    console.log(chalk.white('  GET  /contract                       - Get contract ABI/bytecode'));
+    console.log(chalk.white('  GET  /contract                       - Get channel ABI and factory'));
+    console.log(chalk.white('  GET  /discovered-channels/:partyA    - Channels created toward the server'));
     console.log(chalk.white('  GET  /server-info                    - Get server address'));
     console.log(chalk.white('  POST /sign-initial-commitment        - Sign initial commitment'));
     console.log(chalk.white('  POST /register-channel               - Register client-created channel'));
     console.log(chalk.white('  POST /close-channel                  - Request cooperative close'));
+    console.log(chalk.white('  GET  /channel/:addr/close-request    - Server\'s request to close the channel'));
+    console.log(chalk.white('  POST /channel/:addr/close-request/accept - Accept it with PartyA\'s close signature'));
+    console.log(chalk.white('  GET  /admin/channels                 - Channels with off-chain and on-chain balances (admin)'));
+    console.log(chalk.white('  GET  /admin/revenue                  - Revenue per video and time window (admin)'));
+    console.log(chalk.white('  GET  /admin/invoices                 - Open invoices (admin)'));
+    console.log(chalk.white('  GET  /admin/access                   - Access grants (admin)'));
+    console.log(chalk.white('  POST /admin/access/revoke            - Revoke a channel\'s access to a video (admin)'));
+    console.log(chalk.white('  GET  /admin/channels/:addr/evidence  - Signed commitment evidence (admin)'));
+    console.log(chalk.white('  GET  /admin/close-candidates         - Channels the close policy would close (admin)'));
+    console.log(chalk.white('  POST /admin/channels/:addr/close     - Request a channel close (admin)'));
     console.log(chalk.white('  GET  /channel-status/:addr           - On-chain channel status\n'));
 
     console.log(chalk.cyan('🎬 Serving video content with HLS streaming'));
-    console.log(chalk.cyan('📹 ' + Object.keys(videoCatalog).length + ' videos available in catalog'));
+    console.log(chalk.cyan('📹 ' + catalog.size + ' videos available in catalog'));
     console.log(chalk.cyan('Waiting for client requests...\n'));
   });
 }
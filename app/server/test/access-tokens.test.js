@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AccessTokenManager, tokenCovers } from '../lib/access-tokens.js';
+import { MemoryStoreBackend, ServerStore } from '../lib/store.js';
+
+const channelAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const fullVideo = { channelAddress, videoId: 'video-1', segments: '*' };
+
+async function setup(options = {}) {
+  const store = new ServerStore(new MemoryStoreBackend());
+  await store.init();
+  const keyPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'access-tokens-')), 'keys.json');
+  const tokens = new AccessTokenManager({ store, keyPath, ...options });
+  await tokens.init();
+  clearInterval(tokens.timer);
+  return { store, tokens, keyPath };
+}
+
+// Revocations compare millisecond timestamps
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+test('an issued token verifies and carries its claims', async () => {
+  const { tokens, keyPath } = await setup();
+  const { token, expiresAt } = tokens.issue(fullVideo);
+
+  const claims = tokens.verify(token);
+  assert.equal(claims.channel, channelAddress);
+  assert.equal(claims.videoId, 'video-1');
+  assert.equal(claims.segments, '*');
+  assert.equal(claims.exp, expiresAt);
+  assert.equal(expiresAt - claims.iat, 900000);
+  assert.equal((await fs.stat(keyPath)).mode & 0o777, 0o600);
+});
+
+test('malformed and tampered tokens are refused', async () => {
+  const { tokens } = await setup();
+  const { token } = tokens.issue({ ...fullVideo, segments: ['video10.ts'] });
+  const [version, kid, payload, mac] = token.split('.');
+
+  for (const malformed of [undefined, '', 'v1.a.b', `v2.${kid}.${payload}.${mac}`]) {
+    assert.throws(() => tokens.verify(malformed), { name: 'AccessTokenError', message: 'Malformed access token' });
+  }
+
+  // Widening the segments to the whole video breaks the MAC
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const widened = Buffer.from(JSON.stringify({ ...claims, segments: '*' })).toString('base64url');
+  assert.throws(() => tokens.verify(`${version}.${kid}.${widened}.${mac}`), { message: 'Invalid access token signature' });
+
+  const flipped = (mac[0] === 'A' ? 'B' : 'A') + mac.slice(1);
+  assert.throws(() => tokens.verify(`${version}.${kid}.${payload}.${flipped}`), { message: 'Invalid access token signature' });
+  assert.throws(() => tokens.verify(`${version}.${kid}.${payload}.${mac.slice(1)}`), { message: 'Invalid access token signature' });
+});
+
+test('expired tokens are refused', async () => {
+  const { tokens } = await setup({ ttl: 0 });
+  const { token } = tokens.issue(fullVideo);
+  assert.throws(() => tokens.verify(token), { message: 'Access token expired' });
+});
+
+test('retired keys verify for one token lifetime, removed and unknown keys never', async () => {
+  const { tokens } = await setup();
+  const { token: oldToken } = tokens.issue(fullVideo);
+  const oldKid = oldToken.split('.')[1];
+
+  await tokens.rotateKey();
+  assert.notEqual(tokens.currentKey().kid, oldKid);
+  assert.equal(tokens.verify(oldToken).videoId, 'video-1');
+  assert.notEqual(tokens.issue(fullVideo).token.split('.')[1], oldKid);
+
+  // Once retired longer than the token lifetime, the key is dropped at the next rotation
+  tokens.keys.find(key => key.kid === oldKid).retiredAt = Date.now() - 900000;
+  await tokens.rotateKey();
+  assert.equal(tokens.keys.some(key => key.kid === oldKid), false);
+  assert.throws(() => tokens.verify(oldToken), { message: 'Access token signed with an unknown key' });
+
+  // Removing a key invalidates its tokens at once
+  const { token } = tokens.issue(fullVideo);
+  await tokens.removeKey(tokens.currentKey().kid);
+  assert.throws(() => tokens.verify(token), { message: 'Access token signed with an unknown key' });
+  assert.ok(tokens.currentKey());
+  await assert.rejects(tokens.removeKey('no-such-key'), { name: 'AccessTokenError' });
+});
+
+test('keys survive a restart', async () => {
+  const { store, tokens, keyPath } = await setup();
+  const { token } = tokens.issue(fullVideo);
+
+  const restarted = new AccessTokenManager({ store, keyPath });
+  await restarted.init();
+  clearInterval(restarted.timer);
+  assert.equal(restarted.verify(token).videoId, 'video-1');
+});
+
+test('a revoked token is refused until its revocation expires', async () => {
+  const { store, tokens } = await setup();
+  const { token } = tokens.issue(fullVideo);
+  const other = tokens.issue(fullVideo).token;
+
+  const claims = tokens.verify(token);
+  await tokens.revoke(claims);
+  assert.throws(() => tokens.verify(token), { message: 'Access token revoked' });
+  assert.equal(tokens.verify(other).videoId, 'video-1');
+
+  // Rotation drops revocations of tokens that have expired anyway
+  await store.transaction(tx => {
+    tx.revokedTokens.get(claims.jti).expiresAt = Date.now() - 1;
+  });
+  await tokens.rotateKey();
+  assert.equal(store.revokedTokens.has(claims.jti), false);
+});
+
+test('the channel cutoff revokes every earlier token of the channel, in any letter case', async () => {
+  const { tokens } = await setup();
+  const before = tokens.issue({ ...fullVideo, channelAddress: channelAddress.toLowerCase() }).token;
+  const otherChannel = tokens.issue({ ...fullVideo, channelAddress: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512' }).token;
+
+  await tick();
+  await tokens.revokeChannel(channelAddress);
+  await tick();
+
+  assert.throws(() => tokens.verify(before), { message: 'Access token revoked' });
+  assert.equal(tokens.verify(otherChannel).videoId, 'video-1');
+  assert.equal(tokens.verify(tokens.issue(fullVideo).token).channel, channelAddress);
+});
+
+test('a token covers its video, and only the segments it names', () => {
+  const full = { videoId: 'video-1', segments: '*' };
+  const some = { videoId: 'video-1', segments: ['video10.ts', 'video11.ts'] };
+
+  assert.equal(tokenCovers(full, 'video-1'), true);
+  assert.equal(tokenCovers(full, 'video-1', 'video19.ts'), true);
+  assert.equal(tokenCovers(full, 'video-2'), false);
+  assert.equal(tokenCovers(full, 'video-2', 'video10.ts'), false);
+
+  assert.equal(tokenCovers(some, 'video-1'), true);
+  assert.equal(tokenCovers(some, 'video-1', 'video11.ts'), true);
+  assert.equal(tokenCovers(some, 'video-1', 'video12.ts'), false);
+  assert.equal(tokenCovers({ videoId: 'video-1', segments: [] }, 'video-1', 'video10.ts'), false);
+});
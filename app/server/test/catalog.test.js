@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Catalog } from '../lib/catalog.js';
+
+const PLAYLIST = '#EXTM3U\n#EXTINF:4.0,\nvideo10.ts\n#EXTINF:2.5,\nvideo11.ts\n#EXT-X-ENDLIST\n';
+
+async function writeTitle(root, id, manifest, files = ['video10.ts', 'video11.ts']) {
+  const dir = path.join(root, id);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'video.json'), JSON.stringify({ pricePerSegment: '10', fullPrice: '15', ...manifest }));
+  await fs.writeFile(path.join(dir, 'playlist.m3u8'), PLAYLIST);
+  for (const name of files) {
+    await fs.writeFile(path.join(dir, name), '');
+  }
+}
+
+test('titles come from their manifest and playlist; missing files are reported', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-'));
+  await writeTitle(root, 'video-1', { title: 'One', thumbnail: 'thumbnail.jpg' }, ['video10.ts']);
+
+  const catalog = new Catalog({ root });
+  const problems = await catalog.load();
+
+  const video = catalog.get('video-1');
+  assert.deepEqual(video.segments, ['video10.ts', 'video11.ts']);
+  assert.equal(video.previewSegment, 'video10.ts');
+  assert.equal(video.duration, 7);
+  assert.deepEqual(problems, [{ videoId: 'video-1', missing: ['video11.ts', 'thumbnail.jpg'] }]);
+});
+
+test('token prices are required only with a payment token', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-'));
+  await writeTitle(root, 'video-1', { title: 'One' });
+
+  assert.deepEqual(await new Catalog({ root }).load(), []);
+
+  const tokenCatalog = new Catalog({ root, tokenDecimals: 6 });
+  const problems = await tokenCatalog.load();
+  assert.equal(tokenCatalog.size, 0);
+  assert.match(problems[0].error, /tokenPricePerSegment/);
+});
+
+test('a reload asked for during a load runs once more afterwards', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-'));
+  await writeTitle(root, 'video-1', { title: 'Before' });
+  const catalog = new Catalog({ root });
+  await catalog.load();
+
+  let loads = 0;
+  const load = catalog.load.bind(catalog);
+  catalog.load = async () => {
+    loads++;
+    return load();
+  };
+
+  const running = catalog.reload();
+  // The edit lands while the first reload is in flight
+  await writeTitle(root, 'video-1', { title: 'After' });
+  catalog.reload();
+  catalog.reload();
+  await running;
+
+  assert.equal(loads, 2);
+  assert.equal(catalog.get('video-1').title, 'After');
+  assert.equal(catalog.loading, null);
+});
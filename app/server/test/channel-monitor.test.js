@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { ethers } from 'ethers';
+import { ChannelMonitor } from '../lib/channel-monitor.js';
+import { MemoryStoreBackend, ServerStore } from '../lib/store.js';
+
+const { abi } = JSON.parse(await fs.readFile(new URL('../../shared/BidirectionalChannel.json', import.meta.url), 'utf8'));
+
+const channelAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const buyer = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const server = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const STATE_OPEN = 1;
+
+// A channel at nonce 2 (balances 800/200) with a signed splice adding 500 for the buyer
+function channelRecord({ deadline = Math.floor(Date.now() / 1000) + 600 } = {}) {
+  return {
+    partyA: buyer,
+    latestNonce: 2,
+    currentPartyABalance: '800',
+    currentPartyBBalance: '200',
+    commitments: [{ nonce: 2, partyABalance: '800', partyBBalance: '200' }],
+    pendingSplice: {
+      nonce: 3,
+      partyABalance: '1300',
+      partyBBalance: '200',
+      depositA: '500',
+      withdrawA: '0',
+      deadline,
+      commitmentHash: ethers.id('commitment-3'),
+      partyARevocationHash: ethers.id('buyer-3'),
+      partyBRevocationHash: ethers.id('server-3'),
+      partyACommitmentSignature: '0xa3',
+      partyBCommitmentSignature: '0xb3',
+      status: 'signed'
+    }
+  };
+}
+
+async function setup(channel, chain) {
+  const store = new ServerStore(new MemoryStoreBackend());
+  await store.init();
+  await store.transaction(tx => tx.channels.set(channelAddress, channel));
+
+  const provider = { getBlockNumber: async () => 100, getLogs: async () => [] };
+  const logged = [];
+  const monitor = new ChannelMonitor({ provider, store, abi, log: (message, level) => logged.push([message, level]) });
+  monitor.contractFor = () => ({
+    getChannelInfo: async () => [buyer, server, chain.balance, BigInt(STATE_OPEN), chain.latestNonce]
+  });
+  return { store, monitor, provider, logged };
+}
+
+test('a splice executed on-chain becomes the base state without a confirmation', async () => {
+  const { store, monitor, provider, logged } = await setup(channelRecord(), { balance: 1500n, latestNonce: 3n });
+
+  const iface = new ethers.Interface(abi);
+  const { data, topics } = iface.encodeEventLog('ChannelSpliced', [3, 500, 0, 0, 0, 1500]);
+  provider.getLogs = async () => [{ address: channelAddress.toLowerCase(), data, topics, blockNumber: 42, transactionHash: '0x01' }];
+  await monitor.processRange(40, 45);
+
+  const channel = store.channels.get(channelAddress);
+  assert.equal(channel.pendingSplice, undefined);
+  assert.equal(channel.latestNonce, 3);
+  assert.deepEqual([channel.currentPartyABalance, channel.currentPartyBBalance], ['1300', '200']);
+  assert.deepEqual(channel.commitments.at(-1).splice, { depositA: '500', withdrawA: '0' });
+  assert.equal(channel.commitments.at(-1).partyBSignature, '0xb3');
+  assert.equal(channel.onChain.lastEvent.name, 'ChannelSpliced');
+  assert.deepEqual(logged[0], [`${channelAddress} spliced on-chain at nonce 3; adopted as the base state`, 'info']);
+});
+
+test('a signed splice is kept until it lands or its deadline passes', async () => {
+  const chain = { balance: 1000n, latestNonce: 0n };
+
+  // Not on-chain yet and still executable
+  const { store, monitor } = await setup(channelRecord(), chain);
+  await monitor.refresh(channelAddress);
+  assert.equal(store.channels.get(channelAddress).pendingSplice.status, 'signed');
+
+  // Expired, but block timestamps may lag: kept for the margin
+  const recent = await setup(channelRecord({ deadline: Math.floor(Date.now() / 1000) - 10 }), chain);
+  await recent.monitor.refresh(channelAddress);
+  assert.equal(recent.store.channels.get(channelAddress).pendingSplice.status, 'signed');
+
+  const expired = await setup(channelRecord({ deadline: Math.floor(Date.now() / 1000) - 120 }), chain);
+  await expired.monitor.refresh(channelAddress);
+  const channel = expired.store.channels.get(channelAddress);
+  assert.equal(channel.pendingSplice, undefined);
+  assert.equal(channel.latestNonce, 2);
+  assert.equal(channel.currentPartyABalance, '800');
+  assert.equal(expired.logged[0][1], 'warning');
+});
@@ -0,0 +1,247 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ChannelCloser, CLOSE_REQUEST_STATUS } from '../lib/closer.js';
+import { closeTypedData } from '../lib/commitment.js';
+import { InvoiceBook } from '../lib/invoices.js';
+import { MemoryStoreBackend, ServerStore } from '../lib/store.js';
+
+const channelAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const chainId = 31337n;
+const serverWallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const buyerWallet = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const DAY = 24 * 60 * 60 * 1000;
+const STATE = { FUNDING: 0, OPEN: 1, DISPUTED: 2, CLOSED: 3 };
+
+function commitment(nonce, partyABalance, partyBBalance, timestamp) {
+  return {
+    nonce,
+    partyABalance,
+    partyBBalance,
+    partyARevocationHash: ethers.id(`buyer-${nonce}`),
+    partyBRevocationHash: ethers.id(`server-${nonce}`),
+    partyASignature: `0xa${nonce}`,
+    partyBSignature: `0xb${nonce}`,
+    timestamp
+  };
+}
+
+// Deposits of 1000/0, two payments of 100 each
+function channelRecord(extra = {}) {
+  return {
+    partyA: buyerWallet.address,
+    latestNonce: 2,
+    initialBalanceA: '1000',
+    initialBalanceB: '0',
+    currentPartyABalance: '800',
+    currentPartyBBalance: '200',
+    registeredAt: 1000,
+    commitments: [commitment(0, '1000', '0', 1000), commitment(1, '900', '100', 2000), commitment(2, '800', '200', 3000)],
+    onChain: { state: 'OPEN' },
+    ...extra
+  };
+}
+
+// The channel contract as the closer reads and calls it; tests move its state
+function fakeContract({ state = STATE.OPEN, balance = 1000n, deadline = 0n } = {}) {
+  const contract = {
+    state,
+    balance,
+    deadline,
+    calls: [],
+    getChannelInfo: async () => [buyerWallet.address, serverWallet.address, contract.balance, BigInt(contract.state), 2n],
+    channelState: async () => BigInt(contract.state),
+    disputeDeadline: async () => contract.deadline
+  };
+  for (const name of ['cooperativeClose', 'initiateDispute', 'finalizeDispute']) {
+    contract[name] = async (...args) => {
+      contract.calls.push({ name, args });
+      return { hash: `0x${contract.calls.length.toString(16).padStart(64, '0')}`, wait: async () => {} };
+    };
+  }
+  return contract;
+}
+
+async function setup({ channel = channelRecord(), contract = fakeContract(), policy, responseWindow } = {}) {
+  const store = new ServerStore(new MemoryStoreBackend());
+  await store.init();
+  await store.transaction(tx => tx.channels.set(channelAddress, channel));
+
+  const chain = { timestamp: Math.floor(Date.now() / 1000) };
+  const provider = {
+    getNetwork: async () => ({ chainId }),
+    getBlock: async () => ({ timestamp: chain.timestamp })
+  };
+  const wallet = { address: serverWallet.address, provider, signTypedData: (...args) => serverWallet.signTypedData(...args) };
+  const invoices = new InvoiceBook({ store });
+  const closer = new ChannelCloser({ wallet, store, invoices, abi: [], policy, responseWindow });
+  closer.contractFor = () => contract;
+  return { store, invoices, closer, contract, chain };
+}
+
+const closeRequestOf = store => store.channels.get(channelAddress).closeRequest;
+
+test('each policy rule triggers on its own and only when configured', async () => {
+  const now = 3000 + 10 * DAY;
+  const { closer } = await setup();
+  assert.deepEqual(closer.reasons(channelRecord(), now), []);
+  assert.equal(closer.policyEnabled, false);
+
+  closer.policy = { idleDays: 7 };
+  assert.deepEqual(closer.reasons(channelRecord(), now), ['idle for 10 days']);
+  assert.deepEqual(closer.reasons(channelRecord(), 3000 + 6 * DAY), []);
+
+  closer.policy = { minBalance: () => '801' };
+  assert.deepEqual(closer.reasons(channelRecord(), now), ['buyer balance below the cheapest price']);
+  closer.policy = { minBalance: () => '800' };
+  assert.deepEqual(closer.reasons(channelRecord(), now), []);
+
+  // Revenue counts what the server earned, not its deposit
+  closer.policy = { revenueThreshold: () => '200' };
+  assert.deepEqual(closer.reasons(channelRecord(), now), ['revenue threshold reached']);
+  assert.deepEqual(closer.reasons(channelRecord({ initialBalanceB: '100', currentPartyBBalance: '250' }), now), []);
+
+  closer.policy = { idleDays: 7, minBalance: () => '900', revenueThreshold: () => '100' };
+  assert.equal(closer.reasons(channelRecord(), now).length, 3);
+});
+
+test('channels busy or not open are never policy candidates', async () => {
+  const { closer } = await setup({ policy: { idleDays: 1 } });
+  const now = 3000 + 10 * DAY;
+
+  for (const busy of [
+    { pendingFunding: true },
+    { closeRequest: { status: CLOSE_REQUEST_STATUS.CLOSED } },
+    { onChain: { state: 'DISPUTED' } },
+    { pendingRevocation: { nonce: 2 } },
+    { pendingSplice: { status: 'signed', nonce: 3 } }
+  ]) {
+    assert.deepEqual(closer.reasons(channelRecord(busy), now), [], JSON.stringify(busy));
+  }
+  // A splice whose deadline passed can no longer land
+  const expired = { status: 'signed', nonce: 3, deadline: Math.floor(now / 1000) - 120 };
+  assert.deepEqual(closer.reasons(channelRecord({ pendingSplice: expired }), now), ['idle for 10 days']);
+  assert.deepEqual(closer.candidates().map(candidate => candidate.channelAddress), [channelAddress]);
+});
+
+test('a close request signs the latest balances and blocks new ones', async () => {
+  const { store, closer } = await setup({ responseWindow: 60 });
+  const before = Date.now();
+
+  const request = await closer.requestClose(channelAddress, { reason: 'testing', requestedBy: 'admin' });
+
+  assert.equal(request.status, CLOSE_REQUEST_STATUS.REQUESTED);
+  assert.deepEqual([request.nonce, request.balanceA, request.balanceB], [2, '800', '200']);
+  assert.ok(request.deadline >= before + 60000);
+  const typed = closeTypedData({ channelAddress, chainId, balanceA: '800', balanceB: '200' });
+  assert.equal(ethers.verifyTypedData(typed.domain, typed.types, typed.message, request.partyBSignature), serverWallet.address);
+  assert.deepEqual(closeRequestOf(store), request);
+
+  await assert.rejects(closer.requestClose(channelAddress, { reason: 'again', requestedBy: 'admin' }), /already requested/);
+});
+
+test('no close is requested against a channel that moved or is busy', async () => {
+  const cases = [
+    [{ contract: fakeContract({ state: STATE.DISPUTED }) }, /DISPUTED on-chain/],
+    [{ contract: fakeContract({ balance: 900n }) }, /does not match the tracked balances/],
+    [{ channel: channelRecord({ pendingRevocation: { nonce: 2 } }) }, /awaiting the revocation secret/],
+    [{ channel: channelRecord({ pendingSplice: { status: 'signed', nonce: 3 } }) }, /must be confirmed or expire first/]
+  ];
+  for (const [options, error] of cases) {
+    const { store, closer } = await setup(options);
+    await assert.rejects(closer.requestClose(channelAddress, { reason: 'testing', requestedBy: 'admin' }), error);
+    assert.equal(closeRequestOf(store), undefined);
+  }
+
+  const { store, invoices, closer } = await setup();
+  await invoices.issue(channelAddress, { videoId: 'video-1', purchaseType: 'full', segmentName: null, partyAAddress: buyerWallet.address },
+    (tx, channel) => ({ id: 'invoice-1', nonce: channel.latestNonce + 1 }));
+  await assert.rejects(closer.requestClose(channelAddress, { reason: 'testing', requestedBy: 'admin' }), /Invoice invoice-1 is still open/);
+  assert.equal(closeRequestOf(store), undefined);
+});
+
+test('the buyer\'s signature closes the channel cooperatively', async () => {
+  const { store, closer, contract } = await setup();
+  const request = await closer.requestClose(channelAddress, { reason: 'testing', requestedBy: 'admin' });
+  const typed = closeTypedData({ channelAddress, chainId, balanceA: '800', balanceB: '200' });
+
+  const stranger = ethers.Wallet.createRandom();
+  await assert.rejects(closer.accept(channelAddress, await stranger.signTypedData(typed.domain, typed.types, typed.message)), /not from partyA/);
+  await assert.rejects(closer.accept(channelAddress, '0x1234'), /Malformed close signature/);
+  assert.deepEqual(contract.calls, []);
+
+  const partyASignature = await buyerWallet.signTypedData(typed.domain, typed.types, typed.message);
+  const closed = await closer.accept(channelAddress, partyASignature);
+
+  assert.deepEqual(contract.calls, [{ name: 'cooperativeClose', args: [800n, 200n, partyASignature, request.partyBSignature] }]);
+  assert.equal(closed.status, CLOSE_REQUEST_STATUS.CLOSED);
+  assert.equal(closed.outcome, 'cooperative');
+  assert.deepEqual(closeRequestOf(store), closed);
+  await assert.rejects(closer.accept(channelAddress, partyASignature), /Close request is closed/);
+});
+
+test('an unanswered request is disputed after the window, then finalized', async () => {
+  const { store, closer, contract, chain } = await setup({ responseWindow: 0 });
+  await closer.requestClose(channelAddress, { reason: 'testing', requestedBy: 'admin' });
+
+  await closer.tick();
+  const latest = commitment(2, '800', '200');
+  assert.deepEqual(contract.calls, [{
+    name: 'initiateDispute',
+    args: [2, 800n, 200n, latest.partyARevocationHash, latest.partyBRevocationHash, latest.partyASignature, latest.partyBSignature]
+  }]);
+  assert.equal(closeRequestOf(store).status, CLOSE_REQUEST_STATUS.DISPUTED);
+  assert.equal(closeRequestOf(store).disputedNonce, 2);
+
+  // The chain is disputed now; nothing happens before the dispute deadline
+  contract.state = STATE.DISPUTED;
+  contract.deadline = BigInt(chain.timestamp + 3600);
+  await closer.tick();
+  assert.equal(contract.calls.length, 1);
+
+  chain.timestamp += 3600;
+  await closer.tick();
+  assert.equal(contract.calls[1].name, 'finalizeDispute');
+  assert.equal(closeRequestOf(store).status, CLOSE_REQUEST_STATUS.CLOSED);
+  assert.equal(closeRequestOf(store).outcome, 'dispute');
+});
+
+test('a request the buyer answers with a dispute is marked disputed and finalized', async () => {
+  const { store, closer, contract, chain } = await setup();
+  await closer.requestClose(channelAddress, { reason: 'testing', requestedBy: 'admin' });
+
+  // Still inside the response window, the buyer disputes instead of closing
+  contract.state = STATE.DISPUTED;
+  contract.deadline = BigInt(chain.timestamp + 3600);
+  await closer.tick();
+  assert.deepEqual(contract.calls, []);
+  assert.equal(closeRequestOf(store).status, CLOSE_REQUEST_STATUS.DISPUTED);
+  assert.equal(closeRequestOf(store).disputeDeadline, (chain.timestamp + 3600) * 1000);
+
+  chain.timestamp += 3600;
+  await closer.tick();
+  assert.deepEqual(contract.calls.map(call => call.name), ['finalizeDispute']);
+  assert.equal(closeRequestOf(store).status, CLOSE_REQUEST_STATUS.CLOSED);
+});
+
+test('a close by the buyer on-chain ends the request', async () => {
+  const { store, closer, contract } = await setup();
+  await closer.requestClose(channelAddress, { reason: 'testing', requestedBy: 'admin' });
+
+  await closer.tick();
+  assert.equal(closeRequestOf(store).status, CLOSE_REQUEST_STATUS.REQUESTED);
+
+  contract.state = STATE.CLOSED;
+  await closer.tick();
+  assert.equal(closeRequestOf(store).status, CLOSE_REQUEST_STATUS.CLOSED);
+  assert.equal(closeRequestOf(store).outcome, 'cooperative');
+  assert.deepEqual(contract.calls, []);
+});
+
+test('a tick requests the closes the policy asks for', async () => {
+  const { store, closer } = await setup({ policy: { minBalance: () => '900' } });
+
+  await closer.tick();
+  assert.equal(closeRequestOf(store).requestedBy, 'policy');
+  assert.equal(closeRequestOf(store).reason, 'buyer balance below the cheapest price');
+});
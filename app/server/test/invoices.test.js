@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INVOICE_STATUS, InvoiceBook, InvoiceError } from '../lib/invoices.js';
+import { MemoryStoreBackend, ServerStore } from '../lib/store.js';
+
+const channelA = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const channelB = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const buyer = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const fullVideo = { videoId: 'video-1', purchaseType: 'full', segmentName: null, partyAAddress: buyer };
+const segment = { videoId: 'video-1', purchaseType: 'segment', segmentName: 'video12.ts', partyAAddress: buyer };
+
+async function setup(options = {}) {
+  const store = new ServerStore(new MemoryStoreBackend());
+  await store.init();
+  await store.transaction(tx => {
+    tx.channels.set(channelA, { latestNonce: 4 });
+    tx.channels.set(channelB, { latestNonce: 0 });
+  });
+  return { store, invoices: new InvoiceBook({ store, ...options }) };
+}
+
+// Quotes the channel's next nonce, like quoteInvoice in server.js
+let quotes = 0;
+function quote(tx, channel) {
+  quotes++;
+  return { id: `invoice-${quotes}`, nonce: channel.latestNonce + 1 };
+}
+
+// Moves the invoice on to awaiting_revocation, as /submit-video-payment does
+async function pay(store, id) {
+  await store.transaction(tx => {
+    const invoice = tx.invoices.get(id);
+    invoice.status = INVOICE_STATUS.AWAITING_REVOCATION;
+    tx.channels.get(invoice.channelAddress).latestNonce = invoice.nonce;
+  });
+}
+
+test('an invoice reserves its channel\'s next nonce', async () => {
+  const { store, invoices } = await setup({ ttl: 60 });
+  const { id, invoice, reused } = await invoices.issue(channelA, fullVideo, quote);
+
+  assert.equal(reused, false);
+  assert.equal(invoice.nonce, 5);
+  assert.equal(invoice.status, INVOICE_STATUS.ISSUED);
+  assert.equal(invoice.channelAddress, channelA);
+  assert.equal(invoice.expiresAt - invoice.timestamp, 60000);
+  assert.deepEqual(store.invoices.get(id), invoice);
+});
+
+test('concurrent purchases on one channel never share a nonce', async () => {
+  const { invoices } = await setup();
+
+  const results = await Promise.allSettled([
+    invoices.issue(channelA, fullVideo, quote),
+    invoices.issue(channelA, segment, quote),
+    invoices.issue(channelB, segment, quote)
+  ]);
+
+  assert.equal(results[0].status, 'fulfilled');
+  assert.equal(results[1].status, 'rejected');
+  assert.ok(results[1].reason instanceof InvoiceError);
+  assert.equal(results[1].reason.code, 'INVOICE_PENDING');
+  assert.equal(results[1].reason.invoiceId, results[0].value.id);
+
+  // Other channels are independent
+  assert.equal(results[2].value.invoice.nonce, 1);
+});
+
+test('asking again for the same item returns the open invoice', async () => {
+  const { invoices } = await setup();
+  const first = await invoices.issue(channelA, fullVideo, quote);
+  const again = await invoices.issue(channelA, { ...fullVideo, partyAAddress: buyer.toLowerCase() }, quote);
+
+  assert.equal(again.reused, true);
+  assert.equal(again.id, first.id);
+});
+
+test('a paid invoice blocks the channel until the revocation secret arrives', async () => {
+  const { store, invoices } = await setup();
+  const { id } = await invoices.issue(channelA, fullVideo, quote);
+  await pay(store, id);
+
+  // Not even the same item is handed out again
+  await assert.rejects(invoices.issue(channelA, fullVideo, quote), { code: 'REVOCATION_PENDING', message: /nonce 4/ });
+  await assert.rejects(invoices.cancel(id), { code: 'INVOICE_NOT_CANCELLABLE' });
+  assert.throws(() => invoices.assertPayable(store.invoices.get(id), id), { code: 'INVOICE_NOT_PAYABLE' });
+
+  // Once paid, the next invoice quotes the nonce after it
+  await store.transaction(tx => {
+    tx.invoices.get(id).status = INVOICE_STATUS.PAID;
+  });
+  assert.equal((await invoices.issue(channelA, segment, quote)).invoice.nonce, 6);
+});
+
+test('an overdue invoice expires, frees its nonce and cannot be paid', async () => {
+  const { store, invoices } = await setup();
+  const { id } = await invoices.issue(channelA, fullVideo, quote);
+  await store.transaction(tx => {
+    tx.invoices.get(id).expiresAt = Date.now() - 1;
+  });
+
+  assert.throws(() => invoices.assertPayable(store.invoices.get(id), id), { code: 'INVOICE_EXPIRED', status: 410 });
+
+  // The nonce is free again: another item gets it
+  const next = await invoices.issue(channelA, segment, quote);
+  assert.equal(next.invoice.nonce, 5);
+  assert.equal(store.invoices.get(id).status, INVOICE_STATUS.EXPIRED);
+});
+
+test('the sweep expires overdue invoices and removes closed ones after the retention', async () => {
+  const { store, invoices } = await setup({ retention: 60 });
+  const overdue = await invoices.issue(channelA, fullVideo, quote);
+  const stale = await invoices.issue(channelB, fullVideo, quote);
+  await store.transaction(tx => {
+    tx.invoices.get(overdue.id).expiresAt = Date.now() - 1;
+    Object.assign(tx.invoices.get(stale.id), { status: INVOICE_STATUS.PAID, closedAt: Date.now() - 61000 });
+  });
+
+  assert.deepEqual(await invoices.sweep(), { expired: 1, removed: 1 });
+  assert.equal(store.invoices.get(overdue.id).status, INVOICE_STATUS.EXPIRED);
+  assert.equal(store.invoices.has(stale.id), false);
+
+  // Expired just now, so kept until its own retention is over
+  assert.deepEqual(await invoices.sweep(), { expired: 0, removed: 0 });
+});
+
+test('cancelling frees the nonce; unknown invoices are not found', async () => {
+  const { store, invoices } = await setup();
+  const { id } = await invoices.issue(channelA, fullVideo, quote);
+
+  const cancelled = await invoices.cancel(id);
+  assert.equal(cancelled.status, INVOICE_STATUS.CANCELLED);
+  assert.equal(store.invoices.get(id).status, INVOICE_STATUS.CANCELLED);
+
+  // Cancelling twice is harmless
+  assert.equal((await invoices.cancel(id)).status, INVOICE_STATUS.CANCELLED);
+  assert.equal((await invoices.issue(channelA, segment, quote)).invoice.nonce, 5);
+
+  await assert.rejects(invoices.cancel('no-such-invoice'), { code: 'INVOICE_NOT_FOUND', status: 404 });
+});
+
+test('a re-quote replaces the invoice in one step, even after it expired', async () => {
+  const { store, invoices } = await setup();
+  const { id } = await invoices.issue(channelA, fullVideo, quote);
+  await store.transaction(tx => {
+    tx.invoices.get(id).expiresAt = Date.now() - 1;
+  });
+
+  const requoted = await invoices.issue(channelA, fullVideo, quote, { replaces: id });
+  assert.equal(requoted.reused, false);
+  assert.notEqual(requoted.id, id);
+  assert.equal(requoted.invoice.nonce, 5);
+
+  // An expired invoice stays expired, one still open is cancelled
+  const replaced = store.invoices.get(id);
+  assert.equal(replaced.status, INVOICE_STATUS.EXPIRED);
+  assert.equal(replaced.replacedBy, requoted.id);
+
+  const again = await invoices.issue(channelA, fullVideo, quote, { replaces: requoted.id });
+  assert.equal(store.invoices.get(requoted.id).status, INVOICE_STATUS.CANCELLED);
+  assert.equal(store.invoices.get(requoted.id).replacedBy, again.id);
+});
+
+test('a refused re-quote leaves the original invoice open', async () => {
+  const { store, invoices } = await setup();
+  const { id } = await invoices.issue(channelA, fullVideo, quote);
+
+  const refusingQuote = () => {
+    throw new Error('Insufficient channel balance');
+  };
+  await assert.rejects(invoices.issue(channelA, fullVideo, refusingQuote, { replaces: id }), /Insufficient/);
+  assert.equal(store.invoices.get(id).status, INVOICE_STATUS.ISSUED);
+
+  // A paid invoice cannot be re-quoted
+  await pay(store, id);
+  await assert.rejects(invoices.issue(channelA, fullVideo, quote, { replaces: id }), { code: 'INVOICE_NOT_CANCELLABLE' });
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LogPoller } from '../lib/log-poller.js';
+import { MemoryStoreBackend, ServerStore } from '../lib/store.js';
+
+async function setup({ head, processRange, ...options }) {
+  const store = new ServerStore(new MemoryStoreBackend());
+  await store.init();
+  const provider = { getBlockNumber: async () => head.value };
+  return { store, poller: new LogPoller({ provider, store, collection: 'discovery', processRange, ...options }) };
+}
+
+test('new blocks are processed in ranges up to the confirmed head', async () => {
+  const head = { value: 100 };
+  const ranges = [];
+  const { store, poller } = await setup({
+    head,
+    processRange: async (fromBlock, toBlock) => ranges.push([fromBlock, toBlock]),
+    confirmations: 2,
+    blockRange: 10
+  });
+
+  await poller.init(75);
+  assert.equal(poller.cursor(), 74);
+
+  await poller.poll();
+  assert.deepEqual(ranges, [[75, 84], [85, 94], [95, 98]]);
+  assert.equal(store.discovery.get('cursor').blockNumber, 98);
+
+  // Nothing new, nothing processed; a later head continues from the cursor
+  await poller.poll();
+  head.value = 103;
+  await poller.poll();
+  assert.deepEqual(ranges.slice(3), [[99, 101]]);
+});
+
+test('the cursor starts at the head and is kept across restarts', async () => {
+  const head = { value: 40 };
+  const { store, poller } = await setup({ head, processRange: async () => {} });
+
+  await poller.init();
+  assert.equal(poller.cursor(), 40);
+
+  head.value = 50;
+  const restarted = new LogPoller({ provider: poller.provider, store, collection: 'discovery', processRange: async () => {} });
+  await restarted.init(10);
+  assert.equal(restarted.cursor(), 40);
+});
+
+test('a failed range is retried on the next poll', async () => {
+  const head = { value: 20 };
+  const attempts = [];
+  const logged = [];
+  const { poller } = await setup({
+    head,
+    processRange: async (fromBlock, toBlock) => {
+      attempts.push([fromBlock, toBlock]);
+      if (attempts.length === 2) throw new Error('node unavailable');
+    },
+    blockRange: 5,
+    log: (message, level) => logged.push([message, level])
+  });
+
+  await poller.init(11);
+  await poller.poll();
+  assert.equal(poller.cursor(), 15);
+  assert.deepEqual(logged, [['Poll failed: node unavailable', 'error']]);
+
+  await poller.poll();
+  assert.deepEqual(attempts, [[11, 15], [16, 20], [16, 20]]);
+  assert.equal(poller.cursor(), 20);
+});
+
+test('overlapping polls share one run', async () => {
+  const head = { value: 3 };
+  let runs = 0;
+  const { poller } = await setup({ head, processRange: async () => runs++ });
+
+  await poller.init(1);
+  await Promise.all([poller.poll(), poller.poll(), poller.poll()]);
+  assert.equal(runs, 1);
+});
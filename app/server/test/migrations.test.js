@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS } from '../lib/migrations.js';
+import { DEFAULT_INVOICE_TTL, INVOICE_STATUS } from '../lib/invoices.js';
+import { MemoryStoreBackend, SCHEMA_VERSION, ServerStore } from '../lib/store.js';
+
+const ethChannel = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const tokenChannel = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const token = { token: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0', symbol: 'USDC', decimals: 6 };
+
+function emptyCollections() {
+  return { channels: {}, invoices: {}, videoPurchases: {}, segmentPurchases: {}, payments: {} };
+}
+
+// A version 1 store: amounts as decimal strings in the channel's asset
+function versionOneState() {
+  return {
+    ...emptyCollections(),
+    version: 1,
+    channels: {
+      [ethChannel]: {
+        initialBalanceA: '1', initialBalanceB: '0', currentPartyABalance: '0.95', currentPartyBBalance: '0.05',
+        commitments: [
+          { nonce: 0, partyABalance: '1', partyBBalance: '0' },
+          { nonce: 1, partyABalance: '0.95', partyBBalance: '0.05' }
+        ]
+      },
+      [tokenChannel]: {
+        asset: token,
+        initialBalanceA: '10', initialBalanceB: '0', currentPartyABalance: '7.25', currentPartyBBalance: '2.75',
+        commitments: [{ nonce: 1, partyABalance: '7.25', partyBBalance: '2.75', splice: { depositA: '2.5', withdrawA: '0' } }],
+        pendingSplice: { partyABalance: '8.0000005', partyBBalance: '2.75', depositA: '0.75', withdrawA: '0' }
+      }
+    },
+    invoices: {
+      pending: { status: 'pending', timestamp: 1000, channelAddress: tokenChannel, price: '0.25', commitment: { partyABalance: '7', partyBBalance: '3' } }
+    },
+    videoPurchases: {
+      [`${ethChannel}_video-1`]: { price: '0.05', nonce: 1, timestamp: 2000, revocationSecret: '0x01' }
+    },
+    segmentPurchases: {
+      [`${tokenChannel}_video_2_video20.ts`]: { price: '0.25', nonce: 1, timestamp: 3000, revocationSecret: '0x02' }
+    }
+  };
+}
+
+test('version 1 amounts become wei strings in each channel\'s decimals', () => {
+  const state = MIGRATIONS[1](versionOneState());
+
+  const eth = state.channels[ethChannel];
+  assert.equal(eth.currentPartyABalance, '950000000000000000');
+  assert.equal(eth.commitments[1].partyBBalance, '50000000000000000');
+
+  const tokens = state.channels[tokenChannel];
+  assert.equal(tokens.currentPartyABalance, '7250000');
+  assert.deepEqual(tokens.commitments[0].splice, { depositA: '2500000', withdrawA: '0' });
+  // More digits than the token has are rounded half up
+  assert.equal(tokens.pendingSplice.partyABalance, '8000001');
+
+  assert.equal(state.invoices.pending.price, '250000');
+  assert.deepEqual(state.invoices.pending.commitment, { partyABalance: '7000000', partyBBalance: '3000000' });
+  assert.equal(state.videoPurchases[`${ethChannel}_video-1`].price, '50000000000000000');
+  assert.equal(state.segmentPurchases[`${tokenChannel}_video_2_video20.ts`].price, '250000');
+});
+
+test('version 2 pending invoices become issued with the default expiry', () => {
+  const state = MIGRATIONS[2]({
+    ...emptyCollections(),
+    invoices: {
+      pending: { status: 'pending', timestamp: 1000 },
+      paid: { status: 'paid', timestamp: 2000, expiresAt: 5000 }
+    }
+  });
+
+  assert.equal(state.invoices.pending.status, INVOICE_STATUS.ISSUED);
+  assert.equal(state.invoices.pending.expiresAt, 1000 + DEFAULT_INVOICE_TTL * 1000);
+  assert.deepEqual(state.invoices.paid, { status: 'paid', timestamp: 2000, expiresAt: 5000 });
+});
+
+test('version 3 grants name what they cover and enter the payments ledger', () => {
+  const state = MIGRATIONS[3](MIGRATIONS[1](versionOneState()));
+
+  // Video ids may themselves contain underscores
+  const segmentGrant = state.segmentPurchases[`${tokenChannel}_video_2_video20.ts`];
+  assert.equal(segmentGrant.channelAddress, tokenChannel);
+  assert.equal(segmentGrant.videoId, 'video_2');
+  assert.equal(segmentGrant.segmentName, 'video20.ts');
+
+  assert.deepEqual(state.payments[`${ethChannel}:1`], {
+    channelAddress: ethChannel,
+    videoId: 'video-1',
+    purchaseType: 'full',
+    segmentName: null,
+    price: '50000000000000000',
+    asset: { token: null, symbol: 'ETH', decimals: 18 },
+    nonce: 1,
+    invoiceId: null,
+    paidAt: 2000
+  });
+  assert.equal(state.payments[`${tokenChannel}:1`].asset, token);
+  assert.equal(state.payments[`${tokenChannel}:1`].price, '250000');
+});
+
+test('version 4 channel addresses are checksummed and duplicate records merged', () => {
+  const lower = ethChannel.toLowerCase();
+  const upper = `0x${ethChannel.slice(2).toUpperCase()}`;
+  const state = MIGRATIONS[4]({
+    ...emptyCollections(),
+    channels: {
+      [lower]: { latestNonce: 3 },
+      [upper]: { latestNonce: 1 },
+      [tokenChannel]: { latestNonce: 0 }
+    },
+    invoices: { paid: { channelAddress: lower } },
+    videoPurchases: { [`${lower}_video-1`]: { channelAddress: lower, videoId: 'video-1', nonce: 3 } },
+    segmentPurchases: { [`${upper}_video_2_video20.ts`]: { channelAddress: upper, videoId: 'video_2', nonce: 1 } },
+    payments: { [`${lower}:3`]: { channelAddress: lower, nonce: 3 } }
+  });
+
+  assert.deepEqual(state.channels, { [ethChannel]: { latestNonce: 3 }, [tokenChannel]: { latestNonce: 0 } });
+  assert.equal(state.invoices.paid.channelAddress, ethChannel);
+  assert.deepEqual(Object.keys(state.videoPurchases), [`${ethChannel}_video-1`]);
+  assert.equal(state.segmentPurchases[`${ethChannel}_video_2_video20.ts`].channelAddress, ethChannel);
+  assert.deepEqual(state.payments, { [`${ethChannel}:3`]: { channelAddress: ethChannel, nonce: 3 } });
+});
+
+test('the store upgrades a version 1 state through every migration', async () => {
+  const backend = new MemoryStoreBackend();
+  backend.state = versionOneState();
+  const store = new ServerStore(backend);
+  await store.init();
+
+  assert.equal(backend.state.version, SCHEMA_VERSION);
+  assert.equal(store.channels.get(ethChannel).currentPartyABalance, '950000000000000000');
+  assert.equal(store.invoices.get('pending').status, INVOICE_STATUS.ISSUED);
+  assert.deepEqual(store.payments.keys().sort(), [`${ethChannel}:1`, `${tokenChannel}:1`].sort());
+  // Collections added since version 1 exist
+  assert.deepEqual(store.watchtower.keys(), []);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { deriveSecret, indexForNonce, MAX_INDEX, ShachainStore } from '../lib/shachain.js';
+import { revealedSecretFor, RevocationSecretManager } from '../lib/revocation.js';
+
+const zeroSeed = '0x' + '00'.repeat(32);
+const onesSeed = '0x' + 'ff'.repeat(32);
+
+// BOLT #3, Appendix D: "generate_from_seed" vectors
+test('secrets derive as in the BOLT #3 test vectors', () => {
+  assert.equal(deriveSecret(zeroSeed, MAX_INDEX), '0x02a40c85b6f28da08dfdbe0926c53fab2de6d28c10301f8f7c4073d5e42e3148');
+  assert.equal(deriveSecret(onesSeed, MAX_INDEX), '0x7cc854b54e3e0dcdb010d7a3fee464a9687be6e8db3be6854c475621e007a5dc');
+  assert.equal(deriveSecret(onesSeed, 0xaaaaaaaaaaan), '0x56f4008fb007ca9acf0e15b054d5c9fd12ee06cea347914ddbaed70d1c13a528');
+  assert.equal(deriveSecret(onesSeed, 0x555555555555n), '0x9015daaeb06dba4ccc05b91b2f73bd54405f2be9f217fbacd3c5ac2e62327d31');
+  assert.equal(deriveSecret('0x' + '01'.repeat(32), 1n), '0x915c75942a26bb3a433a8ce2cb0427c29ec6c1775cfc78328b57f6ba7bfeaa9c');
+});
+
+// BOLT #3, Appendix D: "insert_secret correct sequence"
+const correctSequence = [
+  '0x7cc854b54e3e0dcdb010d7a3fee464a9687be6e8db3be6854c475621e007a5dc',
+  '0xc7518c8ae4660ed02894df8976fa1a3659c1a8b4b5bec0c4b872abeba4cb8964',
+  '0x2273e227a5b7449b6e70f1fb4652864038b1cbf9cd7c043a7d6456b7fc275ad8',
+  '0x27cddaa5624534cb6cb9d7da077cf2b22ab21e9b506fd4998a51d54502e99116',
+  '0xc65716add7aa98ba7acb236352d665cab17345fe45b55fb879ff80e6bd0c41dd',
+  '0x969660042a28f32d9be17344e09374b379962d03db1574df5a8a5a47e19ce3f2',
+  '0xa5a64476122ca0925fb344bdc1854c1c0a59fc614298e50a33e331980a220f32',
+  '0x05cde6323d949933f7f7b78776bcc1ea6d9b31447732e3802e1f7ac44b650e17'
+];
+
+test('the receiver stores the BOLT #3 correct sequence and derives older secrets', () => {
+  const store = new ShachainStore();
+  correctSequence.forEach((secret, i) => store.insert(MAX_INDEX - BigInt(i), secret));
+
+  correctSequence.forEach((secret, i) => assert.equal(store.get(MAX_INDEX - BigInt(i)), secret));
+  assert.equal(store.get(MAX_INDEX - 8n), null);
+
+  // One entry per number of trailing zero bits in the index
+  assert.equal(store.toJSON().filter(Boolean).length, 4);
+});
+
+test('a secret that does not derive the stored ones is refused', () => {
+  // BOLT #3, Appendix D: "insert_secret #1 incorrect"
+  const store = new ShachainStore();
+  store.insert(MAX_INDEX, '0x02a40c85b6f28da08dfdbe0926c53fab2de6d28c10301f8f7c4073d5e42e3148');
+  assert.throws(() => store.insert(MAX_INDEX - 1n, correctSequence[1]), /does not derive/);
+
+  // The refused secret is not stored
+  assert.equal(store.get(MAX_INDEX - 1n), null);
+});
+
+test('the table survives a JSON round trip', () => {
+  const store = new ShachainStore();
+  correctSequence.slice(0, 5).forEach((secret, i) => store.insert(MAX_INDEX - BigInt(i), secret));
+
+  const restored = new ShachainStore(JSON.parse(JSON.stringify(store)));
+  correctSequence.slice(0, 5).forEach((secret, i) => assert.equal(restored.get(MAX_INDEX - BigInt(i)), secret));
+  restored.insert(MAX_INDEX - 5n, correctSequence[5]);
+  assert.equal(restored.get(MAX_INDEX - 5n), correctSequence[5]);
+});
+
+test('nonces map to descending indexes', () => {
+  assert.equal(indexForNonce(0), MAX_INDEX);
+  assert.equal(indexForNonce(7), MAX_INDEX - 7n);
+  assert.throws(() => indexForNonce(MAX_INDEX + 1n), /outside the shachain range/);
+});
+
+test('server secrets differ per channel and open their revocation hashes', () => {
+  const secrets = new RevocationSecretManager('0x' + '11'.repeat(32));
+  const channelA = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const channelB = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+  assert.notEqual(secrets.secretFor(channelA, 1), secrets.secretFor(channelB, 1));
+  assert.equal(secrets.secretFor(channelA, 1), secrets.secretFor(channelA.toLowerCase(), 1));
+  assert.equal(ethers.keccak256(secrets.secretFor(channelA, 3)), secrets.revocationHashFor(channelA, 3));
+});
+
+test('a revealed secret is found for every revoked nonce and no newer one', () => {
+  const seed = ethers.hexlify(ethers.randomBytes(32));
+  const store = new ShachainStore();
+  for (let nonce = 0; nonce < 6; nonce++) {
+    store.insert(indexForNonce(nonce), deriveSecret(seed, indexForNonce(nonce)));
+  }
+  const channel = { partyARevocationSecrets: store.toJSON() };
+
+  for (let nonce = 0; nonce < 6; nonce++) {
+    assert.equal(revealedSecretFor(channel, nonce), deriveSecret(seed, indexForNonce(nonce)));
+  }
+  assert.equal(revealedSecretFor(channel, 6), null);
+  assert.equal(revealedSecretFor({}, 0), null);
+});
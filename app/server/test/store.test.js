@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createStore, FileStoreBackend, MemoryStoreBackend, SCHEMA_VERSION, ServerStore } from '../lib/store.js';
+
+const channelAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+async function memoryStore(state = null) {
+  const backend = new MemoryStoreBackend();
+  backend.state = state;
+  const store = new ServerStore(backend);
+  await store.init();
+  return { store, backend };
+}
+
+test('a transaction is persisted and visible once it completes', async () => {
+  const { store, backend } = await memoryStore();
+
+  const result = await store.transaction(tx => {
+    tx.channels.set(channelAddress, { latestNonce: 0 });
+    return 'done';
+  });
+
+  assert.equal(result, 'done');
+  assert.deepEqual(store.channels.get(channelAddress), { latestNonce: 0 });
+  assert.deepEqual(backend.state.channels[channelAddress], { latestNonce: 0 });
+  assert.equal(backend.state.version, SCHEMA_VERSION);
+});
+
+test('a failed callback leaves the state untouched and later transactions run', async () => {
+  const { store } = await memoryStore();
+  await store.transaction(tx => tx.channels.set(channelAddress, { latestNonce: 0 }));
+
+  await assert.rejects(store.transaction(tx => {
+    tx.channels.get(channelAddress).latestNonce = 1;
+    tx.invoices.set('invoice', { nonce: 1 });
+    throw new Error('refused');
+  }), /refused/);
+
+  assert.equal(store.channels.get(channelAddress).latestNonce, 0);
+  assert.equal(store.invoices.has('invoice'), false);
+
+  await store.transaction(tx => {
+    tx.channels.get(channelAddress).latestNonce = 1;
+  });
+  assert.equal(store.channels.get(channelAddress).latestNonce, 1);
+});
+
+test('a failed write leaves memory on the last persisted state', async () => {
+  const { store, backend } = await memoryStore();
+  await store.transaction(tx => tx.channels.set(channelAddress, { latestNonce: 0 }));
+
+  backend.save = async () => {
+    throw new Error('disk full');
+  };
+  await assert.rejects(store.transaction(tx => {
+    tx.channels.get(channelAddress).latestNonce = 1;
+  }), /disk full/);
+
+  assert.equal(store.channels.get(channelAddress).latestNonce, 0);
+});
+
+test('transactions run one at a time', async () => {
+  const { store } = await memoryStore();
+  await store.transaction(tx => tx.channels.set(channelAddress, { latestNonce: 0 }));
+
+  // Each reads the nonce, waits, then writes it back incremented
+  await Promise.all(Array.from({ length: 5 }, () => store.transaction(async tx => {
+    const nonce = tx.channels.get(channelAddress).latestNonce;
+    await new Promise(resolve => setTimeout(resolve, 1));
+    tx.channels.get(channelAddress).latestNonce = nonce + 1;
+  })));
+
+  assert.equal(store.channels.get(channelAddress).latestNonce, 5);
+});
+
+test('records read outside a transaction are copies', async () => {
+  const { store } = await memoryStore();
+  await store.transaction(tx => tx.channels.set(channelAddress, { commitments: [] }));
+
+  store.channels.get(channelAddress).commitments.push({ nonce: 1 });
+  store.channels.values()[0].commitments.push({ nonce: 2 });
+  store.channels.entries()[0][1].commitments.push({ nonce: 3 });
+
+  assert.deepEqual(store.channels.get(channelAddress).commitments, []);
+  assert.deepEqual(store.channels.keys(), [channelAddress]);
+});
+
+test('older state is migrated on load, after a backup', async () => {
+  const backups = [];
+  const backend = new MemoryStoreBackend();
+  backend.state = {
+    version: 2,
+    channels: { [channelAddress]: { latestNonce: 0, commitments: [] } },
+    invoices: { old: { status: 'pending', timestamp: 1000, channelAddress } }
+  };
+  backend.backup = async version => backups.push(version);
+
+  const store = new ServerStore(backend);
+  await store.init();
+
+  assert.deepEqual(backups, [2]);
+  assert.equal(backend.state.version, SCHEMA_VERSION);
+  assert.equal(store.invoices.get('old').status, 'issued');
+  assert.deepEqual(store.payments.keys(), []);
+});
+
+test('an unknown schema version is refused without touching the state', async () => {
+  const backend = new MemoryStoreBackend();
+  backend.state = { version: 99, channels: {} };
+  backend.backup = async () => assert.fail('no backup for a version that cannot be migrated');
+
+  await assert.rejects(new ServerStore(backend).init(), /Unsupported store schema version 99/);
+  assert.equal(backend.state.version, 99);
+});
+
+test('the file backend keeps state across restarts', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-store-'));
+  const filePath = path.join(dir, 'store.json');
+
+  const store = await createStore({ backend: 'file', filePath });
+  await store.transaction(tx => tx.channels.set(channelAddress, { latestNonce: 3 }));
+
+  const reopened = await createStore({ backend: 'file', filePath });
+  assert.equal(reopened.channels.get(channelAddress).latestNonce, 3);
+  assert.deepEqual(await fs.readdir(dir), ['store.json']);
+
+  // Only the owner can read the state or its backups
+  assert.equal((await fs.stat(filePath)).mode & 0o777, 0o600);
+  const backupPath = await new FileStoreBackend(filePath).backup(3);
+  assert.equal((await fs.stat(backupPath)).mode & 0o777, 0o600);
+  await fs.rm(backupPath);
+
+  await fs.writeFile(filePath, '{ not json');
+  await assert.rejects(new FileStoreBackend(filePath).load(), /is corrupted/);
+  await assert.rejects(createStore({ backend: 'sqlite' }), /Unknown store backend/);
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { ethers } from 'ethers';
+import { deriveSecret, indexForNonce, ShachainStore } from '../lib/shachain.js';
+import { MemoryStoreBackend, ServerStore } from '../lib/store.js';
+import { Watchtower } from '../lib/watchtower.js';
+
+const { abi } = JSON.parse(await fs.readFile(new URL('../../shared/BidirectionalChannel.json', import.meta.url), 'utf8'));
+
+const channelAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const server = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const buyer = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const buyerSeed = '0x' + '11'.repeat(32);
+const STATE_OPEN = 1;
+const STATE_DISPUTED = 2;
+
+const buyerSecret = nonce => deriveSecret(buyerSeed, indexForNonce(nonce));
+
+function commitment(nonce, { signed = true } = {}) {
+  return {
+    nonce,
+    partyABalance: String(1000 - nonce * 100),
+    partyBBalance: String(nonce * 100),
+    partyARevocationHash: ethers.keccak256(buyerSecret(nonce)),
+    partyBRevocationHash: ethers.id(`server-${nonce}`),
+    partyASignature: `0xa${nonce}`,
+    partyBSignature: signed ? `0xb${nonce}` : undefined
+  };
+}
+
+// A channel at nonce 3 whose buyer revealed the secrets for nonces 0 to 2
+function channelRecord(extra = {}) {
+  const secrets = new ShachainStore();
+  for (let nonce = 0; nonce <= 2; nonce++) {
+    secrets.insert(indexForNonce(nonce), buyerSecret(nonce));
+  }
+  return {
+    partyA: buyer,
+    latestNonce: 3,
+    commitments: [0, 1, 2, 3].map(nonce => commitment(nonce)),
+    partyARevocationSecrets: secrets.toJSON(),
+    ...extra
+  };
+}
+
+// The channel contract as the watchtower reads and calls it
+function fakeContract({ state = STATE_DISPUTED, initiator = buyer, disputedNonce = 1, disputedHash, latestNonce = disputedNonce } = {}) {
+  const calls = [];
+  const send = name => async (...args) => {
+    calls.push({ name, args });
+    return { hash: `0x${calls.length.toString(16).padStart(64, '0')}`, wait: async () => {} };
+  };
+  return {
+    calls,
+    channelState: async () => BigInt(state),
+    disputeInitiator: async () => initiator,
+    disputedNonce: async () => BigInt(disputedNonce),
+    disputedRevocationHashA: async () => disputedHash ?? ethers.keccak256(buyerSecret(disputedNonce)),
+    latestNonce: async () => BigInt(latestNonce),
+    proveRevocationBreach: send('proveRevocationBreach'),
+    challengeDispute: send('challengeDispute')
+  };
+}
+
+async function setup(contract, channel = channelRecord()) {
+  const store = new ServerStore(new MemoryStoreBackend());
+  await store.init();
+  await store.transaction(tx => tx.channels.set(channelAddress, channel));
+
+  const provider = { getBlockNumber: async () => 100, getLogs: async () => [] };
+  const watchtower = new Watchtower({ wallet: { address: server, provider }, store, abi });
+  watchtower.contractFor = () => contract;
+  return { store, watchtower, provider };
+}
+
+const actions = store => store.channels.get(channelAddress).watchtowerActions ?? [];
+
+test('open channels and our own disputes are left alone', async () => {
+  for (const contract of [fakeContract({ state: STATE_OPEN }), fakeContract({ initiator: server.toLowerCase() })]) {
+    const { store, watchtower } = await setup(contract);
+    await watchtower.respond(channelAddress, 'test');
+    assert.deepEqual(contract.calls, []);
+    assert.deepEqual(actions(store), []);
+  }
+});
+
+test('a revoked commitment is answered with proveRevocationBreach', async () => {
+  const contract = fakeContract({ disputedNonce: 1 });
+  const { store, watchtower } = await setup(contract);
+
+  await watchtower.respond(channelAddress, 'test');
+
+  assert.deepEqual(contract.calls, [{ name: 'proveRevocationBreach', args: [buyerSecret(1)] }]);
+  assert.equal(actions(store).length, 1);
+  assert.equal(actions(store)[0].type, 'proveRevocationBreach');
+  assert.equal(actions(store)[0].disputedNonce, 1);
+});
+
+test('a stale commitment without a matching secret is challenged with our newest one', async () => {
+  // The disputed hash does not match what the buyer revealed for nonce 1
+  const contract = fakeContract({ disputedNonce: 1, disputedHash: ethers.id('something else') });
+  const channel = channelRecord();
+  // Nonce 4 is only signed by the buyer so far
+  channel.commitments.push(commitment(4, { signed: false }));
+  const { store, watchtower } = await setup(contract, channel);
+
+  await watchtower.respond(channelAddress, 'test');
+
+  const latest = commitment(3);
+  assert.deepEqual(contract.calls, [{
+    name: 'challengeDispute',
+    args: [3, 700n, 300n, latest.partyARevocationHash, latest.partyBRevocationHash, latest.partyASignature, latest.partyBSignature]
+  }]);
+  assert.equal(actions(store)[0].type, 'challengeDispute');
+  assert.equal(actions(store)[0].nonce, 3);
+});
+
+test('a dispute with our newest commitment needs no answer', async () => {
+  const contract = fakeContract({ disputedNonce: 3 });
+  const { store, watchtower } = await setup(contract);
+
+  await watchtower.respond(channelAddress, 'test');
+  assert.deepEqual(contract.calls, []);
+  assert.deepEqual(actions(store), []);
+});
+
+test('a signed splice that landed on-chain is the state we challenge with', async () => {
+  const pendingSplice = {
+    status: 'signed',
+    nonce: 4,
+    partyABalance: '950',
+    partyBBalance: '300',
+    partyARevocationHash: ethers.keccak256(buyerSecret(4)),
+    partyBRevocationHash: ethers.id('server-4'),
+    partyACommitmentSignature: '0xa4',
+    partyBCommitmentSignature: '0xb4'
+  };
+
+  // The splice is on-chain: its base state is newer than the dispute
+  const landed = fakeContract({ disputedNonce: 3, latestNonce: 4 });
+  const { watchtower } = await setup(landed, channelRecord({ pendingSplice }));
+  await watchtower.respond(channelAddress, 'test');
+  assert.deepEqual(landed.calls.map(call => call.args.slice(0, 3)), [[4, 950n, 300n]]);
+
+  // Not submitted: the splice's state is not valid on-chain, nothing to answer
+  const notLanded = fakeContract({ disputedNonce: 3, latestNonce: 3 });
+  const { watchtower: other } = await setup(notLanded, channelRecord({ pendingSplice }));
+  await other.respond(channelAddress, 'test');
+  assert.deepEqual(notLanded.calls, []);
+});
+
+test('DisputeInitiated logs in a polled range are answered', async () => {
+  const contract = fakeContract({ disputedNonce: 1 });
+  const { store, watchtower, provider } = await setup(contract);
+
+  const iface = new ethers.Interface(abi);
+  const { data, topics } = iface.encodeEventLog('DisputeInitiated', [buyer, 1, 2000]);
+  const queries = [];
+  provider.getLogs = async filter => {
+    queries.push(filter);
+    return [{ address: channelAddress.toLowerCase(), data, topics, blockNumber: 42 }];
+  };
+
+  await watchtower.processRange(40, 45);
+
+  assert.deepEqual(queries, [{ address: [channelAddress], topics: [iface.getEvent('DisputeInitiated').topicHash], fromBlock: 40, toBlock: 45 }]);
+  assert.equal(contract.calls[0].name, 'proveRevocationBreach');
+  assert.equal(actions(store).length, 1);
+});
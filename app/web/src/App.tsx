@@ -6,6 +6,7 @@ import { Profile } from './components/Profile';
 import { BottomNav } from './components/BottomNav';
 import { AccountSetup } from './components/AccountSetup';
 import { useAppState } from './hooks/useAppState';
+import type { ChannelAsset } from './types';
 import './App.css';
 
 function App() {
@@ -25,12 +26,15 @@ function App() {
     currentNonce,
     aliceBalance,
     bobBalance,
+    channelAsset,
     catalog,
     loadCatalog,
     purchasedContent,
     purchaseVideo,
+    requestAccessToken,
     serverAddress,
     serverConnected,
+    paymentToken,
     loadServerInfo,
     serverUrl,
     setServerUrl,
@@ -38,7 +42,9 @@ function App() {
     addLog,
     setupChannel,
     closeChannel,
+    spliceChannel,
     resetChannelState,
+    closeRequest,
   } = useAppState();
 
   // Initialize revocation seed when wallet connects
@@ -107,8 +113,8 @@ function App() {
       const result = await purchaseVideo(videoId, purchaseType, segmentName);
       if (result.success) {
         addLog(`Successfully purchased: ${videoId} (${purchaseType})`, 'success');
-        // Return the revocation secret if present (for full video purchases)
-        return result.revocationSecret;
+        // Return the decryption key and the access token for the purchased content
+        return { revocationSecret: result.revocationSecret, accessToken: result.accessToken };
       } else {
         addLog(`Failed to purchase: ${videoId}`, 'error');
         return undefined;
@@ -120,7 +126,7 @@ function App() {
     }
   };
 
-  const handleChannelSetup = async (fundAmount: string) => {
+  const handleChannelSetup = async (fundAmount: string, asset?: ChannelAsset) => {
     setIsSettingUpChannel(true);
     try {
       // Update progress callbacks
@@ -132,7 +138,8 @@ function App() {
       await setupChannel(
         fundAmount,
         86400, // 24 hour dispute period
-        updateProgress
+        updateProgress,
+        asset
       );
 
       // Mark onboarding as complete
@@ -157,12 +164,22 @@ function App() {
         isOpen={showOnboarding}
         onClose={handleOnboardingClose}
         onChannelSetup={handleChannelSetup}
+        paymentToken={paymentToken}
         channelExists={!!channelAddress}
         isSettingUp={isSettingUpChannel}
         setupStep={setupStep}
         setupMessage={setupMessage}
       />
 
+      {/* The server wants the channel closed: point the viewer to Close Channel */}
+      {closeRequest && closeRequest.status !== 'closed' && activeView !== 'profile' && (
+        <button className="close-request-banner" onClick={() => setActiveView('profile')}>
+          {closeRequest.status === 'requested'
+            ? 'The server asks to close your channel. Tap to review.'
+            : 'Your channel is being closed through a dispute.'}
+        </button>
+      )}
+
       {/* Main Content Views */}
       {activeView === 'feed' && (
         <VideoFeed
@@ -172,7 +189,9 @@ function App() {
           walletConnected={isConnected}
           channelActive={!!channelAddress}
           clientBalance={aliceBalance}
+          channelAsset={channelAsset}
           onPurchase={handlePurchase}
+          onRequestAccessToken={requestAccessToken}
           purchasing={purchasing}
           onAccountClick={() => {
             // If not connected or no channel, show onboarding
@@ -200,13 +219,17 @@ function App() {
           channelAddress={channelAddress}
           aliceBalance={aliceBalance}
           bobBalance={bobBalance}
+          symbol={channelAsset.symbol}
+          decimals={channelAsset.decimals}
           currentNonce={currentNonce}
+          closeRequest={closeRequest}
           serverUrl={serverUrl}
           serverConnected={serverConnected}
           serverAddress={serverAddress}
           onServerUrlChange={setServerUrl}
           onServerUrlSave={handleServerUrlSave}
           onCloseChannel={closeChannel}
+          onTopUp={amount => spliceChannel(amount)}
           onResetChannel={resetChannelState}
           onClose={() => setActiveView('feed')}
           logs={logs}
@@ -1,11 +1,13 @@
 import React, { useState } from 'react';
 import { useConnect, useAccount, useDisconnect } from 'wagmi';
+import type { ChannelAsset } from '../types';
 import './AccountSetup.css';
 
 interface AccountSetupProps {
   isOpen: boolean;
   onClose: () => void;
-  onChannelSetup: (fundAmount: string) => Promise<void>;
+  onChannelSetup: (fundAmount: string, asset?: ChannelAsset) => Promise<void>;
+  paymentToken?: ChannelAsset | null; // ERC-20 the server accepts besides ETH
   channelExists: boolean;
   isSettingUp: boolean;
   setupStep: number;
@@ -16,6 +18,7 @@ export function AccountSetup({
   isOpen,
   onClose,
   onChannelSetup,
+  paymentToken,
   channelExists,
   isSettingUp,
   setupStep,
@@ -25,6 +28,9 @@ export function AccountSetup({
   const { connectors, connect, isPending } = useConnect();
   const { disconnect } = useDisconnect();
   const [fundAmount, setFundAmount] = useState('0.1');
+  const [useToken, setUseToken] = useState(false);
+  const asset = useToken && paymentToken ? paymentToken : undefined;
+  const symbol = asset?.symbol ?? 'ETH';
   const [currentStep, setCurrentStep] = useState<'welcome' | 'wallet' | 'channel' | 'success'>(
     !isConnected ? 'wallet' : !channelExists ? 'channel' : 'success'
   );
@@ -42,7 +48,7 @@ export function AccountSetup({
 
   const handleChannelSetup = async () => {
     try {
-      await onChannelSetup(fundAmount);
+      await onChannelSetup(fundAmount, asset);
       setCurrentStep('success');
     } catch (error) {
       console.error('Channel setup failed:', error);
@@ -158,8 +164,22 @@ export function AccountSetup({
               </span>
             </div>
 
+            {paymentToken && (
+              <div className="fund-input">
+                <label>Currency</label>
+                <select
+                  value={useToken ? 'token' : 'eth'}
+                  onChange={(e) => setUseToken(e.target.value === 'token')}
+                  disabled={isSettingUp}
+                >
+                  <option value="eth">ETH</option>
+                  <option value="token">{paymentToken.symbol}</option>
+                </select>
+              </div>
+            )}
+
             <div className="fund-input">
-              <label>Initial Deposit (ETH)</label>
+              <label>Initial Deposit ({symbol})</label>
               <input
                 type="number"
                 value={fundAmount}
@@ -168,7 +188,7 @@ export function AccountSetup({
                 step="0.01"
                 disabled={isSettingUp}
               />
-              <span className="input-hint">Minimum: 0.01 ETH</span>
+              <span className="input-hint">Minimum: 0.01 {symbol}</span>
             </div>
 
             {isSettingUp && (
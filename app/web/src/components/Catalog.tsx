@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import type { VideoContentItem } from '../types';
+import { formatAmount } from '../utils/amount';
 import './Catalog.css';
 
 interface CatalogProps {
@@ -31,7 +32,7 @@ export function Catalog({
     );
   }
 
-  const canAfford = (price: string) => parseFloat(clientBalance) >= parseFloat(price);
+  const canAfford = (price: string) => BigInt(clientBalance) >= BigInt(price);
 
   const formatDuration = (seconds: number) => {
     const mins = Math.floor(seconds / 60);
@@ -97,13 +98,13 @@ export function Catalog({
 
                 <div className="price-info">
                   <div className="current-price">
-                    <span className="price-value">{price}</span>
+                    <span className="price-value">{formatAmount(price)}</span>
                     <span className="price-unit">ETH</span>
                   </div>
                   <div className="price-detail">
                     {purchaseType === 'full'
                       ? `All ${item.segmentCount} segments`
-                      : `${item.pricePerSegment} ETH per segment`
+                      : `${formatAmount(item.pricePerSegment)} ETH per segment`
                     }
                   </div>
                 </div>
@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import type { Channel } from '../types';
+import { formatBalance } from '../utils/amount';
 import './ChannelSetup.css';
 
 interface ChannelSetupProps {
@@ -16,6 +17,7 @@ interface ChannelSetupProps {
     onProgress: (step: number, message: string) => void
   ) => Promise<string | null>;
   onCloseChannel: () => Promise<boolean>;
+  onTopUp?: (amount: string) => Promise<boolean>;
 }
 
 export function ChannelSetup({
@@ -28,12 +30,14 @@ export function ChannelSetup({
   onSelectChannel,
   onSetupChannel,
   onCloseChannel,
+  onTopUp,
 }: ChannelSetupProps) {
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [yourDeposit, setYourDeposit] = useState('1.0');
   const [disputePeriod, setDisputePeriod] = useState('86400');
   const [loading, setLoading] = useState(false);
   const [closing, setClosing] = useState(false);
+  const [toppingUp, setToppingUp] = useState(false);
   const [setupStep, setSetupStep] = useState(0);
   const [stepStatus, setStepStatus] = useState('');
 
@@ -76,7 +80,23 @@ export function ChannelSetup({
     }
   };
 
-  const canSetup = walletConnected && contractLoaded && serverAddress && !loading && !closing;
+  const handleTopUp = async () => {
+    if (!onTopUp) return;
+    const amount = prompt('Amount to add to this channel (ETH):', '0.001');
+    if (!amount) {
+      return;
+    }
+    setToppingUp(true);
+    try {
+      await onTopUp(amount);
+    } catch {
+      // Error is logged in the hook
+    } finally {
+      setToppingUp(false);
+    }
+  };
+
+  const canSetup = walletConnected && contractLoaded && serverAddress && !loading && !closing && !toppingUp;
 
   if (!serverConnected) {
     return (
@@ -204,7 +224,7 @@ export function ChannelSetup({
                       {channel.address.slice(0, 10)}...{channel.address.slice(-8)}
                     </div>
                     <div className="channel-details">
-                      <span className="balance">Balance: {parseFloat(channel.partyABalance).toFixed(4)} ETH</span>
+                      <span className="balance">Balance: {formatBalance(channel.partyABalance, channel.asset?.decimals)} {channel.asset?.symbol ?? 'ETH'}</span>
                       <span className="nonce">Nonce: {channel.nonce}</span>
                     </div>
                   </div>
@@ -212,6 +232,18 @@ export function ChannelSetup({
                     {channel.address === activeChannelAddress && (
                       <span className="active-badge">Active</span>
                     )}
+                    {channel.address === activeChannelAddress && onTopUp && (
+                      <button
+                        className="btn btn-secondary btn-sm"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleTopUp();
+                        }}
+                        disabled={toppingUp || closing}
+                      >
+                        {toppingUp ? 'Topping up...' : 'Top up'}
+                      </button>
+                    )}
                     {channel.address === activeChannelAddress && (
                       <button
                         className="btn btn-danger btn-sm"
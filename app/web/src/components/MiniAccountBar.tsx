@@ -1,23 +1,21 @@
 import React from 'react';
+import { formatBalance } from '../utils/amount';
 import './MiniAccountBar.css';
 
 interface MiniAccountBarProps {
   isConnected: boolean;
   channelAddress: string | null;
   balance: string;
+  symbol?: string;
+  decimals?: number;
   onAccountClick: () => void;
 }
 
-export function MiniAccountBar({ isConnected, channelAddress, balance, onAccountClick }: MiniAccountBarProps) {
+export function MiniAccountBar({ isConnected, channelAddress, balance, symbol = 'ETH', decimals = 18, onAccountClick }: MiniAccountBarProps) {
   const formatAddress = (addr: string) => {
     return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
   };
 
-  const formatBalance = (bal: string) => {
-    const value = parseFloat(bal);
-    return value.toFixed(4);
-  };
-
   return (
     <div className="mini-account-bar" onClick={onAccountClick}>
       <div className="account-status">
@@ -26,7 +24,7 @@ export function MiniAccountBar({ isConnected, channelAddress, balance, onAccount
             <div className="status-dot connected"></div>
             {channelAddress ? (
               <div className="account-info">
-                <span className="balance">{formatBalance(balance)} ETH</span>
+                <span className="balance">{formatBalance(balance, decimals)} {symbol}</span>
                 <span className="channel">{formatAddress(channelAddress)}</span>
               </div>
             ) : (
@@ -1,18 +1,24 @@
 import React, { useState } from 'react';
 import { useAccount, useDisconnect } from 'wagmi';
+import { formatBalance } from '../utils/amount';
+import type { CloseRequest } from '../types';
 import './Profile.css';
 
 interface ProfileProps {
   channelAddress: string | null;
   aliceBalance: string;
   bobBalance: string;
+  symbol?: string;
+  decimals?: number;
   currentNonce: number;
+  closeRequest?: CloseRequest | null;
   serverUrl: string;
   serverConnected: boolean;
   serverAddress: string | null;
   onServerUrlChange: (url: string) => void;
   onServerUrlSave: () => void;
   onCloseChannel?: () => void;
+  onTopUp?: (amount: string) => Promise<boolean>;
   onResetChannel?: () => void;
   onClose?: () => void;
   logs: Array<{ message: string; timestamp: Date; type: string }>;
@@ -22,13 +28,17 @@ export function Profile({
   channelAddress,
   aliceBalance,
   bobBalance,
+  symbol = 'ETH',
+  decimals = 18,
   currentNonce,
+  closeRequest,
   serverUrl,
   serverConnected,
   serverAddress,
   onServerUrlChange,
   onServerUrlSave,
   onCloseChannel,
+  onTopUp,
   onResetChannel,
   onClose,
   logs
@@ -37,14 +47,25 @@ export function Profile({
   const { disconnect } = useDisconnect();
   const [showLogs, setShowLogs] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [showTopUp, setShowTopUp] = useState(false);
+  const [topUpAmount, setTopUpAmount] = useState('0.001');
+  const [toppingUp, setToppingUp] = useState(false);
 
-  const formatAddress = (addr: string) => {
-    return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+  const handleTopUp = async () => {
+    if (!onTopUp) return;
+    setToppingUp(true);
+    try {
+      await onTopUp(topUpAmount);
+      setShowTopUp(false);
+    } catch {
+      // Error is logged in the hook
+    } finally {
+      setToppingUp(false);
+    }
   };
 
-  const formatBalance = (balance: string) => {
-    const value = parseFloat(balance);
-    return value.toFixed(4);
+  const formatAddress = (addr: string) => {
+    return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
   };
 
   return (
@@ -109,17 +130,48 @@ export function Profile({
               </div>
               <div className="info-row">
                 <span className="info-label">Your Balance</span>
-                <span className="info-value balance">{formatBalance(aliceBalance)} ETH</span>
+                <span className="info-value balance">{formatBalance(aliceBalance, decimals)} {symbol}</span>
               </div>
               <div className="info-row">
                 <span className="info-label">Server Earnings</span>
-                <span className="info-value">{formatBalance(bobBalance)} ETH</span>
+                <span className="info-value">{formatBalance(bobBalance, decimals)} {symbol}</span>
               </div>
               <div className="info-row">
                 <span className="info-label">Transaction #</span>
                 <span className="info-value">{currentNonce}</span>
               </div>
             </div>
+            {closeRequest?.status === 'requested' && (
+              <div className="close-request-notice">
+                The server asks to close this channel ({closeRequest.reason}). Close it before{' '}
+                {new Date(closeRequest.deadline).toLocaleString()}, or the server will dispute it.
+              </div>
+            )}
+            {closeRequest?.status === 'disputed' && (
+              <div className="close-request-notice">
+                The server is closing this channel through a dispute
+                {closeRequest.disputeDeadline && <> until {new Date(closeRequest.disputeDeadline).toLocaleString()}</>}.
+              </div>
+            )}
+            {onTopUp && (
+              <button className="btn-top-up" onClick={() => setShowTopUp(!showTopUp)} disabled={toppingUp}>
+                {toppingUp ? 'Topping up...' : 'Top up'}
+              </button>
+            )}
+            {onTopUp && showTopUp && (
+              <div className="settings-panel">
+                <input
+                  type="text"
+                  className="server-input"
+                  value={topUpAmount}
+                  onChange={(e) => setTopUpAmount(e.target.value)}
+                  placeholder={`Amount (${symbol})`}
+                />
+                <button className="btn-primary-small" onClick={handleTopUp} disabled={toppingUp}>
+                  Add {topUpAmount} {symbol}
+                </button>
+              </div>
+            )}
             {onCloseChannel && (
               <button className="btn-danger-outline" onClick={onCloseChannel}>
                 Close Channel
@@ -1,4 +1,5 @@
 import type { PurchasedContent } from '../types';
+import { formatAmount } from '../utils/amount';
 import './Purchased.css';
 
 interface PurchasedProps {
@@ -20,7 +21,7 @@ export function Purchased({ items }: PurchasedProps) {
         {items.map((item, index) => (
           <div key={`${item.id}-${index}`} className="purchased-item">
             <h3>{item.title}</h3>
-            <p>Price: {item.price} ETH | Nonce: {item.nonce}</p>
+            <p>Price: {formatAmount(item.price)} ETH | Nonce: {item.nonce}</p>
             <div className="content-text">{item.content}</div>
           </div>
         ))}
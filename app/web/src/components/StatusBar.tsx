@@ -1,3 +1,4 @@
+import { formatBalance } from '../utils/amount';
 import './StatusBar.css';
 
 interface StatusBarProps {
@@ -32,11 +33,11 @@ export function StatusBar({
       </div>
       <div className="status-item">
         <label>Your Balance</label>
-        <span>{parseFloat(aliceBalance).toFixed(4)} ETH</span>
+        <span>{formatBalance(aliceBalance)} ETH</span>
       </div>
       <div className="status-item">
         <label>Server Balance</label>
-        <span>{parseFloat(bobBalance).toFixed(4)} ETH</span>
+        <span>{formatBalance(bobBalance)} ETH</span>
       </div>
       <div className="status-item">
         <label>Nonce</label>
@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import VideoPlayer from './VideoPlayer';
 import { MiniAccountBar } from './MiniAccountBar';
-import type { VideoContentItem } from '../types';
+import { ETH_ASSET, type ChannelAsset, type VideoContentItem } from '../types';
+import { formatAmount, formatBalance } from '../utils/amount';
 import './VideoFeed.css';
 
 interface VideoFeedProps {
@@ -11,7 +12,13 @@ interface VideoFeedProps {
   walletConnected: boolean;
   channelActive: boolean;
   clientBalance: string;
-  onPurchase: (videoId: string, purchaseType: 'full' | 'segment', segmentName?: string) => Promise<string | undefined>;
+  channelAsset?: ChannelAsset;
+  onPurchase: (
+    videoId: string,
+    purchaseType: 'full' | 'segment',
+    segmentName?: string
+  ) => Promise<{ revocationSecret?: string; accessToken?: string } | undefined>;
+  onRequestAccessToken: (videoId: string) => Promise<string | undefined>;
   purchasing: string | null;
   onAccountClick?: () => void;
 }
@@ -23,7 +30,9 @@ export function VideoFeed({
   walletConnected,
   channelActive,
   clientBalance,
+  channelAsset = ETH_ASSET,
   onPurchase,
+  onRequestAccessToken,
   purchasing,
   onAccountClick
 }: VideoFeedProps) {
@@ -34,13 +43,21 @@ export function VideoFeed({
   const [purchasedSegments, setPurchasedSegments] = useState<{ [key: string]: Set<string> }>({});
   const [videoRevocationSecrets, setVideoRevocationSecrets] = useState<{ [key: string]: string }>({});
   const [segmentRevocationSecrets, setSegmentRevocationSecrets] = useState<{ [key: string]: { [segmentName: string]: string } }>({});
+  // Latest server-issued access token per video, sent with playlist and segment requests
+  const [accessTokens, setAccessTokens] = useState<{ [key: string]: string }>({});
   const [purchasingSegment, setPurchasingSegment] = useState<string | null>(null);
   const [currentSegment, setCurrentSegment] = useState<string | null>(null);
   const containerRef = useRef<HTMLDivElement>(null);
   const touchStartY = useRef<number | null>(null);
 
   const currentVideo = items[currentVideoIndex];
-  const canAfford = (price: string) => parseFloat(clientBalance) >= parseFloat(price);
+  const canAfford = (price: string) => BigInt(clientBalance) >= BigInt(price);
+  const formatPrice = (price: string) => formatAmount(price, channelAsset.decimals);
+  // Token channels pay the catalog's token prices (all in the asset's smallest unit)
+  const segmentPrice = (video: VideoContentItem) =>
+    (channelAsset.token && video.tokenPricePerSegment) || video.pricePerSegment;
+  const fullPrice = (video: VideoContentItem) =>
+    (channelAsset.token && video.tokenFullPrice) || video.fullPrice;
 
   // Reset current segment when video changes
   useEffect(() => {
@@ -113,14 +130,22 @@ export function VideoFeed({
 
     if (purchaseType === 'full') {
       // For full video purchase
-      const revocationSecret = await onPurchase(currentVideo.id, purchaseType);
+      const result = await onPurchase(currentVideo.id, purchaseType);
       setHasFullAccess(prev => ({ ...prev, [currentVideo.id]: true }));
 
       // Store the revocation secret for decrypting segments
-      if (revocationSecret) {
-        setVideoRevocationSecrets(prev => ({ ...prev, [currentVideo.id]: revocationSecret }));
+      if (result?.revocationSecret) {
+        setVideoRevocationSecrets(prev => ({ ...prev, [currentVideo.id]: result.revocationSecret! }));
+      }
+      if (result?.accessToken) {
+        setAccessTokens(prev => ({ ...prev, [currentVideo.id]: result.accessToken! }));
       }
     } else {
+      // The playlist needs an access token even before the first segment is bought
+      const accessToken = accessTokens[currentVideo.id] || await onRequestAccessToken(currentVideo.id);
+      if (!accessToken) return;
+      setAccessTokens(prev => ({ ...prev, [currentVideo.id]: accessToken }));
+
       // For segment mode, enable segment purchase mode
       // The video will start playing and segments will be purchased on demand
       setSegmentPurchaseMode(prev => ({ ...prev, [currentVideo.id]: true }));
@@ -170,7 +195,7 @@ export function VideoFeed({
         console.log(`Purchasing segment: ${segmentName}`);
         setPurchasingSegment(segmentName);
 
-        const revocationSecret = await onPurchase(currentVideo.id, 'segment', segmentName);
+        const result = await onPurchase(currentVideo.id, 'segment', segmentName);
 
         // Mark segment as purchased
         setPurchasedSegments(prev => ({
@@ -179,16 +204,21 @@ export function VideoFeed({
         }));
 
         // Store the segment-specific revocation secret
-        if (revocationSecret) {
+        if (result?.revocationSecret) {
           setSegmentRevocationSecrets(prev => ({
             ...prev,
             [currentVideo.id]: {
               ...(prev[currentVideo.id] || {}),
-              [segmentName]: revocationSecret
+              [segmentName]: result.revocationSecret!
             }
           }));
         }
 
+        // The new token covers this segment as well as the earlier ones
+        if (result?.accessToken) {
+          setAccessTokens(prev => ({ ...prev, [currentVideo.id]: result.accessToken! }));
+        }
+
         // Clear the purchasing indicator after a short delay to let user see success
         setTimeout(() => setPurchasingSegment(null), 1000);
         console.log(`Successfully purchased segment: ${segmentName}`);
@@ -204,6 +234,15 @@ export function VideoFeed({
     return false;
   };
 
+  const handleAccessTokenExpired = async () => {
+    if (!currentVideo) return;
+
+    const accessToken = await onRequestAccessToken(currentVideo.id);
+    if (accessToken) {
+      setAccessTokens(prev => ({ ...prev, [currentVideo.id]: accessToken }));
+    }
+  };
+
   const handleVideoEnd = () => {
     // Auto-advance to next video with infinite loop when current one ends
     setCurrentVideoIndex(prev => (prev + 1) % items.length);
@@ -239,6 +278,8 @@ export function VideoFeed({
         isConnected={walletConnected}
         channelAddress={channelAddress}
         balance={clientBalance}
+        symbol={channelAsset.symbol}
+        decimals={channelAsset.decimals}
         onAccountClick={onAccountClick || (() => {})}
       />
 
@@ -254,8 +295,10 @@ export function VideoFeed({
             isPreview={!hasFullAccess[currentVideo.id] && !segmentPurchaseMode[currentVideo.id]}
             previewUrl={`${serverUrl}/video/${currentVideo.id}/preview`}
             playlistUrl={(hasFullAccess[currentVideo.id] || segmentPurchaseMode[currentVideo.id]) && channelAddress
-              ? `${serverUrl}/video/${currentVideo.id}/playlist.m3u8?channel=${channelAddress}`
+              ? `${serverUrl}/video/${currentVideo.id}/playlist.m3u8`
               : undefined}
+            accessToken={accessTokens[currentVideo.id]}
+            onAccessTokenExpired={handleAccessTokenExpired}
             revocationSecret={videoRevocationSecrets[currentVideo.id]}
             segmentRevocationSecrets={segmentRevocationSecrets[currentVideo.id] || {}}
             onSegmentRequest={handleSegmentRequest}
@@ -302,13 +345,13 @@ export function VideoFeed({
             <div className="balance-card">
               <div className="balance-header">
                 <span className="balance-label">Channel Balance</span>
-                <span className="balance-value">{parseFloat(clientBalance).toFixed(4)} ETH</span>
+                <span className="balance-value">{formatBalance(clientBalance, channelAsset.decimals)} {channelAsset.symbol}</span>
               </div>
               {currentVideo && (
                 <div className="affordability-indicator">
-                  {canAfford(currentVideo.fullPrice) ? (
+                  {canAfford(fullPrice(currentVideo)) ? (
                     <span className="can-afford">✓ Can afford full video</span>
-                  ) : canAfford(currentVideo.pricePerSegment) ? (
+                  ) : canAfford(segmentPrice(currentVideo)) ? (
                     <span className="can-afford-partial">✓ Can afford segments</span>
                   ) : (
                     <span className="cannot-afford">✗ Insufficient funds</span>
@@ -341,21 +384,21 @@ export function VideoFeed({
 
                 <div className="price-display">
                   <span className="price-amount">
-                    {purchaseType === 'full' ? currentVideo.fullPrice : currentVideo.pricePerSegment}
+                    {formatPrice(purchaseType === 'full' ? fullPrice(currentVideo) : segmentPrice(currentVideo))}
                   </span>
-                  <span className="price-unit">ETH</span>
+                  <span className="price-unit">{channelAsset.symbol}</span>
                   {purchaseType === 'segment' && (
                     <span className="price-note">per segment</span>
                   )}
                 </div>
 
                 <button
-                  className={`purchase-btn ${!canAfford(purchaseType === 'full' ? currentVideo.fullPrice : currentVideo.pricePerSegment) ? 'disabled' : ''}`}
+                  className={`purchase-btn ${!canAfford(purchaseType === 'full' ? fullPrice(currentVideo) : segmentPrice(currentVideo)) ? 'disabled' : ''}`}
                   onClick={handlePurchase}
                   disabled={
                     !walletConnected ||
                     !channelActive ||
-                    !canAfford(purchaseType === 'full' ? currentVideo.fullPrice : currentVideo.pricePerSegment) ||
+                    !canAfford(purchaseType === 'full' ? fullPrice(currentVideo) : segmentPrice(currentVideo)) ||
                     purchasing === currentVideo.id
                   }
                 >
@@ -365,7 +408,7 @@ export function VideoFeed({
                       ? 'Connect Wallet'
                       : !channelActive
                         ? 'Open Channel First'
-                        : !canAfford(purchaseType === 'full' ? currentVideo.fullPrice : currentVideo.pricePerSegment)
+                        : !canAfford(purchaseType === 'full' ? fullPrice(currentVideo) : segmentPrice(currentVideo))
                           ? 'Insufficient Funds'
                           : purchaseType === 'full'
                             ? 'Unlock Full Video'
@@ -381,11 +424,11 @@ export function VideoFeed({
             <div className="purchase-card">
               <h3>Pay-Per-Segment Mode</h3>
               <p style={{ fontSize: '14px', color: 'rgba(255, 255, 255, 0.8)', marginBottom: '12px' }}>
-                You'll be charged {currentVideo.pricePerSegment} ETH for each new segment as you watch.
+                You'll be charged {formatPrice(segmentPrice(currentVideo))} {channelAsset.symbol} for each new segment as you watch.
               </p>
               <div className="price-display">
-                <span className="price-amount">{currentVideo.pricePerSegment}</span>
-                <span className="price-unit">ETH</span>
+                <span className="price-amount">{formatPrice(segmentPrice(currentVideo))}</span>
+                <span className="price-unit">{channelAsset.symbol}</span>
                 <span className="price-note">per segment</span>
               </div>
               {/* Show current segment status */}
@@ -421,7 +464,7 @@ export function VideoFeed({
                     🔄 Purchasing segment: {purchasingSegment}...
                   </p>
                   <p style={{ fontSize: '12px', color: 'rgba(255, 255, 255, 0.7)', marginTop: '4px' }}>
-                    {currentVideo.pricePerSegment} ETH will be deducted
+                    {formatPrice(segmentPrice(currentVideo))} {channelAsset.symbol} will be deducted
                   </p>
                 </div>
               )}
@@ -10,6 +10,8 @@ interface VideoPlayerProps {
   isPreview?: boolean;
   previewUrl?: string;
   playlistUrl?: string;
+  accessToken?: string;
+  onAccessTokenExpired?: () => Promise<void>;
   revocationSecret?: string;
   segmentRevocationSecrets?: { [segmentName: string]: string };
   onSegmentRequest?: (segmentName: string) => Promise<boolean>;
@@ -25,6 +27,8 @@ const VideoPlayer: React.FC<VideoPlayerProps> = ({
   isPreview = false,
   previewUrl,
   playlistUrl,
+  accessToken,
+  onAccessTokenExpired,
   revocationSecret,
   segmentRevocationSecrets = {},
   onSegmentRequest,
@@ -38,6 +42,9 @@ const VideoPlayer: React.FC<VideoPlayerProps> = ({
   const revocationSecretRef = useRef<string | undefined>(revocationSecret);
   const segmentRevocationSecretsRef = useRef<{ [segmentName: string]: string }>(segmentRevocationSecrets);
   const onSegmentRequestRef = useRef(onSegmentRequest);
+  const accessTokenRef = useRef<string | undefined>(accessToken);
+  const onAccessTokenExpiredRef = useRef(onAccessTokenExpired);
+  const refreshingTokenRef = useRef(false);
   const [isPlaying, setIsPlaying] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -62,6 +69,14 @@ const VideoPlayer: React.FC<VideoPlayerProps> = ({
     onSegmentRequestRef.current = onSegmentRequest;
   }, [onSegmentRequest]);
 
+  useEffect(() => {
+    accessTokenRef.current = accessToken;
+  }, [accessToken]);
+
+  useEffect(() => {
+    onAccessTokenExpiredRef.current = onAccessTokenExpired;
+  }, [onAccessTokenExpired]);
+
   useEffect(() => {
     if (!videoRef.current) return;
 
@@ -96,8 +111,8 @@ const VideoPlayer: React.FC<VideoPlayerProps> = ({
 
             // Add headers
             xhr.setRequestHeader('Cache-Control', 'no-cache');
-            if (url.includes('/segment/')) {
-              xhr.setRequestHeader('X-Channel-Address', channelAddress);
+            if (url.includes('/segment/') && accessTokenRef.current) {
+              xhr.setRequestHeader('Authorization', `Bearer ${accessTokenRef.current}`);
             }
 
             xhr.onload = async () => {
@@ -147,6 +162,13 @@ const VideoPlayer: React.FC<VideoPlayerProps> = ({
                   callbacks.onError({ code: xhr.status, text: 'Decryption failed' }, context, xhr);
                 }
               } else {
+                // Expired or revoked token: fetch a new one, hls.js retries the fragment
+                if (xhr.status === 401 && !refreshingTokenRef.current && onAccessTokenExpiredRef.current) {
+                  refreshingTokenRef.current = true;
+                  onAccessTokenExpiredRef.current().finally(() => {
+                    refreshingTokenRef.current = false;
+                  });
+                }
                 callbacks.onError({ code: xhr.status, text: xhr.statusText }, context, xhr);
               }
             };
@@ -183,7 +205,13 @@ const VideoPlayer: React.FC<VideoPlayerProps> = ({
           manifestLoadingTimeOut: 10000,
           manifestLoadingMaxRetry: 4,
           manifestLoadingRetryDelay: 1000,
-          fLoader: CustomFragmentLoader as any
+          fLoader: CustomFragmentLoader as any,
+          // Playlist requests carry the access token too
+          xhrSetup: (xhr: XMLHttpRequest, url: string) => {
+            if (url.includes('/playlist.m3u8') && accessTokenRef.current) {
+              xhr.setRequestHeader('Authorization', `Bearer ${accessTokenRef.current}`);
+            }
+          }
         });
 
         console.log('Loading HLS source:', sourceUrl);
@@ -262,8 +290,10 @@ const VideoPlayer: React.FC<VideoPlayerProps> = ({
           hls.destroy();
         };
       } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
-        // Native HLS support (Safari)
-        video.src = sourceUrl;
+        // Native HLS support (Safari) cannot set headers, so the token goes in the query
+        video.src = !isPreview && accessTokenRef.current
+          ? `${sourceUrl}?token=${encodeURIComponent(accessTokenRef.current)}`
+          : sourceUrl;
         if (isPreview) {
           video.loop = true;
           video.muted = true;
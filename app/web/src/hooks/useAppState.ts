@@ -1,9 +1,13 @@
-import { useCallback } from 'react';
+import { useCallback, useEffect } from 'react';
 import { useAccount } from 'wagmi';
 import { useLogs } from './useLogs';
 import { useServer } from './useServer';
 import { useChannels } from './useChannels';
 import { useContent } from './useContent';
+import type { ChannelAsset } from '../types';
+
+// How often the server is asked whether it wants to close the channel
+const CLOSE_REQUEST_POLL_INTERVAL = 60_000;
 
 export function useAppState() {
   const { address, isConnected } = useAccount();
@@ -18,7 +22,9 @@ export function useAppState() {
     serverAddress,
     serverConnected,
     contractAbi,
-    contractBytecode,
+    factoryAddress,
+    factoryAbi,
+    paymentToken,
     loadServerInfo,
   } = useServer({ onLog: addLog });
 
@@ -29,10 +35,16 @@ export function useAppState() {
     currentNonce,
     partyABalance: aliceBalance,
     partyBBalance: bobBalance,
+    channelAsset,
+    stalledChannels,
+    closeRequest,
+    checkCloseRequest,
     selectChannel,
     updateChannelState,
     setupChannel: setupChannelBase,
     closeChannel: closeChannelBase,
+    spliceChannel: spliceChannelBase,
+    reclaimDeposit: reclaimDepositBase,
     resetChannelState,
   } = useChannels({ onLog: addLog });
 
@@ -43,7 +55,7 @@ export function useAppState() {
     purchasedContent,
     purchaseContent: purchaseContentBase,
     purchaseVideo: purchaseVideoBase,
-    initializeRevocationSeed,
+    requestAccessToken: requestAccessTokenBase,
   } = useContent({ onLog: addLog });
 
   // Wrap loadCatalog to inject serverUrl
@@ -56,14 +68,16 @@ export function useAppState() {
     videoId: string,
     purchaseType: 'full' | 'segment',
     segmentName?: string
-  ): Promise<{ success: boolean; revocationSecret?: string }> => {
+  ): Promise<{ success: boolean; revocationSecret?: string; accessToken?: string }> => {
     if (!address || !isConnected) throw new Error('Wallet not connected');
     if (!channelAddress) throw new Error('No active channel');
+    if (!serverAddress) throw new Error('Server address not loaded');
 
     const result = await purchaseVideoBase(videoId, purchaseType, {
       address,
       serverUrl,
       channelAddress,
+      serverAddress,
     }, segmentName);
 
     if (result.success && result.newAlice !== undefined && result.newBob !== undefined && result.newNonce !== undefined) {
@@ -73,7 +87,12 @@ export function useAppState() {
     // For full video purchases, we'll get a revocation secret that needs to be passed through
     // The VideoFeed component will handle storing it for decryption
     return result;
-  }, [address, isConnected, purchaseVideoBase, serverUrl, channelAddress, updateChannelState]);
+  }, [address, isConnected, purchaseVideoBase, serverUrl, channelAddress, serverAddress, updateChannelState]);
+
+  const requestAccessToken = useCallback(async (videoId: string): Promise<string | undefined> => {
+    if (!channelAddress) throw new Error('No active channel');
+    return requestAccessTokenBase(videoId, { serverUrl, channelAddress });
+  }, [requestAccessTokenBase, serverUrl, channelAddress]);
 
   // Wrap purchaseContent to inject config and update channel state
   const purchaseContent = useCallback(async (contentId: string): Promise<boolean> => {
@@ -97,9 +116,10 @@ export function useAppState() {
   const setupChannel = useCallback(async (
     yourDeposit: string,
     disputePeriod: number,
-    onProgress: (step: number, message: string) => void
+    onProgress: (step: number, message: string) => void,
+    asset?: ChannelAsset
   ): Promise<string | null> => {
-    if (!address || !isConnected || !contractAbi || !contractBytecode || !serverAddress) {
+    if (!address || !isConnected || !contractAbi || !factoryAddress || !factoryAbi || !serverAddress) {
       throw new Error('Missing requirements for channel setup');
     }
 
@@ -108,9 +128,11 @@ export function useAppState() {
       serverAddress,
       serverUrl,
       contractAbi,
-      contractBytecode,
+      factoryAddress,
+      factoryAbi,
+      asset,
     });
-  }, [address, isConnected, contractAbi, contractBytecode, serverAddress, serverUrl, setupChannelBase]);
+  }, [address, isConnected, contractAbi, factoryAddress, factoryAbi, serverAddress, serverUrl, setupChannelBase]);
 
   // Wrap closeChannel to inject config
   const closeChannel = useCallback(async (): Promise<boolean> => {
@@ -124,11 +146,44 @@ export function useAppState() {
     });
   }, [contractAbi, serverUrl, closeChannelBase]);
 
+  // Wrap spliceChannel to inject config
+  const spliceChannel = useCallback(async (deposit: string, withdraw = '0'): Promise<boolean> => {
+    if (!address || !contractAbi) {
+      throw new Error('Wallet or contract not ready');
+    }
+    if (!serverAddress) {
+      throw new Error('Server address not loaded');
+    }
+
+    return spliceChannelBase(deposit, withdraw, {
+      address,
+      serverAddress,
+      serverUrl,
+      contractAbi,
+    });
+  }, [address, contractAbi, serverAddress, serverUrl, spliceChannelBase]);
+
+  // Wrap reclaimDeposit to inject config
+  const reclaimDeposit = useCallback(async (stalledAddress: `0x${string}`): Promise<string> => {
+    if (!contractAbi) {
+      throw new Error('Contract not loaded');
+    }
+
+    return reclaimDepositBase(stalledAddress, { contractAbi });
+  }, [contractAbi, reclaimDepositBase]);
+
+  // Watch for the server asking to close the active channel
+  useEffect(() => {
+    if (!channelAddress) return;
+    checkCloseRequest(serverUrl);
+    const timer = setInterval(() => checkCloseRequest(serverUrl), CLOSE_REQUEST_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [channelAddress, serverUrl, checkCloseRequest]);
+
   // Initialize when wallet connects
   const onWalletConnect = useCallback((walletAddress: string) => {
-    initializeRevocationSeed(walletAddress);
     addLog(`Wallet connected: ${walletAddress}`, 'success');
-  }, [initializeRevocationSeed, addLog]);
+  }, [addLog]);
 
   return {
     // Wallet
@@ -143,8 +198,13 @@ export function useAppState() {
     currentNonce,
     aliceBalance,
     bobBalance,
+    channelAsset,
     setupChannel,
     closeChannel,
+    spliceChannel,
+    stalledChannels,
+    reclaimDeposit,
+    closeRequest,
     resetChannelState,
 
     // Content
@@ -153,11 +213,13 @@ export function useAppState() {
     purchasedContent,
     purchaseContent,
     purchaseVideo,
+    requestAccessToken,
 
     // Server/Contract
     serverAddress,
     serverConnected,
     contractAbi,
+    paymentToken,
     loadServerInfo,
 
     // Config
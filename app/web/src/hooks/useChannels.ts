@@ -1,8 +1,24 @@
-import { useState, useCallback } from 'react';
-import { useSignMessage, useWriteContract, usePublicClient, useWalletClient } from 'wagmi';
-import { parseEther, formatEther, getAddress, keccak256, encodePacked, type Abi } from 'viem';
-import type { Channel } from '../types';
+import { useState, useCallback, useRef } from 'react';
+import { useChainId, useSignTypedData, useWriteContract, usePublicClient } from 'wagmi';
+import { parseUnits, formatUnits, getAddress, keccak256, isAddressEqual, recoverTypedDataAddress, erc20Abi, zeroAddress, parseEventLogs, type Abi } from 'viem';
+import { ETH_ASSET, type Channel, type ChannelAsset, type CloseRequest } from '../types';
 import * as api from '../utils/api';
+import { closeTypedData, commitmentTypedData, hashCommitment, spliceTypedData, ZERO_REVOCATION_HASH } from '../utils/commitment';
+import { revocationSecretFor } from '../utils/shachain';
+
+// Channel states as numbered in BidirectionalChannel.State
+const CHANNEL_STATE_FUNDING = 0;
+
+/**
+ * A deployed channel whose setup failed after the deposit was locked.
+ * The deposit can be reclaimed once the funding deadline has passed.
+ */
+export interface StalledChannel {
+  address: `0x${string}`;
+  deposit: string; // smallest unit of the asset
+  asset: ChannelAsset;
+  fundingDeadline: number; // unix seconds
+}
 
 export interface UseChannelsOptions {
   onLog?: (message: string, type: 'info' | 'success' | 'error' | 'warning') => void;
@@ -11,16 +27,21 @@ export interface UseChannelsOptions {
 export function useChannels(options: UseChannelsOptions = {}) {
   const { onLog } = options;
 
-  const { signMessageAsync } = useSignMessage();
+  const chainId = useChainId();
+  const { signTypedDataAsync } = useSignTypedData();
   const { writeContractAsync } = useWriteContract();
   const publicClient = usePublicClient();
-  const { data: walletClient } = useWalletClient();
 
   const [channels, setChannels] = useState<Channel[]>([]);
   const [channelAddress, setChannelAddress] = useState<string | null>(null);
   const [currentNonce, setCurrentNonce] = useState(0);
   const [partyABalance, setPartyABalance] = useState('0');
   const [partyBBalance, setPartyBBalance] = useState('0');
+  const [channelAsset, setChannelAsset] = useState<ChannelAsset>(ETH_ASSET);
+  const [stalledChannels, setStalledChannels] = useState<StalledChannel[]>([]);
+  const [closeRequest, setCloseRequest] = useState<CloseRequest | null>(null);
+  // Channel and status of the close request the viewer was last told about
+  const notifiedCloseRequest = useRef<string | null>(null);
 
   const log = useCallback((message: string, type: 'info' | 'success' | 'error' | 'warning' = 'info') => {
     onLog?.(message, type);
@@ -31,6 +52,7 @@ export function useChannels(options: UseChannelsOptions = {}) {
     setPartyABalance(channel.partyABalance);
     setPartyBBalance(channel.partyBBalance);
     setCurrentNonce(channel.nonce);
+    setChannelAsset(channel.asset || ETH_ASSET);
     log(`Selected channel: ${channel.address}`, 'info');
   }, [log]);
 
@@ -58,43 +80,52 @@ export function useChannels(options: UseChannelsOptions = {}) {
       serverAddress: string;
       serverUrl: string;
       contractAbi: Abi;
-      contractBytecode: string;
+      factoryAddress: `0x${string}`;
+      factoryAbi: Abi;
+      asset?: ChannelAsset; // ERC-20 the channel is denominated in, ETH when omitted
     }
   ): Promise<string | null> => {
-    const { address, serverAddress, serverUrl, contractAbi, contractBytecode } = config;
+    const { address, serverAddress, serverUrl, contractAbi, factoryAddress, factoryAbi, asset = ETH_ASSET } = config;
 
-    if (!walletClient || !publicClient) {
+    if (!publicClient) {
       throw new Error('Wallet not ready');
     }
 
-    try {
-      // Step 1: Deploy contract
-      onProgress(1, 'Deploying channel contract...');
-      log('Deploying channel contract...', 'info');
-
-      const fundingDeadline = BigInt(Math.floor(Date.now() / 1000) + 3600);
+    // The deposit is entered in whole units; everything after this works in wei
+    const depositUnits = parseUnits(yourDeposit, asset.decimals);
+    const fundingDeadline = BigInt(Math.floor(Date.now() / 1000) + 3600);
+    let deployedAddress: `0x${string}` | null = null;
 
-      const hash = await walletClient.deployContract({
-        abi: contractAbi,
-        bytecode: contractBytecode as `0x${string}`,
+    try {
+      // Step 1: Create the channel through the factory
+      onProgress(1, 'Creating channel contract...');
+      log('Creating channel through the factory...', 'info');
+
+      const hash = await writeContractAsync({
+        address: factoryAddress,
+        abi: factoryAbi,
+        functionName: 'createChannel',
         args: [
           getAddress(address),
           getAddress(serverAddress),
           fundingDeadline,
           BigInt(disputePeriod),
+          asset.token ?? zeroAddress,
         ],
       });
 
-      log(`Deploy tx: ${hash}`, 'info');
+      log(`Create tx: ${hash}`, 'info');
 
       const receipt = await publicClient.waitForTransactionReceipt({ hash });
-      const newChannelAddress = receipt.contractAddress;
+      const [created] = parseEventLogs({ abi: factoryAbi, eventName: 'ChannelCreated', logs: receipt.logs });
+      const newChannelAddress = (created?.args as { channel?: `0x${string}` } | undefined)?.channel;
 
       if (!newChannelAddress) {
-        throw new Error('Contract deployment failed - no address returned');
+        throw new Error('Channel creation failed - no ChannelCreated event');
       }
 
-      log(`Contract deployed at: ${newChannelAddress}`, 'success');
+      deployedAddress = newChannelAddress;
+      log(`Channel created at: ${newChannelAddress}`, 'success');
 
       // Step 2: Create and sign initial commitment (BEFORE funding!)
       // This follows Lightning Network pattern: get signatures before locking funds
@@ -102,31 +133,25 @@ export function useChannels(options: UseChannelsOptions = {}) {
       log('Creating initial commitment (nonce 0)...', 'info');
 
       // Generate client's revocation hash for nonce 0
-      const clientRevocationSeed = keccak256(encodePacked(['string'], [`client-seed-${address}`]));
-      const clientRevocationSecret = keccak256(encodePacked(['bytes32', 'uint256'], [clientRevocationSeed, BigInt(0)]));
+      const clientRevocationSecret = revocationSecretFor(newChannelAddress, 0);
       const clientRevocationHash = keccak256(clientRevocationSecret);
 
       // Initial commitment: client has their deposit, server has 0
-      // We use a placeholder for server's revocation hash - server will provide theirs
-      const initialCommitmentHash = keccak256(
-        encodePacked(
-          ['address', 'uint256', 'uint256', 'uint256', 'bytes32', 'bytes32'],
-          [
-            newChannelAddress as `0x${string}`,
-            BigInt(0), // nonce 0
-            parseEther(yourDeposit), // client balance
-            BigInt(0), // server balance
-            clientRevocationHash,
-            '0x0000000000000000000000000000000000000000000000000000000000000000' as `0x${string}` // placeholder
-          ]
-        )
-      );
+      // The server's revocation hash is not known yet, so it is zero in the signed hash
+      const initialCommitment = {
+        channelAddress: newChannelAddress,
+        chainId,
+        nonce: 0,
+        partyABalance: depositUnits.toString(),
+        partyBBalance: '0',
+        partyARevocationHash: clientRevocationHash,
+        partyBRevocationHash: ZERO_REVOCATION_HASH,
+      };
+      const initialCommitmentHash = hashCommitment(initialCommitment);
 
       // Sign the initial commitment
       log('Signing initial commitment...', 'info');
-      const clientSignature = await signMessageAsync({
-        message: { raw: initialCommitmentHash },
-      });
+      const clientSignature = await signTypedDataAsync(commitmentTypedData(initialCommitment));
 
       // Send to server and get their signature
       log('Requesting server signature on initial commitment...', 'info');
@@ -135,7 +160,7 @@ export function useChannels(options: UseChannelsOptions = {}) {
         serverUrl,
         newChannelAddress,
         address,
-        yourDeposit,
+        depositUnits.toString(),
         initialCommitmentHash,
         clientSignature,
         clientRevocationHash
@@ -147,14 +172,33 @@ export function useChannels(options: UseChannelsOptions = {}) {
       // Now we have both signatures - safe to fund!
       // Step 3: Fund and open channel in a single transaction
       onProgress(3, 'Funding and opening channel...');
-      log(`Funding channel with ${yourDeposit} ETH and opening...`, 'info');
-
-      const fundAndOpenHash = await writeContractAsync({
-        address: newChannelAddress,
-        abi: contractAbi,
-        functionName: 'fundAndOpenChannel',
-        value: parseEther(yourDeposit),
-      });
+      log(`Funding channel with ${formatUnits(depositUnits, asset.decimals)} ${asset.symbol} and opening...`, 'info');
+
+      let fundAndOpenHash: `0x${string}`;
+      if (asset.token) {
+        // Token channels pull the deposit, so approve the channel first
+        const approveHash = await writeContractAsync({
+          address: asset.token,
+          abi: erc20Abi,
+          functionName: 'approve',
+          args: [newChannelAddress, depositUnits],
+        });
+        await publicClient.waitForTransactionReceipt({ hash: approveHash });
+
+        fundAndOpenHash = await writeContractAsync({
+          address: newChannelAddress,
+          abi: contractAbi,
+          functionName: 'fundAndOpenChannelToken',
+          args: [depositUnits],
+        });
+      } else {
+        fundAndOpenHash = await writeContractAsync({
+          address: newChannelAddress,
+          abi: contractAbi,
+          functionName: 'fundAndOpenChannel',
+          value: depositUnits,
+        });
+      }
 
       await publicClient.waitForTransactionReceipt({ hash: fundAndOpenHash });
       log('Channel funded and opened', 'success');
@@ -166,21 +210,22 @@ export function useChannels(options: UseChannelsOptions = {}) {
       await api.registerChannel(serverUrl, newChannelAddress, address);
       log('Server acknowledged channel', 'success');
 
-      // Create new channel entry - use formatEther to ensure consistent string format
       const newChannel: Channel = {
         address: newChannelAddress,
-        partyABalance: formatEther(parseEther(yourDeposit)),
+        partyABalance: depositUnits.toString(),
         partyBBalance: '0',
         nonce: 0,
         createdAt: Date.now(),
+        asset,
       };
 
       // Update state
       setChannels(prev => [...prev, newChannel]);
       setChannelAddress(newChannelAddress);
-      setPartyABalance(formatEther(parseEther(yourDeposit)));
+      setPartyABalance(depositUnits.toString());
       setPartyBBalance('0');
       setCurrentNonce(0);
+      setChannelAsset(asset);
 
       onProgress(5, 'Channel ready!');
       log(`Channel setup complete: ${newChannelAddress}`, 'success');
@@ -189,9 +234,74 @@ export function useChannels(options: UseChannelsOptions = {}) {
       return newChannelAddress;
     } catch (error) {
       log(`Channel setup failed: ${(error as Error).message}`, 'error');
+
+      // If the deposit was locked but the channel never opened, remember it
+      // so it can be reclaimed after the funding deadline
+      if (deployedAddress) {
+        try {
+          const [state, deposit] = await Promise.all([
+            publicClient.readContract({ address: deployedAddress, abi: contractAbi, functionName: 'channelState' }),
+            publicClient.readContract({ address: deployedAddress, abi: contractAbi, functionName: 'deposits', args: [getAddress(address)] }),
+          ]) as [number, bigint];
+
+          if (Number(state) === CHANNEL_STATE_FUNDING && deposit > 0n) {
+            const stalled: StalledChannel = {
+              address: deployedAddress,
+              deposit: deposit.toString(),
+              asset,
+              fundingDeadline: Number(fundingDeadline),
+            };
+            setStalledChannels(prev => [...prev.filter(ch => ch.address !== stalled.address), stalled]);
+            log(
+              `${formatUnits(deposit, asset.decimals)} ${asset.symbol} is locked in ${stalled.address}; reclaim it after ${new Date(stalled.fundingDeadline * 1000).toLocaleString()}`,
+              'warning'
+            );
+          }
+        } catch (readError) {
+          log(`Could not check deposit on ${deployedAddress}: ${(readError as Error).message}`, 'warning');
+        }
+      }
+
+      throw error;
+    }
+  }, [publicClient, writeContractAsync, signTypedDataAsync, chainId, log]);
+
+  const reclaimDeposit = useCallback(async (
+    stalledAddress: `0x${string}`,
+    config: {
+      contractAbi: Abi;
+    }
+  ): Promise<string> => {
+    const { contractAbi } = config;
+
+    if (!publicClient) {
+      throw new Error('Wallet not ready');
+    }
+
+    const stalled = stalledChannels.find(ch => ch.address === stalledAddress);
+    if (stalled && Date.now() / 1000 <= stalled.fundingDeadline) {
+      throw new Error(`Funding deadline has not passed yet (${new Date(stalled.fundingDeadline * 1000).toLocaleString()})`);
+    }
+
+    try {
+      log(`Reclaiming deposit from ${stalledAddress}...`, 'info');
+
+      const hash = await writeContractAsync({
+        address: stalledAddress,
+        abi: contractAbi,
+        functionName: 'reclaimDeposit',
+      });
+
+      await publicClient.waitForTransactionReceipt({ hash });
+      setStalledChannels(prev => prev.filter(ch => ch.address !== stalledAddress));
+      log(`Deposit reclaimed: ${hash}`, 'success');
+
+      return hash;
+    } catch (error) {
+      log(`Deposit reclaim failed: ${(error as Error).message}`, 'error');
       throw error;
     }
-  }, [walletClient, publicClient, writeContractAsync, signMessageAsync, log]);
+  }, [publicClient, stalledChannels, writeContractAsync, log]);
 
   const resetChannelState = useCallback(() => {
     // Reset all channel-related state
@@ -200,66 +310,214 @@ export function useChannels(options: UseChannelsOptions = {}) {
     setPartyABalance('0');
     setPartyBBalance('0');
     setCurrentNonce(0);
+    setChannelAsset(ETH_ASSET);
+    setCloseRequest(null);
     log('Channel state reset', 'info');
   }, [log]);
 
-  const closeChannel = useCallback(async (
+  /**
+   * Add funds to (deposit) or withdraw part of our balance from (withdraw) the
+   * active channel without closing it. The server co-signs the new base state;
+   * older commitments stop being valid once the splice is on-chain.
+   */
+  const spliceChannel = useCallback(async (
+    deposit: string,
+    withdraw: string,
     config: {
+      address: string;
+      serverAddress: string;
       serverUrl: string;
       contractAbi: Abi;
     }
   ): Promise<boolean> => {
-    const { serverUrl, contractAbi } = config;
+    const { address, serverAddress, serverUrl, contractAbi } = config;
 
     if (!channelAddress || !publicClient) {
       throw new Error('No active channel or wallet not ready');
     }
 
-    try {
-      log('Initiating cooperative channel close...', 'info');
-
-      // Convert balances to wei for consistent comparison, then back to ether string
-      const balanceAWei = parseEther(partyABalance);
-      const balanceBWei = parseEther(partyBBalance);
-      const balanceAStr = formatEther(balanceAWei);
-      const balanceBStr = formatEther(balanceBWei);
+    const { symbol, decimals } = channelAsset;
+    const format = (value: bigint) => formatUnits(value, decimals);
 
-      // Step 1: Request server signature
-      log('Requesting server signature...', 'info');
-      const { partyBSignature } = await api.requestCloseChannel(
+    try {
+      // Amounts are entered in whole units
+      const depositWei = parseUnits(deposit || '0', decimals);
+      const withdrawWei = parseUnits(withdraw || '0', decimals);
+      const nonce = currentNonce + 1;
+      log(`Requesting splice: +${format(depositWei)} / -${format(withdrawWei)} ${symbol}...`, 'info');
+
+      // Our revocation hash for the new base state, derived like every other nonce's
+      const clientRevocationSecret = revocationSecretFor(channelAddress, nonce);
+      const partyARevocationHash = keccak256(clientRevocationSecret);
+
+      // Step 1: Server proposes the new base state and signs its commitment
+      const { splice, partyBRevocationHash, partyBCommitmentSignature } = await api.requestSplice(
         serverUrl,
         channelAddress,
-        balanceAStr,
-        balanceBStr
-      );
-      log('Server signature received', 'success');
-
-      // Step 2: Create close message hash (must match contract)
-      const closeHash = keccak256(
-        encodePacked(
-          ['string', 'address', 'uint256', 'uint256'],
-          ['CLOSE', channelAddress as `0x${string}`, balanceAWei, balanceBWei]
-        )
+        address,
+        depositWei.toString(),
+        withdrawWei.toString(),
+        partyARevocationHash
       );
 
-      // Step 3: Sign with client wallet
-      log('Signing close message...', 'info');
-      const partyASignature = await signMessageAsync({
-        message: { raw: closeHash },
+      if (splice.nonce !== nonce) {
+        throw new Error(`Channel out of sync: server is at nonce ${splice.nonce - 1}, we are at ${currentNonce}`);
+      }
+      if (BigInt(splice.partyABalance) !== BigInt(partyABalance) + depositWei - withdrawWei ||
+          BigInt(splice.partyBBalance) !== BigInt(partyBBalance)) {
+        throw new Error('Server proposed unexpected splice balances');
+      }
+
+      const typedCommitment = commitmentTypedData({
+        channelAddress,
+        chainId,
+        nonce,
+        partyABalance: splice.partyABalance,
+        partyBBalance: splice.partyBBalance,
+        partyARevocationHash,
+        partyBRevocationHash,
+      });
+      const commitmentSigner = await recoverTypedDataAddress({
+        ...typedCommitment,
+        signature: partyBCommitmentSignature as `0x${string}`,
       });
-      log('Close message signed', 'success');
+      if (!isAddressEqual(commitmentSigner, serverAddress as `0x${string}`)) {
+        throw new Error('Server signature on the splice commitment is invalid');
+      }
+
+      // Step 2: Sign the new base state and get the server's splice signature
+      log('Signing splice commitment...', 'info');
+      const partyACommitmentSignature = await signTypedDataAsync(typedCommitment);
+      const { partyBSpliceSignature } = await api.signSplice(serverUrl, channelAddress, partyACommitmentSignature);
 
-      // Step 4: Call cooperative close on contract
-      log('Submitting cooperative close to contract...', 'info');
-      const closeChannelHash = await writeContractAsync({
+      const typedSplice = spliceTypedData({
+        channelAddress,
+        chainId,
+        nonce,
+        partyABalance: splice.partyABalance,
+        partyBBalance: splice.partyBBalance,
+        depositA: splice.depositA,
+        withdrawA: splice.withdrawA,
+        deadline: splice.deadline,
+      });
+      const spliceSigner = await recoverTypedDataAddress({
+        ...typedSplice,
+        signature: partyBSpliceSignature as `0x${string}`,
+      });
+      if (!isAddressEqual(spliceSigner, serverAddress as `0x${string}`)) {
+        throw new Error('Server signature on the splice is invalid');
+      }
+
+      log('Signing splice...', 'info');
+      const partyASpliceSignature = await signTypedDataAsync(typedSplice);
+
+      // Step 3: Execute the splice on-chain; token channels pull the deposit
+      // through an allowance instead of msg.value
+      if (channelAsset.token && depositWei > 0n) {
+        const approveHash = await writeContractAsync({
+          address: channelAsset.token,
+          abi: erc20Abi,
+          functionName: 'approve',
+          args: [channelAddress as `0x${string}`, depositWei],
+        });
+        await publicClient.waitForTransactionReceipt({ hash: approveHash });
+      }
+
+      log('Submitting splice to contract...', 'info');
+      const spliceHash = await writeContractAsync({
         address: channelAddress as `0x${string}`,
         abi: contractAbi,
-        functionName: 'cooperativeClose',
-        args: [balanceAWei, balanceBWei, partyASignature, partyBSignature],
+        functionName: 'splice',
+        args: [
+          BigInt(nonce),
+          BigInt(splice.partyABalance),
+          BigInt(splice.partyBBalance),
+          withdrawWei,
+          0n,
+          BigInt(splice.deadline),
+          partyASpliceSignature,
+          partyBSpliceSignature,
+        ],
+        value: channelAsset.token ? 0n : depositWei,
       });
 
-      await publicClient.waitForTransactionReceipt({ hash: closeChannelHash });
-      log('Channel closed successfully!', 'success');
+      await publicClient.waitForTransactionReceipt({ hash: spliceHash });
+      log(`Splice executed: ${spliceHash}`, 'success');
+
+      // Step 4: Let the server adopt the new base state
+      const confirmed = await api.confirmSplice(serverUrl, channelAddress);
+      updateChannelState(confirmed.partyABalance, confirmed.partyBBalance, confirmed.nonce);
+      log(`Channel balance is now ${format(BigInt(confirmed.partyABalance))} ${symbol}`, 'success');
+
+      return true;
+    } catch (error) {
+      log(`Splice failed: ${(error as Error).message}`, 'error');
+      throw error;
+    }
+  }, [channelAddress, channelAsset, currentNonce, partyABalance, partyBBalance, publicClient, signTypedDataAsync, chainId, writeContractAsync, updateChannelState, log]);
+
+  const closeChannel = useCallback(async (
+    config: {
+      serverUrl: string;
+      contractAbi: Abi;
+    }
+  ): Promise<boolean> => {
+    const { serverUrl, contractAbi } = config;
+
+    if (!channelAddress || !publicClient) {
+      throw new Error('No active channel or wallet not ready');
+    }
+
+    try {
+      log('Initiating cooperative channel close...', 'info');
+
+      // The server may already be asking to close; answering it submits the close for us
+      const closeRequest = await api.getCloseRequest(serverUrl, channelAddress);
+      if (closeRequest?.status === 'requested') {
+        log(`Server requested this close (${closeRequest.reason}), signing it...`, 'info');
+        const partyASignature = await signTypedDataAsync(
+          closeTypedData({
+            channelAddress,
+            chainId,
+            balanceA: BigInt(closeRequest.balanceA),
+            balanceB: BigInt(closeRequest.balanceB),
+          })
+        );
+        const { txHash } = await api.acceptCloseRequest(serverUrl, channelAddress, partyASignature);
+        log(`Channel closed by the server: ${txHash}`, 'success');
+      } else {
+        const balanceAWei = BigInt(partyABalance);
+        const balanceBWei = BigInt(partyBBalance);
+
+        // Step 1: Request server signature
+        log('Requesting server signature...', 'info');
+        const { partyBSignature } = await api.requestCloseChannel(
+          serverUrl,
+          channelAddress,
+          partyABalance,
+          partyBBalance
+        );
+        log('Server signature received', 'success');
+
+        // Step 2: Sign the typed close message (must match contract)
+        log('Signing close message...', 'info');
+        const partyASignature = await signTypedDataAsync(
+          closeTypedData({ channelAddress, chainId, balanceA: balanceAWei, balanceB: balanceBWei })
+        );
+        log('Close message signed', 'success');
+
+        // Step 3: Call cooperative close on contract
+        log('Submitting cooperative close to contract...', 'info');
+        const closeChannelHash = await writeContractAsync({
+          address: channelAddress as `0x${string}`,
+          abi: contractAbi,
+          functionName: 'cooperativeClose',
+          args: [balanceAWei, balanceBWei, partyASignature, partyBSignature],
+        });
+
+        await publicClient.waitForTransactionReceipt({ hash: closeChannelHash });
+        log('Channel closed successfully!', 'success');
+      }
 
       // Remove channel from list
       setChannels(prev => prev.filter(ch => ch.address !== channelAddress));
@@ -267,13 +525,47 @@ export function useChannels(options: UseChannelsOptions = {}) {
       setPartyABalance('0');
       setPartyBBalance('0');
       setCurrentNonce(0);
+      setChannelAsset(ETH_ASSET);
+      setCloseRequest(null);
 
       return true;
     } catch (error) {
       log(`Channel close failed: ${(error as Error).message}`, 'error');
       throw error;
     }
-  }, [channelAddress, partyABalance, partyBBalance, publicClient, signMessageAsync, writeContractAsync, log]);
+  }, [channelAddress, partyABalance, partyBBalance, publicClient, signTypedDataAsync, chainId, writeContractAsync, log]);
+
+  /**
+   * Fetch the server's close request for the active channel and tell the
+   * viewer when it appears or changes status. The server disputes the channel
+   * if a request goes unanswered, so this is polled rather than only checked
+   * on close.
+   */
+  const checkCloseRequest = useCallback(async (serverUrl: string): Promise<void> => {
+    if (!channelAddress) {
+      setCloseRequest(null);
+      return;
+    }
+
+    try {
+      const request = await api.getCloseRequest(serverUrl, channelAddress);
+      setCloseRequest(request);
+
+      const key = request && `${channelAddress}:${request.status}`;
+      if (!request || key === notifiedCloseRequest.current) return;
+      notifiedCloseRequest.current = key;
+
+      if (request.status === 'requested') {
+        log(`Server asks to close this channel (${request.reason}). Close it before ${new Date(request.deadline).toLocaleString()} or the server will dispute it.`, 'warning');
+      } else if (request.status === 'disputed') {
+        log(`Channel is in dispute${request.disputeDeadline ? ` until ${new Date(request.disputeDeadline).toLocaleString()}` : ''}, no more purchases are possible`, 'warning');
+      } else {
+        log('Server closed this channel', 'info');
+      }
+    } catch {
+      // Server unreachable: the next poll tries again
+    }
+  }, [channelAddress, log]);
 
   return {
     channels,
@@ -281,10 +573,16 @@ export function useChannels(options: UseChannelsOptions = {}) {
     currentNonce,
     partyABalance,
     partyBBalance,
+    channelAsset,
+    stalledChannels,
+    closeRequest,
+    checkCloseRequest,
     selectChannel,
     updateChannelState,
     setupChannel,
     resetChannelState,
     closeChannel,
+    spliceChannel,
+    reclaimDeposit,
   };
 }
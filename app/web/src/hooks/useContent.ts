@@ -1,8 +1,10 @@
 import { useState, useCallback } from 'react';
-import { useSignMessage } from 'wagmi';
-import { keccak256, encodePacked, parseEther, type Address } from 'viem';
+import { useChainId, useSignMessage, useSignTypedData } from 'wagmi';
+import { keccak256, isAddressEqual, recoverTypedDataAddress } from 'viem';
 import type { VideoContentItem, PurchasedContent } from '../types';
 import { decryptContent } from '../utils/crypto';
+import { commitmentTypedData } from '../utils/commitment';
+import { revocationSecretFor } from '../utils/shachain';
 import * as api from '../utils/api';
 
 export interface UseContentOptions {
@@ -12,36 +14,22 @@ export interface UseContentOptions {
 export function useContent(options: UseContentOptions = {}) {
   const { onLog } = options;
 
+  const chainId = useChainId();
+  const { signTypedDataAsync } = useSignTypedData();
   const { signMessageAsync } = useSignMessage();
 
   const [catalog, setCatalog] = useState<VideoContentItem[]>([]);
   const [purchasedContent, setPurchasedContent] = useState<PurchasedContent[]>([]);
 
-  // Revocation state
-  const [revocationSeed, setRevocationSeed] = useState<string | null>(null);
-  const [revocationSecrets] = useState<Map<number, string>>(new Map());
-
   const log = useCallback((message: string, type: 'info' | 'success' | 'error' | 'warning' = 'info') => {
     onLog?.(message, type);
   }, [onLog]);
 
-  const initializeRevocationSeed = useCallback((walletAddress: string) => {
-    const seed = keccak256(encodePacked(['string'], ['client-seed-' + walletAddress]));
-    setRevocationSeed(seed);
+  // Our revocation hash for a commitment, from the channel's shachain seed
+  const generateRevocationHash = useCallback((channelAddress: string, nonce: number): string => {
+    return keccak256(revocationSecretFor(channelAddress, nonce));
   }, []);
 
-  const generateRevocationSecret = useCallback((nonce: number): string => {
-    if (!revocationSeed) throw new Error('Revocation seed not initialized');
-    const secret = keccak256(encodePacked(['bytes32', 'uint256'], [revocationSeed as `0x${string}`, BigInt(nonce)]));
-    revocationSecrets.set(nonce, secret);
-    return secret;
-  }, [revocationSeed, revocationSecrets]);
-
-  const generateRevocationHash = useCallback((nonce: number): string => {
-    const secret = generateRevocationSecret(nonce);
-    return keccak256(secret as `0x${string}`);
-  }, [generateRevocationSecret]);
-
   const loadCatalog = useCallback(async (serverUrl: string) => {
     try {
       const items = await api.fetchVideoCatalog(serverUrl);
@@ -59,10 +47,13 @@ export function useContent(options: UseContentOptions = {}) {
       address: string;
       serverUrl: string;
       channelAddress: string;
+      serverAddress: string;
     },
     segmentName?: string
-  ): Promise<{ success: boolean; newAlice?: string; newBob?: string; newNonce?: number; revocationSecret?: string }> => {
-    const { address, serverUrl, channelAddress } = config;
+  ): Promise<{ success: boolean; newAlice?: string; newBob?: string; newNonce?: number; revocationSecret?: string; accessToken?: string }> => {
+    const { address, serverUrl, channelAddress, serverAddress } = config;
+    // Set while the invoice holds the channel's next nonce without a payment
+    let unpaidInvoiceId: string | null = null;
 
     try {
       log(`Purchasing video: ${videoId} (${purchaseType})`, 'info');
@@ -78,57 +69,88 @@ export function useContent(options: UseContentOptions = {}) {
       );
 
       log(`Received invoice for: ${invoice.title}`, 'info');
+      unpaidInvoiceId = invoice.id;
 
       // Step 2: Generate revocation hash
-      const partyARevocationHash = generateRevocationHash(invoice.nonce);
+      const partyARevocationHash = generateRevocationHash(channelAddress, invoice.nonce);
       log(`Generated revocation hash for nonce ${invoice.nonce}`, 'info');
 
       // Step 3: Sign commitment
       const commitment = invoice.commitment;
-      const commitmentData = encodePacked(
-        ['address', 'uint256', 'uint256', 'uint256', 'bytes32', 'bytes32'],
-        [
-          commitment.channelAddress as Address,
-          BigInt(commitment.nonce),
-          parseEther(commitment.partyABalance),
-          parseEther(commitment.partyBBalance),
-          partyARevocationHash as `0x${string}`,
-          commitment.partyBRevocationHash as `0x${string}`,
-        ]
-      );
-
-      const commitmentHash = keccak256(commitmentData);
-
-      const partyASignature = await signMessageAsync({
-        message: { raw: commitmentHash as `0x${string}` },
-      });
+      const typedData = commitmentTypedData({ ...commitment, chainId, partyARevocationHash });
+      const partyASignature = await signTypedDataAsync(typedData);
       log('Commitment signed', 'success');
 
       // Step 4: Submit video payment
-      const result = await api.submitVideoPayment(
+      const { partyBSignature } = await api.submitVideoPayment(
         serverUrl,
         invoice.id,
         commitment,
         partyASignature,
         partyARevocationHash
       );
+      unpaidInvoiceId = null;
+
+      // Step 5: Only revoke our previous state once we hold the server's signature on the new one
+      const signer = await recoverTypedDataAddress({ ...typedData, signature: partyBSignature as `0x${string}` });
+      if (!isAddressEqual(signer, serverAddress as `0x${string}`)) {
+        throw new Error('Server signature on the new commitment is invalid');
+      }
+      log(`Commitment ${invoice.nonce} co-signed by server`, 'success');
+
+      // Step 6: Reveal our secret for the previous commitment to unlock the content
+      const result = await api.revealRevocation(
+        serverUrl,
+        invoice.id,
+        revocationSecretFor(channelAddress, invoice.nonce - 1)
+      );
+      log(`Revoked commitment ${result.revokedNonce}`, 'info');
 
       log(`Payment accepted: ${result.message}`, 'success');
       log(`Access granted: ${result.accessGranted}`, 'success');
 
-      // Return balances for state update and include revocation secret for decryption
+      // Return balances for state update, the revocation secret for decryption
+      // and the access token for fetching the playlist and segments
       return {
         success: true,
         newAlice: commitment.partyABalance,
         newBob: commitment.partyBBalance,
         newNonce: invoice.nonce,
-        revocationSecret: result.revocationSecret
+        revocationSecret: result.revocationSecret,
+        accessToken: result.accessToken
       };
     } catch (error) {
       log(`Video purchase failed: ${(error as Error).message}`, 'error');
+      if (unpaidInvoiceId) {
+        await api.cancelInvoice(serverUrl, unpaidInvoiceId).catch(() => {});
+      }
       return { success: false };
     }
-  }, [generateRevocationHash, signMessageAsync, log]);
+  }, [generateRevocationHash, signTypedDataAsync, chainId, log]);
+
+  // Ask the server for a fresh access token (e.g. after the last one expired)
+  const requestAccessToken = useCallback(async (
+    videoId: string,
+    config: {
+      serverUrl: string;
+      channelAddress: string;
+    }
+  ): Promise<string | undefined> => {
+    const { serverUrl, channelAddress } = config;
+
+    try {
+      const issuedAt = Date.now();
+      const signature = await signMessageAsync({
+        message: api.accessTokenRequestMessage(channelAddress, videoId, issuedAt),
+      });
+      const { accessToken } = await api.requestAccessToken(serverUrl, channelAddress, videoId, issuedAt, signature);
+      log(`Access token issued for ${videoId}`, 'info');
+      return accessToken;
+    } catch (error) {
+      log(`Access token request failed: ${(error as Error).message}`, 'error');
+      return undefined;
+    }
+  }, [signMessageAsync, log]);
 
   const purchaseContent = useCallback(async (
     contentId: string,
@@ -154,28 +176,14 @@ export function useContent(options: UseContentOptions = {}) {
       log(`Received invoice for: ${invoice.title}`, 'info');
 
       // Step 2: Generate revocation hash
-      const partyARevocationHash = generateRevocationHash(invoice.nonce);
+      const partyARevocationHash = generateRevocationHash(channelAddress, invoice.nonce);
       log(`Generated revocation hash for nonce ${invoice.nonce}`, 'info');
 
       // Step 3: Sign commitment
       const commitment = invoice.commitment;
-      const commitmentData = encodePacked(
-        ['address', 'uint256', 'uint256', 'uint256', 'bytes32', 'bytes32'],
-        [
-          commitment.channelAddress as Address,
-          BigInt(commitment.nonce),
-          parseEther(commitment.partyABalance),
-          parseEther(commitment.partyBBalance),
-          partyARevocationHash as `0x${string}`,
-          commitment.partyBRevocationHash as `0x${string}`,
-        ]
+      const partyASignature = await signTypedDataAsync(
+        commitmentTypedData({ ...commitment, chainId, partyARevocationHash })
       );
-
-      const commitmentHash = keccak256(commitmentData);
-
-      const partyASignature = await signMessageAsync({
-        message: { raw: commitmentHash as `0x${string}` },
-      });
       log('Commitment signed', 'success');
 
       // Step 4: Submit to server
@@ -208,7 +216,7 @@ export function useContent(options: UseContentOptions = {}) {
       log(`Purchase failed: ${(error as Error).message}`, 'error');
       return { success: false };
     }
-  }, [generateRevocationHash, signMessageAsync, log]);
+  }, [generateRevocationHash, signTypedDataAsync, chainId, log]);
 
   return {
     catalog,
@@ -216,6 +224,6 @@ export function useContent(options: UseContentOptions = {}) {
     purchasedContent,
     purchaseContent,
     purchaseVideo,
-    initializeRevocationSeed,
+    requestAccessToken,
   };
 }
@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react';
 import type { Abi } from 'viem';
+import type { ChannelAsset } from '../types';
 import * as api from '../utils/api';
 
 export interface UseServerOptions {
@@ -13,7 +14,9 @@ export function useServer(options: UseServerOptions = {}) {
   const [serverAddress, setServerAddress] = useState<string | null>(null);
   const [serverConnected, setServerConnected] = useState(false);
   const [contractAbi, setContractAbi] = useState<Abi | null>(null);
-  const [contractBytecode, setContractBytecode] = useState<string | null>(null);
+  const [factoryAddress, setFactoryAddress] = useState<`0x${string}` | null>(null);
+  const [factoryAbi, setFactoryAbi] = useState<Abi | null>(null);
+  const [paymentToken, setPaymentToken] = useState<ChannelAsset | null>(null);
 
   const log = useCallback((message: string, type: 'info' | 'success' | 'error' | 'warning' = 'info') => {
     onLog?.(message, type);
@@ -25,14 +28,24 @@ export function useServer(options: UseServerOptions = {}) {
       const info = await api.fetchServerInfo(serverUrl);
       setServerAddress(info.address);
       log(`Server address: ${info.address}`, 'success');
+      setPaymentToken(info.paymentToken);
+      if (info.paymentToken) {
+        log(`Server also accepts ${info.paymentToken.symbol} channels`, 'info');
+      }
 
       const contract = await api.fetchContract(serverUrl);
       setContractAbi(contract.abi as Abi);
-      setContractBytecode(contract.bytecode);
+      setFactoryAddress(contract.factoryAddress as `0x${string}`);
+      setFactoryAbi(contract.factoryAbi as Abi);
       log('Contract loaded', 'success');
 
       setServerConnected(true);
-      return { serverAddress: info.address, defaultDeposit: info.defaultDeposit };
+      return {
+        serverAddress: info.address,
+        defaultDeposit: info.defaultDeposit,
+        paymentToken: info.paymentToken,
+        defaultTokenDeposit: info.defaultTokenDeposit,
+      };
     } catch (error) {
       setServerConnected(false);
       log(`Failed to fetch server info: ${(error as Error).message}`, 'error');
@@ -46,7 +59,9 @@ export function useServer(options: UseServerOptions = {}) {
     serverAddress,
     serverConnected,
     contractAbi,
-    contractBytecode,
+    factoryAddress,
+    factoryAbi,
+    paymentToken,
     loadServerInfo,
   };
 }
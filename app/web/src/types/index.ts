@@ -5,11 +5,13 @@ export interface VideoContentItem {
   id: string;
   title: string;
   description: string;
-  thumbnail: string;
+  thumbnail: string | null;
   duration: number; // seconds
   segmentCount: number;
   pricePerSegment: string;
   fullPrice: string;
+  tokenPricePerSegment?: string; // only when the server accepts a payment token
+  tokenFullPrice?: string;
   hasPreview: boolean;
   segments?: string[]; // Array of segment filenames
   previewSegment?: string; // The segment that serves as preview
@@ -57,6 +59,15 @@ export interface ChannelState {
   bobBalance: string;
 }
 
+// Asset a channel is denominated in; token is null for ETH channels
+export interface ChannelAsset {
+  token: `0x${string}` | null;
+  symbol: string;
+  decimals: number;
+}
+
+export const ETH_ASSET: ChannelAsset = { token: null, symbol: 'ETH', decimals: 18 };
+
 export type ChannelStateType = 'FUNDING' | 'OPEN' | 'DISPUTED' | 'CLOSED';
 
 export interface Channel {
@@ -68,6 +79,7 @@ export interface Channel {
   nonce: number;
   createdAt: number;
   state?: ChannelStateType;
+  asset?: ChannelAsset; // ETH when omitted
 }
 
 export interface WalletState {
@@ -82,11 +94,31 @@ export interface VideoInvoice {
   title: string;
   purchaseDescription: string;
   purchaseType: 'full' | 'segment';
-  segmentName?: string;
+  segmentName?: string | null;
   price: string;
+  symbol?: string;
+  decimals?: number;
   nonce: number;
   partyBRevocationHash: string;
   commitment: Commitment;
+  status: 'issued' | 'awaiting_revocation' | 'paid' | 'expired' | 'cancelled';
+  expiresAt: number;
+}
+
+// The server's request to close a channel (GET /channel/:address/close-request)
+export interface CloseRequest {
+  nonce: number;
+  balanceA: string;
+  balanceB: string;
+  partyBSignature: string;
+  closeHash: string;
+  reason: string;
+  requestedBy: 'policy' | 'admin';
+  status: 'requested' | 'disputed' | 'closed';
+  requestedAt: number;
+  deadline: number;
+  disputeDeadline?: number;
+  txHash?: string;
 }
 
 export interface Invoice {
@@ -0,0 +1,18 @@
+import { formatUnits } from 'viem';
+
+// Balances and prices are integer strings in the asset's smallest unit (wei
+// for ETH); decimals only matter when showing them.
+
+/**
+ * Full-precision amount in whole units, e.g. "0.01"
+ */
+export function formatAmount(value: string, decimals = 18): string {
+  return formatUnits(BigInt(value || '0'), decimals);
+}
+
+/**
+ * Amount rounded to four places for balance displays
+ */
+export function formatBalance(value: string, decimals = 18): string {
+  return Number(formatAmount(value, decimals)).toFixed(4);
+}
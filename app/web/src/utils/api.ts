@@ -1,4 +1,4 @@
-import type { ContentItem, VideoContentItem, Invoice, VideoInvoice, Commitment, PurchasedVideo } from '../types';
+import type { ChannelAsset, CloseRequest, ContentItem, VideoContentItem, Invoice, VideoInvoice, Commitment, PurchasedVideo } from '../types';
 
 export async function fetchCatalog(serverUrl: string): Promise<ContentItem[]> {
   const response = await fetch(`${serverUrl}/catalog`);
@@ -12,18 +12,28 @@ export async function fetchVideoCatalog(serverUrl: string): Promise<VideoContent
   return data.catalog || [];
 }
 
-export async function fetchServerInfo(serverUrl: string): Promise<{ address: string; defaultDeposit: string }> {
+export async function fetchServerInfo(serverUrl: string): Promise<{
+  address: string;
+  defaultDeposit: string;
+  paymentToken: ChannelAsset | null;
+  defaultTokenDeposit: string | null;
+}> {
   const response = await fetch(`${serverUrl}/server-info`);
   const data = await response.json();
   if (!data.success) throw new Error('Failed to fetch server info');
-  return { address: data.address, defaultDeposit: data.defaultDeposit };
+  return {
+    address: data.address,
+    defaultDeposit: data.defaultDeposit,
+    paymentToken: data.paymentToken || null,
+    defaultTokenDeposit: data.defaultTokenDeposit || null,
+  };
 }
 
-export async function fetchContract(serverUrl: string): Promise<{ abi: unknown[]; bytecode: string }> {
+export async function fetchContract(serverUrl: string): Promise<{ abi: unknown[]; factoryAddress: string; factoryAbi: unknown[] }> {
   const response = await fetch(`${serverUrl}/contract`);
   const data = await response.json();
   if (!data.success) throw new Error('Failed to fetch contract');
-  return { abi: data.abi, bytecode: data.bytecode };
+  return { abi: data.abi, factoryAddress: data.factoryAddress, factoryAbi: data.factoryAbi };
 }
 
 export async function requestContent(
@@ -99,6 +109,28 @@ export async function requestCloseChannel(
   return { bobSignature: data.bobSignature, closeHash: data.closeHash };
 }
 
+export async function getCloseRequest(serverUrl: string, channelAddress: string): Promise<CloseRequest | null> {
+  const response = await fetch(`${serverUrl}/channel/${channelAddress}/close-request`);
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Failed to fetch close request');
+  return data.closeRequest;
+}
+
+export async function acceptCloseRequest(
+  serverUrl: string,
+  channelAddress: string,
+  partyASignature: string
+): Promise<CloseRequest> {
+  const response = await fetch(`${serverUrl}/channel/${channelAddress}/close-request/accept`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ partyASignature }),
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Close failed');
+  return data.closeRequest;
+}
+
 export async function signInitialCommitment(
   serverUrl: string,
   channelAddress: string,
@@ -125,14 +157,76 @@ export async function signInitialCommitment(
   return { serverSignature: data.serverSignature, serverRevocationHash: data.serverRevocationHash };
 }
 
+// Splice: propose, exchange signatures, then confirm once executed on-chain
+
+export interface SpliceProposal {
+  nonce: number;
+  partyABalance: string;
+  partyBBalance: string;
+  depositA: string;
+  withdrawA: string;
+  deadline: number;
+}
+
+export async function requestSplice(
+  serverUrl: string,
+  channelAddress: string,
+  partyAAddress: string,
+  depositA: string,
+  withdrawA: string,
+  partyARevocationHash: string
+): Promise<{ splice: SpliceProposal; partyBRevocationHash: string; partyBCommitmentSignature: string }> {
+  const response = await fetch(`${serverUrl}/splice`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ channelAddress, partyAAddress, depositA, withdrawA, partyARevocationHash }),
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Splice request failed');
+  return {
+    splice: data.splice,
+    partyBRevocationHash: data.partyBRevocationHash,
+    partyBCommitmentSignature: data.partyBCommitmentSignature
+  };
+}
+
+export async function signSplice(
+  serverUrl: string,
+  channelAddress: string,
+  partyACommitmentSignature: string
+): Promise<{ partyBSpliceSignature: string; spliceHash: string }> {
+  const response = await fetch(`${serverUrl}/splice/sign`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ channelAddress, partyACommitmentSignature }),
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Splice signing failed');
+  return { partyBSpliceSignature: data.partyBSpliceSignature, spliceHash: data.spliceHash };
+}
+
+export async function confirmSplice(
+  serverUrl: string,
+  channelAddress: string
+): Promise<{ nonce: number; partyABalance: string; partyBBalance: string }> {
+  const response = await fetch(`${serverUrl}/splice/confirm`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ channelAddress }),
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Splice confirmation failed');
+  return { nonce: data.nonce, partyABalance: data.partyABalance, partyBBalance: data.partyBBalance };
+}
+
 // Video-specific API functions
 
 export async function getVideoPreviewUrl(serverUrl: string, videoId: string): string {
   return `${serverUrl}/video/${videoId}/preview`;
 }
 
-export async function getVideoPlaylistUrl(serverUrl: string, videoId: string, channelAddress: string): string {
-  return `${serverUrl}/video/${videoId}/playlist.m3u8?channel=${channelAddress}`;
+export async function getVideoPlaylistUrl(serverUrl: string, videoId: string): string {
+  return `${serverUrl}/video/${videoId}/playlist.m3u8`;
 }
 
 export async function purchaseVideo(
@@ -159,13 +253,20 @@ export async function purchaseVideo(
   return { invoice: data.invoice };
 }
 
+// Release the nonce an unpaid invoice reserves (e.g. after the user declined to sign)
+export async function cancelInvoice(serverUrl: string, invoiceId: string): Promise<void> {
+  const response = await fetch(`${serverUrl}/invoice/${invoiceId}/cancel`, { method: 'POST' });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Invoice cancellation failed');
+}
+
 export async function submitVideoPayment(
   serverUrl: string,
   invoiceId: string,
   commitment: Commitment,
   partyASignature: string,
   partyARevocationHash: string
-): Promise<{ partyBSignature: string; accessGranted: string; message: string; revocationSecret?: string }> {
+): Promise<{ partyBSignature: string; awaitingRevocationNonce: number; message: string }> {
   const response = await fetch(`${serverUrl}/submit-video-payment`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -180,22 +281,76 @@ export async function submitVideoPayment(
   if (!data.success) throw new Error(data.error || 'Video payment submission failed');
   return {
     partyBSignature: data.partyBSignature,
+    awaitingRevocationNonce: data.awaitingRevocationNonce,
+    message: data.message
+  };
+}
+
+export async function revealRevocation(
+  serverUrl: string,
+  invoiceId: string,
+  revocationSecret: string
+): Promise<{ accessGranted: string; message: string; revocationSecret: string; revokedNonce: number; accessToken: string }> {
+  const response = await fetch(`${serverUrl}/reveal-revocation`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ invoiceId, revocationSecret }),
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Revocation failed');
+  return {
     accessGranted: data.accessGranted,
     message: data.message,
-    revocationSecret: data.revocationSecret
+    revocationSecret: data.revocationSecret,
+    revokedNonce: data.revokedNonce,
+    accessToken: data.accessToken
   };
 }
 
+// Message PartyA signs to request a fresh access token; must match the server's
+export function accessTokenRequestMessage(
+  channelAddress: string,
+  videoId: string,
+  issuedAt: number,
+  revokeExisting = false
+): string {
+  return [
+    'Access token request',
+    `Channel: ${channelAddress.toLowerCase()}`,
+    `Video: ${videoId}`,
+    `Issued at: ${issuedAt}`,
+    `Revoke existing tokens: ${revokeExisting ? 'yes' : 'no'}`
+  ].join('\n');
+}
+
+export async function requestAccessToken(
+  serverUrl: string,
+  channelAddress: string,
+  videoId: string,
+  issuedAt: number,
+  signature: string,
+  revokeExisting = false
+): Promise<{ accessToken: string; accessTokenExpiresAt: number }> {
+  const response = await fetch(`${serverUrl}/access-token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ channelAddress, videoId, issuedAt, revokeExisting, signature }),
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Access token request failed');
+  return { accessToken: data.accessToken, accessTokenExpiresAt: data.accessTokenExpiresAt };
+}
+
 export async function checkSegmentAccess(
   serverUrl: string,
   videoId: string,
   segmentName: string,
-  channelAddress: string
+  accessToken: string
 ): Promise<boolean> {
   try {
     const response = await fetch(
-      `${serverUrl}/video/${videoId}/segment/${segmentName}?channel=${channelAddress}`,
-      { method: 'HEAD' }
+      `${serverUrl}/video/${videoId}/segment/${segmentName}`,
+      { method: 'HEAD', headers: { Authorization: `Bearer ${accessToken}` } }
     );
     return response.ok;
   } catch {
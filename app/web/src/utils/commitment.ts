@@ -0,0 +1,151 @@
+import { hashTypedData, zeroHash, type Address, type Hex } from 'viem';
+
+// Placeholder for a revocation hash the counterparty has not provided yet
+export const ZERO_REVOCATION_HASH: Hex = zeroHash;
+
+// EIP-712 types, identical to BidirectionalChannel.COMMITMENT_TYPEHASH / CLOSE_TYPEHASH / SPLICE_TYPEHASH
+const commitmentTypes = {
+  Commitment: [
+    { name: 'nonce', type: 'uint256' },
+    { name: 'balanceA', type: 'uint256' },
+    { name: 'balanceB', type: 'uint256' },
+    { name: 'revocationHashA', type: 'bytes32' },
+    { name: 'revocationHashB', type: 'bytes32' },
+  ],
+} as const;
+
+const closeTypes = {
+  Close: [
+    { name: 'balanceA', type: 'uint256' },
+    { name: 'balanceB', type: 'uint256' },
+  ],
+} as const;
+
+const spliceTypes = {
+  Splice: [
+    { name: 'nonce', type: 'uint256' },
+    { name: 'balanceA', type: 'uint256' },
+    { name: 'balanceB', type: 'uint256' },
+    { name: 'depositA', type: 'uint256' },
+    { name: 'depositB', type: 'uint256' },
+    { name: 'withdrawA', type: 'uint256' },
+    { name: 'withdrawB', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+} as const;
+
+export interface CommitmentFields {
+  channelAddress: string;
+  chainId: number;
+  nonce: number;
+  partyABalance: string;
+  partyBBalance: string;
+  partyARevocationHash?: string;
+  partyBRevocationHash?: string;
+}
+
+export interface CloseFields {
+  channelAddress: string;
+  chainId: number;
+  balanceA: bigint;
+  balanceB: bigint;
+}
+
+export interface SpliceFields {
+  channelAddress: string;
+  chainId: number;
+  nonce: number;
+  partyABalance: string;
+  partyBBalance: string;
+  depositA?: string;
+  depositB?: string;
+  withdrawA?: string;
+  withdrawB?: string;
+  deadline: number;
+}
+
+function channelDomain(channelAddress: string, chainId: number) {
+  return {
+    name: 'BidirectionalChannel',
+    version: '1',
+    chainId,
+    verifyingContract: channelAddress as Address,
+  } as const;
+}
+
+/**
+ * EIP-712 typed data for a commitment, ready for signTypedData.
+ * Balances are integer strings in the asset's smallest unit, as exchanged with the server.
+ */
+export function commitmentTypedData(commitment: CommitmentFields) {
+  return {
+    domain: channelDomain(commitment.channelAddress, commitment.chainId),
+    types: commitmentTypes,
+    primaryType: 'Commitment',
+    message: {
+      nonce: BigInt(commitment.nonce),
+      balanceA: BigInt(commitment.partyABalance),
+      balanceB: BigInt(commitment.partyBBalance),
+      revocationHashA: (commitment.partyARevocationHash || ZERO_REVOCATION_HASH) as Hex,
+      revocationHashB: (commitment.partyBRevocationHash || ZERO_REVOCATION_HASH) as Hex,
+    },
+  } as const;
+}
+
+/**
+ * Commitment digest, identical to BidirectionalChannel.hashCommitment.
+ */
+export function hashCommitment(commitment: CommitmentFields): Hex {
+  return hashTypedData(commitmentTypedData(commitment));
+}
+
+/**
+ * EIP-712 typed data for a cooperative close (balances in wei).
+ */
+export function closeTypedData(close: CloseFields) {
+  return {
+    domain: channelDomain(close.channelAddress, close.chainId),
+    types: closeTypes,
+    primaryType: 'Close',
+    message: {
+      balanceA: close.balanceA,
+      balanceB: close.balanceB,
+    },
+  } as const;
+}
+
+/**
+ * Cooperative close digest, identical to BidirectionalChannel.hashClose.
+ */
+export function hashClose(close: CloseFields): Hex {
+  return hashTypedData(closeTypedData(close));
+}
+
+/**
+ * EIP-712 typed data for a splice. Amounts are integer strings in the asset's
+ * smallest unit, as exchanged with the server; the deadline is in seconds.
+ */
+export function spliceTypedData(splice: SpliceFields) {
+  return {
+    domain: channelDomain(splice.channelAddress, splice.chainId),
+    types: spliceTypes,
+    primaryType: 'Splice',
+    message: {
+      nonce: BigInt(splice.nonce),
+      balanceA: BigInt(splice.partyABalance),
+      balanceB: BigInt(splice.partyBBalance),
+      depositA: BigInt(splice.depositA || '0'),
+      depositB: BigInt(splice.depositB || '0'),
+      withdrawA: BigInt(splice.withdrawA || '0'),
+      withdrawB: BigInt(splice.withdrawB || '0'),
+      deadline: BigInt(splice.deadline),
+    },
+  } as const;
+}
+
+/**
+ * Splice digest, identical to BidirectionalChannel.hashSplice.
+ */
+export function hashSplice(splice: SpliceFields): Hex {
+  return hashTypedData(spliceTypedData(splice));
+}
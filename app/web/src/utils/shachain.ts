@@ -0,0 +1,54 @@
+import { bytesToHex, hexToBytes, sha256, type Hex } from 'viem';
+
+/**
+ * Shachain per-commitment secrets (BOLT #3), derived like
+ * app/server/lib/shachain.js so the server can keep every secret we reveal
+ * in at most 49 entries.
+ */
+
+const INDEX_BITS = 48;
+const MAX_INDEX = (1n << BigInt(INDEX_BITS)) - 1n;
+
+// Shachain index of the secret for a commitment nonce (newest = lowest index)
+export function indexForNonce(nonce: number): bigint {
+  const index = MAX_INDEX - BigInt(nonce);
+  if (index < 0n) {
+    throw new Error(`Nonce ${nonce} is outside the shachain range`);
+  }
+  return index;
+}
+
+// Derive the secret at index from a 32-byte seed
+export function deriveSecret(seed: Hex, index: bigint): Hex {
+  const value = hexToBytes(seed);
+  if (value.length !== 32) {
+    throw new Error('Shachain seeds must be 32 bytes');
+  }
+
+  // Flip the index's bits from the highest down, hashing after each one
+  for (let bit = INDEX_BITS - 1; bit >= 0; bit--) {
+    if ((index >> BigInt(bit)) & 1n) {
+      value[bit >> 3] ^= 1 << (bit & 7);
+      value.set(sha256(value, 'bytes'));
+    }
+  }
+  return bytesToHex(value);
+}
+
+// Our shachain seed for a channel: random, created on first use and kept in
+// localStorage. A seed computed from public data (such as the wallet address)
+// would let anyone derive every secret, including the unrevoked latest one.
+export function channelRevocationSeed(channelAddress: string): Hex {
+  const key = `revocationSeed:${channelAddress.toLowerCase()}`;
+  const stored = localStorage.getItem(key);
+  if (stored) return stored as Hex;
+
+  const seed = bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+  localStorage.setItem(key, seed);
+  return seed;
+}
+
+// Our revocation secret for a commitment nonce on a channel
+export function revocationSecretFor(channelAddress: string, nonce: number): Hex {
+  return deriveSecret(channelRevocationSeed(channelAddress), indexForNonce(nonce));
+}
@@ -2,10 +2,19 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
+import { ethers } from 'ethers';
 import inquirer from 'inquirer';
+import fs from 'fs/promises';
 import { ChannelManager } from './lib/channel-manager.js';
 import { PaymentManager } from './lib/payment-manager.js';
 import { StateManager } from './lib/state-manager.js';
+import { KeyStore, readPassphraseFile } from './lib/keystore.js';
+import { deriveKey } from './lib/secret-box.js';
+import { createBundle, openBundle, isEncrypted, verifyChannelEntry } from './lib/bundle.js';
+import { PaymentExchange } from './lib/exchange.js';
+import { PeerServer, PeerClient, DEFAULT_PEER_PORT } from './lib/peer.js';
+import { recoverCommitmentSigner } from './lib/commitment.js';
+import { toUnits, fromUnits, parseWei } from './lib/asset.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -15,36 +24,348 @@ const program = new Command();
 program
   .name('channel-cli')
   .description('CLI for managing bidirectional payment channels')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--profile <name>', 'Keystore profile holding the channel key (default: CHANNEL_PROFILE or "default")')
+  .option('--passphrase-file <path>', 'File holding the keystore passphrase (default: KEYSTORE_PASSPHRASE_FILE)');
+
+// Passphrases are prompted for on a terminal; scripts use a passphrase file
+async function askPassphrase(message, { confirm }) {
+  const { passphrase } = await inquirer.prompt([{ type: 'password', name: 'passphrase', mask: '*', message }]);
+  if (confirm && passphrase) {
+    const { repeated } = await inquirer.prompt([{ type: 'password', name: 'repeated', mask: '*', message: 'Repeat passphrase' }]);
+    if (repeated !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+  return passphrase;
+}
 
 // Initialize channel manager
-const channelManager = new ChannelManager();
-const paymentManager = new PaymentManager();
-const stateManager = new StateManager();
+const keyStore = new KeyStore({ askPassphrase: process.stdin.isTTY ? askPassphrase : null });
+const channelManager = new ChannelManager({ keys: keyStore });
+const paymentManager = new PaymentManager({ keys: keyStore });
+const stateManager = new StateManager({ getAsset: address => channelManager.getAsset(address), keys: keyStore });
+const exchange = new PaymentExchange({ channelManager, paymentManager, stateManager });
+
+// Amounts are kept and exchanged in wei; the user types and reads them in
+// the channel's asset. parseAmount turns "1.5" into wei for a channel...
+async function parseAmount(channelAddress, amount) {
+  const { decimals } = await channelManager.getAsset(channelAddress);
+  return toUnits(amount, decimals);
+}
+
+// ...and amountFormatter shows wei amounts of a channel as e.g. "1.5 ETH"
+async function amountFormatter(channelAddress) {
+  const { symbol, decimals } = await channelManager.getAsset(channelAddress);
+  return wei => `${fromUnits(parseWei(wei), decimals)} ${symbol}`;
+}
+
+// Global options pick the key before any command runs
+program.hook('preAction', () => {
+  keyStore.select(program.opts());
+});
+
+// Progress reports from the peer transport
+const peerLogColors = { info: chalk.gray, success: chalk.green, warning: chalk.yellow, error: chalk.red };
+function peerLog(message, level = 'info') {
+  console.log(peerLogColors[level](`[${new Date().toLocaleTimeString()}] ${message}`));
+}
+
+// Key management: encrypted keystores, one per profile
+const key = program
+  .command('key')
+  .description('Create, import and list channel keys');
+
+key
+  .command('create')
+  .description('Create a new key for the selected profile')
+  .action(async () => {
+    try {
+      const address = await keyStore.create();
+      console.log(chalk.green(`Created key for profile "${keyStore.profile}"`));
+      console.log(chalk.white(`  Address: ${address}`));
+      console.log(chalk.gray(`  Keystore: ${keyStore.pathOf()}`));
+    } catch (error) {
+      console.error(chalk.red('Error creating key:'), error.message);
+    }
+  });
+
+key
+  .command('import')
+  .description('Import a private key or an encrypted JSON keystore into the selected profile')
+  .option('-k, --private-key-file <path>', 'File holding the private key (hex); prompted for if omitted')
+  .option('-j, --keystore <path>', 'Encrypted JSON keystore to copy (e.g. from geth or cast)')
+  .action(async (options) => {
+    try {
+      const { privateKeyFile, keystore } = options;
+      let address;
+
+      if (keystore) {
+        address = await keyStore.importKeystore(await fs.readFile(keystore, 'utf8'));
+      } else if (privateKeyFile) {
+        address = await keyStore.importPrivateKey(await fs.readFile(privateKeyFile, 'utf8'));
+      } else {
+        if (!process.stdin.isTTY) {
+          console.log(chalk.red('Private key file or keystore is required when not running in a terminal'));
+          return;
+        }
+        const { privateKey } = await inquirer.prompt([{ type: 'password', name: 'privateKey', mask: '*', message: 'Private key' }]);
+        address = await keyStore.importPrivateKey(privateKey);
+      }
+
+      console.log(chalk.green(`Imported key for profile "${keyStore.profile}"`));
+      console.log(chalk.white(`  Address: ${address}`));
+      console.log(chalk.gray(`  Keystore: ${keyStore.pathOf()}`));
+    } catch (error) {
+      console.error(chalk.red('Error importing key:'), error.message);
+    }
+  });
+
+key
+  .command('list')
+  .description('List stored profiles and their addresses')
+  .action(async () => {
+    try {
+      const profiles = await keyStore.list();
+      if (profiles.length === 0) {
+        console.log(chalk.yellow(`No keys in ${keyStore.dir}`));
+        return;
+      }
+
+      console.log(chalk.blue(`Keys in ${keyStore.dir}:`));
+      for (const { profile, address, selected } of profiles) {
+        const line = `  ${selected ? '*' : ' '} ${profile.padEnd(16)} ${address || '(address not stored)'}`;
+        console.log(selected ? chalk.green(line) : chalk.white(line));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error listing keys:'), error.message);
+    }
+  });
+
+// Sessions: unlock once instead of entering the passphrase for every command
+program
+  .command('unlock')
+  .description('Start a session so commands need no passphrase until it expires')
+  .option('-t, --ttl <minutes>', 'Session lifetime in minutes', '15')
+  .action(async (options) => {
+    try {
+      const ttl = parseFloat(options.ttl) * 60 * 1000;
+      if (!(ttl > 0)) {
+        console.log(chalk.red('Session lifetime must be a positive number of minutes'));
+        return;
+      }
+
+      const params = await stateManager.encryptionParams();
+      const { token, expiresAt } = await keyStore.startSession({
+        ttl,
+        stateKey: { salt: params.salt, key: await keyStore.stateKey(params) }
+      });
+
+      console.error(chalk.green(`Unlocked profile "${keyStore.profile}" until ${new Date(expiresAt).toLocaleTimeString()}`));
+      console.error(chalk.gray('Run the line below (or eval this command\'s output) to use the session:'));
+      console.log(`export CHANNEL_SESSION=${token}`);
+    } catch (error) {
+      console.error(chalk.red('Error unlocking:'), error.message);
+    }
+  });
+
+program
+  .command('lock')
+  .description('End the session of the selected profile')
+  .action(async () => {
+    try {
+      if (await keyStore.endSession()) {
+        console.log(chalk.green(`Locked profile "${keyStore.profile}"`));
+      } else {
+        console.log(chalk.yellow(`No session for profile "${keyStore.profile}"`));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error locking:'), error.message);
+    }
+  });
+
+program
+  .command('rekey')
+  .description('Change the passphrase and re-encrypt the key and the secrets in the local state')
+  .option('--new-passphrase-file <path>', 'File holding the new passphrase; prompted for if omitted')
+  .action(async (options) => {
+    try {
+      // Open the state with the current key before asking for the new passphrase
+      await stateManager.encryptionParams();
+      const passphrase = await keyStore.newPassphrase(options.newPassphraseFile);
+
+      await stateManager.rekey(params => deriveKey(passphrase, params));
+      await keyStore.changePassphrase(passphrase);
+
+      console.log(chalk.green(`Re-encrypted profile "${keyStore.profile}" and the secrets in ${stateManager.stateFile}`));
+      console.log(chalk.gray('  Any session was ended; run unlock to start a new one'));
+    } catch (error) {
+      console.error(chalk.red('Error re-keying:'), error.message);
+    }
+  });
+
+// Backups: signed (and optionally encrypted) bundles of channel state
+async function bundlePassphrase(options, message, confirm) {
+  if (options.bundlePassphraseFile) {
+    return readPassphraseFile(options.bundlePassphraseFile);
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error('No bundle passphrase: give --bundle-passphrase-file, or run in a terminal');
+  }
+  const passphrase = await askPassphrase(message, { confirm });
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+  return passphrase;
+}
+
+async function writeBundle(kind, channelAddresses, options) {
+  const channels = await stateManager.exportChannels(channelAddresses);
+  const encrypt = options.encrypt || Boolean(options.bundlePassphraseFile);
+  const bundle = await createBundle({
+    signer: await keyStore.unlock(),
+    kind,
+    chainId: (await paymentManager.getDomain(ethers.ZeroAddress)).chainId,
+    channels,
+    keystore: kind === 'profile' ? await keyStore.exportKeystore() : null,
+    passphrase: encrypt ? await bundlePassphrase(options, 'Passphrase for the bundle', true) : null
+  });
+
+  // wx: never replace an earlier backup
+  await fs.writeFile(options.output, JSON.stringify(bundle, null, 2), { mode: 0o600, flag: 'wx' });
+
+  console.log(chalk.green(`Exported ${channels.length} channel(s) to ${options.output}`));
+  if (!encrypt) {
+    console.log(chalk.yellow('  The bundle is not encrypted: it holds revocation secrets, keep it private or use --encrypt'));
+  }
+}
+
+async function readBundle(options) {
+  const bundle = JSON.parse(await fs.readFile(options.input, 'utf8'));
+  const passphrase = isEncrypted(bundle) ? await bundlePassphrase(options, 'Passphrase of the bundle', false) : null;
+  return openBundle(bundle, { passphrase });
+}
+
+async function importBundle(content, channelAddresses) {
+  const myAddress = await channelManager.getMyAddress();
+  if (content.signer.toLowerCase() !== myAddress.toLowerCase()) {
+    throw new Error(`The bundle was signed by ${content.signer}, not by this profile's key ${myAddress}`);
+  }
+
+  let entries = content.channels;
+  if (channelAddresses) {
+    entries = channelAddresses.map(address => {
+      const entry = content.channels.find(e => e.address.toLowerCase() === address.toLowerCase());
+      if (!entry) throw new Error(`Channel ${address} is not in the bundle`);
+      return entry;
+    });
+  }
+
+  console.log(chalk.yellow(`Verifying ${entries.length} channel(s) against the chain...`));
+  for (const entry of entries) {
+    const { state, latestNonce } = await verifyChannelEntry({ channelManager, paymentManager }, content.chainId, entry);
+    console.log(chalk.gray(`  ${entry.address}: ${state}, signed up to nonce ${latestNonce}`));
+  }
+
+  const imported = await stateManager.importChannels(entries);
+  for (const { address, added, latestNonce } of imported) {
+    console.log(chalk.green(`✓ ${address}: ${added} new commitment(s), latest signed nonce ${latestNonce}`));
+  }
+}
+
+program
+  .command('export-channel')
+  .description('Write a channel\'s records, commitments and revocation secrets to a signed bundle')
+  .requiredOption('-c, --channel <address>', 'Channel contract address')
+  .requiredOption('-o, --output <file>', 'Bundle file to create')
+  .option('--encrypt', 'Encrypt the bundle with a passphrase')
+  .option('--bundle-passphrase-file <path>', 'File holding the bundle passphrase (implies --encrypt)')
+  .action(async (options) => {
+    try {
+      await writeBundle('channel', [options.channel], options);
+    } catch (error) {
+      console.error(chalk.red('Error exporting channel:'), error.message);
+    }
+  });
+
+program
+  .command('export-profile')
+  .description('Write every channel of the profile, and its encrypted keystore, to a signed bundle')
+  .requiredOption('-o, --output <file>', 'Bundle file to create')
+  .option('--encrypt', 'Encrypt the bundle with a passphrase')
+  .option('--bundle-passphrase-file <path>', 'File holding the bundle passphrase (implies --encrypt)')
+  .action(async (options) => {
+    try {
+      await writeBundle('profile', null, options);
+    } catch (error) {
+      console.error(chalk.red('Error exporting profile:'), error.message);
+    }
+  });
+
+program
+  .command('import-channel')
+  .description('Verify a bundle against the chain and merge its channel state into the local state')
+  .requiredOption('-i, --input <file>', 'Bundle file')
+  .option('-c, --channel <address>', 'Import only this channel from the bundle')
+  .option('--bundle-passphrase-file <path>', 'File holding the bundle passphrase')
+  .action(async (options) => {
+    try {
+      const content = await readBundle(options);
+      await importBundle(content, options.channel ? [options.channel] : null);
+    } catch (error) {
+      console.error(chalk.red('Error importing channel:'), error.message);
+    }
+  });
+
+program
+  .command('import-profile')
+  .description('Restore a profile bundle: its keystore (if the profile has no key) and all its channels')
+  .requiredOption('-i, --input <file>', 'Bundle file')
+  .option('--bundle-passphrase-file <path>', 'File holding the bundle passphrase')
+  .action(async (options) => {
+    try {
+      const content = await readBundle(options);
+      if (content.kind !== 'profile' || !content.keystore) {
+        throw new Error('Not a profile bundle; use import-channel');
+      }
+
+      if (!(await keyStore.has())) {
+        const address = await keyStore.importKeystore(content.keystore);
+        console.log(chalk.green(`Imported key ${address} for profile "${keyStore.profile}"`));
+      }
+      await importBundle(content, null);
+    } catch (error) {
+      console.error(chalk.red('Error importing profile:'), error.message);
+    }
+  });
 
 // Create channel command
 program
   .command('create-channel')
   .description('Create a new bidirectional payment channel')
   .option('-p, --partner <address>', 'Partner address')
-  .option('-a, --amount <amount>', 'Initial deposit amount in ETH')
+  .option('-a, --amount <amount>', 'Initial deposit amount in ETH, or in the token with --token')
   .option('-d, --dispute-period <seconds>', 'Dispute period in seconds', '86400') // 24 hours default
+  .option('-t, --token <address>', 'ERC-20 token to denominate the channel in (default: ETH)')
   .action(async (options) => {
     try {
-      const { partner, amount, disputePeriod } = options;
+      const { partner, amount, disputePeriod, token } = options;
 
       if (!partner || !amount) {
         console.log(chalk.red('Partner address and amount are required'));
         return;
       }
 
+      const { symbol, decimals } = await channelManager.getTokenAsset(token);
+      const amountWei = toUnits(amount, decimals);
+
       console.log(chalk.blue('Creating new payment channel...'));
-      const result = await channelManager.createChannel(partner, amount, disputePeriod);
+      const result = await channelManager.createChannel(partner, amountWei, disputePeriod, token);
 
       console.log(chalk.green('Channel created successfully!'));
       console.log(chalk.white(`Channel Address: ${result.channelAddress}`));
       console.log(chalk.white(`Transaction Hash: ${result.txHash}`));
-      console.log(chalk.white(`Your Deposit: ${amount} ETH`));
+      console.log(chalk.white(`Your Deposit: ${fromUnits(amountWei, decimals)} ${symbol}`));
 
       // Save channel to local state
       await stateManager.saveChannel(result.channelAddress, partner);
@@ -52,7 +373,7 @@ program
       // Update state with initial funded amount (creator is always party A)
       await stateManager.updateChannelState(result.channelAddress, {
         nonce: 0,
-        balanceA: amount,
+        balanceA: amountWei.toString(),
         balanceB: '0'
       });
     } catch (error) {
@@ -65,7 +386,7 @@ program
   .command('fund-channel')
   .description('Fund an existing payment channel')
   .option('-c, --channel <address>', 'Channel contract address')
-  .option('-a, --amount <amount>', 'Amount to deposit in ETH')
+  .option('-a, --amount <amount>', 'Amount to deposit in the channel\'s asset')
   .action(async (options) => {
     try {
       const { channel, amount } = options;
@@ -75,12 +396,15 @@ program
         return;
       }
 
+      const amountWei = await parseAmount(channel, amount);
+      const format = await amountFormatter(channel);
+
       console.log(chalk.blue('Funding channel...'));
-      const result = await channelManager.fundChannel(channel, amount);
+      const result = await channelManager.fundChannel(channel, amountWei);
 
       console.log(chalk.green('Channel funded successfully!'));
       console.log(chalk.white(`Transaction Hash: ${result.txHash}`));
-      console.log(chalk.white(`Deposited: ${amount} ETH`));
+      console.log(chalk.white(`Deposited: ${format(amountWei)}`));
 
       // Update local state with funded balance
       // Get channel info to determine which party funded
@@ -95,19 +419,21 @@ program
 
       // Update balance based on who funded
       if (myAddress.toLowerCase() === channelInfo.partyA.toLowerCase()) {
-        const newBalanceA = (parseFloat(currentState.balanceA) + parseFloat(amount)).toString();
+        const newBalanceA = (parseWei(currentState.balanceA) + amountWei).toString();
         await stateManager.updateChannelState(channel, {
+          nonce: currentState.nonce,
           balanceA: newBalanceA,
           balanceB: currentState.balanceB
         });
-        console.log(chalk.gray(`Updated Party A balance: ${newBalanceA} ETH`));
+        console.log(chalk.gray(`Updated Party A balance: ${format(newBalanceA)}`));
       } else if (myAddress.toLowerCase() === channelInfo.partyB.toLowerCase()) {
-        const newBalanceB = (parseFloat(currentState.balanceB) + parseFloat(amount)).toString();
+        const newBalanceB = (parseWei(currentState.balanceB) + amountWei).toString();
         await stateManager.updateChannelState(channel, {
+          nonce: currentState.nonce,
           balanceA: currentState.balanceA,
           balanceB: newBalanceB
         });
-        console.log(chalk.gray(`Updated Party B balance: ${newBalanceB} ETH`));
+        console.log(chalk.gray(`Updated Party B balance: ${format(newBalanceB)}`));
       }
     } catch (error) {
       console.error(chalk.red('Error funding channel:'), error.message);
@@ -143,7 +469,7 @@ program
   .command('send-payment')
   .description('Send an off-chain payment through the channel')
   .option('-c, --channel <address>', 'Channel contract address')
-  .option('-a, --amount <amount>', 'Payment amount in ETH')
+  .option('-a, --amount <amount>', 'Payment amount in the channel\'s asset')
   .action(async (options) => {
     try {
       const { channel, amount } = options;
@@ -155,38 +481,19 @@ program
 
       console.log(chalk.blue('Creating off-chain payment...'));
 
-      // Get current state
-      const currentState = await stateManager.getChannelState(channel);
-
-      // Create new commitment
-      const commitment = await paymentManager.createCommitment(
-        channel,
-        currentState.nonce + 1,
-        amount,
-        currentState.balanceA,
-        currentState.balanceB
-      );
+      const { commitment, proposal } = await exchange.propose(channel, await parseAmount(channel, amount));
+      const payee = commitment.payer === 'A' ? 'B' : 'A';
 
-      console.log(chalk.green('Payment commitment created!'));
+      const format = await amountFormatter(channel);
+      console.log(chalk.green('Payment commitment proposed!'));
       console.log(chalk.white(`Nonce: ${commitment.nonce}`));
-      console.log(chalk.white(`New Balance A: ${commitment.balanceA} ETH`));
-      console.log(chalk.white(`New Balance B: ${commitment.balanceB} ETH`));
-      console.log(chalk.yellow('Share this commitment with your counterparty for signing'));
-      console.log(chalk.gray(`Commitment Hash: ${commitment.hash}`));
-
-      // Save commitment locally
-      await stateManager.saveCommitment(channel, commitment);
+      console.log(chalk.white(`Direction: party ${commitment.payer} pays party ${payee}`));
+      console.log(chalk.white(`New Balance A: ${format(commitment.balanceA)}`));
+      console.log(chalk.white(`New Balance B: ${format(commitment.balanceB)}`));
+      console.log(chalk.yellow('Share this proposal with your counterparty for signing'));
+      console.log(chalk.gray(`Revocation Hash: ${commitment.revocationHash}`));
 
-      // Output serialized commitment for sharing
-      const serialized = JSON.stringify({
-        channelAddress: channel,
-        nonce: commitment.nonce,
-        balanceA: commitment.balanceA,
-        balanceB: commitment.balanceB,
-        hash: commitment.hash,
-        signature: commitment.signature,
-        revocationHash: commitment.revocationHash
-      });
+      const serialized = JSON.stringify(proposal);
 
       console.log(chalk.cyan('\nSerialized commitment (share with counterparty):'));
       console.log(chalk.gray('─'.repeat(60)));
@@ -212,6 +519,8 @@ program
         return;
       }
 
+      const format = await amountFormatter(channel);
+
       if (nonce) {
         // View specific commitment
         const commitment = await stateManager.getCommitment(channel, nonce);
@@ -223,13 +532,14 @@ program
 
         console.log(chalk.blue.bold(`\nCommitment #${nonce}`));
         console.log(chalk.white(`  Nonce: ${commitment.nonce}`));
-        console.log(chalk.white(`  Balance A: ${commitment.balanceA} ETH`));
-        console.log(chalk.white(`  Balance B: ${commitment.balanceB} ETH`));
-        console.log(chalk.white(`  Hash: ${commitment.hash}`));
+        console.log(chalk.white(`  Balance A: ${format(commitment.balanceA)}`));
+        console.log(chalk.white(`  Balance B: ${format(commitment.balanceB)}`));
+        console.log(chalk.white(`  Hash: ${commitment.hash || 'Pending counterparty revocation hash'}`));
         console.log(chalk.white(`  My Signature: ${commitment.signature ? commitment.signature.substring(0, 30) + '...' : 'Not signed'}`));
         console.log(chalk.white(`  Counterparty Signature: ${commitment.counterpartySignature ? commitment.counterpartySignature.substring(0, 30) + '...' : 'Not signed'}`));
-        console.log(chalk.white(`  Revocation Hash: ${commitment.revocationHash || 'N/A'}`));
-        console.log(chalk.white(`  Revoked: ${commitment.revoked ? 'Yes' : 'No'}`));
+        console.log(chalk.white(`  Revocation Hash A: ${commitment.revocationHashA || 'N/A'}`));
+        console.log(chalk.white(`  Revocation Hash B: ${commitment.revocationHashB || 'N/A'}`));
+        console.log(chalk.white(`  Revoked: ${commitment.revoked || commitment.secretRevealed ? 'Yes' : 'No'}`));
         console.log(chalk.white(`  Created: ${new Date(commitment.timestamp).toLocaleString()}`));
 
         // Output serialized for sharing
@@ -240,9 +550,10 @@ program
           balanceA: commitment.balanceA,
           balanceB: commitment.balanceB,
           hash: commitment.hash,
-          signature: commitment.signature,
-          counterpartySignature: commitment.counterpartySignature,
-          revocationHash: commitment.revocationHash
+          signatureA: commitment.signatureA,
+          signatureB: commitment.signatureB,
+          revocationHashA: commitment.revocationHashA,
+          revocationHashB: commitment.revocationHashB
         }));
       } else {
         // View all commitments
@@ -257,9 +568,9 @@ program
         console.log(chalk.gray('─'.repeat(60)));
 
         for (const c of commitments) {
-          const status = c.revoked ? chalk.red('[REVOKED]') :
-                        (c.counterpartySignature ? chalk.green('[COMPLETE]') : chalk.yellow('[PENDING]'));
-          console.log(chalk.white(`  Nonce ${c.nonce}: A=${c.balanceA} ETH, B=${c.balanceB} ETH ${status}`));
+          const status = (c.revoked || c.secretRevealed) ? chalk.red('[REVOKED]') :
+                        (c.signatureA && c.signatureB ? chalk.green('[COMPLETE]') : chalk.yellow('[PENDING]'));
+          console.log(chalk.white(`  Nonce ${c.nonce}: A=${format(c.balanceA)}, B=${format(c.balanceB)} ${status}`));
         }
 
         console.log(chalk.gray('─'.repeat(60)));
@@ -288,66 +599,54 @@ program
       // Parse the incoming commitment
       const incoming = JSON.parse(data);
 
-      if (!incoming.channelAddress || !incoming.nonce || !incoming.hash) {
-        console.log(chalk.red('Invalid commitment data. Required: channelAddress, nonce, hash'));
+      if (!incoming.channelAddress || incoming.nonce === undefined || !incoming.revocationHash) {
+        console.log(chalk.red('Invalid commitment data. Required: channelAddress, nonce, revocationHash'));
         return;
       }
 
       const isInitialCommitment = parseInt(incoming.nonce) === 0;
+      const format = await amountFormatter(incoming.channelAddress);
 
       console.log(chalk.blue(isInitialCommitment ?
         'Received INITIAL commitment from counterparty (pre-funding):' :
         'Received commitment from counterparty:'));
       console.log(chalk.gray(`  Channel: ${incoming.channelAddress}`));
       console.log(chalk.gray(`  Nonce: ${incoming.nonce}`));
-      console.log(chalk.gray(`  Balance A: ${incoming.balanceA} ETH`));
-      console.log(chalk.gray(`  Balance B: ${incoming.balanceB} ETH`));
-      console.log(chalk.gray(`  Hash: ${incoming.hash.substring(0, 30)}...`));
-
-      if (isInitialCommitment) {
-        console.log(chalk.yellow('\n⚠️  This is an initial commitment (nonce 0)'));
-        console.log(chalk.yellow('   The channel should NOT be funded yet'));
-      }
-
-      // Verify the hash matches the commitment data
-      const { ethers } = await import('ethers');
-      const expectedHash = ethers.keccak256(
-        ethers.solidityPacked(
-          ['address', 'uint256', 'uint256', 'uint256'],
-          [
-            incoming.channelAddress,
-            parseInt(incoming.nonce),
-            ethers.parseEther(incoming.balanceA),
-            ethers.parseEther(incoming.balanceB)
-          ]
-        )
-      );
-
-      if (expectedHash !== incoming.hash) {
-        console.log(chalk.red('\nHash verification failed! Commitment data may be tampered.'));
-        console.log(chalk.gray(`Expected: ${expectedHash}`));
-        console.log(chalk.gray(`Received: ${incoming.hash}`));
+      console.log(chalk.gray(`  Balance A: ${format(incoming.balanceA)}`));
+      console.log(chalk.gray(`  Balance B: ${format(incoming.balanceB)}`));
+      console.log(chalk.gray(`  Counterparty revocation hash: ${incoming.revocationHash.substring(0, 30)}...`));
+
+      if (!isInitialCommitment) {
+        // Payments: only sign ones to us that follow the last state we know of
+        const { payer, amount, commitment, response } = await exchange.sign(incoming);
+        console.log(amount === null ?
+          chalk.yellow(`\nCommitment #${commitment.nonce} was already signed; repeating our answer`) :
+          chalk.green(`\n✓ Party ${payer} pays us ${format(amount)}`));
+        console.log(chalk.green('\nCommitment signed!'));
+        console.log(chalk.gray(`  Hash: ${commitment.hash.substring(0, 30)}...`));
+        console.log(chalk.gray(`  Our revocation hash: ${commitment.revocationHash.substring(0, 30)}...`));
+
+        console.log(chalk.cyan('\nSigned commitment (send back to initiator):'));
+        console.log(chalk.gray('─'.repeat(60)));
+        console.log(JSON.stringify(response));
+        console.log(chalk.gray('─'.repeat(60)));
         return;
       }
 
-      console.log(chalk.green('\nHash verified successfully'));
-
-      // Sign the commitment
-      const rpcUrl = process.env.RPC_URL || 'http://localhost:8545';
-      const provider = new ethers.JsonRpcProvider(rpcUrl);
-      const privateKey = process.env.PRIVATE_KEY;
-
-      if (!privateKey) {
-        console.log(chalk.red('PRIVATE_KEY environment variable is required'));
+      // Initial commitments come from party A, before the channel is funded
+      const { side } = await channelManager.getRole(incoming.channelAddress);
+      if (side === 'A') {
+        console.log(chalk.red('✗ Rejected: initial commitments are proposed by party A'));
         return;
       }
 
-      const signer = new ethers.Wallet(privateKey, provider);
-      const myAddress = await signer.getAddress();
-      const mySignature = await signer.signMessage(ethers.getBytes(incoming.hash));
+      // Only sign for channels whose code we know
+      await channelManager.assertFactoryChannel(incoming.channelAddress);
+      console.log(chalk.green('\n✓ Channel was created by the channel factory'));
+      console.log(chalk.yellow('\n⚠️  This is an initial commitment (nonce 0)'));
+      console.log(chalk.yellow('   The channel should NOT be funded yet'));
 
-      console.log(chalk.green('\nCommitment signed!'));
-      console.log(chalk.gray(`  Signer: ${myAddress}`));
+      const { ethers } = await import('ethers');
 
       // Generate my revocation hash for this new commitment
       const crypto = await import('crypto');
@@ -357,72 +656,54 @@ program
       console.log(chalk.yellow('\nGenerated revocation hash for new commitment:'));
       console.log(chalk.gray(`  Hash: ${myRevocationHash.substring(0, 30)}...`));
 
-      // Get previous commitment's revocation secret to share (if nonce > 1)
-      const previousNonce = parseInt(incoming.nonce) - 1;
-      let previousRevocationSecret = null;
-
-      if (previousNonce >= 1) {
-        const previousCommitment = await stateManager.getCommitment(incoming.channelAddress, previousNonce);
-        if (previousCommitment && previousCommitment.revocationPreimage) {
-          previousRevocationSecret = previousCommitment.revocationPreimage;
-          console.log(chalk.yellow(`\nRevealing revocation secret for commitment #${previousNonce}:`));
-          console.log(chalk.gray(`  Secret: ${previousRevocationSecret.substring(0, 30)}...`));
+      // Typed commitment: the initiator is party A, we are party B
+      const { hash: commitmentHash, signature: mySignature } = await paymentManager.signCommitment(
+        incoming.channelAddress,
+        {
+          nonce: incoming.nonce,
+          balanceA: incoming.balanceA,
+          balanceB: incoming.balanceB,
+          revocationHashA: incoming.revocationHash,
+          revocationHashB: myRevocationHash
         }
-      }
+      );
+      const myAddress = await paymentManager.signer.getAddress();
+
+      console.log(chalk.green('\nCommitment signed!'));
+      console.log(chalk.gray(`  Signer: ${myAddress}`));
+      console.log(chalk.gray(`  Hash: ${commitmentHash.substring(0, 30)}...`));
 
-      // Create response with signatures and revocation data
-      const signedCommitment = isInitialCommitment ? {
-        // For initial commitment, simplified response for funding flow
+      // Simplified response for the funding flow
+      const signedCommitment = {
         signature: mySignature,
         revocationHash: myRevocationHash,
         signerAddress: myAddress
-      } : {
-        // For regular commitments, full response
-        channelAddress: incoming.channelAddress,
-        nonce: incoming.nonce,
-        balanceA: incoming.balanceA,
-        balanceB: incoming.balanceB,
-        hash: incoming.hash,
-        initiatorSignature: incoming.signature,
-        counterpartySignature: mySignature,
-        initiatorRevocationHash: incoming.revocationHash,
-        counterpartyRevocationHash: myRevocationHash,
-        // Revocation secret for previous commitment (to revoke old state)
-        previousRevocationSecret: previousRevocationSecret
       };
 
       // Save locally with revocation preimage
       await stateManager.saveCommitment(incoming.channelAddress, {
-        nonce: incoming.nonce,
+        nonce: incoming.nonce.toString(),
         balanceA: incoming.balanceA,
         balanceB: incoming.balanceB,
-        hash: incoming.hash,
+        hash: commitmentHash,
         signature: mySignature,
-        counterpartySignature: incoming.signature,
+        signatureB: mySignature,
         revocationPreimage: myRevocationPreimage,
         revocationHash: myRevocationHash,
         counterpartyRevocationHash: incoming.revocationHash,
+        revocationHashA: incoming.revocationHash,
+        revocationHashB: myRevocationHash,
         timestamp: Date.now()
       });
 
-      // Mark previous commitment as revoked if we revealed the secret
-      if (previousRevocationSecret && previousNonce >= 1) {
-        await stateManager.markCommitmentRevoked(incoming.channelAddress, previousNonce, previousRevocationSecret);
-        console.log(chalk.green(`\nCommitment #${previousNonce} marked as revoked locally`));
-      }
-
-      console.log(chalk.cyan(isInitialCommitment ?
-        '\n✅ INITIAL COMMITMENT SIGNED (send back to initiator):' :
-        '\nSigned commitment (send back to initiator):'));
+      console.log(chalk.cyan('\n✅ INITIAL COMMITMENT SIGNED (send back to initiator):'));
       console.log(chalk.gray('─'.repeat(60)));
       console.log(JSON.stringify(signedCommitment));
       console.log(chalk.gray('─'.repeat(60)));
 
-      if (isInitialCommitment) {
-        console.log(chalk.yellow('\n⚠️  IMPORTANT: This signature enables the channel creator to'));
-        console.log(chalk.yellow('   safely fund the channel with refund protection.'));
-        console.log(chalk.yellow('   You may also want to fund the channel after they do.'));
-      }
+      console.log(chalk.yellow('\n⚠️  IMPORTANT: This signature enables the channel creator to'));
+      console.log(chalk.yellow('   safely fund the channel with refund protection.'));
+      console.log(chalk.yellow('   You may also want to fund the channel after they do.'));
     } catch (error) {
       console.error(chalk.red('Error signing commitment:'), error.message);
     }
@@ -444,110 +725,31 @@ program
 
       const signed = JSON.parse(data);
 
-      if (!signed.channelAddress || !signed.nonce || !signed.counterpartySignature) {
-        console.log(chalk.red('Invalid data. Required: channelAddress, nonce, counterpartySignature'));
-        return;
-      }
-
-      // Verify counterparty signature
-      const { ethers } = await import('ethers');
-      const messageHash = ethers.hashMessage(ethers.getBytes(signed.hash));
-      const recoveredAddress = ethers.recoverAddress(messageHash, signed.counterpartySignature);
-
       console.log(chalk.blue('Verifying counterparty signature...'));
-      console.log(chalk.gray(`  Recovered signer: ${recoveredAddress}`));
-
-      // Get existing commitment
-      const existing = await stateManager.getCommitment(signed.channelAddress, signed.nonce);
-
-      if (!existing) {
-        console.log(chalk.red(`Commitment with nonce ${signed.nonce} not found locally`));
-        return;
-      }
-
-      // Verify counterparty's revocation hash if provided
-      if (signed.counterpartyRevocationHash) {
-        console.log(chalk.blue('\nCounterparty revocation hash received:'));
-        console.log(chalk.gray(`  Hash: ${signed.counterpartyRevocationHash.substring(0, 30)}...`));
-      }
-
-      // Verify and process previous revocation secret from counterparty
-      const previousNonce = parseInt(signed.nonce) - 1;
-      if (signed.previousRevocationSecret && previousNonce >= 1) {
-        console.log(chalk.yellow(`\nReceived revocation secret for commitment #${previousNonce}:`));
-        console.log(chalk.gray(`  Secret: ${signed.previousRevocationSecret.substring(0, 30)}...`));
-
-        // Verify the secret matches the hash we have stored
-        const previousCommitment = await stateManager.getCommitment(signed.channelAddress, previousNonce);
-        if (previousCommitment && previousCommitment.counterpartyRevocationHash) {
-          const expectedHash = ethers.keccak256(signed.previousRevocationSecret);
-          if (expectedHash === previousCommitment.counterpartyRevocationHash) {
-            console.log(chalk.green('  ✓ Revocation secret verified!'));
-            // Mark previous commitment as revoked with counterparty's secret
-            await stateManager.markCommitmentRevoked(
-              signed.channelAddress,
-              previousNonce,
-              signed.previousRevocationSecret
-            );
-            console.log(chalk.green(`  Commitment #${previousNonce} marked as revoked`));
-          } else {
-            console.log(chalk.red('  ✗ Revocation secret verification failed!'));
-            console.log(chalk.gray(`    Expected hash: ${previousCommitment.counterpartyRevocationHash}`));
-            console.log(chalk.gray(`    Got hash: ${expectedHash}`));
-          }
-        }
-      }
+      const { commitment, counterpartySigner, previousNonce, response } = await exchange.finalize(signed);
+      console.log(chalk.gray(`  Recovered signer: ${counterpartySigner}`));
 
-      // Update with counterparty signature and revocation data
-      existing.counterpartySignature = signed.counterpartySignature;
-      existing.counterpartySigner = recoveredAddress;
-      if (signed.counterpartyRevocationHash) {
-        existing.counterpartyRevocationHash = signed.counterpartyRevocationHash;
-      }
-
-      // Update in storage
-      const commitments = await stateManager.getCommitments(signed.channelAddress);
-      const index = commitments.findIndex(c => c.nonce === signed.nonce.toString());
-      if (index >= 0) {
-        commitments[index] = existing;
-        const allCommitments = await stateManager.loadJSON(stateManager.commitmentsFile);
-        allCommitments[signed.channelAddress] = commitments;
-        await stateManager.saveJSON(stateManager.commitmentsFile, allCommitments);
-      }
-
-      // Now reveal our own previous revocation secret
-      let myPreviousSecret = null;
-      if (previousNonce >= 1) {
-        const myPreviousCommitment = await stateManager.getCommitment(signed.channelAddress, previousNonce);
-        if (myPreviousCommitment && myPreviousCommitment.revocationPreimage) {
-          myPreviousSecret = myPreviousCommitment.revocationPreimage;
-          console.log(chalk.yellow(`\nRevealing my revocation secret for commitment #${previousNonce}:`));
-          console.log(chalk.gray(`  Secret: ${myPreviousSecret.substring(0, 30)}...`));
-          // Mark our own previous commitment as revoked
-          await stateManager.markCommitmentRevoked(signed.channelAddress, previousNonce, myPreviousSecret);
-        }
+      console.log(chalk.blue('\nCounterparty revocation hash received:'));
+      console.log(chalk.gray(`  Hash: ${commitment.counterpartyRevocationHash.substring(0, 30)}...`));
+
+      if (response.previousRevocationSecret) {
+        console.log(chalk.yellow(`\nRevealing my revocation secret for commitment #${previousNonce}:`));
+        console.log(chalk.gray(`  Secret: ${response.previousRevocationSecret.substring(0, 30)}...`));
       }
 
       console.log(chalk.green('\nCommitment finalized with both signatures!'));
       console.log(chalk.white(`  Channel: ${signed.channelAddress}`));
-      console.log(chalk.white(`  Nonce: ${signed.nonce}`));
-      console.log(chalk.white(`  Balance A: ${existing.balanceA} ETH`));
-      console.log(chalk.white(`  Balance B: ${existing.balanceB} ETH`));
-      console.log(chalk.white(`  Counterparty: ${recoveredAddress}`));
-
-      // Output response with my revocation secret for counterparty
-      if (myPreviousSecret) {
-        const response = {
-          channelAddress: signed.channelAddress,
-          nonce: signed.nonce,
-          status: 'finalized',
-          previousRevocationSecret: myPreviousSecret
-        };
-        console.log(chalk.cyan('\nRevocation response (send to counterparty to complete exchange):'));
-        console.log(chalk.gray('─'.repeat(60)));
-        console.log(JSON.stringify(response));
-        console.log(chalk.gray('─'.repeat(60)));
-      }
+      console.log(chalk.white(`  Nonce: ${commitment.nonce}`));
+      const format = await amountFormatter(signed.channelAddress);
+      console.log(chalk.white(`  Balance A: ${format(commitment.balanceA)}`));
+      console.log(chalk.white(`  Balance B: ${format(commitment.balanceB)}`));
+      console.log(chalk.white(`  Counterparty: ${counterpartySigner}`));
+
+      // Output our signature (and previous secret) for the counterparty
+      console.log(chalk.cyan('\nRevocation response (send to counterparty to complete exchange):'));
+      console.log(chalk.gray('─'.repeat(60)));
+      console.log(JSON.stringify(response));
+      console.log(chalk.gray('─'.repeat(60)));
 
       console.log(chalk.green('\nThis commitment can now be used in disputes if needed.'));
     } catch (error) {
@@ -570,52 +772,107 @@ program
       }
 
       const response = JSON.parse(data);
+      const { signed, revokedNonce, reply } = await exchange.receiveRevocation(response);
 
-      if (!response.channelAddress || !response.previousRevocationSecret) {
-        console.log(chalk.red('Invalid data. Required: channelAddress, previousRevocationSecret'));
-        return;
+      if (signed) {
+        console.log(chalk.green(`✓ Commitment #${response.nonce} now holds both signatures`));
       }
 
-      const { ethers } = await import('ethers');
+      if (revokedNonce !== null) {
+        console.log(chalk.green('✓ Revocation secret verified!'));
+        console.log(chalk.green(`\nCommitment #${revokedNonce} successfully revoked!`));
+        console.log(chalk.gray(`  Secret: ${response.previousRevocationSecret.substring(0, 30)}...`));
+      } else if (parseInt(response.nonce) <= 1) {
+        console.log(chalk.yellow('No previous commitment to revoke'));
+      } else if (response.previousRevocationSecret) {
+        console.log(chalk.yellow(`Commitment #${parseInt(response.nonce) - 1} not found or no revocation hash stored`));
+      }
+
+      if (reply) {
+        console.log(chalk.cyan('\nRevocation response (send to counterparty to complete exchange):'));
+        console.log(chalk.gray('─'.repeat(60)));
+        console.log(JSON.stringify(reply));
+        console.log(chalk.gray('─'.repeat(60)));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error processing revocation:'), error.message);
+    }
+  });
+
+// Peer transport: answer payments from counterparties over HTTP
+program
+  .command('listen')
+  .description('Listen for payments from channel counterparties and run the exchange automatically')
+  .option('-p, --port <port>', 'Port to listen on', String(DEFAULT_PEER_PORT))
+  .option('-H, --host <host>', 'Interface to bind', '127.0.0.1')
+  .option('-c, --channel <address...>', 'Only serve these channels (default: every channel we are a party to)')
+  .action(async (options) => {
+    try {
+      const { port, host, channel = [] } = options;
+
+      await channelManager.init();
+      const server = new PeerServer({
+        exchange,
+        channelManager,
+        signer: channelManager.signer,
+        channels: channel,
+        log: peerLog
+      });
 
-      // Find which commitment this revokes (nonce - 1)
-      const currentNonce = parseInt(response.nonce);
-      const revokedNonce = currentNonce - 1;
+      const address = await server.listen(parseInt(port), host);
+      console.log(chalk.green(`Listening for peers on http://${address.address}:${address.port}`));
+      console.log(chalk.gray(`  Node address: ${await channelManager.getMyAddress()}`));
+      console.log(chalk.gray('  Press Ctrl+C to stop'));
 
-      if (revokedNonce < 1) {
-        console.log(chalk.yellow('No previous commitment to revoke'));
+      process.once('SIGINT', async () => {
+        await server.close();
+        console.log(chalk.blue('\nStopped listening'));
+        process.exit(0);
+      });
+    } catch (error) {
+      console.error(chalk.red('Error starting listener:'), error.message);
+    }
+  });
+
+// Peer transport: pay a listening counterparty over HTTP
+program
+  .command('connect')
+  .description('Connect to a listening counterparty, resume any interrupted exchange and optionally pay it')
+  .option('-c, --channel <address>', 'Channel contract address')
+  .option('-u, --url <url>', 'Peer URL', `http://127.0.0.1:${DEFAULT_PEER_PORT}`)
+  .option('-a, --amount <amount>', 'Payment amount in the channel\'s asset')
+  .option('-r, --retries <count>', 'Attempts per message while the peer is unreachable', '5')
+  .action(async (options) => {
+    try {
+      const { channel, url, amount, retries } = options;
+
+      if (!channel) {
+        console.log(chalk.red('Channel address is required'));
         return;
       }
 
-      console.log(chalk.blue(`Processing revocation for commitment #${revokedNonce}...`));
-
-      // Verify the secret matches the hash we have stored
-      const revokedCommitment = await stateManager.getCommitment(response.channelAddress, revokedNonce);
-      if (revokedCommitment && revokedCommitment.counterpartyRevocationHash) {
-        const computedHash = ethers.keccak256(response.previousRevocationSecret);
-        if (computedHash === revokedCommitment.counterpartyRevocationHash) {
-          console.log(chalk.green('✓ Revocation secret verified!'));
+      await channelManager.init();
+      const client = new PeerClient({
+        url,
+        channelAddress: channel,
+        exchange,
+        channelManager,
+        signer: channelManager.signer,
+        retries: parseInt(retries),
+        log: peerLog
+      });
 
-          // Mark commitment as revoked
-          await stateManager.markCommitmentRevoked(
-            response.channelAddress,
-            revokedNonce,
-            response.previousRevocationSecret
-          );
+      await client.connect();
 
-          console.log(chalk.green(`\nCommitment #${revokedNonce} successfully revoked!`));
-          console.log(chalk.gray(`  Secret: ${response.previousRevocationSecret.substring(0, 30)}...`));
-          console.log(chalk.gray(`  Hash: ${computedHash.substring(0, 30)}...`));
-        } else {
-          console.log(chalk.red('✗ Revocation secret verification failed!'));
-          console.log(chalk.gray(`  Expected hash: ${revokedCommitment.counterpartyRevocationHash}`));
-          console.log(chalk.gray(`  Got hash: ${computedHash}`));
-        }
-      } else {
-        console.log(chalk.yellow(`Commitment #${revokedNonce} not found or no revocation hash stored`));
+      if (amount) {
+        const commitment = await client.pay(await parseAmount(channel, amount));
+        const format = await amountFormatter(channel);
+        console.log(chalk.green(`\nPayment complete: commitment #${commitment.nonce} holds both signatures`));
+        console.log(chalk.white(`  Balance A: ${format(commitment.balanceA)}`));
+        console.log(chalk.white(`  Balance B: ${format(commitment.balanceB)}`));
       }
     } catch (error) {
-      console.error(chalk.red('Error processing revocation:'), error.message);
+      console.error(chalk.red('Error talking to peer:'), error.message);
     }
   });
 
@@ -653,8 +910,8 @@ program
       console.log(chalk.white(`Revocation Hash: ${commitment.revocationHash}`));
       console.log(chalk.yellow('\nShare this secret with your counterparty to revoke the old state'));
 
-      // Mark commitment as revoked locally
-      await stateManager.markCommitmentRevoked(channel, nonce, commitment.revocationPreimage);
+      // Record the reveal locally
+      await stateManager.markSecretRevealed(channel, nonce);
 
       // Output for sharing
       const revocationData = {
@@ -725,6 +982,13 @@ program
 
       const result = await channelManager.initiateDispute(channel, commitment);
 
+      // A commitment we had already revoked on-chain is penalized immediately
+      if (result.state !== 'DISPUTED') {
+        console.log(chalk.red(`Dispute not opened, channel is now ${result.state}`));
+        console.log(chalk.white(`Transaction Hash: ${result.txHash}`));
+        return;
+      }
+
       console.log(chalk.green('Dispute initiated!'));
       console.log(chalk.white(`Transaction Hash: ${result.txHash}`));
       console.log(chalk.yellow(`Dispute period ends at: ${result.disputeDeadline}`));
@@ -733,69 +997,682 @@ program
     }
   });
 
-// Cooperative close command
+// Challenge dispute command
 program
-  .command('close-channel')
-  .description('Cooperatively close a channel')
+  .command('challenge')
+  .description('Answer an open dispute with our newest co-signed commitment')
   .option('-c, --channel <address>', 'Channel contract address')
   .action(async (options) => {
     try {
       const { channel } = options;
+      const { ethers } = await import('ethers');
 
       if (!channel) {
         console.log(chalk.red('Channel address is required'));
         return;
       }
 
-      // Get latest state
-      const currentState = await stateManager.getChannelState(channel);
-
-      const answers = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'confirm',
-          message: `Close channel with final balances - A: ${currentState.balanceA} ETH, B: ${currentState.balanceB} ETH?`
-        }
-      ]);
+      const status = await channelManager.getDisputeStatus(channel);
+      if (status.state !== 'DISPUTED') {
+        console.log(chalk.red(`Channel is ${status.state}, there is no dispute to challenge`));
+        return;
+      }
 
-      if (!answers.confirm) {
-        console.log(chalk.yellow('Channel close cancelled'));
+      const commitment = await stateManager.getLatestSignedCommitment(channel);
+      if (!commitment || parseInt(commitment.nonce) <= parseInt(status.nonce)) {
+        console.log(chalk.red(`No co-signed commitment newer than the disputed nonce ${status.nonce}`));
         return;
       }
 
-      console.log(chalk.blue('Closing channel cooperatively...'));
+      // A breach proof takes the whole balance, so point it out first
+      const secret = await stateManager.getCounterpartyRevocationSecret(channel, status.nonce);
+      if (secret && ethers.keccak256(secret) === status.initiatorRevocationHash) {
+        console.log(chalk.yellow(`The disputed commitment #${status.nonce} was revoked; consider prove-breach instead`));
+      }
 
-      const closeData = await paymentManager.createCloseMessage(
-        channel,
-        currentState.balanceA,
-        currentState.balanceB
-      );
+      console.log(chalk.blue(`Challenging dispute at nonce ${status.nonce} with commitment #${commitment.nonce}...`));
+      const result = await channelManager.challengeDispute(channel, commitment);
 
-      console.log(chalk.yellow('Share this close message with your counterparty for signing:'));
-      console.log(chalk.gray(JSON.stringify(closeData, null, 2)));
+      console.log(chalk.green('Dispute challenged!'));
+      console.log(chalk.white(`Transaction Hash: ${result.txHash}`));
+      const format = await amountFormatter(channel);
+      console.log(chalk.white(`Balances - A: ${format(commitment.balanceA)}, B: ${format(commitment.balanceB)}`));
+      console.log(chalk.yellow(`Dispute period now ends at: ${result.disputeDeadline}`));
+    } catch (error) {
+      console.error(chalk.red('Error challenging dispute:'), error.message);
+    }
+  });
 
-      // If both signatures are available, submit to chain
-      const bothSigned = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'hasBothSignatures',
-          message: 'Do you have both signatures?'
-        }
-      ]);
+// Prove revocation breach command
+program
+  .command('prove-breach')
+  .description('Claim the channel balance when the counterparty disputed with a revoked commitment')
+  .option('-c, --channel <address>', 'Channel contract address')
+  .action(async (options) => {
+    try {
+      const { channel } = options;
+      const { ethers } = await import('ethers');
 
-      if (bothSigned.hasBothSignatures) {
-        const signatures = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'signatureA',
-            message: 'Enter signature from party A:'
-          },
-          {
-            type: 'input',
-            name: 'signatureB',
-            message: 'Enter signature from party B:'
-          }
-        ]);
+      if (!channel) {
+        console.log(chalk.red('Channel address is required'));
+        return;
+      }
+
+      const status = await channelManager.getDisputeStatus(channel);
+      if (status.state !== 'DISPUTED') {
+        console.log(chalk.red(`Channel is ${status.state}, there is no dispute to answer`));
+        return;
+      }
+
+      const myAddress = await channelManager.getMyAddress();
+      if (status.initiator.toLowerCase() === myAddress.toLowerCase()) {
+        console.log(chalk.red('You initiated this dispute; a breach proof must target the counterparty'));
+        return;
+      }
+
+      const secret = await stateManager.getCounterpartyRevocationSecret(channel, status.nonce);
+      if (!secret) {
+        console.log(chalk.red(`No revocation secret received for the disputed commitment #${status.nonce}`));
+        return;
+      }
+
+      if (ethers.keccak256(secret) !== status.initiatorRevocationHash) {
+        console.log(chalk.red(`Stored secret for commitment #${status.nonce} does not match the disputed revocation hash`));
+        return;
+      }
+
+      console.log(chalk.blue(`Proving that commitment #${status.nonce} was revoked...`));
+      const result = await channelManager.proveRevocationBreach(channel, secret);
+      const after = await channelManager.getDisputeStatus(channel);
+
+      console.log(chalk.green('Revocation breach proven, the full channel balance was paid to you!'));
+      console.log(chalk.white(`Transaction Hash: ${result.txHash}`));
+      console.log(chalk.white(`Channel state: ${after.state}`));
+    } catch (error) {
+      console.error(chalk.red('Error proving breach:'), error.message);
+    }
+  });
+
+// Finalize dispute command
+program
+  .command('finalize-dispute')
+  .description('Settle a disputed channel once the dispute period is over')
+  .option('-c, --channel <address>', 'Channel contract address')
+  .action(async (options) => {
+    try {
+      const { channel } = options;
+
+      if (!channel) {
+        console.log(chalk.red('Channel address is required'));
+        return;
+      }
+
+      const status = await channelManager.getDisputeStatus(channel);
+      if (status.state !== 'DISPUTED') {
+        console.log(chalk.red(`Channel is ${status.state}, there is no dispute to finalize`));
+        return;
+      }
+
+      if (status.secondsRemaining > 0) {
+        console.log(chalk.red(`Dispute period not over: ${status.secondsRemaining}s remaining (ends at ${status.deadline})`));
+        return;
+      }
+
+      console.log(chalk.blue('Finalizing dispute...'));
+      const result = await channelManager.finalizeDispute(channel);
+      const after = await channelManager.getDisputeStatus(channel);
+
+      console.log(chalk.green('Dispute finalized!'));
+      console.log(chalk.white(`Transaction Hash: ${result.txHash}`));
+      const format = await amountFormatter(channel);
+      console.log(chalk.white(`Settled at nonce ${status.nonce} - A: ${format(status.balanceA)}, B: ${format(status.balanceB)}`));
+      console.log(chalk.white(`Channel state: ${after.state}`));
+    } catch (error) {
+      console.error(chalk.red('Error finalizing dispute:'), error.message);
+    }
+  });
+
+// Dispute status command
+program
+  .command('dispute-status')
+  .description('Show the on-chain dispute state and what you can do about it')
+  .option('-c, --channel <address>', 'Channel contract address')
+  .action(async (options) => {
+    try {
+      const { channel } = options;
+      const { ethers } = await import('ethers');
+
+      if (!channel) {
+        console.log(chalk.red('Channel address is required'));
+        return;
+      }
+
+      const status = await channelManager.getDisputeStatus(channel);
+
+      console.log(chalk.blue('Dispute Status:'));
+      console.log(chalk.white(`Channel: ${channel}`));
+      console.log(chalk.white(`State: ${status.state}`));
+
+      if (status.state !== 'DISPUTED') {
+        if (status.deadline) {
+          console.log(chalk.white(`Last dispute at nonce ${status.nonce} (deadline ${status.deadline})`));
+        }
+        return;
+      }
+
+      const myAddress = await channelManager.getMyAddress();
+      const initiatedByMe = status.initiator.toLowerCase() === myAddress.toLowerCase();
+
+      console.log(chalk.white(`Initiator: ${status.initiator}${initiatedByMe ? ' (you)' : ''}`));
+      console.log(chalk.white(`Disputed nonce: ${status.nonce}`));
+      const format = await amountFormatter(channel);
+      console.log(chalk.white(`Disputed balances - A: ${format(status.balanceA)}, B: ${format(status.balanceB)}`));
+      console.log(chalk.white(`Deadline: ${status.deadline}`));
+      console.log(chalk.white(`Time remaining: ${status.secondsRemaining}s`));
+
+      const latest = await stateManager.getLatestSignedCommitment(channel);
+      console.log(chalk.white(`Newest local co-signed commitment: ${latest ? `#${latest.nonce}` : 'none'}`));
+
+      console.log(chalk.blue('\nAvailable actions:'));
+      const secret = await stateManager.getCounterpartyRevocationSecret(channel, status.nonce);
+      if (!initiatedByMe && secret && ethers.keccak256(secret) === status.initiatorRevocationHash) {
+        console.log(chalk.green(`  prove-breach      commitment #${status.nonce} was revoked, claim the full balance`));
+      }
+      if (latest && parseInt(latest.nonce) > parseInt(status.nonce)) {
+        console.log(chalk.green(`  challenge         replace nonce ${status.nonce} with #${latest.nonce}`));
+      }
+      if (status.secondsRemaining === 0) {
+        console.log(chalk.green('  finalize-dispute  settle at the disputed balances'));
+      } else {
+        console.log(chalk.gray(`  finalize-dispute  available after ${status.deadline}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error getting dispute status:'), error.message);
+    }
+  });
+
+// Reclaim deposit command
+program
+  .command('reclaim-deposit')
+  .description('Withdraw your deposit from a channel that was not opened before its funding deadline')
+  .option('-c, --channel <address>', 'Channel contract address')
+  .action(async (options) => {
+    try {
+      const { channel } = options;
+
+      if (!channel) {
+        console.log(chalk.red('Channel address is required'));
+        return;
+      }
+
+      const status = await channelManager.getFundingStatus(channel);
+      if (status.state !== 'FUNDING') {
+        console.log(chalk.red(`Channel is ${status.state}; deposits can only be reclaimed from a channel that never opened`));
+        return;
+      }
+
+      if (!status.deadlinePassed) {
+        console.log(chalk.red(`Funding deadline has not passed yet (${status.fundingDeadline})`));
+        return;
+      }
+
+      if (BigInt(status.deposit) === 0n) {
+        console.log(chalk.yellow('You have no deposit in this channel'));
+        return;
+      }
+
+      const format = await amountFormatter(channel);
+      console.log(chalk.blue(`Reclaiming ${format(status.deposit)}...`));
+      const result = await channelManager.reclaimDeposit(channel);
+      const after = await channelManager.getFundingStatus(channel);
+
+      await stateManager.markDepositReclaimed(channel, after.state === 'CLOSED');
+
+      console.log(chalk.green('Deposit reclaimed!'));
+      console.log(chalk.white(`Transaction Hash: ${result.txHash}`));
+      console.log(chalk.white(`Amount: ${format(result.amount ?? status.deposit)}`));
+      console.log(chalk.white(`Channel state: ${after.state}`));
+    } catch (error) {
+      console.error(chalk.red('Error reclaiming deposit:'), error.message);
+    }
+  });
+
+// Splice commands: propose, counter-sign, execute on-chain, confirm
+program
+  .command('propose-splice')
+  .description('Propose adding funds to or withdrawing funds from an open channel')
+  .option('-c, --channel <address>', 'Channel contract address')
+  .option('-d, --deposit <amount>', 'Amount to add from your wallet, in the channel\'s asset', '0')
+  .option('-w, --withdraw <amount>', 'Amount to withdraw from your balance, in the channel\'s asset', '0')
+  .option('-e, --expires <minutes>', 'Minutes the counterparty and you have to sign and execute the splice', '60')
+  .action(async (options) => {
+    try {
+      const { channel, deposit, withdraw } = options;
+
+      if (!channel) {
+        console.log(chalk.red('Channel address is required'));
+        return;
+      }
+
+      const lifetime = parseFloat(options.expires) * 60;
+      if (!(lifetime > 0)) {
+        console.log(chalk.red('Splice lifetime must be a positive number of minutes'));
+        return;
+      }
+
+      const info = await channelManager.getChannelInfo(channel);
+      if (info.state !== 'OPEN') {
+        console.log(chalk.red(`Channel is ${info.state}; only open channels can be spliced`));
+        return;
+      }
+
+      const currentState = await stateManager.getChannelState(channel);
+      const { side } = await channelManager.getRole(channel);
+
+      const proposal = await paymentManager.createSpliceProposal(
+        channel,
+        currentState.nonce + 1,
+        side,
+        await parseAmount(channel, deposit),
+        await parseAmount(channel, withdraw),
+        currentState.balanceA,
+        currentState.balanceB,
+        Math.floor(Date.now() / 1000 + lifetime)
+      );
+
+      // Saved like any proposed commitment; it becomes the new base state once executed
+      await stateManager.saveCommitment(channel, proposal);
+
+      console.log(chalk.green('Splice proposed!'));
+      console.log(chalk.white(`Nonce: ${proposal.nonce}`));
+      const format = await amountFormatter(channel);
+      console.log(chalk.white(`New Balance A: ${format(proposal.balanceA)}`));
+      console.log(chalk.white(`New Balance B: ${format(proposal.balanceB)}`));
+      console.log(chalk.white(`Execute before: ${new Date(proposal.splice.deadline * 1000).toLocaleString()}`));
+
+      const serialized = JSON.stringify({
+        type: 'splice',
+        channelAddress: channel,
+        nonce: proposal.nonce,
+        balanceA: proposal.balanceA,
+        balanceB: proposal.balanceB,
+        ...proposal.splice,
+        revocationHash: proposal.revocationHash
+      });
+
+      console.log(chalk.cyan('\nSerialized splice (share with counterparty for sign-splice):'));
+      console.log(chalk.gray('─'.repeat(60)));
+      console.log(serialized);
+      console.log(chalk.gray('─'.repeat(60)));
+    } catch (error) {
+      console.error(chalk.red('Error proposing splice:'), error.message);
+    }
+  });
+
+program
+  .command('sign-splice')
+  .description('Sign a splice proposed by the counterparty')
+  .option('-d, --data <json>', 'Serialized splice JSON from counterparty')
+  .action(async (options) => {
+    try {
+      const { data } = options;
+
+      if (!data) {
+        console.log(chalk.red('Serialized splice data is required'));
+        return;
+      }
+
+      const incoming = JSON.parse(data);
+
+      if (incoming.type !== 'splice' || !incoming.channelAddress || !incoming.nonce || !incoming.revocationHash || !incoming.deadline) {
+        console.log(chalk.red('Invalid splice data. Required: type, channelAddress, nonce, revocationHash, deadline'));
+        return;
+      }
+
+      if (incoming.deadline * 1000 <= Date.now()) {
+        console.log(chalk.red('Splice deadline has passed; ask for a new proposal'));
+        return;
+      }
+
+      const { ethers } = await import('ethers');
+      const channel = incoming.channelAddress;
+      const proposer = incoming.proposer === 'B' ? 'B' : 'A';
+
+      // Check the proposal against our own view of the channel
+      const currentState = await stateManager.getChannelState(channel);
+      if (parseInt(incoming.nonce) !== currentState.nonce + 1) {
+        console.log(chalk.red(`Nonce mismatch: expected ${currentState.nonce + 1}, got ${incoming.nonce}`));
+        return;
+      }
+
+      const expectedA = parseWei(currentState.balanceA) + parseWei(incoming.depositA) - parseWei(incoming.withdrawA);
+      const expectedB = parseWei(currentState.balanceB) + parseWei(incoming.depositB) - parseWei(incoming.withdrawB);
+      const counterpartyDeposit = proposer === 'A' ? incoming.depositB : incoming.depositA;
+      const counterpartyWithdraw = proposer === 'A' ? incoming.withdrawB : incoming.withdrawA;
+
+      if (parseWei(incoming.balanceA) !== expectedA || parseWei(incoming.balanceB) !== expectedB) {
+        console.log(chalk.red('Splice balances do not match the current channel state'));
+        return;
+      }
+      if (parseWei(counterpartyDeposit) !== 0n || parseWei(counterpartyWithdraw) !== 0n) {
+        console.log(chalk.red('A splice proposal may only move the proposer\'s own funds'));
+        return;
+      }
+
+      console.log(chalk.blue('Received splice from counterparty:'));
+      console.log(chalk.gray(`  Channel: ${channel}`));
+      console.log(chalk.gray(`  Nonce: ${incoming.nonce}`));
+      const format = await amountFormatter(channel);
+      console.log(chalk.gray(`  Deposit: ${format(proposer === 'A' ? incoming.depositA : incoming.depositB)}`));
+      console.log(chalk.gray(`  Withdraw: ${format(proposer === 'A' ? incoming.withdrawA : incoming.withdrawB)}`));
+      console.log(chalk.gray(`  New Balance A: ${format(incoming.balanceA)}`));
+      console.log(chalk.gray(`  New Balance B: ${format(incoming.balanceB)}`));
+      console.log(chalk.gray(`  Execute before: ${new Date(incoming.deadline * 1000).toLocaleString()}`));
+
+      // Our revocation hash for the new base state
+      const crypto = await import('crypto');
+      const myRevocationPreimage = '0x' + crypto.randomBytes(32).toString('hex');
+      const myRevocationHash = ethers.keccak256(myRevocationPreimage);
+      const revocationHashA = proposer === 'A' ? incoming.revocationHash : myRevocationHash;
+      const revocationHashB = proposer === 'A' ? myRevocationHash : incoming.revocationHash;
+
+      const splice = {
+        nonce: incoming.nonce,
+        balanceA: incoming.balanceA,
+        balanceB: incoming.balanceB,
+        depositA: incoming.depositA,
+        depositB: incoming.depositB,
+        withdrawA: incoming.withdrawA,
+        withdrawB: incoming.withdrawB,
+        deadline: incoming.deadline
+      };
+      const { hash: commitmentHash, signature: commitmentSignature } = await paymentManager.signCommitment(channel, {
+        ...splice,
+        revocationHashA,
+        revocationHashB
+      });
+      const { signature: spliceSignature } = await paymentManager.signSplice(channel, splice);
+
+      await stateManager.saveCommitment(channel, {
+        nonce: incoming.nonce.toString(),
+        balanceA: incoming.balanceA,
+        balanceB: incoming.balanceB,
+        hash: commitmentHash,
+        signature: commitmentSignature,
+        [proposer === 'A' ? 'signatureB' : 'signatureA']: commitmentSignature,
+        splice: {
+          proposer,
+          depositA: incoming.depositA,
+          depositB: incoming.depositB,
+          withdrawA: incoming.withdrawA,
+          withdrawB: incoming.withdrawB,
+          deadline: incoming.deadline
+        },
+        revocationPreimage: myRevocationPreimage,
+        revocationHash: myRevocationHash,
+        counterpartyRevocationHash: incoming.revocationHash,
+        revocationHashA,
+        revocationHashB,
+        timestamp: Date.now()
+      });
+
+      console.log(chalk.green('\nSplice signed!'));
+      console.log(chalk.cyan('\nSigned splice (send back to the proposer for execute-splice):'));
+      console.log(chalk.gray('─'.repeat(60)));
+      console.log(JSON.stringify({
+        channelAddress: channel,
+        nonce: incoming.nonce,
+        hash: commitmentHash,
+        counterpartyRevocationHash: myRevocationHash,
+        commitmentSignature,
+        spliceSignature
+      }));
+      console.log(chalk.gray('─'.repeat(60)));
+    } catch (error) {
+      console.error(chalk.red('Error signing splice:'), error.message);
+    }
+  });
+
+program
+  .command('execute-splice')
+  .description('Execute a counter-signed splice on-chain')
+  .option('-d, --data <json>', 'Signed splice JSON returned from counterparty')
+  .action(async (options) => {
+    try {
+      const { data } = options;
+
+      if (!data) {
+        console.log(chalk.red('Signed splice data is required'));
+        return;
+      }
+
+      const signed = JSON.parse(data);
+
+      if (!signed.channelAddress || !signed.nonce || !signed.commitmentSignature || !signed.spliceSignature || !signed.counterpartyRevocationHash) {
+        console.log(chalk.red('Invalid data. Required: channelAddress, nonce, commitmentSignature, spliceSignature, counterpartyRevocationHash'));
+        return;
+      }
+
+      const channel = signed.channelAddress;
+      const existing = await stateManager.getCommitment(channel, signed.nonce);
+      if (!existing?.splice) {
+        console.log(chalk.red(`Splice with nonce ${signed.nonce} not found locally`));
+        return;
+      }
+
+      if (existing.splice.deadline * 1000 <= Date.now()) {
+        console.log(chalk.red(`Splice with nonce ${signed.nonce} expired; propose it again`));
+        return;
+      }
+
+      const side = existing.splice.proposer;
+      const revocationHashA = side === 'A' ? existing.revocationHash : signed.counterpartyRevocationHash;
+      const revocationHashB = side === 'A' ? signed.counterpartyRevocationHash : existing.revocationHash;
+      const splice = {
+        nonce: existing.nonce,
+        balanceA: existing.balanceA,
+        balanceB: existing.balanceB,
+        ...existing.splice
+      };
+
+      // Both of the counterparty's signatures must cover our proposal
+      const info = await channelManager.getChannelInfo(channel);
+      const counterparty = side === 'A' ? info.partyB : info.partyA;
+      const commitmentValid = await paymentManager.verifyCommitment(
+        channel,
+        existing.nonce,
+        existing.balanceA,
+        existing.balanceB,
+        revocationHashA,
+        revocationHashB,
+        signed.commitmentSignature,
+        counterparty
+      );
+      const spliceValid = await paymentManager.verifySplice(channel, splice, signed.spliceSignature, counterparty);
+
+      if (!commitmentValid || !spliceValid) {
+        console.log(chalk.red('✗ Counterparty signatures do not match the proposed splice'));
+        return;
+      }
+
+      console.log(chalk.green('✓ Counterparty signatures verified'));
+
+      const { hash: commitmentHash, signature: myCommitmentSignature } = await paymentManager.signCommitment(channel, {
+        ...existing,
+        revocationHashA,
+        revocationHashB
+      });
+      const { signature: mySpliceSignature } = await paymentManager.signSplice(channel, splice);
+
+      const signatureA = side === 'A' ? myCommitmentSignature : signed.commitmentSignature;
+      const signatureB = side === 'A' ? signed.commitmentSignature : myCommitmentSignature;
+
+      // Keep the co-signed base state before it goes on-chain
+      await stateManager.saveCommitment(channel, {
+        ...existing,
+        hash: commitmentHash,
+        signature: myCommitmentSignature,
+        signatureA,
+        signatureB,
+        counterpartySignature: signed.commitmentSignature,
+        counterpartyRevocationHash: signed.counterpartyRevocationHash,
+        revocationHashA,
+        revocationHashB
+      });
+
+      console.log(chalk.blue('Submitting splice...'));
+      const result = await channelManager.splice(
+        channel,
+        splice,
+        side === 'A' ? mySpliceSignature : signed.spliceSignature,
+        side === 'A' ? signed.spliceSignature : mySpliceSignature
+      );
+      await stateManager.recordSplice(channel, existing.nonce, result.txHash);
+
+      console.log(chalk.green('Splice executed!'));
+      console.log(chalk.white(`Transaction Hash: ${result.txHash}`));
+      if (result.totalBalance !== null) {
+        const format = await amountFormatter(channel);
+        console.log(chalk.white(`Channel Balance: ${format(result.totalBalance)}`));
+      }
+
+      console.log(chalk.cyan('\nSplice confirmation (send to counterparty for confirm-splice):'));
+      console.log(chalk.gray('─'.repeat(60)));
+      console.log(JSON.stringify({
+        channelAddress: channel,
+        nonce: existing.nonce,
+        commitmentSignature: myCommitmentSignature,
+        txHash: result.txHash
+      }));
+      console.log(chalk.gray('─'.repeat(60)));
+    } catch (error) {
+      console.error(chalk.red('Error executing splice:'), error.message);
+    }
+  });
+
+program
+  .command('confirm-splice')
+  .description('Record a splice the counterparty executed on-chain')
+  .option('-d, --data <json>', 'Splice confirmation JSON from counterparty')
+  .action(async (options) => {
+    try {
+      const { data } = options;
+
+      if (!data) {
+        console.log(chalk.red('Splice confirmation data is required'));
+        return;
+      }
+
+      const confirmation = JSON.parse(data);
+
+      if (!confirmation.channelAddress || !confirmation.nonce || !confirmation.commitmentSignature) {
+        console.log(chalk.red('Invalid data. Required: channelAddress, nonce, commitmentSignature'));
+        return;
+      }
+
+      const channel = confirmation.channelAddress;
+      const existing = await stateManager.getCommitment(channel, confirmation.nonce);
+      if (!existing?.splice || !existing.hash) {
+        console.log(chalk.red(`Signed splice with nonce ${confirmation.nonce} not found locally`));
+        return;
+      }
+
+      const info = await channelManager.getChannelInfo(channel);
+      const proposer = existing.splice.proposer === 'A' ? info.partyA : info.partyB;
+      const recoveredAddress = recoverCommitmentSigner(existing.hash, confirmation.commitmentSignature);
+      if (recoveredAddress.toLowerCase() !== proposer.toLowerCase()) {
+        console.log(chalk.red('✗ Proposer signature verification failed!'));
+        console.log(chalk.gray(`  Recovered signer: ${recoveredAddress}`));
+        return;
+      }
+
+      if (parseInt(info.latestNonce) !== parseInt(existing.nonce)) {
+        console.log(chalk.yellow(`Splice not on-chain yet (contract is at nonce ${info.latestNonce})`));
+        return;
+      }
+
+      await stateManager.saveCommitment(channel, {
+        ...existing,
+        [existing.splice.proposer === 'A' ? 'signatureA' : 'signatureB']: confirmation.commitmentSignature,
+        counterpartySignature: confirmation.commitmentSignature,
+        counterpartySigner: recoveredAddress
+      });
+      await stateManager.recordSplice(channel, existing.nonce, confirmation.txHash || null);
+
+      console.log(chalk.green(`✓ Splice #${existing.nonce} confirmed`));
+      const format = await amountFormatter(channel);
+      console.log(chalk.white(`  Balance A: ${format(existing.balanceA)}`));
+      console.log(chalk.white(`  Balance B: ${format(existing.balanceB)}`));
+      console.log(chalk.white(`  Channel Balance: ${format(info.balance)}`));
+    } catch (error) {
+      console.error(chalk.red('Error confirming splice:'), error.message);
+    }
+  });
+
+// Cooperative close command
+program
+  .command('close-channel')
+  .description('Cooperatively close a channel')
+  .option('-c, --channel <address>', 'Channel contract address')
+  .action(async (options) => {
+    try {
+      const { channel } = options;
+
+      if (!channel) {
+        console.log(chalk.red('Channel address is required'));
+        return;
+      }
+
+      // Get latest state
+      const currentState = await stateManager.getChannelState(channel);
+      const format = await amountFormatter(channel);
+
+      const answers = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: `Close channel with final balances - A: ${format(currentState.balanceA)}, B: ${format(currentState.balanceB)}?`
+        }
+      ]);
+
+      if (!answers.confirm) {
+        console.log(chalk.yellow('Channel close cancelled'));
+        return;
+      }
+
+      console.log(chalk.blue('Closing channel cooperatively...'));
+
+      const closeData = await paymentManager.createCloseMessage(
+        channel,
+        currentState.balanceA,
+        currentState.balanceB
+      );
+
+      console.log(chalk.yellow('Share this close message with your counterparty for signing:'));
+      console.log(chalk.gray(JSON.stringify(closeData, null, 2)));
+
+      // If both signatures are available, submit to chain
+      const bothSigned = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'hasBothSignatures',
+          message: 'Do you have both signatures?'
+        }
+      ]);
+
+      if (bothSigned.hasBothSignatures) {
+        const signatures = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'signatureA',
+            message: 'Enter signature from party A:'
+          },
+          {
+            type: 'input',
+            name: 'signatureB',
+            message: 'Enter signature from party B:'
+          }
+        ]);
 
         const result = await channelManager.cooperativeClose(
           channel,
@@ -813,6 +1690,65 @@ program
     }
   });
 
+// Reconcile the local state with the channels' on-chain logs
+program
+  .command('sync')
+  .description('Replay on-chain events of known channels into the local state and flag discrepancies')
+  .option('-c, --channel <address>', 'Sync only this channel')
+  .option('--full', 'Replay from the first block instead of the last synced one')
+  .action(async (options) => {
+    try {
+      let channels = await stateManager.getAllChannels();
+      if (options.channel) {
+        channels = channels.filter(c => c.address.toLowerCase() === options.channel.toLowerCase());
+        if (channels.length === 0) {
+          console.log(chalk.red(`No local record of channel ${options.channel}`));
+          return;
+        }
+      }
+      if (channels.length === 0) {
+        console.log(chalk.yellow('No channels found'));
+        return;
+      }
+
+      for (const channel of channels) {
+        const { address } = channel;
+        try {
+          const sync = await channelManager.reconcileChannel(
+            address,
+            {
+              channel,
+              state: await stateManager.getChannelState(address),
+              commitments: await stateManager.getCommitments(address)
+            },
+            { fromBlock: options.full ? 0 : null }
+          );
+          const added = await stateManager.recordSync(address, sync);
+
+          const format = await amountFormatter(address);
+          const moved = channel.status === sync.status ? sync.status : `${channel.status} → ${sync.status}`;
+          console.log(chalk.blue(`${address}: ${moved}`) + chalk.gray(` (${sync.events} event(s), up to block ${sync.syncedBlock})`));
+          console.log(chalk.white(`  Balance A: ${format(sync.balanceA)}, Balance B: ${format(sync.balanceB)}`));
+          if (sync.status === 'DISPUTED' && sync.dispute) {
+            console.log(chalk.yellow(`  Dispute at nonce ${sync.dispute.nonce} by ${sync.dispute.initiator}, deadline ${sync.dispute.deadline}`));
+          }
+
+          for (const discrepancy of added) {
+            console.log(chalk.red(`  ⚠ ${discrepancy.message} (tx ${discrepancy.txHash})`));
+            if (discrepancy.expected) {
+              console.log(chalk.red(`    expected A ${format(discrepancy.expected.balanceA)} / B ${format(discrepancy.expected.balanceB)}, ` +
+                `settled A ${format(discrepancy.actual.balanceA)} / B ${format(discrepancy.actual.balanceB)}`));
+            }
+          }
+        } catch (error) {
+          console.error(chalk.red(`${address}: could not sync:`), error.message);
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('Error syncing:'), error.message);
+    }
+  });
+
 // View channel status command
 program
   .command('status')
@@ -833,7 +1769,7 @@ program
 
         console.log(chalk.blue('Your Channels:'));
         for (const ch of channels) {
-          console.log(chalk.white(`- ${ch.address} (Partner: ${ch.partner})`));
+          console.log(chalk.white(`- ${ch.address} (Partner: ${ch.partner})${ch.status ? ` ${ch.status}` : ''}`));
         }
       } else {
         // Show specific channel
@@ -844,14 +1780,18 @@ program
         console.log(chalk.white(`Address: ${channel}`));
         console.log(chalk.white(`Party A: ${info.partyA}`));
         console.log(chalk.white(`Party B: ${info.partyB}`));
-        console.log(chalk.white(`Total Balance: ${info.balance} ETH`));
+        const format = await amountFormatter(channel);
+        console.log(chalk.white(`Total Balance: ${format(info.balance)}`));
+        if (info.token) {
+          console.log(chalk.white(`Token: ${info.token}`));
+        }
         console.log(chalk.white(`State: ${info.state}`));
         console.log(chalk.white(`Latest Nonce: ${info.latestNonce}`));
 
         if (localState) {
           console.log(chalk.blue('\nLocal State:'));
-          console.log(chalk.white(`Balance A: ${localState.balanceA} ETH`));
-          console.log(chalk.white(`Balance B: ${localState.balanceB} ETH`));
+          console.log(chalk.white(`Balance A: ${format(localState.balanceA)}`));
+          console.log(chalk.white(`Balance B: ${format(localState.balanceB)}`));
           console.log(chalk.white(`Local Nonce: ${localState.nonce}`));
           console.log(chalk.white(`Commitments: ${localState.commitments?.length || 0}`));
         }
@@ -921,11 +1861,12 @@ program
   .command('create-initial-commitment')
   .description('Create channel with initial commitment (safe mode - get signature before funding)')
   .option('-p, --partner <address>', 'Partner address')
-  .option('-a, --amount <amount>', 'Your planned deposit amount in ETH')
+  .option('-a, --amount <amount>', 'Your planned deposit amount in ETH, or in the token with --token')
   .option('-d, --dispute-period <seconds>', 'Dispute period in seconds', '86400')
+  .option('-t, --token <address>', 'ERC-20 token to denominate the channel in (default: ETH)')
   .action(async (options) => {
     try {
-      const { partner, amount, disputePeriod } = options;
+      const { partner, amount, disputePeriod, token } = options;
 
       if (!partner || !amount) {
         console.log(chalk.red('Partner address and amount are required'));
@@ -937,9 +1878,10 @@ program
       console.log(chalk.blue.bold('╚════════════════════════════════════════════════════════════╝\n'));
 
       // Step 1: Deploy channel (without funding)
-      console.log(chalk.yellow('Step 1: Deploying channel contract (no funds)...'));
-      const deployResult = await channelManager.deployChannelOnly(partner, disputePeriod);
-      console.log(chalk.green(`✓ Channel deployed at: ${deployResult.channelAddress}`));
+      console.log(chalk.yellow('Step 1: Creating channel through the factory (no funds)...'));
+      const deployResult = await channelManager.deployChannelOnly(partner, disputePeriod, token);
+      const format = await amountFormatter(deployResult.channelAddress);
+      console.log(chalk.green(`✓ Channel created at: ${deployResult.channelAddress}`));
       console.log(chalk.gray(`  Transaction: ${deployResult.txHash}`));
 
       // Save unfunded channel to state
@@ -949,18 +1891,17 @@ program
       console.log(chalk.yellow('\nStep 2: Creating initial commitment (nonce 0)...'));
       const commitment = await paymentManager.createInitialCommitment(
         deployResult.channelAddress,
-        amount,
+        await parseAmount(deployResult.channelAddress, amount),
         partner
       );
 
       console.log(chalk.green('✓ Initial commitment created'));
-      console.log(chalk.gray(`  Your balance: ${commitment.balanceA} ETH (full refund)`));
-      console.log(chalk.gray(`  Partner balance: ${commitment.balanceB} ETH`));
-      console.log(chalk.gray(`  Commitment hash: ${commitment.hash.substring(0, 20)}...`));
+      console.log(chalk.gray(`  Your balance: ${format(commitment.balanceA)} (full refund)`));
+      console.log(chalk.gray(`  Partner balance: ${format(commitment.balanceB)}`));
       console.log(chalk.gray(`  Your revocation hash: ${commitment.revocationHash.substring(0, 20)}...`));
 
       // Save initial commitment
-      await stateManager.saveCommitment(deployResult.channelAddress, commitment.nonce, commitment);
+      await stateManager.saveCommitment(deployResult.channelAddress, commitment);
 
       // Step 3: Output serialized commitment for partner
       console.log(chalk.yellow('\nStep 3: Share this commitment with your partner for signing:'));
@@ -970,8 +1911,6 @@ program
         nonce: commitment.nonce,
         balanceA: commitment.balanceA,
         balanceB: commitment.balanceB,
-        hash: commitment.hash,
-        signature: commitment.signature,
         revocationHash: commitment.revocationHash,
         signerAddress: commitment.signerAddress
       };
@@ -997,7 +1936,7 @@ program
   .command('finalize-and-fund')
   .description('Finalize initial commitment and fund channel (after receiving partner signature)')
   .option('-c, --channel <address>', 'Channel contract address')
-  .option('-a, --amount <amount>', 'Deposit amount in ETH')
+  .option('-a, --amount <amount>', 'Deposit amount in the channel\'s asset')
   .option('-d, --data <json>', 'Partner\'s signed response')
   .option('--auto-open', 'Automatically open channel after funding')
   .action(async (options) => {
@@ -1036,6 +1975,8 @@ program
         0,
         ourCommitment.balanceA,
         ourCommitment.balanceB,
+        ourCommitment.revocationHash,
+        partnerResponse.revocationHash,
         partnerResponse.signature,
         channelInfo.partyB
       );
@@ -1047,15 +1988,24 @@ program
 
       console.log(chalk.green('✓ Partner signature verified'));
 
-      // Update commitment with partner's data
+      // Update commitment with partner's data and add our own signature
+      ourCommitment.revocationHashA = ourCommitment.revocationHash;
+      ourCommitment.revocationHashB = partnerResponse.revocationHash;
+      const { hash, signature } = await paymentManager.signCommitment(channel, ourCommitment);
+      ourCommitment.hash = hash;
+      ourCommitment.signature = signature;
+      ourCommitment.signatureA = signature;
+      ourCommitment.signatureB = partnerResponse.signature;
       ourCommitment.counterpartySignature = partnerResponse.signature;
       ourCommitment.counterpartyRevocationHash = partnerResponse.revocationHash;
-      await stateManager.saveCommitment(channel, 0, ourCommitment);
+      await stateManager.saveCommitment(channel, ourCommitment);
       console.log(chalk.green('✓ Commitment finalized with both signatures'));
 
       // Fund the channel
-      console.log(chalk.yellow(`\nStep 2: Funding channel with ${amount} ETH...`));
-      const fundResult = await channelManager.fundChannelWithCommitment(channel, amount, ourCommitment);
+      const amountWei = await parseAmount(channel, amount);
+      const format = await amountFormatter(channel);
+      console.log(chalk.yellow(`\nStep 2: Funding channel with ${format(amountWei)}...`));
+      const fundResult = await channelManager.fundChannelWithCommitment(channel, amountWei, ourCommitment);
       console.log(chalk.green(`✓ Channel funded! Transaction: ${fundResult.txHash}`));
 
       // Mark channel as funded
@@ -1070,7 +2020,7 @@ program
 
       console.log(chalk.green.bold('\n✅ SUCCESS! Channel is now funded with refund protection.'));
       console.log(chalk.white(`\nChannel Address: ${channel}`));
-      console.log(chalk.white(`Your Deposit: ${amount} ETH`));
+      console.log(chalk.white(`Your Deposit: ${format(amountWei)}`));
       console.log(chalk.white(`Status: ${autoOpen ? 'OPEN (ready for payments)' : 'FUNDED (run open-channel to activate)'}`));
     } catch (error) {
       console.error(chalk.red('Error finalizing and funding:'), error.message);
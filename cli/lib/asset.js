@@ -0,0 +1,81 @@
+import { ethers } from 'ethers';
+
+// What a channel holds when its token() is the zero address
+export const ETH_ASSET = { token: null, symbol: 'ETH', decimals: 18 };
+
+export const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+/**
+ * Asset a channel is denominated in: { token, symbol, decimals }.
+ * Channels deployed before token support have no token() and hold ETH.
+ */
+export async function loadChannelAsset(provider, channelAddress) {
+  const channel = new ethers.Contract(channelAddress, ['function token() view returns (address)'], provider);
+
+  let token;
+  try {
+    token = await channel.token();
+  } catch (error) {
+    // Only a missing function means ETH; RPC failures must not change the decimals
+    if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') return ETH_ASSET;
+    throw error;
+  }
+  if (token === ethers.ZeroAddress) return ETH_ASSET;
+
+  return loadTokenAsset(provider, token);
+}
+
+/**
+ * Symbol and decimals of an ERC-20 token
+ */
+export async function loadTokenAsset(provider, tokenAddress) {
+  const erc20 = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  const [decimals, symbol] = await Promise.all([erc20.decimals(), erc20.symbol()]);
+  return { token: tokenAddress, symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Amount string (e.g. "1.5") to the asset's smallest unit
+ */
+export function toUnits(value, decimals = 18) {
+  return ethers.parseUnits((value ?? '0').toString(), decimals);
+}
+
+/**
+ * Smallest-unit amount to an amount string
+ */
+export function fromUnits(value, decimals = 18) {
+  return ethers.formatUnits(value, decimals);
+}
+
+/**
+ * Stored or exchanged amount (an integer string in the asset's smallest unit)
+ * to a bigint. Decimal strings are rejected instead of being rounded, since
+ * they come from payloads or state written before amounts were kept in wei.
+ */
+export function parseWei(value, label = 'amount') {
+  const text = (value ?? '0').toString();
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${label} "${text}": expected an integer amount in wei`);
+  }
+  return BigInt(text);
+}
+
+/**
+ * Let the channel pull amount of the token from the signer, raising the
+ * allowance only when the current one is too low
+ */
+export async function approveChannel(signer, tokenAddress, channelAddress, amount) {
+  const erc20 = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+  const allowance = await erc20.allowance(await signer.getAddress(), channelAddress);
+  if (allowance >= amount) return null;
+
+  const tx = await erc20.approve(channelAddress, amount);
+  await tx.wait();
+  return tx.hash;
+}
\ No newline at end of file
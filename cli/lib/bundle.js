@@ -0,0 +1,135 @@
+import { ethers } from 'ethers';
+import { deriveKey, newKeyParams, open, seal } from './secret-box.js';
+import { latestSignedNonce } from './state-manager.js';
+
+/**
+ * Backup bundles: a channel's (or a whole profile's) records, commitments,
+ * signatures and revocation secrets in one file, to move it to another
+ * machine or recover from disk loss.
+ *
+ *   { format, version, encryption, content, signature }
+ *
+ * content is the JSON text of { kind, chainId, createdAt, channels, keystore };
+ * signature is the exporting key's EIP-191 signature over its hash, so an
+ * import knows whose state it is and that nothing was changed. With a
+ * passphrase, content is sealed (see secret-box.js) and encryption holds the
+ * scrypt parameters.
+ */
+
+export const BUNDLE_FORMAT = 'channel-cli-bundle';
+export const BUNDLE_VERSION = 1;
+
+function signedText(content) {
+  return `${BUNDLE_FORMAT}:v${BUNDLE_VERSION}:${ethers.keccak256(ethers.toUtf8Bytes(content))}`;
+}
+
+/**
+ * @param {object} options
+ * @param {ethers.Signer} options.signer - Our channel key, signs the bundle
+ * @param {string} options.kind - 'channel' or 'profile'
+ * @param {bigint|string} options.chainId - Chain the channels live on
+ * @param {object[]} options.channels - StateManager.exportChannels entries
+ * @param {string} options.keystore - Encrypted keystore JSON (profile bundles)
+ * @param {string} options.passphrase - Encrypt the bundle with this passphrase
+ */
+export async function createBundle({ signer, kind, chainId, channels, keystore = null, passphrase = null }) {
+  const content = JSON.stringify({ kind, chainId: chainId.toString(), createdAt: Date.now(), channels, keystore });
+  const signature = await signer.signMessage(signedText(content));
+
+  let encryption = null;
+  let stored = content;
+  if (passphrase) {
+    encryption = newKeyParams();
+    stored = seal(await deriveKey(passphrase, encryption), content);
+  }
+
+  return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, encryption, content: stored, signature };
+}
+
+export function isEncrypted(bundle) {
+  return Boolean(bundle?.encryption);
+}
+
+/**
+ * Decrypt (with passphrase, for encrypted bundles) and authenticate a
+ * bundle; returns its contents and the address that signed it
+ */
+export async function openBundle(bundle, { passphrase = null } = {}) {
+  if (bundle?.format !== BUNDLE_FORMAT) {
+    throw new Error('Not a channel-cli bundle');
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version ${bundle.version} (this channel-cli reads version ${BUNDLE_VERSION})`);
+  }
+
+  let content = bundle.content;
+  if (isEncrypted(bundle)) {
+    if (!passphrase) {
+      throw new Error('The bundle is encrypted: a passphrase is required');
+    }
+    try {
+      content = open(await deriveKey(passphrase, bundle.encryption), content);
+    } catch {
+      throw new Error('Wrong passphrase for the bundle');
+    }
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(signedText(content), bundle.signature);
+  } catch {
+    throw new Error('The bundle signature is malformed');
+  }
+  return { ...JSON.parse(content), signer };
+}
+
+/**
+ * Check one exported channel against the chain: a factory channel on the
+ * bundle's chain with us as a party, every signature from the party it
+ * names, and no older than what the contract has seen
+ */
+export async function verifyChannelEntry({ channelManager, paymentManager }, chainId, entry) {
+  const { address, commitments = [] } = entry;
+
+  const domain = await paymentManager.getDomain(address);
+  if (domain.chainId.toString() !== chainId) {
+    throw new Error(`Channel ${address}: bundle is from chain ${chainId}, connected to chain ${domain.chainId}`);
+  }
+
+  await channelManager.assertFactoryChannel(address);
+  await channelManager.getRole(address);
+  const info = await channelManager.getChannelInfo(address);
+  const parties = { A: info.partyA, B: info.partyB };
+
+  for (const commitment of commitments) {
+    // Commitments from before typed revocation hashes cannot be re-hashed
+    if (!commitment.revocationHashA || !commitment.revocationHashB) continue;
+
+    for (const side of ['A', 'B']) {
+      const signature = commitment[`signature${side}`];
+      if (!signature) continue;
+
+      const valid = await paymentManager.verifyCommitment(
+        address,
+        commitment.nonce,
+        commitment.balanceA,
+        commitment.balanceB,
+        commitment.revocationHashA,
+        commitment.revocationHashB,
+        signature,
+        parties[side]
+      );
+      if (!valid) {
+        throw new Error(`Channel ${address}: signature ${side} on commitment #${commitment.nonce} is not from party ${side} (${parties[side]})`);
+      }
+    }
+  }
+
+  // A dispute or splice on-chain used a newer nonce than the bundle holds
+  const latest = latestSignedNonce(commitments);
+  if (BigInt(info.latestNonce) > BigInt(Math.max(latest, 0))) {
+    throw new Error(`Channel ${address}: the contract is at nonce ${info.latestNonce}, the bundle only at ${latest}`);
+  }
+
+  return { address, state: info.state, latestNonce: latest };
+}
\ No newline at end of file
@@ -2,14 +2,179 @@ import { ethers } from 'ethers';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { toDisputeArgs } from './commitment.js';
+import { ETH_ASSET, loadChannelAsset, loadTokenAsset, parseWei, approveChannel } from './asset.js';
+import { KeyStore } from './keystore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Logs that move a channel through its lifecycle, replayed by reconcileChannel
+export const SYNC_EVENTS = ['ChannelFunded', 'DepositReclaimed', 'ChannelOpened', 'ChannelSpliced', 'DisputeInitiated', 'ChannelSettled', 'PenaltyApplied'];
+
+// Local statuses in lifecycle order; a replay never moves a channel back
+const STATUS_ORDER = { PRE_FUNDING: 0, FUNDING: 1, OPEN: 2, RECLAIMED: 2, DISPUTED: 3, CLOSED: 4 };
+
+/**
+ * Fold a channel's lifecycle logs (oldest first, as from getChannelEvents)
+ * into its local record: status, on-chain totals (after splices and reclaimed
+ * deposits), the dispute, settlement and penalty, and the balances of the
+ * channel state. Anything the logs
+ * show that our commitments say should not have happened is returned as a
+ * discrepancy:
+ *
+ * - revoked-dispute: the counterparty disputed with a commitment whose
+ *   revocation secret we hold (prove-breach takes the whole balance)
+ * - stale-dispute: the counterparty disputed with an older commitment than
+ *   our latest (challenge with the newer one)
+ * - unknown-dispute: a dispute with a nonce newer than any we have signed
+ * - own-revoked-dispute: we disputed with a commitment we revoked
+ * - settlement-mismatch: the channel settled at other balances than our
+ *   latest signed commitment
+ * - penalized: a penalty took our balance
+ *
+ * Amounts are wei strings.
+ *
+ * @param {object[]} events - { name, blockNumber, txHash, args }
+ * @param {object} local
+ * @param {string} local.myAddress - Our channel key's address
+ * @param {object} local.channel - StateManager channel record
+ * @param {object} local.state - StateManager channel state
+ * @param {object[]} local.commitments - Stored commitments
+ */
+export function replayChannelEvents(events, { myAddress, channel = {}, state = {}, commitments = [] }) {
+  const result = {
+    status: channel.status ?? 'PRE_FUNDING',
+    totalBalance: channel.totalBalance ?? null,
+    deposits: channel.deposits ?? null,
+    dispute: channel.dispute ?? null,
+    settlement: channel.settlement ?? null,
+    penalty: channel.penalty ?? null,
+    balanceA: state.balanceA ?? '0',
+    balanceB: state.balanceB ?? '0',
+    discrepancies: []
+  };
+
+  const isMe = address => address.toLowerCase() === myAddress.toLowerCase();
+  const advance = status => {
+    if (STATUS_ORDER[status] > (STATUS_ORDER[result.status] ?? -1)) result.status = status;
+  };
+  const flag = (kind, event, details) => {
+    result.discrepancies.push({ kind, txHash: event.txHash, blockNumber: event.blockNumber, ...details });
+  };
+
+  const latest = commitments
+    .filter(c => c.signatureA && c.signatureB)
+    .reduce((newest, c) => (!newest || parseInt(c.nonce) > parseInt(newest.nonce) ? c : newest), null);
+
+  for (const event of events) {
+    const { args } = event;
+
+    switch (event.name) {
+      case 'ChannelFunded':
+        advance('FUNDING');
+        result.totalBalance = args.totalBalance;
+        break;
+
+      case 'DepositReclaimed': {
+        // The channel closes once the last deposit is withdrawn
+        const remaining = result.totalBalance != null ? BigInt(result.totalBalance) - BigInt(args.amount) : null;
+        if (remaining !== null) result.totalBalance = remaining.toString();
+        if (remaining === 0n) {
+          advance('CLOSED');
+        } else if (isMe(args.party)) {
+          advance('RECLAIMED');
+        }
+        break;
+      }
+
+      case 'ChannelOpened':
+        advance('OPEN');
+        result.totalBalance = args.totalBalance;
+        result.deposits = { A: args.depositA, B: args.depositB };
+        if (!latest) {
+          result.balanceA = args.depositA;
+          result.balanceB = args.depositB;
+        }
+        break;
+
+      case 'ChannelSpliced':
+        result.totalBalance = args.totalBalance;
+        if (result.deposits) {
+          // Deposits only grow; withdrawals are paid out of the balances
+          result.deposits = {
+            A: (BigInt(result.deposits.A) + BigInt(args.depositA)).toString(),
+            B: (BigInt(result.deposits.B) + BigInt(args.depositB)).toString()
+          };
+        }
+        break;
+
+      case 'DisputeInitiated': {
+        advance('DISPUTED');
+        result.dispute = {
+          initiator: args.initiator,
+          nonce: args.nonce,
+          deadline: new Date(Number(args.deadline) * 1000).toISOString(),
+          txHash: event.txHash
+        };
+
+        const nonce = parseInt(args.nonce);
+        const disputed = commitments.find(c => parseInt(c.nonce) === nonce);
+        if (isMe(args.initiator)) {
+          if (disputed?.secretRevealed) {
+            flag('own-revoked-dispute', event, { nonce, message: `We disputed with commitment #${nonce}, which we revoked; the counterparty can claim the whole balance` });
+          }
+        } else if (disputed?.revoked) {
+          flag('revoked-dispute', event, { nonce, message: `The counterparty disputed with revoked commitment #${nonce}; prove-breach claims the whole balance` });
+        } else if (latest && nonce < parseInt(latest.nonce)) {
+          flag('stale-dispute', event, { nonce, message: `The counterparty disputed with commitment #${nonce}, older than our #${latest.nonce}; challenge with the newer one` });
+        } else if (!latest || nonce > parseInt(latest.nonce)) {
+          flag('unknown-dispute', event, { nonce, message: `The counterparty disputed with commitment #${nonce}, newer than any we have signed` });
+        }
+        break;
+      }
+
+      case 'PenaltyApplied':
+        advance('CLOSED');
+        result.penalty = { cheater: args.cheater, amount: args.amount, txHash: event.txHash };
+        if (isMe(args.cheater)) {
+          flag('penalized', event, { amount: args.amount, message: 'A revocation breach was proven against us; the whole balance went to the counterparty' });
+        }
+        break;
+
+      case 'ChannelSettled':
+        advance('CLOSED');
+        result.settlement = { balanceA: args.balanceA, balanceB: args.balanceB, txHash: event.txHash };
+        result.balanceA = args.balanceA;
+        result.balanceB = args.balanceB;
+
+        // A penalty settles everything to one side, which is the point
+        if (result.penalty?.txHash !== event.txHash && latest &&
+            (latest.balanceA !== args.balanceA || latest.balanceB !== args.balanceB)) {
+          flag('settlement-mismatch', event, {
+            nonce: parseInt(latest.nonce),
+            expected: { balanceA: latest.balanceA, balanceB: latest.balanceB },
+            actual: { balanceA: args.balanceA, balanceB: args.balanceB },
+            message: `Settled at other balances than our latest signed commitment #${latest.nonce}`
+          });
+        }
+        break;
+    }
+  }
+
+  return result;
+}
+
 export class ChannelManager {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {KeyStore} options.keys - Keystore holding our channel key
+   */
+  constructor({ keys = new KeyStore() } = {}) {
+    this.keys = keys;
     this.provider = null;
     this.signer = null;
+    this.assets = new Map();
     this.initialized = false;
   }
 
@@ -20,9 +185,9 @@ export class ChannelManager {
     const rpcUrl = process.env.RPC_URL || 'http://localhost:8545';
     this.provider = new ethers.JsonRpcProvider(rpcUrl);
 
-    // Use private key from env or create a random wallet for demo
-    const privateKey = process.env.PRIVATE_KEY || ethers.Wallet.createRandom().privateKey;
-    this.signer = new ethers.Wallet(privateKey, this.provider);
+    // The channel key comes from the selected keystore profile
+    const wallet = await this.keys.unlock();
+    this.signer = wallet.connect(this.provider);
 
     this.initialized = true;
   }
@@ -32,6 +197,45 @@ export class ChannelManager {
     return await this.signer.getAddress();
   }
 
+  /**
+   * Asset the channel holds: { token, symbol, decimals }, token null for ETH
+   */
+  async getAsset(channelAddress) {
+    // A channel's token is immutable, so one lookup per channel is enough
+    const key = channelAddress.toLowerCase();
+    if (!this.assets.has(key)) {
+      await this.init();
+      this.assets.set(key, await loadChannelAsset(this.provider, channelAddress));
+    }
+    return this.assets.get(key);
+  }
+
+  /**
+   * Asset a channel created with tokenAddress would hold, before it exists
+   */
+  async getTokenAsset(tokenAddress) {
+    if (!tokenAddress || tokenAddress === ethers.ZeroAddress) return ETH_ASSET;
+    await this.init();
+    return loadTokenAsset(this.provider, tokenAddress);
+  }
+
+  /**
+   * Deposit amount (in wei) into a FUNDING channel: ETH as value,
+   * tokens through approve + fundChannelToken
+   */
+  async deposit(contract, amount, signer = this.signer) {
+    const channelAddress = await contract.getAddress();
+    const { token } = await this.getAsset(channelAddress);
+    const value = parseWei(amount, 'deposit amount');
+
+    if (!token) {
+      return contract.connect(signer).fundChannel({ value });
+    }
+
+    await approveChannel(signer, token, channelAddress, value);
+    return contract.connect(signer).fundChannelToken(value);
+  }
+
   async getContractABI() {
     try {
       // First try to load from centralized ABI location (created by make update-abis)
@@ -48,86 +252,144 @@ export class ChannelManager {
       console.error('Warning: Could not load ABI from compiled contract, using fallback ABI');
       // Fallback ABI for essential functions
       return [
-        "constructor(address _partyA, address _partyB, uint256 _fundingDeadline, uint256 _disputePeriod)",
         "function fundChannel() payable",
+        "function fundChannelToken(uint256 amount)",
+        "function token() view returns (address)",
         "function openChannel()",
-        "function submitRevocation(bytes32 commitmentHash, bytes32 revocationSecret)",
-        "function initiateDispute(uint256 nonce, uint256 balanceA, uint256 balanceB, bytes signatureA, bytes signatureB)",
-        "function challengeDispute(uint256 nonce, uint256 balanceA, uint256 balanceB, bytes signatureA, bytes signatureB)",
+        "function submitRevocation(bytes32 revocationHash, bytes32 revocationSecret)",
+        "function hashCommitment(uint256 nonce, uint256 balanceA, uint256 balanceB, bytes32 revocationHashA, bytes32 revocationHashB) view returns (bytes32)",
+        "function hashClose(uint256 balanceA, uint256 balanceB) view returns (bytes32)",
+        "function initiateDispute(uint256 nonce, uint256 balanceA, uint256 balanceB, bytes32 revocationHashA, bytes32 revocationHashB, bytes signatureA, bytes signatureB)",
+        "function challengeDispute(uint256 nonce, uint256 balanceA, uint256 balanceB, bytes32 revocationHashA, bytes32 revocationHashB, bytes signatureA, bytes signatureB)",
         "function proveRevocationBreach(bytes32 revocationSecret)",
         "function finalizeDispute()",
+        "function reclaimDeposit()",
+        "function splice(uint256 nonce, uint256 balanceA, uint256 balanceB, uint256 withdrawA, uint256 withdrawB, uint256 deadline, bytes signatureA, bytes signatureB) payable",
+        "function hashSplice(uint256 nonce, uint256 balanceA, uint256 balanceB, uint256 depositA, uint256 depositB, uint256 withdrawA, uint256 withdrawB, uint256 deadline) view returns (bytes32)",
+        "function latestNonce() view returns (uint256)",
+        "function fundingDeadline() view returns (uint256)",
         "function cooperativeClose(uint256 balanceA, uint256 balanceB, bytes signatureA, bytes signatureB)",
         "function getChannelInfo() view returns (address, address, uint256, uint8, uint256)",
         "function deposits(address) view returns (uint256)",
+        "function partyA() view returns (address)",
+        "function channelState() view returns (uint8)",
+        "function disputeDeadline() view returns (uint256)",
+        "function disputeInitiator() view returns (address)",
+        "function disputedNonce() view returns (uint256)",
+        "function disputedBalanceA() view returns (uint256)",
+        "function disputedBalanceB() view returns (uint256)",
+        "function disputedRevocationHashA() view returns (bytes32)",
+        "function disputedRevocationHashB() view returns (bytes32)",
         "event ChannelFunded(uint256 totalBalance)",
+        "event ChannelOpened(address indexed partyA, address indexed partyB, uint256 totalBalance, uint256 depositA, uint256 depositB)",
         "event CommitmentRevoked(bytes32 indexed commitmentHash)",
         "event DisputeInitiated(address indexed initiator, uint256 nonce, uint256 deadline)",
         "event ChannelSettled(uint256 balanceA, uint256 balanceB)",
-        "event PenaltyApplied(address indexed cheater, uint256 amount)"
+        "event PenaltyApplied(address indexed cheater, uint256 amount)",
+        "event DepositReclaimed(address indexed party, uint256 amount)",
+        "event ChannelSpliced(uint256 nonce, uint256 depositA, uint256 depositB, uint256 withdrawA, uint256 withdrawB, uint256 totalBalance)"
       ];
     }
   }
 
-  async getContractBytecode() {
+  async getFactoryABI() {
     try {
-      // First try to load from centralized ABI location (created by make update-abis)
-      let contractPath = path.join(__dirname, '../abis/BidirectionalChannel.json');
+      let abiPath = path.join(__dirname, '../abis/BidirectionalChannelFactory.json');
 
-      // Fallback to contract build output if centralized ABI doesn't exist
-      if (!await fs.access(contractPath).then(() => true).catch(() => false)) {
-        contractPath = path.join(__dirname, '../../contract/out/BidirectionalChannel.sol/BidirectionalChannel.json');
+      if (!await fs.access(abiPath).then(() => true).catch(() => false)) {
+        abiPath = path.join(__dirname, '../../contract/out/BidirectionalChannelFactory.sol/BidirectionalChannelFactory.json');
       }
 
-      const contractJson = JSON.parse(await fs.readFile(contractPath, 'utf8'));
-      // Handle both formats: direct bytecode or nested under .bytecode.object
-      return contractJson.bytecode?.object || contractJson.bytecode;
+      const contractJson = JSON.parse(await fs.readFile(abiPath, 'utf8'));
+      return contractJson.abi;
     } catch (error) {
-      console.error('Warning: Could not load bytecode from compiled contract');
-      return null;
+      console.error('Warning: Could not load factory ABI from compiled contract, using fallback ABI');
+      return [
+        "function createChannel(address partyA, address partyB, uint256 fundingDeadline, uint256 disputePeriod, address token) returns (address)",
+        "function isChannel(address) view returns (bool)",
+        "function implementation() view returns (address)",
+        "event ChannelCreated(address indexed partyA, address indexed partyB, address indexed channel)"
+      ];
     }
   }
 
-  // Deploy channel without funding (for safe channel creation)
-  async deployChannelOnly(partnerAddress, disputePeriod) {
+  /**
+   * The channel factory at CHANNEL_FACTORY. Channels are created as minimal
+   * proxies through it, and its registry tells genuine channels apart.
+   */
+  async getFactory() {
     await this.init();
 
-    const abi = await this.getContractABI();
-    const bytecode = await this.getContractBytecode();
+    const factoryAddress = process.env.CHANNEL_FACTORY;
+    if (!factoryAddress) {
+      throw new Error('CHANNEL_FACTORY is not set. Deploy the factory with the DeployChannelFactory script first.');
+    }
 
-    if (!bytecode) {
-      throw new Error('Contract bytecode not found. Please compile the contract first.');
+    return new ethers.Contract(factoryAddress, await this.getFactoryABI(), this.signer);
+  }
+
+  /**
+   * Throw unless channelAddress was created by our factory, so we never fund
+   * or sign for a contract with unknown code
+   */
+  async assertFactoryChannel(channelAddress) {
+    const factory = await this.getFactory();
+    if (!await factory.isChannel(channelAddress)) {
+      throw new Error(`${channelAddress} was not created by the channel factory at ${await factory.getAddress()}`);
     }
+  }
 
-    const factory = new ethers.ContractFactory(abi, bytecode, this.signer);
+  // Create a channel clone through the factory with us as party A
+  async createChannelContract(partnerAddress, disputePeriod, tokenAddress = ethers.ZeroAddress) {
+    const factory = await this.getFactory();
 
     const fundingDeadline = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
     const disputePeriodSeconds = parseInt(disputePeriod);
 
     const myAddress = await this.signer.getAddress();
 
-    // Deploy the contract
-    const contract = await factory.deploy(
+    const tx = await factory.createChannel(
       myAddress,
       partnerAddress,
       fundingDeadline,
-      disputePeriodSeconds
+      disputePeriodSeconds,
+      tokenAddress
     );
+    const receipt = await tx.wait();
 
-    await contract.waitForDeployment();
-    const channelAddress = await contract.getAddress();
-    const deployTxHash = contract.deploymentTransaction().hash;
+    const created = receipt.logs
+      .map(log => {
+        try {
+          return factory.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event?.name === 'ChannelCreated');
+    if (!created) {
+      throw new Error('Channel creation failed - no ChannelCreated event');
+    }
 
-    console.log(`Contract deployed at: ${channelAddress}`);
+    const channelAddress = created.args.channel;
+    console.log(`Channel created at: ${channelAddress}`);
+
+    return { channelAddress, txHash: receipt.hash };
+  }
+
+  // Deploy channel without funding (for safe channel creation).
+  // tokenAddress selects an ERC-20 channel; omit it for ETH.
+  async deployChannelOnly(partnerAddress, disputePeriod, tokenAddress = ethers.ZeroAddress) {
+    const { channelAddress, txHash } = await this.createChannelContract(partnerAddress, disputePeriod, tokenAddress);
 
     return {
       channelAddress,
-      txHash: deployTxHash,
+      txHash,
       funded: false
     };
   }
 
   // Fund channel with commitment protection
-  async fundChannelWithCommitment(channelAddress, amountETH, commitment) {
+  async fundChannelWithCommitment(channelAddress, amount, commitment) {
     await this.init();
 
     // Verify we have a valid commitment before funding
@@ -138,11 +400,10 @@ export class ChannelManager {
     const abi = await this.getContractABI();
     const contract = new ethers.Contract(channelAddress, abi, this.signer);
 
-    const value = ethers.parseEther(amountETH);
-    const tx = await contract.fundChannel({ value });
+    const tx = await this.deposit(contract, amount);
     const receipt = await tx.wait();
 
-    console.log(`Channel funded with ${amountETH} ETH (protected by commitment)`);
+    console.log('Channel funded (protected by commitment)');
 
     return {
       txHash: receipt.hash,
@@ -151,48 +412,20 @@ export class ChannelManager {
   }
 
   // Original createChannel for backward compatibility
-  async createChannel(partnerAddress, amountETH, disputePeriod) {
-    await this.init();
-
+  async createChannel(partnerAddress, amount, disputePeriod, tokenAddress = ethers.ZeroAddress) {
+    const { channelAddress, txHash: deployTxHash } = await this.createChannelContract(partnerAddress, disputePeriod, tokenAddress);
     const abi = await this.getContractABI();
-    const bytecode = await this.getContractBytecode();
-
-    if (!bytecode) {
-      throw new Error('Contract bytecode not found. Please compile the contract first.');
-    }
-
-    const factory = new ethers.ContractFactory(abi, bytecode, this.signer);
-
-    const fundingDeadline = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
-    const disputePeriodSeconds = parseInt(disputePeriod);
-
-    const myAddress = await this.signer.getAddress();
-    const value = ethers.parseEther(amountETH);
-
-    // Deploy the contract
-    const contract = await factory.deploy(
-      myAddress,
-      partnerAddress,
-      fundingDeadline,
-      disputePeriodSeconds
-    );
-
-    await contract.waitForDeployment();
-    const channelAddress = await contract.getAddress();
-    const deployTxHash = contract.deploymentTransaction().hash;
-
-    console.log(`Contract deployed at: ${channelAddress}`);
 
     // Fund the channel with initial deposit
     // Create fresh provider and signer to avoid nonce caching issues after deployment
-    console.log(`Funding channel with ${amountETH} ETH...`);
+    console.log('Funding channel...');
     const rpcUrl = process.env.RPC_URL || 'http://localhost:8545';
     const freshProvider = new ethers.JsonRpcProvider(rpcUrl);
-    const freshSigner = new ethers.Wallet(process.env.PRIVATE_KEY, freshProvider);
+    const freshSigner = this.signer.connect(freshProvider);
     const fundContract = new ethers.Contract(channelAddress, abi, freshSigner);
-    const fundTx = await fundContract.fundChannel({ value });
+    const fundTx = await this.deposit(fundContract, amount, freshSigner);
     await fundTx.wait();
-    console.log(`Channel funded with ${amountETH} ETH`);
+    console.log('Channel funded');
 
     return {
       channelAddress,
@@ -201,13 +434,12 @@ export class ChannelManager {
     };
   }
 
-  async fundChannel(channelAddress, amountETH) {
-    await this.init();
+  async fundChannel(channelAddress, amount) {
+    await this.assertFactoryChannel(channelAddress);
     const abi = await this.getContractABI();
     const contract = new ethers.Contract(channelAddress, abi, this.signer);
 
-    const value = ethers.parseEther(amountETH);
-    const tx = await contract.fundChannel({ value });
+    const tx = await this.deposit(contract, amount);
     const receipt = await tx.wait();
 
     return {
@@ -246,19 +478,199 @@ export class ChannelManager {
     const abi = await this.getContractABI();
     const contract = new ethers.Contract(channelAddress, abi, this.signer);
 
-    const tx = await contract.initiateDispute(
-      commitment.nonce,
-      ethers.parseEther(commitment.balanceA.toString()),
-      ethers.parseEther(commitment.balanceB.toString()),
-      commitment.signatureA,
-      commitment.signatureB
-    );
+    const tx = await contract.initiateDispute(...toDisputeArgs(commitment));
 
     const receipt = await tx.wait();
+    const status = await this.getDisputeStatus(channelAddress);
 
     return {
       txHash: receipt.hash,
-      disputeDeadline: new Date(Date.now() + 86400000).toISOString() // 24 hours
+      state: status.state,
+      disputeDeadline: status.deadline
+    };
+  }
+
+  async challengeDispute(channelAddress, commitment) {
+    await this.init();
+    const abi = await this.getContractABI();
+    const contract = new ethers.Contract(channelAddress, abi, this.signer);
+
+    const tx = await contract.challengeDispute(...toDisputeArgs(commitment));
+    const receipt = await tx.wait();
+    const status = await this.getDisputeStatus(channelAddress);
+
+    return {
+      txHash: receipt.hash,
+      disputeDeadline: status.deadline
+    };
+  }
+
+  async proveRevocationBreach(channelAddress, revocationSecret) {
+    await this.init();
+    const abi = await this.getContractABI();
+    const contract = new ethers.Contract(channelAddress, abi, this.signer);
+
+    const tx = await contract.proveRevocationBreach(revocationSecret);
+    const receipt = await tx.wait();
+
+    return {
+      txHash: receipt.hash
+    };
+  }
+
+  async finalizeDispute(channelAddress) {
+    await this.init();
+    const abi = await this.getContractABI();
+    const contract = new ethers.Contract(channelAddress, abi, this.signer);
+
+    const tx = await contract.finalizeDispute();
+    const receipt = await tx.wait();
+
+    return {
+      txHash: receipt.hash
+    };
+  }
+
+  /**
+   * Read the on-chain dispute state. Times are compared against the latest
+   * block timestamp, which is what the contract checks. Balances are wei strings.
+   */
+  async getDisputeStatus(channelAddress) {
+    await this.init();
+    const abi = await this.getContractABI();
+    const contract = new ethers.Contract(channelAddress, abi, this.provider);
+
+    const stateNames = ['FUNDING', 'OPEN', 'DISPUTED', 'CLOSED'];
+    const { symbol, decimals } = await this.getAsset(channelAddress);
+    const [stateIndex, partyA, deadline, initiator, nonce, balanceA, balanceB, revocationHashA, revocationHashB, block] =
+      await Promise.all([
+        contract.channelState(),
+        contract.partyA(),
+        contract.disputeDeadline(),
+        contract.disputeInitiator(),
+        contract.disputedNonce(),
+        contract.disputedBalanceA(),
+        contract.disputedBalanceB(),
+        contract.disputedRevocationHashA(),
+        contract.disputedRevocationHashB(),
+        this.provider.getBlock('latest')
+      ]);
+
+    const state = stateNames[Number(stateIndex)];
+    const initiatorIsA = initiator.toLowerCase() === partyA.toLowerCase();
+
+    return {
+      state,
+      initiator,
+      nonce: nonce.toString(),
+      balanceA: balanceA.toString(),
+      balanceB: balanceB.toString(),
+      symbol,
+      decimals,
+      // The hash a breach proof has to open: the initiator's own
+      initiatorRevocationHash: initiatorIsA ? revocationHashA : revocationHashB,
+      deadline: deadline > 0n ? new Date(Number(deadline) * 1000).toISOString() : null,
+      secondsRemaining: state === 'DISPUTED' ? Math.max(0, Number(deadline) - block.timestamp) : null
+    };
+  }
+
+  /**
+   * Read what the caller could reclaim (in wei) from a channel that never opened
+   */
+  async getFundingStatus(channelAddress) {
+    await this.init();
+    const abi = await this.getContractABI();
+    const contract = new ethers.Contract(channelAddress, abi, this.provider);
+
+    const stateNames = ['FUNDING', 'OPEN', 'DISPUTED', 'CLOSED'];
+    const myAddress = await this.signer.getAddress();
+    const { symbol, decimals } = await this.getAsset(channelAddress);
+    const [stateIndex, fundingDeadline, deposit, block] = await Promise.all([
+      contract.channelState(),
+      contract.fundingDeadline(),
+      contract.deposits(myAddress),
+      this.provider.getBlock('latest')
+    ]);
+
+    return {
+      state: stateNames[Number(stateIndex)],
+      deposit: deposit.toString(),
+      symbol,
+      decimals,
+      fundingDeadline: new Date(Number(fundingDeadline) * 1000).toISOString(),
+      deadlinePassed: block.timestamp > Number(fundingDeadline)
+    };
+  }
+
+  async reclaimDeposit(channelAddress) {
+    await this.init();
+    const abi = await this.getContractABI();
+    const contract = new ethers.Contract(channelAddress, abi, this.signer);
+
+    const tx = await contract.reclaimDeposit();
+    const receipt = await tx.wait();
+
+    const reclaimed = receipt.logs
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event?.name === 'DepositReclaimed');
+
+    return {
+      txHash: receipt.hash,
+      amount: reclaimed ? reclaimed.args.amount.toString() : null
+    };
+  }
+
+  /**
+   * Execute a splice signed by both parties. Amounts are wei strings; the
+   * caller pays its own side's deposit, as value for ETH channels or through
+   * an approval for token channels.
+   */
+  async splice(channelAddress, splice, signatureA, signatureB) {
+    await this.init();
+    const abi = await this.getContractABI();
+    const contract = new ethers.Contract(channelAddress, abi, this.signer);
+
+    const myAddress = await this.signer.getAddress();
+    const partyA = await contract.partyA();
+    const { token } = await this.getAsset(channelAddress);
+    const deposit = parseWei(myAddress.toLowerCase() === partyA.toLowerCase() ? splice.depositA : splice.depositB, 'deposit');
+
+    if (token && deposit > 0n) {
+      await approveChannel(this.signer, token, channelAddress, deposit);
+    }
+
+    const tx = await contract.splice(
+      BigInt(splice.nonce),
+      parseWei(splice.balanceA, 'balanceA'),
+      parseWei(splice.balanceB, 'balanceB'),
+      parseWei(splice.withdrawA, 'withdrawA'),
+      parseWei(splice.withdrawB, 'withdrawB'),
+      BigInt(splice.deadline),
+      signatureA,
+      signatureB,
+      { value: token ? 0n : deposit }
+    );
+    const receipt = await tx.wait();
+
+    const spliced = receipt.logs
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event?.name === 'ChannelSpliced');
+
+    return {
+      txHash: receipt.hash,
+      totalBalance: spliced ? spliced.args.totalBalance.toString() : null
     };
   }
 
@@ -268,8 +680,8 @@ export class ChannelManager {
     const contract = new ethers.Contract(channelAddress, abi, this.signer);
 
     const tx = await contract.cooperativeClose(
-      ethers.parseEther(balanceA.toString()),
-      ethers.parseEther(balanceB.toString()),
+      parseWei(balanceA, 'balanceA'),
+      parseWei(balanceB, 'balanceB'),
       signatureA,
       signatureB
     );
@@ -281,19 +693,73 @@ export class ChannelManager {
     };
   }
 
+  /**
+   * Our side of a channel ('A' or 'B') from its on-chain parties, and the
+   * counterparty's address
+   */
+  async getRole(channelAddress) {
+    const { partyA, partyB } = await this.getChannelInfo(channelAddress);
+    const myAddress = await this.getMyAddress();
+
+    if (myAddress.toLowerCase() === partyA.toLowerCase()) return { side: 'A', counterparty: partyB };
+    if (myAddress.toLowerCase() === partyB.toLowerCase()) return { side: 'B', counterparty: partyA };
+    throw new Error(`${myAddress} is not a party to channel ${channelAddress}`);
+  }
+
+  /**
+   * Lifecycle logs (SYNC_EVENTS) of a channel from fromBlock to the current
+   * block, oldest first, with arguments as strings
+   */
+  async getChannelEvents(channelAddress, fromBlock = 0) {
+    await this.init();
+    const abi = await this.getContractABI();
+    const contract = new ethers.Contract(channelAddress, abi, this.provider);
+
+    const toBlock = await this.provider.getBlockNumber();
+    const logs = (await Promise.all(SYNC_EVENTS.map(name => contract.queryFilter(name, fromBlock, toBlock)))).flat();
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const events = logs.map(log => ({
+      name: log.eventName,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      args: Object.fromEntries(log.fragment.inputs.map((input, i) => [input.name, log.args[i].toString()]))
+    }));
+
+    return { events, toBlock };
+  }
+
+  /**
+   * Replay a channel's logs since local.channel.syncedBlock (or fromBlock)
+   * over its local record; see replayChannelEvents. Returns the updated
+   * record fields and the block the replay reached (syncedBlock).
+   */
+  async reconcileChannel(channelAddress, local, { fromBlock = null } = {}) {
+    await this.assertFactoryChannel(channelAddress);
+    const start = fromBlock ?? (local.channel?.syncedBlock != null ? local.channel.syncedBlock + 1 : 0);
+    const { events, toBlock } = await this.getChannelEvents(channelAddress, start);
+
+    const result = replayChannelEvents(events, { ...local, myAddress: await this.getMyAddress() });
+    return { ...result, events: events.length, syncedBlock: toBlock };
+  }
+
   async getChannelInfo(channelAddress) {
     await this.init();
     const abi = await this.getContractABI();
     const contract = new ethers.Contract(channelAddress, abi, this.provider);
 
     const info = await contract.getChannelInfo();
+    const { token, symbol, decimals } = await this.getAsset(channelAddress);
 
     const stateNames = ['FUNDING', 'OPEN', 'DISPUTED', 'CLOSED'];
 
     return {
       partyA: info[0],
       partyB: info[1],
-      balance: ethers.formatEther(info[2]),
+      balance: info[2].toString(),
+      token,
+      symbol,
+      decimals,
       state: stateNames[info[3]],
       latestNonce: info[4].toString()
     };
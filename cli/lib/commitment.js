@@ -0,0 +1,142 @@
+import { ethers } from 'ethers';
+import { parseWei } from './asset.js';
+
+// Placeholder for a revocation hash the counterparty has not provided yet
+export const ZERO_REVOCATION_HASH = ethers.ZeroHash;
+
+// EIP-712 types, identical to BidirectionalChannel.COMMITMENT_TYPEHASH / CLOSE_TYPEHASH / SPLICE_TYPEHASH
+export const COMMITMENT_TYPES = {
+  Commitment: [
+    { name: 'nonce', type: 'uint256' },
+    { name: 'balanceA', type: 'uint256' },
+    { name: 'balanceB', type: 'uint256' },
+    { name: 'revocationHashA', type: 'bytes32' },
+    { name: 'revocationHashB', type: 'bytes32' }
+  ]
+};
+
+export const CLOSE_TYPES = {
+  Close: [
+    { name: 'balanceA', type: 'uint256' },
+    { name: 'balanceB', type: 'uint256' }
+  ]
+};
+
+export const SPLICE_TYPES = {
+  Splice: [
+    { name: 'nonce', type: 'uint256' },
+    { name: 'balanceA', type: 'uint256' },
+    { name: 'balanceB', type: 'uint256' },
+    { name: 'depositA', type: 'uint256' },
+    { name: 'depositB', type: 'uint256' },
+    { name: 'withdrawA', type: 'uint256' },
+    { name: 'withdrawB', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * EIP-712 domain of a channel contract
+ */
+export function channelDomain(channelAddress, chainId) {
+  return {
+    name: 'BidirectionalChannel',
+    version: '1',
+    chainId,
+    verifyingContract: channelAddress
+  };
+}
+
+/**
+ * Typed commitment message. Balances are in wei.
+ */
+export function commitmentMessage(nonce, balanceA, balanceB, revocationHashA, revocationHashB) {
+  return {
+    nonce,
+    balanceA,
+    balanceB,
+    revocationHashA: revocationHashA || ZERO_REVOCATION_HASH,
+    revocationHashB: revocationHashB || ZERO_REVOCATION_HASH
+  };
+}
+
+/**
+ * Commitment digest, identical to BidirectionalChannel.hashCommitment
+ * and to what the server and web app sign during a purchase.
+ * Balances are in wei.
+ */
+export function hashCommitment(domain, nonce, balanceA, balanceB, revocationHashA, revocationHashB) {
+  return ethers.TypedDataEncoder.hash(
+    domain,
+    COMMITMENT_TYPES,
+    commitmentMessage(nonce, balanceA, balanceB, revocationHashA, revocationHashB)
+  );
+}
+
+/**
+ * Cooperative close digest, identical to BidirectionalChannel.hashClose.
+ * Balances are in wei.
+ */
+export function hashClose(domain, balanceA, balanceB) {
+  return ethers.TypedDataEncoder.hash(domain, CLOSE_TYPES, { balanceA, balanceB });
+}
+
+/**
+ * Splice digest, identical to BidirectionalChannel.hashSplice.
+ * All amounts are in wei, the deadline in seconds.
+ */
+export function hashSplice(domain, { nonce, balanceA, balanceB, depositA = 0n, depositB = 0n, withdrawA = 0n, withdrawB = 0n, deadline }) {
+  return ethers.TypedDataEncoder.hash(domain, SPLICE_TYPES, {
+    nonce,
+    balanceA,
+    balanceB,
+    depositA,
+    depositB,
+    withdrawA,
+    withdrawB,
+    deadline
+  });
+}
+
+/**
+ * Typed splice message from a stored splice (amounts as wei strings, deadline
+ * in seconds)
+ */
+export function spliceMessage(splice) {
+  return {
+    nonce: BigInt(splice.nonce),
+    balanceA: parseWei(splice.balanceA, 'balanceA'),
+    balanceB: parseWei(splice.balanceB, 'balanceB'),
+    depositA: parseWei(splice.depositA, 'depositA'),
+    depositB: parseWei(splice.depositB, 'depositB'),
+    withdrawA: parseWei(splice.withdrawA, 'withdrawA'),
+    withdrawB: parseWei(splice.withdrawB, 'withdrawB'),
+    deadline: BigInt(splice.deadline)
+  };
+}
+
+/**
+ * Recover the address that signed a typed-data digest
+ */
+export function recoverCommitmentSigner(digest, signature) {
+  return ethers.recoverAddress(digest, signature);
+}
+
+/**
+ * Build the argument list for initiateDispute / challengeDispute
+ */
+export function toDisputeArgs(commitment) {
+  if (!commitment.signatureA || !commitment.signatureB) {
+    throw new Error(`Commitment #${commitment.nonce} is missing a party signature`);
+  }
+
+  return [
+    BigInt(commitment.nonce),
+    parseWei(commitment.balanceA, 'balanceA'),
+    parseWei(commitment.balanceB, 'balanceB'),
+    commitment.revocationHashA || ZERO_REVOCATION_HASH,
+    commitment.revocationHashB || ZERO_REVOCATION_HASH,
+    commitment.signatureA,
+    commitment.signatureB
+  ];
+}
\ No newline at end of file
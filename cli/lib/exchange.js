@@ -0,0 +1,336 @@
+import { ethers } from 'ethers';
+import crypto from 'crypto';
+import { hashCommitment, recoverCommitmentSigner } from './commitment.js';
+import { parseWei } from './asset.js';
+import { validatePayment } from './payment-manager.js';
+
+/**
+ * The off-chain payment exchange between a payer and a payee, one method
+ * per step:
+ *
+ *   payer: propose → payee: sign → payer: finalize → payee: receiveRevocation
+ *   → payer: receiveRevocation
+ *
+ * Each step checks the peer's message against local state, records the
+ * result and returns the message to send back. The CLI commands print these
+ * messages for copy and paste; the peer transport (peer.js) delivers them over
+ * HTTP. Answering a repeated proposal or finalization returns the same
+ * message again, so an interrupted exchange can be resumed.
+ */
+
+/**
+ * Proposal message for a payment we created
+ */
+export function proposalMessage(channelAddress, commitment) {
+  return {
+    channelAddress,
+    nonce: commitment.nonce,
+    payer: commitment.payer,
+    balanceA: commitment.balanceA,
+    balanceB: commitment.balanceB,
+    revocationHash: commitment.revocationHash
+  };
+}
+
+function sameBalances(a, b) {
+  return a.balanceA === b.balanceA && a.balanceB === b.balanceB;
+}
+
+export class PaymentExchange {
+  constructor({ channelManager, paymentManager, stateManager }) {
+    this.channelManager = channelManager;
+    this.paymentManager = paymentManager;
+    this.stateManager = stateManager;
+  }
+
+  /**
+   * Payer: propose paying amount (wei) from our side of the channel
+   */
+  async propose(channelAddress, amount) {
+    const state = await this.stateManager.getChannelState(channelAddress);
+    if (!state) {
+      throw new Error('No local state for this channel');
+    }
+
+    // Either party can pay; the payment moves funds from our side to theirs
+    const { side } = await this.channelManager.getRole(channelAddress);
+    const commitment = await this.paymentManager.createCommitment(
+      channelAddress,
+      state.nonce + 1,
+      amount,
+      state.balanceA,
+      state.balanceB,
+      side
+    );
+
+    await this.stateManager.saveCommitment(channelAddress, commitment);
+
+    // The commitment hash also covers the payee's revocation hash, so it is
+    // computed when they sign
+    return { commitment, proposal: proposalMessage(channelAddress, commitment) };
+  }
+
+  /**
+   * Payee: check that a proposal pays us and follows the last state we know
+   * of, then sign it with a fresh revocation hash of ours
+   */
+  async sign(proposal) {
+    const { channelAddress } = proposal;
+    if (!channelAddress || !proposal.nonce || !proposal.revocationHash) {
+      throw new Error('Invalid commitment data. Required: channelAddress, nonce, revocationHash');
+    }
+
+    // Proposals from before either party could pay come from party A
+    const { side } = await this.channelManager.getRole(channelAddress);
+    const payer = proposal.payer || 'A';
+    if (payer === side) {
+      throw new Error(`Commitment was proposed for our own side (party ${side})`);
+    }
+
+    // A repeated proposal gets the answer we already gave
+    const existing = await this.stateManager.getCommitment(channelAddress, proposal.nonce);
+    if (existing?.signature && existing.counterpartyRevocationHash === proposal.revocationHash) {
+      if (!sameBalances(existing, proposal)) {
+        throw new Error(`Commitment #${proposal.nonce} was already signed with other balances`);
+      }
+      return { payer, amount: null, commitment: existing, response: this.signedMessage(channelAddress, existing) };
+    }
+
+    // Only sign payments to us that follow the last state we know of
+    const lastState = await this.stateManager.getChannelState(channelAddress);
+    if (!lastState) {
+      throw new Error('No local state for this channel');
+    }
+    const amount = validatePayment(lastState, proposal, payer);
+
+    // Each revocation hash goes in its owner's slot of the typed commitment
+    const revocationPreimage = '0x' + crypto.randomBytes(32).toString('hex');
+    const revocationHash = ethers.keccak256(revocationPreimage);
+    const revocationHashA = side === 'A' ? revocationHash : proposal.revocationHash;
+    const revocationHashB = side === 'B' ? revocationHash : proposal.revocationHash;
+
+    const { hash, signature } = await this.paymentManager.signCommitment(channelAddress, {
+      nonce: proposal.nonce,
+      balanceA: proposal.balanceA,
+      balanceB: proposal.balanceB,
+      revocationHashA,
+      revocationHashB
+    });
+
+    // Our secret for the previous commitment is only revealed once we hold
+    // the payer's signature on this one (see receiveRevocation)
+    const commitment = {
+      nonce: proposal.nonce.toString(),
+      payer,
+      balanceA: proposal.balanceA,
+      balanceB: proposal.balanceB,
+      hash,
+      signature,
+      [`signature${side}`]: signature,
+      revocationPreimage,
+      revocationHash,
+      counterpartyRevocationHash: proposal.revocationHash,
+      revocationHashA,
+      revocationHashB,
+      timestamp: Date.now()
+    };
+    await this.stateManager.saveCommitment(channelAddress, commitment);
+
+    return { payer, amount, commitment, response: this.signedMessage(channelAddress, commitment) };
+  }
+
+  /**
+   * Signed commitment message the payee sends back to the payer
+   */
+  signedMessage(channelAddress, commitment) {
+    return {
+      channelAddress,
+      nonce: commitment.nonce,
+      balanceA: commitment.balanceA,
+      balanceB: commitment.balanceB,
+      hash: commitment.hash,
+      counterpartySignature: commitment.signature,
+      initiatorRevocationHash: commitment.counterpartyRevocationHash,
+      counterpartyRevocationHash: commitment.revocationHash
+    };
+  }
+
+  /**
+   * Payer: verify the payee's signature on our proposal, add ours and reveal
+   * our secret for the previous commitment
+   */
+  async finalize(signed) {
+    const { channelAddress } = signed;
+    if (!channelAddress || !signed.nonce || !signed.counterpartySignature || !signed.counterpartyRevocationHash) {
+      throw new Error('Invalid data. Required: channelAddress, nonce, counterpartySignature, counterpartyRevocationHash');
+    }
+
+    const existing = await this.stateManager.getCommitment(channelAddress, signed.nonce);
+    if (!existing) {
+      throw new Error(`Commitment with nonce ${signed.nonce} not found locally`);
+    }
+
+    // Only our own payments are finalized here; proposals from before
+    // either party could pay were made by party A
+    const { side, counterparty } = await this.channelManager.getRole(channelAddress);
+    const payer = existing.payer || 'A';
+    if (payer !== side) {
+      throw new Error(`Commitment #${signed.nonce} was not proposed by us (party ${side})`);
+    }
+    if ((signed.balanceA !== undefined && signed.balanceA !== existing.balanceA) ||
+        (signed.balanceB !== undefined && signed.balanceB !== existing.balanceB)) {
+      throw new Error('Counterparty signed different balances than we proposed');
+    }
+
+    // The proposal must still be our latest state and pay from our side
+    const lastState = await this.stateManager.getChannelState(channelAddress);
+    if (lastState && lastState.nonce !== parseInt(existing.nonce)) {
+      throw new Error(`Channel moved on to nonce ${lastState.nonce} since this proposal`);
+    }
+    const previousNonce = parseInt(existing.nonce) - 1;
+    const previous = await this.stateManager.getCommitment(channelAddress, previousNonce);
+    if (previous) {
+      validatePayment(previous, existing, side);
+    }
+
+    // Recompute the typed-data hash from our own proposal and their revocation hash
+    const revocationHashA = side === 'A' ? existing.revocationHash : signed.counterpartyRevocationHash;
+    const revocationHashB = side === 'B' ? existing.revocationHash : signed.counterpartyRevocationHash;
+    const hash = hashCommitment(
+      await this.paymentManager.getDomain(channelAddress),
+      existing.nonce,
+      parseWei(existing.balanceA),
+      parseWei(existing.balanceB),
+      revocationHashA,
+      revocationHashB
+    );
+
+    if (signed.hash && signed.hash !== hash) {
+      throw new Error(`Hash verification failed: expected ${hash}, received ${signed.hash}`);
+    }
+
+    const counterpartySigner = recoverCommitmentSigner(hash, signed.counterpartySignature);
+    if (counterpartySigner.toLowerCase() !== counterparty.toLowerCase()) {
+      throw new Error(`Signature is from ${counterpartySigner}, not the channel counterparty`);
+    }
+
+    // Add our own signature now that the commitment is complete
+    const { signature } = await this.paymentManager.signCommitment(channelAddress, {
+      ...existing,
+      revocationHashA,
+      revocationHashB
+    });
+
+    const commitment = {
+      ...existing,
+      payer,
+      hash,
+      signature,
+      signatureA: side === 'A' ? signature : signed.counterpartySignature,
+      signatureB: side === 'B' ? signature : signed.counterpartySignature,
+      counterpartySignature: signed.counterpartySignature,
+      counterpartySigner,
+      counterpartyRevocationHash: signed.counterpartyRevocationHash,
+      revocationHashA,
+      revocationHashB
+    };
+    await this.stateManager.saveCommitment(channelAddress, commitment);
+
+    // Now reveal our own previous revocation secret
+    if (previousNonce >= 1 && previous?.revocationPreimage) {
+      await this.stateManager.markSecretRevealed(channelAddress, previousNonce);
+    }
+
+    return {
+      commitment,
+      counterpartySigner,
+      previousNonce,
+      response: await this.finalizedMessage(channelAddress, commitment)
+    };
+  }
+
+  /**
+   * Finalization message the payer sends to the payee: our signature on the
+   * commitment and, once revealed, our secret for the previous one
+   */
+  async finalizedMessage(channelAddress, commitment) {
+    const previous = await this.stateManager.getCommitment(channelAddress, parseInt(commitment.nonce) - 1);
+
+    return {
+      channelAddress,
+      nonce: commitment.nonce,
+      status: 'finalized',
+      hash: commitment.hash,
+      initiatorSignature: commitment.signature,
+      previousRevocationSecret: previous?.secretRevealed ? previous.revocationPreimage : null
+    };
+  }
+
+  /**
+   * Either side: store the payer's signature (payee only), check the peer's
+   * secret for the previous commitment and answer with ours. The payee
+   * answers every finalization, so a repeated one gets the same reply.
+   */
+  async receiveRevocation(response) {
+    const { channelAddress } = response;
+    if (!channelAddress || !response.nonce) {
+      throw new Error('Invalid data. Required: channelAddress, nonce');
+    }
+
+    const currentNonce = parseInt(response.nonce);
+    const result = { signed: false, revokedNonce: null, reply: null };
+
+    // The payer's signature completes our copy of the new commitment
+    if (response.initiatorSignature) {
+      const current = await this.stateManager.getCommitment(channelAddress, currentNonce);
+      if (!current || !current.hash) {
+        throw new Error(`Commitment #${currentNonce} not found locally`);
+      }
+
+      const signer = recoverCommitmentSigner(current.hash, response.initiatorSignature);
+      const { counterparty } = await this.channelManager.getRole(channelAddress);
+      if (signer.toLowerCase() !== counterparty.toLowerCase()) {
+        throw new Error(`Initiator signature is from ${signer}, not the channel counterparty`);
+      }
+
+      await this.stateManager.saveCommitment(channelAddress, {
+        ...current,
+        [`signature${current.payer || 'A'}`]: response.initiatorSignature,
+        counterpartySignature: response.initiatorSignature,
+        counterpartySigner: signer
+      });
+      result.signed = true;
+    }
+
+    // Find which commitment this revokes (nonce - 1)
+    const revokedNonce = currentNonce - 1;
+    if (revokedNonce < 1) {
+      return result;
+    }
+
+    const revoked = await this.stateManager.getCommitment(channelAddress, revokedNonce);
+    if (response.previousRevocationSecret && revoked?.counterpartyRevocationHash) {
+      // Verify the secret matches the hash we have stored
+      const computedHash = ethers.keccak256(response.previousRevocationSecret);
+      if (computedHash !== revoked.counterpartyRevocationHash) {
+        throw new Error(`Revocation secret for commitment #${revokedNonce} does not match: expected hash ${revoked.counterpartyRevocationHash}, got ${computedHash}`);
+      }
+
+      await this.stateManager.markCommitmentRevoked(channelAddress, revokedNonce, response.previousRevocationSecret);
+      result.revokedNonce = revokedNonce;
+    }
+
+    // Reveal our own previous secret to a payer that finalized, or if we
+    // have not done so yet
+    if (revoked?.revocationPreimage && (result.signed || !revoked.secretRevealed)) {
+      await this.stateManager.markSecretRevealed(channelAddress, revokedNonce);
+      result.reply = {
+        channelAddress,
+        nonce: response.nonce,
+        previousRevocationSecret: revoked.revocationPreimage
+      };
+    }
+
+    return result;
+  }
+}
\ No newline at end of file
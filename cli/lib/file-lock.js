@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import os from 'os';
+
+/**
+ * Cross-process lock held by creating a lock file exclusively (O_EXCL), so
+ * CLI commands started side by side never interleave their writes to one
+ * data directory. A lock left behind by a crashed process is taken over once
+ * its owner is gone (same host) or it is older than staleAfter (other hosts,
+ * e.g. a data directory on a network share).
+ */
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+async function readOwner(lockPath) {
+  try {
+    const [content, stat] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+    let owner = {};
+    try {
+      owner = JSON.parse(content);
+    } catch {
+      // Owner still writing, or died while writing; judged by age below
+    }
+    return { ...owner, modifiedAt: stat.mtimeMs, content };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function isStale(owner, staleAfter) {
+  if (owner.host === os.hostname() && Number.isInteger(owner.pid)) {
+    return !isAlive(owner.pid);
+  }
+  return Date.now() - (owner.createdAt ?? owner.modifiedAt) > staleAfter;
+}
+
+/**
+ * Run fn while holding the lock at lockPath
+ *
+ * @param {string} lockPath - Lock file to create
+ * @param {function} fn - async () => result, run with the lock held
+ * @param {object} options
+ * @param {number} options.timeout - Milliseconds to wait for another holder
+ * @param {number} options.staleAfter - Age after which a lock from another host is taken over
+ * @param {number} options.retryDelay - Milliseconds between attempts
+ */
+export async function withFileLock(lockPath, fn, { timeout = 10000, staleAfter = 30000, retryDelay = 50 } = {}) {
+  const content = JSON.stringify({ pid: process.pid, host: os.hostname(), createdAt: Date.now() });
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, content, { flag: 'wx', mode: 0o600 });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const owner = await readOwner(lockPath);
+    if (!owner) continue;
+    if (isStale(owner, staleAfter)) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${lockPath} (held by process ${owner.pid ?? 'unknown'}); remove it if no other channel-cli is running`);
+    }
+    await sleep(retryDelay);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Only remove the lock if it is still ours
+    const owner = await readOwner(lockPath);
+    if (owner?.content === content) {
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+}
\ No newline at end of file
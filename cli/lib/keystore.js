@@ -0,0 +1,397 @@
+import { ethers } from 'ethers';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { deriveKey, open, seal } from './secret-box.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Channel keys, kept as encrypted JSON keystores (Web3 Secret Storage, the
+ * format geth and `cast wallet` use). Each profile is one keystore file,
+ * <dir>/<profile>.json, so one data directory can hold several identities.
+ *
+ * Passphrases come from a passphrase file or, on a terminal, from a prompt.
+ * There is no fallback key: a missing keystore or passphrase is an error.
+ *
+ * The passphrase also derives the key that encrypts secrets in the CLI's
+ * state (see StateManager). "unlock" starts a session instead: the key and
+ * the state key are sealed in <dir>/<profile>.session under a random token
+ * that only the user holds (CHANNEL_SESSION), until it expires or "lock".
+ */
+
+export const DEFAULT_PROFILE = 'default';
+
+const PROFILE_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function keystoreError(message) {
+  return Object.assign(new Error(message), { code: 'KEYSTORE' });
+}
+
+function checkProfile(profile) {
+  if (!PROFILE_PATTERN.test(profile)) {
+    throw keystoreError(`Invalid profile name "${profile}": use letters, digits, "-" and "_"`);
+  }
+  return profile;
+}
+
+/**
+ * Private key from user input: 32 bytes of hex, with or without 0x
+ */
+export function parsePrivateKey(value) {
+  const key = value.trim();
+  const hex = key.startsWith('0x') ? key : `0x${key}`;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hex)) {
+    throw keystoreError('Private key must be 32 bytes of hex');
+  }
+  return hex;
+}
+
+/**
+ * First line of a passphrase file
+ */
+export async function readPassphraseFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const passphrase = content.split(/\r?\n/)[0];
+  if (!passphrase) {
+    throw keystoreError(`Passphrase file ${filePath} is empty`);
+  }
+  return passphrase;
+}
+
+export class KeyStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Keystore directory (default: KEYSTORE_PATH or <data dir>/keystore)
+   * @param {string} options.profile - Profile to use (default: CHANNEL_PROFILE or "default")
+   * @param {string} options.passphraseFile - File holding the passphrase (default: KEYSTORE_PASSPHRASE_FILE)
+   * @param {function} options.askPassphrase - async (message, { confirm }) => passphrase,
+   *   used when there is no passphrase file; without it a passphrase file is required
+   * @param {object} options.scrypt - Scrypt parameters for new keystores (default: ethers' defaults)
+   * @param {string} options.session - Session token from "unlock" (default: CHANNEL_SESSION)
+   */
+  constructor({ dir, profile, passphraseFile, askPassphrase = null, scrypt, session } = {}) {
+    const dataDir = process.env.DATA_PATH || path.join(__dirname, '../data');
+    this.dir = dir || process.env.KEYSTORE_PATH || path.join(dataDir, 'keystore');
+    this.profile = checkProfile(profile || process.env.CHANNEL_PROFILE || DEFAULT_PROFILE);
+    this.passphraseFile = passphraseFile || process.env.KEYSTORE_PASSPHRASE_FILE || null;
+    this.askPassphrase = askPassphrase;
+    this.scrypt = scrypt;
+    this.session = session || process.env.CHANNEL_SESSION || null;
+    // Unlocked wallets by profile, so a command prompts at most once
+    this.wallets = new Map();
+    // What unlocked each profile: { passphrase } or, in a session, { sessionKey }
+    this.secrets = new Map();
+  }
+
+  /**
+   * Switch profile or passphrase file (from command-line options)
+   */
+  select({ profile, passphraseFile } = {}) {
+    if (profile) this.profile = checkProfile(profile);
+    if (passphraseFile) this.passphraseFile = passphraseFile;
+  }
+
+  pathOf(profile = this.profile) {
+    return path.join(this.dir, `${checkProfile(profile)}.json`);
+  }
+
+  sessionPath(profile = this.profile) {
+    return path.join(this.dir, `${checkProfile(profile)}.session`);
+  }
+
+  async has(profile = this.profile) {
+    try {
+      await fs.access(this.pathOf(profile));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Every stored profile and its address; nothing is decrypted
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const profiles = [];
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+      const profile = file.slice(0, -'.json'.length);
+      if (!PROFILE_PATTERN.test(profile)) continue;
+
+      const json = await fs.readFile(path.join(this.dir, file), 'utf8');
+      let address = null;
+      try {
+        address = ethers.getAddress(JSON.parse(json).address);
+      } catch {
+        // Keystores without an address field only reveal it when unlocked
+      }
+      profiles.push({ profile, address, selected: profile === this.profile });
+    }
+    return profiles;
+  }
+
+  /**
+   * Passphrase from the passphrase file, else from the prompt
+   */
+  async passphrase(message, { confirm = false } = {}) {
+    if (this.passphraseFile) {
+      return readPassphraseFile(this.passphraseFile);
+    }
+    if (!this.askPassphrase) {
+      throw keystoreError('No passphrase: set KEYSTORE_PASSPHRASE_FILE or --passphrase-file, or run in a terminal');
+    }
+
+    const passphrase = await this.askPassphrase(message, { confirm });
+    if (!passphrase) {
+      throw keystoreError('Passphrase must not be empty');
+    }
+    return passphrase;
+  }
+
+  /**
+   * New passphrase from newPassphraseFile, else from the prompt (asked twice)
+   */
+  async newPassphrase(newPassphraseFile) {
+    if (newPassphraseFile) {
+      return readPassphraseFile(newPassphraseFile);
+    }
+    if (!this.askPassphrase) {
+      throw keystoreError('No new passphrase: give a new passphrase file, or run in a terminal');
+    }
+
+    const passphrase = await this.askPassphrase(`New passphrase for profile "${this.profile}"`, { confirm: true });
+    if (!passphrase) {
+      throw keystoreError('Passphrase must not be empty');
+    }
+    return passphrase;
+  }
+
+  /**
+   * Encrypt a new random key under the selected profile
+   */
+  async create() {
+    return this.save(ethers.Wallet.createRandom());
+  }
+
+  /**
+   * Encrypt an existing private key under the selected profile
+   */
+  async importPrivateKey(privateKey) {
+    return this.save(new ethers.Wallet(parsePrivateKey(privateKey)));
+  }
+
+  /**
+   * Copy an existing keystore (e.g. from geth or cast) under the selected
+   * profile, once its passphrase has been checked
+   */
+  async importKeystore(json) {
+    if (!ethers.isKeystoreJson(json)) {
+      throw keystoreError('Not an encrypted JSON keystore');
+    }
+    await this.assertNoKey();
+
+    const passphrase = await this.passphrase('Passphrase of the keystore to import');
+    let wallet;
+    try {
+      wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+    } catch {
+      throw keystoreError('Wrong passphrase for the keystore to import');
+    }
+
+    await this.write(json);
+    this.wallets.set(this.profile, wallet);
+    this.secrets.set(this.profile, { passphrase });
+    return wallet.address;
+  }
+
+  async save(wallet) {
+    await this.assertNoKey();
+    const passphrase = await this.passphrase(`New passphrase for profile "${this.profile}"`, { confirm: true });
+    const json = await ethers.encryptKeystoreJson(
+      { address: wallet.address, privateKey: wallet.privateKey },
+      passphrase,
+      this.scrypt ? { scrypt: this.scrypt } : {}
+    );
+
+    await this.write(json);
+    this.wallets.set(this.profile, wallet);
+    this.secrets.set(this.profile, { passphrase });
+    return wallet.address;
+  }
+
+  async assertNoKey() {
+    if (await this.has()) {
+      throw keystoreError(`Profile "${this.profile}" already has a key (${this.pathOf()})`);
+    }
+  }
+
+  async write(json) {
+    await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    try {
+      // wx: never overwrite a key, even one written since assertNoKey
+      await fs.writeFile(this.pathOf(), json, { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      await this.assertNoKey();
+    }
+  }
+
+  /**
+   * The selected profile's keystore as stored (still encrypted)
+   */
+  async exportKeystore() {
+    try {
+      return await fs.readFile(this.pathOf(), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw keystoreError(`No key for profile "${this.profile}" in ${this.dir}`);
+    }
+  }
+
+  /**
+   * Decrypt the selected profile's key
+   */
+  async unlock() {
+    if (this.wallets.has(this.profile)) {
+      return this.wallets.get(this.profile);
+    }
+
+    const resumed = await this.resumeSession();
+    if (resumed) {
+      this.wallets.set(this.profile, resumed);
+      return resumed;
+    }
+
+    let json;
+    try {
+      json = await fs.readFile(this.pathOf(), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw keystoreError(`No key for profile "${this.profile}" in ${this.dir}. Create one with "key create" or "key import"`);
+    }
+
+    const passphrase = await this.passphrase(`Passphrase for profile "${this.profile}"`);
+    let wallet;
+    try {
+      wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+    } catch {
+      throw keystoreError(`Wrong passphrase for profile "${this.profile}"`);
+    }
+
+    this.wallets.set(this.profile, wallet);
+    this.secrets.set(this.profile, { passphrase });
+    return wallet;
+  }
+
+  /**
+   * Key for the CLI state's secrets, derived from the passphrase with params
+   * (see StateManager.stateKey), or the one a session holds
+   */
+  async stateKey(params) {
+    await this.unlock();
+    const { passphrase, sessionKey } = this.secrets.get(this.profile);
+    if (sessionKey?.salt === params.salt) {
+      return sessionKey.key;
+    }
+    if (!passphrase) {
+      throw keystoreError('The session cannot decrypt this state (it was re-keyed or is from another data directory); run "unlock" again');
+    }
+    return deriveKey(passphrase, params);
+  }
+
+  /**
+   * Re-encrypt the selected profile's key under a new passphrase. Ends any
+   * session, since it was opened with the old one.
+   */
+  async changePassphrase(passphrase) {
+    const wallet = await this.unlock();
+    const json = await ethers.encryptKeystoreJson(
+      { address: wallet.address, privateKey: wallet.privateKey },
+      passphrase,
+      this.scrypt ? { scrypt: this.scrypt } : {}
+    );
+
+    const tmpPath = `${this.pathOf()}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, json, { mode: 0o600 });
+    await fs.rename(tmpPath, this.pathOf());
+
+    this.secrets.set(this.profile, { passphrase });
+    await this.endSession();
+  }
+
+  /**
+   * Seal the unlocked key and stateKey ({ salt, key }) in a session file for
+   * ttl milliseconds; returns the token that opens it
+   */
+  async startSession({ ttl, stateKey }) {
+    const wallet = await this.unlock();
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + ttl;
+    const secrets = JSON.stringify({
+      privateKey: wallet.privateKey,
+      stateKey: { salt: stateKey.salt, key: stateKey.key.toString('hex') }
+    });
+
+    const tmpPath = `${this.sessionPath()}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({
+      profile: this.profile,
+      address: wallet.address,
+      expiresAt,
+      secrets: seal(Buffer.from(token, 'hex'), secrets)
+    }, null, 2), { mode: 0o600 });
+    await fs.rename(tmpPath, this.sessionPath());
+
+    this.session = token;
+    return { token, expiresAt };
+  }
+
+  /**
+   * Remove the selected profile's session file; true if there was one
+   */
+  async endSession() {
+    const existed = await fs.access(this.sessionPath()).then(() => true, () => false);
+    await fs.rm(this.sessionPath(), { force: true });
+    return existed;
+  }
+
+  /**
+   * Wallet from the session the token opens; null without a usable session
+   */
+  async resumeSession() {
+    if (!this.session) return null;
+
+    let session;
+    try {
+      session = JSON.parse(await fs.readFile(this.sessionPath(), 'utf8'));
+    } catch {
+      return null;
+    }
+    if (session.expiresAt <= Date.now()) {
+      await this.endSession();
+      return null;
+    }
+
+    let secrets;
+    try {
+      secrets = JSON.parse(open(Buffer.from(this.session, 'hex'), session.secrets));
+    } catch {
+      // A token from another session, or a stale one
+      return null;
+    }
+
+    this.secrets.set(this.profile, {
+      sessionKey: { salt: secrets.stateKey.salt, key: Buffer.from(secrets.stateKey.key, 'hex') }
+    });
+    return new ethers.Wallet(secrets.privateKey);
+  }
+}
\ No newline at end of file
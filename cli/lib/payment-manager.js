@@ -1,10 +1,55 @@
 import { ethers } from 'ethers';
 import crypto from 'crypto';
+import {
+  COMMITMENT_TYPES,
+  CLOSE_TYPES,
+  SPLICE_TYPES,
+  channelDomain,
+  commitmentMessage,
+  hashCommitment,
+  hashClose,
+  hashSplice,
+  spliceMessage,
+  recoverCommitmentSigner
+} from './commitment.js';
+import { loadChannelAsset, fromUnits, parseWei } from './asset.js';
+import { KeyStore } from './keystore.js';
+
+/**
+ * Check that a commitment is the payment following previous (the last state
+ * we know of): the next nonce, the same channel total, and funds moving only
+ * from payer ('A' or 'B') to the other side. Returns the amount paid in wei.
+ */
+export function validatePayment(previous, commitment, payer) {
+  if (BigInt(commitment.nonce) !== BigInt(previous.nonce) + 1n) {
+    throw new Error(`Commitment nonce ${commitment.nonce} does not follow the last known nonce ${previous.nonce}`);
+  }
+
+  const before = { A: parseWei(previous.balanceA, 'balanceA'), B: parseWei(previous.balanceB, 'balanceB') };
+  const after = { A: parseWei(commitment.balanceA, 'balanceA'), B: parseWei(commitment.balanceB, 'balanceB') };
+  if (after.A + after.B !== before.A + before.B) {
+    throw new Error('Commitment changes the channel total');
+  }
+
+  const payee = payer === 'A' ? 'B' : 'A';
+  const amount = before[payer] - after[payer];
+  if (amount <= 0n) {
+    throw new Error(`Commitment does not move funds from party ${payer} to party ${payee}`);
+  }
+  return amount;
+}
 
 export class PaymentManager {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {KeyStore} options.keys - Keystore holding our channel key
+   */
+  constructor({ keys = new KeyStore() } = {}) {
+    this.keys = keys;
     this.provider = null;
     this.signer = null;
+    this.chainId = null;
+    this.assets = new Map();
     this.initialized = false;
   }
 
@@ -15,44 +60,63 @@ export class PaymentManager {
     const rpcUrl = process.env.RPC_URL || 'http://localhost:8545';
     this.provider = new ethers.JsonRpcProvider(rpcUrl);
 
-    // Use private key from env or create a random wallet for demo
-    const privateKey = process.env.PRIVATE_KEY || ethers.Wallet.createRandom().privateKey;
-    this.signer = new ethers.Wallet(privateKey, this.provider);
+    // The channel key comes from the selected keystore profile
+    const wallet = await this.keys.unlock();
+    this.signer = wallet.connect(this.provider);
 
     this.initialized = true;
   }
 
   /**
-   * Create a new commitment for an off-chain payment
+   * EIP-712 domain for a channel on the connected chain
    */
-  async createCommitment(channelAddress, nonce, paymentAmount, currentBalanceA, currentBalanceB) {
-    await this.init();
-    const signerAddress = await this.signer.getAddress();
+  async getDomain(channelAddress) {
+    if (this.chainId === null) {
+      await this.init();
+      const network = await this.provider.getNetwork();
+      this.chainId = network.chainId;
+    }
 
-    // Calculate new balances after payment
-    // Assume signer is party A for this example
-    const newBalanceA = parseFloat(currentBalanceA) - parseFloat(paymentAmount);
-    const newBalanceB = parseFloat(currentBalanceB) + parseFloat(paymentAmount);
+    return channelDomain(channelAddress, this.chainId);
+  }
 
-    if (newBalanceA < 0) {
-      throw new Error(`Insufficient balance for payment. Current balance A: ${currentBalanceA}, Payment amount: ${paymentAmount}`);
+  /**
+   * Asset the channel's balances are denominated in (ETH or an ERC-20 token)
+   */
+  async getAsset(channelAddress) {
+    // A channel's token is immutable, so one lookup per channel is enough
+    const key = channelAddress.toLowerCase();
+    if (!this.assets.has(key)) {
+      await this.init();
+      this.assets.set(key, await loadChannelAsset(this.provider, channelAddress));
     }
+    return this.assets.get(key);
+  }
 
-    // Create commitment hash
-    const commitmentData = ethers.solidityPacked(
-      ['address', 'uint256', 'uint256', 'uint256'],
-      [
-        channelAddress,
-        nonce,
-        ethers.parseEther(newBalanceA.toString()),
-        ethers.parseEther(newBalanceB.toString())
-      ]
-    );
+  /**
+   * Create a new commitment proposal for an off-chain payment from payer
+   * ('A' or 'B', the proposer's side) to the other party.
+   * The commitment hash covers both revocation hashes, so it is only signed
+   * once the counterparty has answered with theirs (see signCommitment).
+   * The payment and balances are in wei.
+   */
+  async createCommitment(channelAddress, nonce, paymentAmount, currentBalanceA, currentBalanceB, payer = 'A') {
+    await this.init();
 
-    const commitmentHash = ethers.keccak256(commitmentData);
+    const payment = parseWei(paymentAmount, 'payment amount');
+    if (payment <= 0n) {
+      throw new Error('Payment amount must be positive');
+    }
 
-    // Sign the commitment
-    const signature = await this.signer.signMessage(ethers.getBytes(commitmentHash));
+    // Calculate new balances after payment
+    const balances = { A: parseWei(currentBalanceA, 'balanceA'), B: parseWei(currentBalanceB, 'balanceB') };
+    const payee = payer === 'A' ? 'B' : 'A';
+    if (balances[payer] < payment) {
+      const { symbol, decimals } = await this.getAsset(channelAddress);
+      throw new Error(`Insufficient balance for payment. Current balance ${payer}: ${fromUnits(balances[payer], decimals)} ${symbol}, Payment amount: ${fromUnits(payment, decimals)} ${symbol}`);
+    }
+    balances[payer] -= payment;
+    balances[payee] += payment;
 
     // Generate revocation hash for this commitment (will be revealed when revoking)
     const revocationPreimage = crypto.randomBytes(32);
@@ -60,45 +124,30 @@ export class PaymentManager {
 
     return {
       nonce: nonce.toString(),
-      balanceA: newBalanceA.toString(),
-      balanceB: newBalanceB.toString(),
-      hash: commitmentHash,
-      signature,
+      payer,
+      balanceA: balances.A.toString(),
+      balanceB: balances.B.toString(),
       revocationPreimage: '0x' + revocationPreimage.toString('hex'),
       revocationHash,
+      [`revocationHash${payer}`]: revocationHash,
       timestamp: Date.now()
     };
   }
 
   /**
-   * Create initial commitment (nonce 0) for safe channel funding
-   * This commitment gives all funds back to the party creating it
+   * Create initial commitment proposal (nonce 0) for safe channel funding
+   * This commitment gives all funds back to the party creating it.
+   * depositAmount is in wei.
    */
   async createInitialCommitment(channelAddress, depositAmount, partnerAddress) {
     await this.init();
     const signerAddress = await this.signer.getAddress();
 
     // For initial commitment, all deposit goes to the creator (refund transaction)
-    const balanceA = depositAmount;
-    const balanceB = '0';
+    const balanceA = parseWei(depositAmount, 'deposit amount');
+    const balanceB = 0n;
     const nonce = 0;
 
-    // Create commitment hash
-    const commitmentData = ethers.solidityPacked(
-      ['address', 'uint256', 'uint256', 'uint256'],
-      [
-        channelAddress,
-        nonce,
-        ethers.parseEther(balanceA.toString()),
-        ethers.parseEther(balanceB.toString())
-      ]
-    );
-
-    const commitmentHash = ethers.keccak256(commitmentData);
-
-    // Sign the commitment
-    const signature = await this.signer.signMessage(ethers.getBytes(commitmentHash));
-
     // Generate revocation hash for this commitment
     const revocationPreimage = crypto.randomBytes(32);
     const revocationHash = ethers.keccak256(revocationPreimage);
@@ -108,16 +157,124 @@ export class PaymentManager {
       nonce: nonce.toString(),
       balanceA: balanceA.toString(),
       balanceB: balanceB.toString(),
-      hash: commitmentHash,
-      signature,
       revocationPreimage: '0x' + revocationPreimage.toString('hex'),
       revocationHash,
+      revocationHashA: revocationHash,
       signerAddress,
       partnerAddress,
       timestamp: Date.now()
     };
   }
 
+  /**
+   * Create a splice proposal: the proposer (side 'A' or 'B') adds deposit to
+   * and/or takes withdraw out of its own balance. The proposal doubles as the
+   * commitment for the new base state, so it carries our revocation hash.
+   * All amounts are in wei; deadline (seconds) is when the splice stops being
+   * executable on-chain.
+   */
+  async createSpliceProposal(channelAddress, nonce, side, deposit, withdraw, currentBalanceA, currentBalanceB, deadline) {
+    const { symbol, decimals } = await this.getAsset(channelAddress);
+
+    const depositWei = parseWei(deposit, 'deposit');
+    const withdrawWei = parseWei(withdraw, 'withdraw');
+    if (depositWei === 0n && withdrawWei === 0n) {
+      throw new Error('Splice must deposit or withdraw a positive amount');
+    }
+
+    let balanceA = parseWei(currentBalanceA, 'balanceA');
+    let balanceB = parseWei(currentBalanceB, 'balanceB');
+    if (side === 'A') {
+      balanceA += depositWei - withdrawWei;
+    } else {
+      balanceB += depositWei - withdrawWei;
+    }
+
+    if (balanceA < 0n || balanceB < 0n) {
+      throw new Error(`Cannot withdraw ${fromUnits(withdrawWei, decimals)} ${symbol} from the current balance`);
+    }
+    if (balanceA + balanceB === 0n) {
+      throw new Error('Splice would leave the channel empty - close it instead');
+    }
+
+    const revocationPreimage = crypto.randomBytes(32);
+    const revocationHash = ethers.keccak256(revocationPreimage);
+
+    return {
+      nonce: nonce.toString(),
+      balanceA: balanceA.toString(),
+      balanceB: balanceB.toString(),
+      splice: {
+        proposer: side,
+        depositA: (side === 'A' ? depositWei : 0n).toString(),
+        depositB: (side === 'B' ? depositWei : 0n).toString(),
+        withdrawA: (side === 'A' ? withdrawWei : 0n).toString(),
+        withdrawB: (side === 'B' ? withdrawWei : 0n).toString(),
+        deadline
+      },
+      revocationPreimage: '0x' + revocationPreimage.toString('hex'),
+      revocationHash,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Sign a splice (balances after the splice plus deposits and withdrawals,
+   * in wei, and the deadline in seconds)
+   */
+  async signSplice(channelAddress, splice) {
+    await this.init();
+    const domain = await this.getDomain(channelAddress);
+    const message = spliceMessage(splice);
+
+    return {
+      hash: hashSplice(domain, message),
+      signature: await this.signer.signTypedData(domain, SPLICE_TYPES, message)
+    };
+  }
+
+  /**
+   * Verify a splice signature
+   */
+  async verifySplice(channelAddress, splice, signature, expectedSigner) {
+    const spliceHash = hashSplice(await this.getDomain(channelAddress), spliceMessage(splice));
+    const recoveredAddress = recoverCommitmentSigner(spliceHash, signature);
+
+    return recoveredAddress.toLowerCase() === expectedSigner.toLowerCase();
+  }
+
+  /**
+   * Sign a commitment once both parties' revocation hashes are known
+   */
+  async signCommitment(channelAddress, commitment) {
+    await this.init();
+    const domain = await this.getDomain(channelAddress);
+    const message = commitmentMessage(
+      BigInt(commitment.nonce),
+      parseWei(commitment.balanceA, 'balanceA'),
+      parseWei(commitment.balanceB, 'balanceB'),
+      commitment.revocationHashA,
+      commitment.revocationHashB
+    );
+
+    const hash = hashCommitment(
+      domain,
+      message.nonce,
+      message.balanceA,
+      message.balanceB,
+      message.revocationHashA,
+      message.revocationHashB
+    );
+
+    // Typed data lets the wallet display the nonce and balances being signed
+    const signature = await this.signer.signTypedData(domain, COMMITMENT_TYPES, message);
+
+    return {
+      hash,
+      signature
+    };
+  }
+
   /**
    * Generate a revocation secret for an old commitment
    */
@@ -143,24 +300,20 @@ export class PaymentManager {
   }
 
   /**
-   * Create a cooperative close message
+   * Create a cooperative close message (balances in wei)
    */
   async createCloseMessage(channelAddress, balanceA, balanceB) {
     await this.init();
-    const closeData = ethers.solidityPacked(
-      ['string', 'address', 'uint256', 'uint256'],
-      [
-        'CLOSE',
-        channelAddress,
-        ethers.parseEther(balanceA.toString()),
-        ethers.parseEther(balanceB.toString())
-      ]
-    );
+    const domain = await this.getDomain(channelAddress);
+    const message = {
+      balanceA: parseWei(balanceA, 'balanceA'),
+      balanceB: parseWei(balanceB, 'balanceB')
+    };
 
-    const closeHash = ethers.keccak256(closeData);
+    const closeHash = hashClose(domain, message.balanceA, message.balanceB);
 
-    // Sign the close message
-    const signature = await this.signer.signMessage(ethers.getBytes(closeHash));
+    // Sign the typed close message
+    const signature = await this.signer.signTypedData(domain, CLOSE_TYPES, message);
 
     return {
       hash: closeHash,
@@ -172,23 +325,19 @@ export class PaymentManager {
   }
 
   /**
-   * Verify a commitment signature
+   * Verify a commitment signature (balances in wei)
    */
-  async verifyCommitment(channelAddress, nonce, balanceA, balanceB, signature, expectedSigner) {
-    const commitmentData = ethers.solidityPacked(
-      ['address', 'uint256', 'uint256', 'uint256'],
-      [
-        channelAddress,
-        nonce,
-        ethers.parseEther(balanceA.toString()),
-        ethers.parseEther(balanceB.toString())
-      ]
+  async verifyCommitment(channelAddress, nonce, balanceA, balanceB, revocationHashA, revocationHashB, signature, expectedSigner) {
+    const commitmentHash = hashCommitment(
+      await this.getDomain(channelAddress),
+      nonce,
+      parseWei(balanceA, 'balanceA'),
+      parseWei(balanceB, 'balanceB'),
+      revocationHashA,
+      revocationHashB
     );
 
-    const commitmentHash = ethers.keccak256(commitmentData);
-    const messageHash = ethers.hashMessage(ethers.getBytes(commitmentHash));
-
-    const recoveredAddress = ethers.recoverAddress(messageHash, signature);
+    const recoveredAddress = recoverCommitmentSigner(commitmentHash, signature);
 
     return recoveredAddress.toLowerCase() === expectedSigner.toLowerCase();
   }
@@ -196,27 +345,24 @@ export class PaymentManager {
   /**
    * Create a signed commitment transaction for dispute
    */
-  async createDisputeCommitment(channelAddress, nonce, balanceA, balanceB) {
-    const commitmentData = ethers.solidityPacked(
-      ['address', 'uint256', 'uint256', 'uint256'],
-      [
-        channelAddress,
-        nonce,
-        ethers.parseEther(balanceA.toString()),
-        ethers.parseEther(balanceB.toString())
-      ]
-    );
-
-    const commitmentHash = ethers.keccak256(commitmentData);
+  async createDisputeCommitment(channelAddress, nonce, balanceA, balanceB, revocationHashA, revocationHashB) {
+    await this.init();
 
-    // Sign the commitment
-    const signature = await this.signer.signMessage(ethers.getBytes(commitmentHash));
+    const { hash, signature } = await this.signCommitment(channelAddress, {
+      nonce,
+      balanceA,
+      balanceB,
+      revocationHashA,
+      revocationHashB
+    });
 
     return {
       nonce,
       balanceA,
       balanceB,
-      hash: commitmentHash,
+      revocationHashA,
+      revocationHashB,
+      hash,
       signature
     };
   }
@@ -0,0 +1,331 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import { fromUnits } from './asset.js';
+import { proposalMessage } from './exchange.js';
+
+/**
+ * Direct transport between two CLI nodes over HTTP. One node listens; the
+ * other connects to pay it, and the propose → sign → finalize → revoke
+ * exchange (see exchange.js) runs without copying JSON by hand.
+ *
+ * Every message and every reply is an envelope signed (EIP-191) by its
+ * sender, so each node authenticates the other as the channel's on-chain
+ * counterparty. Timestamps bound how long an envelope is accepted; the
+ * exchange steps are idempotent, so a replayed envelope only repeats an
+ * answer the peer already holds.
+ */
+
+export const DEFAULT_PEER_PORT = 9735;
+
+// How far an envelope's timestamp may be from our clock
+const MAX_MESSAGE_AGE = 5 * 60 * 1000;
+const MAX_BODY_SIZE = 64 * 1024;
+
+function peerError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function envelopeText({ channelAddress, type, payload, timestamp }) {
+  return `channel-peer:${JSON.stringify({ channelAddress, type, payload, timestamp })}`;
+}
+
+/**
+ * Sign a message for the peer
+ */
+export async function sealMessage(signer, channelAddress, type, payload) {
+  const envelope = { channelAddress, type, payload, timestamp: Date.now() };
+  return { ...envelope, signature: await signer.signMessage(envelopeText(envelope)) };
+}
+
+/**
+ * Check an envelope's age and that expectedSigner signed it; returns the payload
+ */
+export function openMessage(envelope, expectedSigner, now = Date.now()) {
+  if (!envelope?.channelAddress || !envelope.type || !envelope.signature || typeof envelope.timestamp !== 'number') {
+    throw peerError(400, 'Malformed message');
+  }
+  if (Math.abs(now - envelope.timestamp) > MAX_MESSAGE_AGE) {
+    throw peerError(401, 'Message timestamp is too far from our clock');
+  }
+
+  const signer = ethers.verifyMessage(envelopeText(envelope), envelope.signature);
+  if (signer.toLowerCase() !== expectedSigner.toLowerCase()) {
+    throw peerError(401, `Message signed by ${signer}, not the channel counterparty ${expectedSigner}`);
+  }
+  return envelope.payload;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(peerError(413, 'Message too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Listening node: answers payments from the counterparty of any channel we
+ * are a party to (or only the given channels)
+ */
+export class PeerServer {
+  /**
+   * @param {object} options
+   * @param {PaymentExchange} options.exchange - Exchange steps backed by our state
+   * @param {ChannelManager} options.channelManager - Resolves our role in a channel
+   * @param {ethers.Signer} options.signer - Our channel key, signs replies
+   * @param {string[]} options.channels - Channels to serve (default: all)
+   * @param {function} options.log - log(message, level) for progress reports
+   */
+  constructor({ exchange, channelManager, signer, channels = [], log = () => {} }) {
+    this.exchange = exchange;
+    this.channelManager = channelManager;
+    this.signer = signer;
+    this.channels = new Set(channels.map(address => address.toLowerCase()));
+    this.log = log;
+    this.server = null;
+    // Messages are handled one at a time so exchange steps never interleave
+    this.queue = Promise.resolve();
+  }
+
+  listen(port = DEFAULT_PEER_PORT, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => this.onRequest(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  async onRequest(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'POST' || req.url !== '/message') {
+      send(404, { error: 'Not found' });
+      return;
+    }
+
+    try {
+      const envelope = JSON.parse(await readBody(req));
+      const reply = await this.enqueue(() => this.handle(envelope));
+      send(200, reply);
+    } catch (error) {
+      const status = error instanceof SyntaxError ? 400 : error.status || 422;
+      this.log(`Rejected message: ${error.message}`, 'error');
+      send(status, { error: error.message });
+    }
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Authenticate an envelope, run the exchange step it asks for and seal the reply
+   */
+  async handle(envelope) {
+    const channelAddress = envelope?.channelAddress;
+    if (!channelAddress || !ethers.isAddress(channelAddress)) {
+      throw peerError(400, 'Malformed message');
+    }
+    if (this.channels.size > 0 && !this.channels.has(channelAddress.toLowerCase())) {
+      throw peerError(403, `Channel ${channelAddress} is not served here`);
+    }
+
+    let counterparty;
+    try {
+      ({ counterparty } = await this.channelManager.getRole(channelAddress));
+    } catch (error) {
+      throw peerError(403, error.message);
+    }
+    const payload = openMessage(envelope, counterparty);
+    if (payload?.channelAddress && payload.channelAddress.toLowerCase() !== channelAddress.toLowerCase()) {
+      throw peerError(400, 'Payload is for another channel');
+    }
+
+    let reply;
+    switch (envelope.type) {
+      case 'hello': {
+        const state = await this.exchange.stateManager.getChannelState(channelAddress);
+        reply = { nonce: state?.nonce ?? null };
+        this.log(`Peer ${counterparty} connected for ${channelAddress}`, 'info');
+        break;
+      }
+      case 'propose': {
+        const { payer, amount, commitment, response } = await this.exchange.sign(payload);
+        if (amount === null) {
+          this.log(`Repeated our signature on commitment #${commitment.nonce}`, 'info');
+        } else {
+          const { symbol, decimals } = await this.channelManager.getAsset(channelAddress);
+          this.log(`Signed commitment #${commitment.nonce}: party ${payer} pays ${fromUnits(amount, decimals)} ${symbol}`, 'info');
+        }
+        reply = response;
+        break;
+      }
+      case 'finalize': {
+        const { revokedNonce, reply: revocation } = await this.exchange.receiveRevocation(payload);
+        this.log(`Commitment #${payload.nonce} holds both signatures${revokedNonce !== null ? `; #${revokedNonce} revoked` : ''}`, 'success');
+        reply = revocation;
+        break;
+      }
+      default:
+        throw peerError(400, `Unknown message type "${envelope.type}"`);
+    }
+
+    return sealMessage(this.signer, channelAddress, `${envelope.type}:reply`, reply);
+  }
+}
+
+/**
+ * Connecting node: pays the listening peer of one channel
+ */
+export class PeerClient {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Peer's base URL, e.g. http://127.0.0.1:9735
+   * @param {string} options.channelAddress - Channel shared with the peer
+   * @param {PaymentExchange} options.exchange - Exchange steps backed by our state
+   * @param {ChannelManager} options.channelManager - Resolves our role in the channel
+   * @param {ethers.Signer} options.signer - Our channel key, signs messages
+   * @param {number} options.retries - Attempts per message before giving up
+   * @param {number} options.retryDelay - Milliseconds before the first retry, doubled each time
+   * @param {number} options.timeout - Milliseconds to wait for each reply
+   * @param {function} options.log - log(message, level) for progress reports
+   */
+  constructor({ url, channelAddress, exchange, channelManager, signer, retries = 5, retryDelay = 500, timeout = 10000, log = () => {} }) {
+    this.url = new URL('/message', url).toString();
+    this.channelAddress = channelAddress;
+    this.exchange = exchange;
+    this.channelManager = channelManager;
+    this.signer = signer;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+    this.log = log;
+    this.role = null;
+  }
+
+  /**
+   * Send one message, retrying while the peer is unreachable, and return
+   * its authenticated reply. Rejections (4xx) are not retried.
+   */
+  async request(type, payload) {
+    const envelope = await sealMessage(this.signer, this.channelAddress, type, payload);
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.retries; attempt++) {
+      try {
+        const response = await fetch(this.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(envelope),
+          signal: AbortSignal.timeout(this.timeout)
+        });
+        const body = await response.json();
+
+        if (response.ok) {
+          const reply = openMessage(body, this.role.counterparty);
+          if (body.type !== `${type}:reply`) {
+            throw new Error(`Peer answered ${type} with ${body.type}`);
+          }
+          return reply;
+        }
+        if (response.status < 500) {
+          throw peerError(response.status, `Peer rejected ${type}: ${body.error}`);
+        }
+        lastError = new Error(`Peer failed ${type}: ${body.error}`);
+      } catch (error) {
+        if (error.status) throw error;
+        lastError = error;
+      }
+
+      if (attempt < this.retries) {
+        const delay = this.retryDelay * 2 ** (attempt - 1);
+        this.log(`${type} failed (${lastError.message}); retrying in ${delay}ms`, 'warning');
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw new Error(`Peer unreachable after ${this.retries} attempts (${lastError.message}); connect again to resume`);
+  }
+
+  /**
+   * Authenticate the peer and finish an exchange a disconnect interrupted.
+   * Returns the peer's channel nonce.
+   */
+  async connect() {
+    this.role = await this.channelManager.getRole(this.channelAddress);
+    const { nonce } = await this.request('hello', {});
+    this.log(`Connected to ${this.role.counterparty} (peer at nonce ${nonce})`, 'success');
+
+    await this.resume();
+    return nonce;
+  }
+
+  /**
+   * Complete our newest payment if its exchange stopped part-way: re-send
+   * the proposal if the peer's signature never arrived, or our finalization
+   * if the peer's revocation secret never did
+   */
+  async resume() {
+    const commitments = await this.exchange.stateManager.getCommitments(this.channelAddress);
+    const latest = commitments.reduce((newest, c) => (!newest || parseInt(c.nonce) > parseInt(newest.nonce) ? c : newest), null);
+    if (!latest || latest.splice || parseInt(latest.nonce) === 0 || (latest.payer || 'A') !== this.role.side) {
+      return null;
+    }
+
+    if (!latest.counterpartySignature) {
+      this.log(`Resuming payment #${latest.nonce} from the proposal`, 'warning');
+      return this.complete(proposalMessage(this.channelAddress, latest));
+    }
+
+    const previous = commitments.find(c => parseInt(c.nonce) === parseInt(latest.nonce) - 1);
+    if (previous && parseInt(previous.nonce) >= 1 && !previous.revoked) {
+      this.log(`Resuming payment #${latest.nonce} from the finalization`, 'warning');
+      return this.revoke(await this.exchange.finalizedMessage(this.channelAddress, latest));
+    }
+    return null;
+  }
+
+  /**
+   * Pay amount (wei) to the peer; resolves with the finalized commitment
+   */
+  async pay(amount) {
+    if (!this.role) {
+      await this.connect();
+    }
+
+    const { proposal } = await this.exchange.propose(this.channelAddress, amount);
+    return this.complete(proposal);
+  }
+
+  async complete(proposal) {
+    const signed = await this.request('propose', proposal);
+    const { commitment, response } = await this.exchange.finalize(signed);
+    await this.revoke(response);
+    return commitment;
+  }
+
+  async revoke(finalized) {
+    const revocation = await this.request('finalize', finalized);
+    if (revocation) {
+      await this.exchange.receiveRevocation(revocation);
+    }
+    return this.exchange.stateManager.getCommitment(this.channelAddress, finalized.nonce);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+
+/**
+ * Authenticated encryption (AES-256-GCM) of single string values under a key
+ * derived from a passphrase with scrypt. A sealed value is itself a string,
+ * "enc:" + base64(iv | tag | ciphertext), so it can replace a plaintext
+ * field of a JSON document in place.
+ */
+
+const PREFIX = 'enc:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+export const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * Fresh key derivation parameters: scrypt with a random salt
+ */
+export function newKeyParams() {
+  return { kdf: 'scrypt', salt: crypto.randomBytes(16).toString('hex'), ...SCRYPT_PARAMS };
+}
+
+/**
+ * 32-byte key from a passphrase and the parameters stored beside the data
+ */
+export function deriveKey(passphrase, { kdf, salt, N, r, p }) {
+  if (kdf !== 'scrypt') {
+    return Promise.reject(new Error(`Unsupported key derivation "${kdf}"`));
+  }
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(salt, 'hex'), 32, { N, r, p, maxmem: 256 * N * r }, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+export function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+export function seal(key, text) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+export function open(key, sealed) {
+  const data = Buffer.from(sealed.slice(PREFIX.length), 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  try {
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('Cannot decrypt: wrong key or tampered data');
+  }
+}
\ No newline at end of file
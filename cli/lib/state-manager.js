@@ -1,171 +1,594 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ETH_ASSET, toUnits } from './asset.js';
+import { withFileLock } from './file-lock.js';
+import { KeyStore } from './keystore.js';
+import { isSealed, newKeyParams, open, seal } from './secret-box.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Version 2 stores every amount as an integer string in wei (the asset's
+// smallest unit); version 1 stored decimal strings in ETH or token units.
+// Version 3 keeps everything in one state.json, replacing channels.json,
+// states.json, commitments.json and meta.json. Version 4 encrypts the
+// commitment fields that can move funds (SECRET_FIELDS).
+export const STATE_VERSION = 4;
+
+const LEGACY_FILES = ['channels', 'states', 'commitments', 'meta'];
+
+// Revocation secrets (ours and the counterparty's) and signatures: with them
+// anyone could publish a commitment or claim a penalty
+export const SECRET_FIELDS = ['revocationPreimage', 'revocationSecret', 'signature', 'signatureA', 'signatureB', 'counterpartySignature'];
+
+// Known plaintext sealed with the state key, to recognise a wrong key
+const KEY_CHECK = 'channel-cli-state';
+
+function emptyState() {
+  return { version: STATE_VERSION, channels: [], states: {}, commitments: {} };
+}
+
+/**
+ * Newest nonce carrying both signatures, or -1
+ */
+export function latestSignedNonce(commitments = []) {
+  return commitments
+    .filter(c => c.signatureA && c.signatureB)
+    .reduce((latest, c) => Math.max(latest, parseInt(c.nonce)), -1);
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Convert a version 1 amount to a wei string. Amounts that were signed always
+ * parse exactly; only float artifacts of unsigned proposals ("1e-7",
+ * "0.30000000000000004" on a 6-decimal token) need normalizing first.
+ */
+export function legacyAmountToWei(value, decimals = 18) {
+  let text = (value ?? '0').toString().trim();
+  if (/e/i.test(text)) {
+    text = Number(text).toFixed(Math.min(decimals, 100));
+  }
+
+  const [whole, fraction = ''] = text.split('.');
+  if (fraction.length <= decimals) {
+    return toUnits(text, decimals).toString();
+  }
+
+  // Round half up at the asset's precision
+  const wei = toUnits(`${whole}.${fraction.slice(0, decimals)}`, decimals);
+  return (fraction[decimals] >= '5' ? wei + 1n : wei).toString();
+}
+
+/**
+ * Version 1 to 2: amounts move from decimal strings in the channel's asset to
+ * integer wei strings
+ */
+async function amountsToWei(state, { getAsset }) {
+  const channelAddresses = new Set([...Object.keys(state.states), ...Object.keys(state.commitments)]);
+  const decimalsOf = new Map();
+  for (const channelAddress of channelAddresses) {
+    decimalsOf.set(channelAddress, (await getAsset(channelAddress)).decimals);
+  }
+
+  for (const [channelAddress, channelState] of Object.entries(state.states)) {
+    const wei = value => legacyAmountToWei(value, decimalsOf.get(channelAddress));
+    channelState.balanceA = wei(channelState.balanceA);
+    channelState.balanceB = wei(channelState.balanceB);
+  }
+
+  for (const [channelAddress, channelCommitments] of Object.entries(state.commitments)) {
+    const wei = value => legacyAmountToWei(value, decimalsOf.get(channelAddress));
+    for (const commitment of channelCommitments) {
+      commitment.balanceA = wei(commitment.balanceA);
+      commitment.balanceB = wei(commitment.balanceB);
+      if (commitment.splice) {
+        for (const field of ['depositA', 'depositB', 'withdrawA', 'withdrawB']) {
+          commitment.splice[field] = wei(commitment.splice[field]);
+        }
+      }
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Upgrades of the state, keyed by the version they upgrade from. Each takes
+ * the state at that version (and the StateManager, for asset lookups and
+ * the state key) and returns it at the next; StateManager.migrate applies
+ * them in order and persists the result.
+ */
+export const MIGRATIONS = {
+  1: amountsToWei,
+  // Only the layout on disk changed; readLegacy merges the old files
+  2: state => state,
+  // Secrets are sealed by StateManager.sealSecrets, as on every write
+  3: async (state, manager) => {
+    await manager.sealSecrets(state);
+    return state;
+  }
+};
+
+function eachSecret(state, fn) {
+  for (const channelCommitments of Object.values(state.commitments)) {
+    for (const commitment of channelCommitments) {
+      for (const field of SECRET_FIELDS) {
+        if (typeof commitment[field] === 'string') fn(commitment, field);
+      }
+    }
+  }
+}
+
+/**
+ * Local channel records, balances and the full commitment history.
+ *
+ * Everything lives in <data dir>/state.json. Each change runs in a
+ * transaction: under a lock file shared by every CLI process using the data
+ * directory, the current state is read from disk, changed, written to a
+ * temporary file, fsynced and renamed over state.json, so a crash leaves
+ * either the old or the new state. A state file that does not parse is an
+ * error, never an empty state: the commitment history is dispute evidence.
+ *
+ * Secret commitment fields are sealed on disk with a key derived from the
+ * key's passphrase (see secret-box.js); the scrypt parameters and a check
+ * value are kept in state.encryption. Readers see them in plaintext; the
+ * key is only asked for once there is a secret to open or seal.
+ */
 export class StateManager {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {function} options.getAsset - async channelAddress => { decimals }, used
+   *   to convert version 1 state files; channels are assumed to hold ETH without it
+   * @param {KeyStore} options.keys - Provides the state key: stateKey(params) => 32-byte key
+   */
+  constructor({ getAsset = async () => ETH_ASSET, keys = new KeyStore() } = {}) {
     // Use DATA_PATH env variable or default to cli/data
     this.dataDir = process.env.DATA_PATH || path.join(__dirname, '../data');
-    this.channelsFile = path.join(this.dataDir, 'channels.json');
-    this.statesFile = path.join(this.dataDir, 'states.json');
-    this.commitmentsFile = path.join(this.dataDir, 'commitments.json');
+    this.stateFile = path.join(this.dataDir, 'state.json');
+    this.lockFile = path.join(this.dataDir, 'state.lock');
+    this.getAsset = getAsset;
+    this.keys = keys;
+    // Derived state key and the salt it belongs to
+    this.key = null;
     this.initialized = false;
+    // Transactions of this process run one at a time; the lock file orders them with other processes
+    this.queue = Promise.resolve();
   }
 
   async init() {
     if (this.initialized) return;
 
-    // Create data directory if it doesn't exist
+    await fs.mkdir(this.dataDir, { recursive: true, mode: 0o700 });
+    await withFileLock(this.lockFile, () => this.migrate());
+
+    this.initialized = true;
+  }
+
+  /**
+   * Bring the data directory up to STATE_VERSION. Files from older versions
+   * are kept as <name>.v<version>.json (e.g. states.v1.json) and replaced by
+   * state.json. A failed migration leaves them untouched and is retried on
+   * the next start.
+   */
+  async migrate() {
+    let state = await this.load();
+    const legacy = !state;
+    if (legacy) {
+      state = await this.readLegacy();
+    }
+
+    if (!state) {
+      await this.save(emptyState());
+      return;
+    }
+    if (state.version === STATE_VERSION) return;
+
+    const fromVersion = state.version;
+    for (let version = fromVersion; version < STATE_VERSION; version++) {
+      if (!MIGRATIONS[version]) {
+        throw new Error(`Unsupported state version ${fromVersion} in ${this.dataDir} (expected ${STATE_VERSION})`);
+      }
+    }
+
+    // Keep the originals until the migrated state is written. Version 3
+    // converts losslessly and its copy would hold the secrets in plaintext,
+    // so it is not kept.
+    const originals = legacy ? LEGACY_FILES.map(name => path.join(this.dataDir, `${name}.json`)) : [this.stateFile];
+    const backup = fromVersion < 3;
+    if (backup) {
+      for (const filePath of originals) {
+        if (await this.fileExists(filePath)) {
+          await fs.copyFile(filePath, filePath.replace(/\.json$/, `.v${fromVersion}.json`));
+        }
+      }
+    }
+
+    for (let version = fromVersion; version < STATE_VERSION; version++) {
+      state = await MIGRATIONS[version](state, this);
+      state.version = version + 1;
+    }
+    await this.save(state);
+
+    if (legacy) {
+      for (const filePath of originals) {
+        await fs.rm(filePath, { force: true });
+      }
+    }
+
+    console.error(`Migrated ${Object.keys(state.states).length} channel(s) in ${this.dataDir} from state version ${fromVersion} to ${STATE_VERSION}${backup ? ` (originals kept as *.v${fromVersion}.json)` : ''}`);
+
+    const plaintextCopies = (await fs.readdir(this.dataDir)).filter(name => /\.v[1-3]\.json$/.test(name));
+    if (plaintextCopies.length > 0) {
+      console.error(`Secrets are now encrypted, but ${plaintextCopies.join(', ')} still hold them in plaintext: delete them once you have checked the migration`);
+    }
+  }
+
+  /**
+   * State spread over the files of versions 1 and 2, or null if there are none
+   */
+  async readLegacy() {
+    const [channels, states, commitments, meta] = await Promise.all(
+      LEGACY_FILES.map(name => this.readFile(path.join(this.dataDir, `${name}.json`)))
+    );
+    if (!channels && !states && !commitments) return null;
+
+    // Data written before meta.json existed is version 1
+    return {
+      version: meta?.version ?? 1,
+      channels: channels ?? [],
+      states: states ?? {},
+      commitments: commitments ?? {}
+    };
+  }
+
+  async fileExists(filePath) {
+    return fs.access(filePath).then(() => true).catch(() => false);
+  }
+
+  /**
+   * Parse a JSON file strictly; null if it does not exist
+   */
+  async readFile(filePath) {
+    let data;
+    try {
+      data = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
     try {
-      await fs.mkdir(this.dataDir, { recursive: true });
+      return JSON.parse(data);
     } catch (error) {
-      // Directory might already exist
+      throw new Error(`State file ${filePath} is corrupted (${error.message}); restore it from a backup before using this data directory`);
     }
+  }
 
-    // Initialize files if they don't exist
-    await this.initializeFile(this.channelsFile, []);
-    await this.initializeFile(this.statesFile, {});
-    await this.initializeFile(this.commitmentsFile, {});
+  /**
+   * state.json as stored, or null before the first start
+   */
+  async load() {
+    const state = await this.readFile(this.stateFile);
+    if (!state) return null;
 
-    this.initialized = true;
+    if (!Number.isInteger(state.version) || !Array.isArray(state.channels) || !isRecord(state.states) || !isRecord(state.commitments)) {
+      throw new Error(`State file ${this.stateFile} is corrupted (unexpected structure); restore it from a backup before using this data directory`);
+    }
+    if (state.version > STATE_VERSION) {
+      throw new Error(`State file ${this.stateFile} is at version ${state.version}, written by a newer channel-cli (this one reads version ${STATE_VERSION})`);
+    }
+    return state;
   }
 
-  async initializeFile(filePath, defaultContent) {
+  /**
+   * Write state to a temporary file, fsync it and rename it over state.json
+   */
+  async save(state) {
+    const tmpPath = `${this.stateFile}.${process.pid}.tmp`;
+    const handle = await fs.open(tmpPath, 'w', 0o600);
     try {
-      await fs.access(filePath);
+      await handle.writeFile(JSON.stringify(state, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await fs.rename(tmpPath, this.stateFile);
+
+    // Persist the rename too; not every platform can fsync a directory
+    let dir;
+    try {
+      dir = await fs.open(this.dataDir, 'r');
+      await dir.sync();
     } catch {
-      await fs.writeFile(filePath, JSON.stringify(defaultContent, null, 2));
+      // Best effort
+    } finally {
+      await dir?.close();
     }
   }
 
   /**
-   * Save a new channel
+   * Current state, read from disk so changes by other processes are seen.
+   * Secret fields are opened unless secrets is false.
    */
-  async saveChannel(channelAddress, partnerAddress, funded = false) {
+  async read({ secrets = true } = {}) {
     await this.init();
-    const channels = await this.loadJSON(this.channelsFile);
-
-    const channel = {
-      address: channelAddress,
-      partner: partnerAddress,
-      createdAt: Date.now(),
-      status: funded ? 'FUNDING' : 'PRE_FUNDING',
-      funded: funded
-    };
+    const state = await this.load();
+    if (!state) {
+      throw new Error(`State file ${this.stateFile} is missing`);
+    }
+    if (state.version !== STATE_VERSION) {
+      throw new Error(`State file ${this.stateFile} is at version ${state.version}; restart to migrate it`);
+    }
+    if (secrets) {
+      await this.openSecrets(state);
+    }
+    return state;
+  }
 
-    // Check if channel already exists
-    const existingIndex = channels.findIndex(c => c.address === channelAddress);
-    if (existingIndex >= 0) {
-      channels[existingIndex] = channel;
-    } else {
-      channels.push(channel);
+  /**
+   * Key sealing the state's secrets. The first secret written sets up
+   * state.encryption with fresh parameters.
+   */
+  async stateKey(state) {
+    if (!state.encryption) {
+      const params = newKeyParams();
+      const key = await this.keys.stateKey(params);
+      state.encryption = { ...params, check: seal(key, KEY_CHECK) };
+      this.key = { salt: params.salt, key };
     }
 
-    await this.saveJSON(this.channelsFile, channels);
+    if (this.key?.salt !== state.encryption.salt) {
+      const key = await this.keys.stateKey(state.encryption);
+      let check;
+      try {
+        check = open(key, state.encryption.check);
+      } catch {
+        // Reported below
+      }
+      if (check !== KEY_CHECK) {
+        throw new Error(`This key cannot decrypt the secrets in ${this.stateFile}: use the profile and passphrase that encrypted them`);
+      }
+      this.key = { salt: state.encryption.salt, key };
+    }
+    return this.key.key;
+  }
 
-    // Initialize state for the channel
-    const states = await this.loadJSON(this.statesFile);
-    states[channelAddress] = {
-      nonce: 0,
-      balanceA: '0',
-      balanceB: '0',
-      commitments: [],
-      funded: funded
-    };
-    await this.saveJSON(this.statesFile, states);
+  async openSecrets(state) {
+    const sealed = [];
+    eachSecret(state, (commitment, field) => {
+      if (isSealed(commitment[field])) sealed.push([commitment, field]);
+    });
+    if (sealed.length === 0) return;
+
+    if (!state.encryption) {
+      throw new Error(`State file ${this.stateFile} is corrupted (encrypted fields without state.encryption)`);
+    }
+    const key = await this.stateKey(state);
+    for (const [commitment, field] of sealed) {
+      commitment[field] = open(key, commitment[field]);
+    }
+  }
+
+  async sealSecrets(state) {
+    const plaintext = [];
+    eachSecret(state, (commitment, field) => {
+      if (!isSealed(commitment[field])) plaintext.push([commitment, field]);
+    });
+    if (plaintext.length === 0) return;
+
+    const key = await this.stateKey(state);
+    for (const [commitment, field] of plaintext) {
+      commitment[field] = seal(key, commitment[field]);
+    }
+  }
+
+  /**
+   * Parameters of the state key, set up now if no secret was written yet
+   */
+  async encryptionParams() {
+    return this.transaction(async state => {
+      await this.stateKey(state);
+      const { check, ...params } = state.encryption;
+      return params;
+    });
+  }
+
+  /**
+   * Seal every secret again under a new key: deriveKey(params) => 32-byte key
+   * for fresh parameters (e.g. from a new passphrase)
+   */
+  async rekey(deriveKey) {
+    await this.transaction(async state => {
+      const params = newKeyParams();
+      const key = await deriveKey(params);
+      state.encryption = { ...params, check: seal(key, KEY_CHECK) };
+      this.key = { salt: params.salt, key };
+    });
+  }
+
+  /**
+   * Apply fn to the current state and persist the result atomically. fn may
+   * change the state in place; its return value is passed through.
+   */
+  transaction(fn) {
+    const run = this.queue.then(async () => {
+      await this.init();
+      return withFileLock(this.lockFile, async () => {
+        const state = await this.read();
+        const result = await fn(state);
+
+        // Seal a copy: fn may have stored objects the caller still holds
+        const stored = structuredClone(state);
+        await this.sealSecrets(stored);
+        await this.save(stored);
+        return result;
+      });
+    });
+
+    // Keep the queue alive after a failed transaction
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Save a new channel
+   */
+  async saveChannel(channelAddress, partnerAddress, funded = false) {
+    await this.transaction(state => {
+      const channel = {
+        address: channelAddress,
+        partner: partnerAddress,
+        createdAt: Date.now(),
+        status: funded ? 'FUNDING' : 'PRE_FUNDING',
+        funded: funded
+      };
+
+      // Check if channel already exists
+      const existingIndex = state.channels.findIndex(c => c.address === channelAddress);
+      if (existingIndex >= 0) {
+        state.channels[existingIndex] = channel;
+      } else {
+        state.channels.push(channel);
+      }
+
+      // Initialize state for the channel
+      state.states[channelAddress] = {
+        nonce: 0,
+        balanceA: '0',
+        balanceB: '0',
+        commitments: [],
+        funded: funded
+      };
+    });
   }
 
   /**
    * Mark channel as funded
    */
   async markChannelFunded(channelAddress) {
-    await this.init();
+    await this.transaction(state => {
+      const channel = state.channels.find(c => c.address === channelAddress);
+      if (channel) {
+        channel.status = 'FUNDING';
+        channel.funded = true;
+        channel.fundedAt = Date.now();
+      }
+
+      if (state.states[channelAddress]) {
+        state.states[channelAddress].funded = true;
+      }
+    });
+  }
 
-    // Update channel status
-    const channels = await this.loadJSON(this.channelsFile);
-    const channelIndex = channels.findIndex(c => c.address === channelAddress);
-    if (channelIndex >= 0) {
-      channels[channelIndex].status = 'FUNDING';
-      channels[channelIndex].funded = true;
-      channels[channelIndex].fundedAt = Date.now();
-      await this.saveJSON(this.channelsFile, channels);
-    }
+  /**
+   * Record that our deposit was withdrawn from a channel that never opened
+   */
+  async markDepositReclaimed(channelAddress, closed) {
+    await this.transaction(state => {
+      const channel = state.channels.find(c => c.address === channelAddress);
+      if (channel) {
+        channel.status = closed ? 'CLOSED' : 'RECLAIMED';
+        channel.reclaimedAt = Date.now();
+      }
+
+      if (state.states[channelAddress]) {
+        state.states[channelAddress].funded = false;
+      }
+    });
+  }
 
-    // Update state
-    const states = await this.loadJSON(this.statesFile);
-    if (states[channelAddress]) {
-      states[channelAddress].funded = true;
-      await this.saveJSON(this.statesFile, states);
-    }
+  /**
+   * Store what ChannelManager.reconcileChannel found on-chain: the channel
+   * record's status and on-chain fields, the state's balances, and any new
+   * discrepancies (each is kept once, by kind and transaction)
+   */
+  async recordSync(channelAddress, sync) {
+    return this.transaction(state => {
+      const channel = state.channels.find(c => c.address === channelAddress);
+      if (!channel) {
+        throw new Error(`No local record of channel ${channelAddress}`);
+      }
+
+      const known = new Set((channel.discrepancies ?? []).map(d => `${d.kind}:${d.txHash}`));
+      const added = sync.discrepancies.filter(d => !known.has(`${d.kind}:${d.txHash}`));
+
+      Object.assign(channel, {
+        status: sync.status,
+        totalBalance: sync.totalBalance,
+        deposits: sync.deposits,
+        dispute: sync.dispute,
+        settlement: sync.settlement,
+        penalty: sync.penalty,
+        discrepancies: [...(channel.discrepancies ?? []), ...added],
+        syncedBlock: sync.syncedBlock,
+        syncedAt: Date.now()
+      });
+
+      if (state.states[channelAddress]) {
+        state.states[channelAddress].balanceA = sync.balanceA;
+        state.states[channelAddress].balanceB = sync.balanceB;
+      }
+      return added;
+    });
   }
 
   /**
    * Get all channels
    */
   async getAllChannels() {
-    await this.init();
-    return await this.loadJSON(this.channelsFile);
+    return (await this.read({ secrets: false })).channels;
   }
 
   /**
-   * Get channel state
+   * Get channel state (balances as wei strings)
    */
   async getChannelState(channelAddress) {
-    await this.init();
-    const states = await this.loadJSON(this.statesFile);
-    return states[channelAddress] || null;
+    return (await this.read({ secrets: false })).states[channelAddress] || null;
   }
 
   /**
    * Update channel state
    */
   async updateChannelState(channelAddress, newState) {
-    await this.init();
-    const states = await this.loadJSON(this.statesFile);
-    states[channelAddress] = {
-      ...states[channelAddress],
-      ...newState
-    };
-    await this.saveJSON(this.statesFile, states);
+    await this.transaction(state => {
+      state.states[channelAddress] = {
+        ...state.states[channelAddress],
+        ...newState
+      };
+    });
   }
 
   /**
    * Save a commitment (updates existing if same nonce, otherwise adds new)
+   * and move the channel state to its balances
    */
   async saveCommitment(channelAddress, commitment) {
-    await this.init();
-    const commitments = await this.loadJSON(this.commitmentsFile);
-
-    if (!commitments[channelAddress]) {
-      commitments[channelAddress] = [];
-    }
-
-    // Check if commitment with same nonce exists
-    const existingIndex = commitments[channelAddress].findIndex(
-      c => c.nonce === commitment.nonce.toString()
-    );
-
-    if (existingIndex >= 0) {
-      // Update existing commitment
-      commitments[channelAddress][existingIndex] = {
-        ...commitments[channelAddress][existingIndex],
-        ...commitment
+    await this.transaction(state => {
+      const channelCommitments = state.commitments[channelAddress] ??= [];
+
+      // Check if commitment with same nonce exists
+      const existingIndex = channelCommitments.findIndex(c => c.nonce === commitment.nonce.toString());
+      if (existingIndex >= 0) {
+        channelCommitments[existingIndex] = {
+          ...channelCommitments[existingIndex],
+          ...commitment
+        };
+      } else {
+        channelCommitments.push(commitment);
+      }
+
+      // Update channel state with latest balances
+      state.states[channelAddress] = {
+        ...state.states[channelAddress],
+        nonce: parseInt(commitment.nonce),
+        balanceA: commitment.balanceA,
+        balanceB: commitment.balanceB
       };
-    } else {
-      // Add new commitment
-      commitments[channelAddress].push(commitment);
-    }
-
-    await this.saveJSON(this.commitmentsFile, commitments);
-
-    // Update channel state with latest balances
-    await this.updateChannelState(channelAddress, {
-      nonce: parseInt(commitment.nonce),
-      balanceA: commitment.balanceA,
-      balanceB: commitment.balanceB
     });
   }
 
@@ -173,10 +596,7 @@ export class StateManager {
    * Get a specific commitment
    */
   async getCommitment(channelAddress, nonce) {
-    await this.init();
-    const commitments = await this.loadJSON(this.commitmentsFile);
-    const channelCommitments = commitments[channelAddress] || [];
-
+    const channelCommitments = (await this.read()).commitments[channelAddress] || [];
     return channelCommitments.find(c => c.nonce === nonce.toString());
   }
 
@@ -184,68 +604,164 @@ export class StateManager {
    * Get all commitments for a channel
    */
   async getCommitments(channelAddress) {
-    await this.init();
-    const commitments = await this.loadJSON(this.commitmentsFile);
-    return commitments[channelAddress] || [];
+    return (await this.read()).commitments[channelAddress] || [];
+  }
+
+  /**
+   * Change one stored commitment inside a transaction; a missing one is skipped
+   */
+  async updateCommitment(channelAddress, nonce, update) {
+    await this.transaction(state => {
+      const commitment = (state.commitments[channelAddress] || []).find(c => c.nonce === nonce.toString());
+      if (commitment) {
+        update(commitment);
+      }
+    });
   }
 
   /**
    * Mark a commitment as revoked
    */
   async markCommitmentRevoked(channelAddress, nonce, revocationSecret) {
-    await this.init();
-    const commitments = await this.loadJSON(this.commitmentsFile);
-    const channelCommitments = commitments[channelAddress] || [];
-
-    const commitment = channelCommitments.find(c => c.nonce === nonce.toString());
-    if (commitment) {
+    await this.updateCommitment(channelAddress, nonce, commitment => {
       commitment.revoked = true;
       commitment.revocationSecret = revocationSecret;
       commitment.revokedAt = Date.now();
-    }
+    });
+  }
 
-    commitments[channelAddress] = channelCommitments;
-    await this.saveJSON(this.commitmentsFile, commitments);
+  /**
+   * Record that we revealed our own revocation secret for a commitment
+   */
+  async markSecretRevealed(channelAddress, nonce) {
+    await this.updateCommitment(channelAddress, nonce, commitment => {
+      commitment.secretRevealed = true;
+      commitment.secretRevealedAt = Date.now();
+    });
+  }
+
+  /**
+   * Record that a splice was executed on-chain. Commitments below its nonce
+   * can no longer be used in a dispute.
+   */
+  async recordSplice(channelAddress, nonce, txHash) {
+    await this.transaction(state => {
+      const commitment = (state.commitments[channelAddress] || []).find(c => c.nonce === nonce.toString());
+      if (commitment?.splice) {
+        commitment.splice.txHash = txHash;
+        commitment.splice.executedAt = Date.now();
+      }
+
+      state.states[channelAddress] = {
+        ...state.states[channelAddress],
+        spliceNonce: parseInt(nonce)
+      };
+    });
+  }
+
+  /**
+   * Get the newest commitment carrying both parties' signatures
+   */
+  async getLatestSignedCommitment(channelAddress) {
+    const commitments = await this.getCommitments(channelAddress);
+
+    return commitments
+      .filter(c => c.signatureA && c.signatureB)
+      .reduce((latest, c) => (!latest || parseInt(c.nonce) > parseInt(latest.nonce) ? c : latest), null);
+  }
+
+  /**
+   * Get the counterparty's revealed revocation secret for a commitment, if we received it
+   */
+  async getCounterpartyRevocationSecret(channelAddress, nonce) {
+    const commitment = await this.getCommitment(channelAddress, nonce);
+    return commitment?.revoked ? commitment.revocationSecret : null;
   }
 
   /**
    * Get revoked commitments for a channel
    */
   async getRevokedCommitments(channelAddress) {
-    await this.init();
-    const commitments = await this.loadJSON(this.commitmentsFile);
-    const channelCommitments = commitments[channelAddress] || [];
-
-    return channelCommitments.filter(c => c.revoked);
+    const commitments = await this.getCommitments(channelAddress);
+    return commitments.filter(c => c.revoked);
   }
 
   /**
-   * Load JSON from file
+   * Channel records, states and commitments (secrets opened) of the given
+   * channels, or of every channel, for a backup bundle
    */
-  async loadJSON(filePath) {
-    try {
-      const data = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error(`Error loading ${filePath}:`, error);
-      return filePath.endsWith('.json') && filePath.includes('channels') ? [] : {};
-    }
+  async exportChannels(channelAddresses = null) {
+    const state = await this.read();
+    const known = [...new Set([...state.channels.map(c => c.address), ...Object.keys(state.states), ...Object.keys(state.commitments)])];
+
+    return (channelAddresses ?? known).map(requested => {
+      const address = known.find(a => a.toLowerCase() === requested.toLowerCase());
+      if (!address) {
+        throw new Error(`No local state for channel ${requested}`);
+      }
+      return {
+        address,
+        channel: state.channels.find(c => c.address === address) ?? null,
+        state: state.states[address] ?? null,
+        commitments: state.commitments[address] ?? []
+      };
+    });
   }
 
   /**
-   * Save JSON to file
+   * Store channels from a backup bundle, all or none. A channel whose stored
+   * commitments are newer than the bundle's is refused. Commitments are
+   * merged by nonce (the bundle's fields win, fields only we have are kept),
+   * so re-importing a bundle changes nothing.
    */
-  async saveJSON(filePath, data) {
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  async importChannels(entries) {
+    return this.transaction(state => {
+      const keyOf = address => [...state.channels.map(c => c.address), ...Object.keys(state.states), ...Object.keys(state.commitments)]
+        .find(a => a.toLowerCase() === address.toLowerCase()) ?? address;
+
+      for (const entry of entries) {
+        const stored = latestSignedNonce(state.commitments[keyOf(entry.address)]);
+        const bundled = latestSignedNonce(entry.commitments);
+        if (stored > bundled) {
+          throw new Error(`Channel ${entry.address}: stored state is at nonce ${stored}, the bundle only at ${bundled}; refusing to import older state`);
+        }
+      }
+
+      return entries.map(entry => {
+        const address = keyOf(entry.address);
+
+        const commitments = new Map((state.commitments[address] ?? []).map(c => [c.nonce, c]));
+        let added = 0;
+        for (const commitment of entry.commitments ?? []) {
+          if (!commitments.has(commitment.nonce)) added++;
+          commitments.set(commitment.nonce, { ...commitments.get(commitment.nonce), ...commitment });
+        }
+        state.commitments[address] = [...commitments.values()].sort((a, b) => parseInt(a.nonce) - parseInt(b.nonce));
+
+        if (entry.channel) {
+          const index = state.channels.findIndex(c => c.address === address);
+          const channel = { ...state.channels[index], ...entry.channel, address };
+          if (index >= 0) state.channels[index] = channel;
+          else state.channels.push(channel);
+        }
+
+        // Keep a local state that already moved past the bundle's (e.g. a pending proposal)
+        const local = state.states[address];
+        if (entry.state && !(local && local.nonce > entry.state.nonce)) {
+          state.states[address] = { ...local, ...entry.state };
+        }
+
+        return { address, added, latestNonce: latestSignedNonce(state.commitments[address]) };
+      });
+    });
   }
 
   /**
    * Clear all data (for testing)
    */
   async clearAll() {
-    await this.init();
-    await this.saveJSON(this.channelsFile, []);
-    await this.saveJSON(this.statesFile, {});
-    await this.saveJSON(this.commitmentsFile, {});
+    await this.transaction(state => {
+      Object.assign(state, emptyState());
+    });
   }
 }
\ No newline at end of file
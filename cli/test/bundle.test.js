@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { createBundle, openBundle, verifyChannelEntry } from '../lib/bundle.js';
+import { channelDomain, hashCommitment } from '../lib/commitment.js';
+import { PaymentManager } from '../lib/payment-manager.js';
+import { StateManager, latestSignedNonce } from '../lib/state-manager.js';
+
+const partyA = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const partyB = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const channelAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const chainId = 31337n;
+
+function signedCommitment(nonce, balanceA, balanceB) {
+  const revocationSecretA = ethers.keccak256(ethers.toUtf8Bytes(`a-${nonce}`));
+  const revocationHashA = ethers.keccak256(revocationSecretA);
+  const revocationHashB = ethers.keccak256(ethers.keccak256(ethers.toUtf8Bytes(`b-${nonce}`)));
+  const digest = hashCommitment(channelDomain(channelAddress, chainId), nonce, BigInt(balanceA), BigInt(balanceB), revocationHashA, revocationHashB);
+
+  return {
+    nonce: nonce.toString(),
+    balanceA,
+    balanceB,
+    revocationHashA,
+    revocationHashB,
+    revocationSecret: revocationSecretA,
+    signatureA: partyA.signingKey.sign(digest).serialized,
+    signatureB: partyB.signingKey.sign(digest).serialized
+  };
+}
+
+function entry(commitments) {
+  return { address: channelAddress, channel: { address: channelAddress, partner: partyB.address }, state: null, commitments };
+}
+
+// Chain views of the channel for verifyChannelEntry
+function managers(latestNonce = 0) {
+  const paymentManager = new PaymentManager();
+  paymentManager.chainId = chainId;
+  const channelManager = {
+    assertFactoryChannel: async () => {},
+    getRole: async () => ({ side: 'A', counterparty: partyB.address }),
+    getChannelInfo: async () => ({ partyA: partyA.address, partyB: partyB.address, state: 'OPEN', latestNonce: latestNonce.toString() })
+  };
+  return { channelManager, paymentManager };
+}
+
+async function stateManagerFor() {
+  process.env.DATA_PATH = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  return new StateManager({ getAsset: async () => ({ decimals: 18 }), keys: { stateKey: async () => Buffer.alloc(32, 1) } });
+}
+
+test('a bundle opens to what was exported and names its signer', async () => {
+  const channels = [entry([signedCommitment(1, '900', '100')])];
+  const bundle = await createBundle({ signer: partyA, kind: 'channel', chainId, channels });
+
+  const content = await openBundle(JSON.parse(JSON.stringify(bundle)));
+  assert.equal(content.signer, partyA.address);
+  assert.equal(content.chainId, '31337');
+  assert.deepEqual(content.channels, channels);
+});
+
+test('a changed bundle no longer carries its signer\'s signature', async () => {
+  const bundle = await createBundle({ signer: partyA, kind: 'channel', chainId, channels: [entry([signedCommitment(1, '900', '100')])] });
+  bundle.content = bundle.content.replace('"900"', '"999"');
+
+  const content = await openBundle(bundle);
+  assert.notEqual(content.signer, partyA.address);
+});
+
+test('an encrypted bundle needs its passphrase', async () => {
+  const bundle = await createBundle({ signer: partyA, kind: 'profile', chainId, channels: [], keystore: '{}', passphrase: 'backup' });
+  assert.ok(!bundle.content.includes('keystore'));
+
+  await assert.rejects(openBundle(bundle), /passphrase is required/);
+  await assert.rejects(openBundle(bundle, { passphrase: 'wrong' }), /Wrong passphrase/);
+  assert.equal((await openBundle(bundle, { passphrase: 'backup' })).signer, partyA.address);
+});
+
+test('unknown formats and versions are refused', async () => {
+  const bundle = await createBundle({ signer: partyA, kind: 'channel', chainId, channels: [] });
+  await assert.rejects(openBundle({ ...bundle, format: 'other' }), /Not a channel-cli bundle/);
+  await assert.rejects(openBundle({ ...bundle, version: 2 }), /Unsupported bundle version 2/);
+});
+
+test('channel entries are checked against the chain', async () => {
+  const commitments = [signedCommitment(1, '900', '100'), signedCommitment(2, '800', '200')];
+  const result = await verifyChannelEntry(managers(1), '31337', entry(commitments));
+  assert.deepEqual(result, { address: channelAddress, state: 'OPEN', latestNonce: 2 });
+
+  await assert.rejects(verifyChannelEntry(managers(), '1', entry(commitments)), /bundle is from chain 1/);
+  await assert.rejects(verifyChannelEntry(managers(3), '31337', entry(commitments)), /contract is at nonce 3, the bundle only at 2/);
+
+  const forged = { ...commitments[1], signatureB: commitments[1].signatureA };
+  await assert.rejects(verifyChannelEntry(managers(), '31337', entry([forged])), /signature B on commitment #2 is not from party B/);
+});
+
+test('imports merge by nonce and never go back to older state', async () => {
+  const stateManager = await stateManagerFor();
+  const [first, second] = [signedCommitment(1, '900', '100'), signedCommitment(2, '800', '200')];
+
+  const [summary] = await stateManager.importChannels([entry([first, second])]);
+  assert.deepEqual(summary, { address: channelAddress, added: 2, latestNonce: 2 });
+  assert.equal((await stateManager.getAllChannels()).length, 1);
+
+  // Re-importing adds nothing; secrets survive the round trip through encryption
+  assert.equal((await stateManager.importChannels([entry([first, second])]))[0].added, 0);
+  const [exported] = await stateManager.exportChannels([channelAddress.toLowerCase()]);
+  assert.equal(exported.commitments[1].revocationSecret, second.revocationSecret);
+
+  await assert.rejects(stateManager.importChannels([entry([first])]), /refusing to import older state/);
+  assert.equal(latestSignedNonce(await stateManager.getCommitments(channelAddress)), 2);
+  await assert.rejects(stateManager.exportChannels(['0x0000000000000000000000000000000000000001']), /No local state/);
+});
\ No newline at end of file
@@ -0,0 +1,223 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+  COMMITMENT_TYPES,
+  channelDomain,
+  hashClose,
+  hashCommitment,
+  hashSplice,
+  spliceMessage,
+  recoverCommitmentSigner,
+  toDisputeArgs
+} from '../lib/commitment.js';
+import { PaymentManager, validatePayment } from '../lib/payment-manager.js';
+import { ETH_ASSET, parseWei } from '../lib/asset.js';
+
+// Anvil accounts used by app/server/client.js (PartyA) and app/server/server.js (PartyB)
+const partyA = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const partyB = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const channelAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const chainId = 31337n;
+const domain = channelDomain(channelAddress, chainId);
+
+// Sign a video purchase the way useContent.purchaseVideo and /submit-video-payment do
+async function signPurchase(nonce, partyABalance, partyBBalance) {
+  const revocationSecretA = ethers.keccak256(ethers.toUtf8Bytes(`a-${nonce}`));
+  const revocationSecretB = ethers.keccak256(ethers.toUtf8Bytes(`b-${nonce}`));
+  const revocationHashA = ethers.keccak256(revocationSecretA);
+  const revocationHashB = ethers.keccak256(revocationSecretB);
+
+  const message = {
+    nonce,
+    balanceA: ethers.parseEther(partyABalance),
+    balanceB: ethers.parseEther(partyBBalance),
+    revocationHashA,
+    revocationHashB
+  };
+
+  return {
+    nonce: nonce.toString(),
+    balanceA: message.balanceA.toString(),
+    balanceB: message.balanceB.toString(),
+    hash: ethers.TypedDataEncoder.hash(domain, COMMITMENT_TYPES, message),
+    revocationSecretA,
+    revocationHashA,
+    revocationHashB,
+    signatureA: await partyA.signTypedData(domain, COMMITMENT_TYPES, message),
+    signatureB: await partyB.signTypedData(domain, COMMITMENT_TYPES, message)
+  };
+}
+
+// Mirror of BidirectionalChannel._verifyCommitment
+function verifyOnChain(verifyingDomain, args) {
+  const [nonce, balanceA, balanceB, revocationHashA, revocationHashB, signatureA, signatureB] = args;
+  const hash = hashCommitment(verifyingDomain, nonce, balanceA, balanceB, revocationHashA, revocationHashB);
+  return {
+    signerA: recoverCommitmentSigner(hash, signatureA),
+    signerB: recoverCommitmentSigner(hash, signatureB)
+  };
+}
+
+test('typed-data digests match the vectors asserted in the contract tests', () => {
+  const vectorDomain = channelDomain('0x00000000000000000000000000000000000000C4', 31337);
+
+  const commitmentHash = hashCommitment(
+    vectorDomain,
+    1,
+    ethers.parseEther('0.95'),
+    ethers.parseEther('0.05'),
+    ethers.id('a'),
+    ethers.id('b')
+  );
+  const closeHash = hashClose(vectorDomain, ethers.parseEther('0.95'), ethers.parseEther('0.05'));
+
+  assert.equal(commitmentHash, '0x6492b4ca5f699003ce32ce1743e898e3ef6e37756aedda074e3a8b6dfc4b3677');
+  assert.equal(closeHash, '0x4ebc3f386ee06cd2c9b50aaf1011a07d51e96d39d1ccf33c57587761a608f480');
+
+  const spliceHash = hashSplice(vectorDomain, {
+    nonce: 1,
+    balanceA: ethers.parseEther('1.45'),
+    balanceB: ethers.parseEther('0.05'),
+    depositA: ethers.parseEther('0.5'),
+    deadline: 1700000000n
+  });
+  assert.equal(spliceHash, '0xb33ad76002fa2de99071a7e996a1522cdd9eb3f53e0339db5d3b49ddbaa2924f');
+});
+
+test('web-signed purchase commitment hashes identically in the CLI', async () => {
+  const purchase = await signPurchase(1, '0.95', '0.05');
+
+  assert.equal(
+    hashCommitment(domain, 1, parseWei(purchase.balanceA), parseWei(purchase.balanceB), purchase.revocationHashA, purchase.revocationHashB),
+    purchase.hash
+  );
+});
+
+test('web-signed purchase commitment produces valid dispute arguments', async () => {
+  const purchase = await signPurchase(2, '0.9', '0.1');
+  const args = toDisputeArgs(purchase);
+
+  assert.equal(args[0], 2n);
+  assert.equal(args[1], ethers.parseEther('0.9'));
+  assert.equal(args[2], ethers.parseEther('0.1'));
+
+  const { signerA, signerB } = verifyOnChain(domain, args);
+  assert.equal(signerA, partyA.address);
+  assert.equal(signerB, partyB.address);
+});
+
+test('commitment signatures do not verify on another chain', async () => {
+  const purchase = await signPurchase(2, '0.9', '0.1');
+
+  const { signerA, signerB } = verifyOnChain(channelDomain(channelAddress, 1n), toDisputeArgs(purchase));
+  assert.notEqual(signerA, partyA.address);
+  assert.notEqual(signerB, partyB.address);
+});
+
+test('revealed secret opens the revocation hash used for a breach proof', async () => {
+  const purchase = await signPurchase(3, '0.85', '0.15');
+
+  assert.equal(ethers.keccak256(purchase.revocationSecretA), purchase.revocationHashA);
+});
+
+test('PaymentManager.verifyCommitment accepts web-signed commitments', async () => {
+  const purchase = await signPurchase(4, '0.8', '0.2');
+  const paymentManager = new PaymentManager();
+  paymentManager.chainId = chainId;
+  paymentManager.assets.set(channelAddress.toLowerCase(), ETH_ASSET);
+
+  const args = [channelAddress, 4, purchase.balanceA, purchase.balanceB, purchase.revocationHashA, purchase.revocationHashB];
+  assert.equal(await paymentManager.verifyCommitment(...args, purchase.signatureA, partyA.address), true);
+  assert.equal(await paymentManager.verifyCommitment(...args, purchase.signatureB, partyB.address), true);
+
+  // A personal_sign signature over the same digest (the old format) no longer verifies
+  const legacySignature = await partyA.signMessage(ethers.getBytes(purchase.hash));
+  assert.equal(await paymentManager.verifyCommitment(...args, legacySignature, partyA.address), false);
+});
+
+test('toDisputeArgs refuses a commitment missing a signature', () => {
+  assert.throws(
+    () => toDisputeArgs({ nonce: '1', balanceA: '1000000000000000000', balanceB: '0', signatureA: '0x' }),
+    /missing a party signature/
+  );
+});
+
+test('amounts are exchanged as integer wei strings', () => {
+  assert.equal(parseWei('950000000000000000'), ethers.parseEther('0.95'));
+  assert.equal(parseWei(undefined), 0n);
+
+  // Decimal amounts from before the wei format are rejected, not rounded
+  assert.throws(() => parseWei('0.95', 'balanceA'), /Invalid balanceA "0.95"/);
+  assert.throws(() => toDisputeArgs({
+    nonce: '1',
+    balanceA: '0.95',
+    balanceB: '0.05',
+    signatureA: '0x01',
+    signatureB: '0x02'
+  }), /expected an integer amount in wei/);
+
+  assert.deepEqual(spliceMessage({ nonce: '2', balanceA: '1450000', balanceB: '50000', depositA: '500000', deadline: 1700000000 }), {
+    nonce: 2n,
+    balanceA: 1_450_000n,
+    balanceB: 50_000n,
+    depositA: 500_000n,
+    depositB: 0n,
+    withdrawA: 0n,
+    withdrawB: 0n,
+    deadline: 1_700_000_000n
+  });
+});
+
+test('payments that drift in floating point stay exact in wei', async () => {
+  const paymentManager = new PaymentManager();
+  paymentManager.signer = partyA;
+  paymentManager.initialized = true;
+
+  // 0.1 + 0.2 is 0.30000000000000004 as a float
+  const deposit = ethers.parseEther('1').toString();
+  const first = await paymentManager.createCommitment(channelAddress, 1, ethers.parseEther('0.1'), deposit, '0');
+  const second = await paymentManager.createCommitment(channelAddress, 2, ethers.parseEther('0.2'), first.balanceA, first.balanceB);
+
+  assert.equal(second.balanceA, ethers.parseEther('0.7').toString());
+  assert.equal(second.balanceB, ethers.parseEther('0.3').toString());
+  assert.equal(BigInt(second.balanceA) + BigInt(second.balanceB), BigInt(deposit));
+
+  await assert.rejects(
+    paymentManager.createCommitment(channelAddress, 3, 0n, second.balanceA, second.balanceB),
+    /must be positive/
+  );
+});
+
+test('party B can pay back through the channel', async () => {
+  const paymentManager = new PaymentManager();
+  paymentManager.signer = partyB;
+  paymentManager.initialized = true;
+  paymentManager.assets.set(channelAddress.toLowerCase(), ETH_ASSET);
+
+  const previous = { nonce: 4, balanceA: ethers.parseEther('0.6').toString(), balanceB: ethers.parseEther('0.4').toString() };
+  const payment = await paymentManager.createCommitment(channelAddress, 5, ethers.parseEther('0.25'), previous.balanceA, previous.balanceB, 'B');
+
+  assert.equal(payment.payer, 'B');
+  assert.equal(payment.balanceA, ethers.parseEther('0.85').toString());
+  assert.equal(payment.balanceB, ethers.parseEther('0.15').toString());
+  assert.equal(payment.revocationHashB, payment.revocationHash);
+  assert.equal(payment.revocationHashA, undefined);
+  assert.equal(validatePayment(previous, payment, 'B'), ethers.parseEther('0.25'));
+
+  await assert.rejects(
+    paymentManager.createCommitment(channelAddress, 5, ethers.parseEther('0.5'), previous.balanceA, previous.balanceB, 'B'),
+    /Insufficient balance for payment. Current balance B: 0.4 ETH/
+  );
+});
+
+test('validatePayment rejects commitments that move funds the wrong way', () => {
+  const previous = { nonce: 1, balanceA: '700', balanceB: '300' };
+
+  assert.equal(validatePayment(previous, { nonce: '2', balanceA: '600', balanceB: '400' }, 'A'), 100n);
+  assert.throws(() => validatePayment(previous, { nonce: '2', balanceA: '600', balanceB: '400' }, 'B'), /does not move funds from party B to party A/);
+  assert.throws(() => validatePayment(previous, { nonce: '2', balanceA: '700', balanceB: '300' }, 'A'), /does not move funds/);
+  assert.throws(() => validatePayment(previous, { nonce: '2', balanceA: '600', balanceB: '500' }, 'A'), /changes the channel total/);
+  assert.throws(() => validatePayment(previous, { nonce: '3', balanceA: '600', balanceB: '400' }, 'A'), /does not follow the last known nonce 1/);
+  assert.throws(() => validatePayment(previous, { nonce: '2', balanceA: '0.6', balanceB: '400' }, 'A'), /expected an integer amount in wei/);
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { KeyStore } from '../lib/keystore.js';
+import { deriveKey, newKeyParams } from '../lib/secret-box.js';
+import { PaymentManager } from '../lib/payment-manager.js';
+
+const partyAKey = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const partyAAddress = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+// Cheap scrypt so the tests don't spend seconds per keystore
+const scrypt = { N: 1 << 10 };
+
+async function keystoreDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'channel-keys-'));
+}
+
+async function passphraseFile(dir, passphrase) {
+  const file = path.join(dir, `passphrase-${passphrase}.txt`);
+  await fs.writeFile(file, `${passphrase}\n`);
+  return file;
+}
+
+test('an imported key unlocks with its passphrase only', async () => {
+  const dir = await keystoreDir();
+  const keys = new KeyStore({ dir, profile: 'alice', passphraseFile: await passphraseFile(dir, 'correct'), scrypt });
+  assert.equal(await keys.importPrivateKey(partyAKey.slice(2)), partyAAddress);
+
+  const stored = await fs.readFile(keys.pathOf(), 'utf8');
+  assert.ok(ethers.isKeystoreJson(stored));
+  assert.ok(!stored.includes(partyAKey.slice(2)));
+  assert.equal((await fs.stat(keys.pathOf())).mode & 0o777, 0o600);
+
+  const unlocked = new KeyStore({ dir, profile: 'alice', passphraseFile: await passphraseFile(dir, 'correct') });
+  assert.equal((await unlocked.unlock()).privateKey, partyAKey);
+
+  const wrong = new KeyStore({ dir, profile: 'alice', passphraseFile: await passphraseFile(dir, 'wrong') });
+  await assert.rejects(wrong.unlock(), /Wrong passphrase for profile "alice"/);
+});
+
+test('profiles are listed without decrypting and never overwritten', async () => {
+  const dir = await keystoreDir();
+  const file = await passphraseFile(dir, 'secret');
+  const alice = new KeyStore({ dir, profile: 'alice', passphraseFile: file, scrypt });
+  const bob = new KeyStore({ dir, profile: 'bob', passphraseFile: file, scrypt });
+  await alice.importPrivateKey(partyAKey);
+  const bobAddress = await bob.create();
+
+  assert.deepEqual(await bob.list(), [
+    { profile: 'alice', address: partyAAddress, selected: false },
+    { profile: 'bob', address: bobAddress, selected: true }
+  ]);
+  await assert.rejects(bob.create(), /Profile "bob" already has a key/);
+  assert.throws(() => bob.select({ profile: '../alice' }), /Invalid profile name/);
+});
+
+test('a missing key or passphrase is an error, not a random wallet', async () => {
+  const dir = await keystoreDir();
+  const paymentManager = new PaymentManager({ keys: new KeyStore({ dir, passphraseFile: await passphraseFile(dir, 'secret') }) });
+  await assert.rejects(paymentManager.init(), /No key for profile "default"/);
+
+  const keys = new KeyStore({ dir, passphraseFile: await passphraseFile(dir, 'secret'), scrypt });
+  await keys.importPrivateKey(partyAKey);
+  const prompted = new KeyStore({ dir });
+  await assert.rejects(prompted.unlock(), /No passphrase/);
+});
+
+test('an existing keystore is imported once its passphrase checks out', async () => {
+  const dir = await keystoreDir();
+  const json = await ethers.encryptKeystoreJson({ address: partyAAddress, privateKey: partyAKey }, 'exported', { scrypt });
+
+  const wrong = new KeyStore({ dir, passphraseFile: await passphraseFile(dir, 'other'), scrypt });
+  await assert.rejects(wrong.importKeystore(json), /Wrong passphrase for the keystore to import/);
+  assert.equal(await wrong.has(), false);
+
+  const keys = new KeyStore({ dir, askPassphrase: async () => 'exported' });
+  assert.equal(await keys.importKeystore(json), partyAAddress);
+  assert.equal((await new KeyStore({ dir, askPassphrase: async () => 'exported' }).unlock()).address, partyAAddress);
+});
+
+test('a session unlocks the key and the state key without the passphrase', async () => {
+  const dir = await keystoreDir();
+  const keys = new KeyStore({ dir, passphraseFile: await passphraseFile(dir, 'secret'), scrypt });
+  await keys.importPrivateKey(partyAKey);
+
+  const params = newKeyParams();
+  const stateKey = await keys.stateKey(params);
+  assert.deepEqual(stateKey, await deriveKey('secret', params));
+  const { token } = await keys.startSession({ ttl: 60000, stateKey: { salt: params.salt, key: stateKey } });
+
+  // No passphrase file and no prompt: only the token
+  const session = new KeyStore({ dir, session: token });
+  assert.equal((await session.unlock()).address, partyAAddress);
+  assert.deepEqual(await session.stateKey(params), stateKey);
+  await assert.rejects(session.stateKey(newKeyParams()), /session cannot decrypt this state/);
+
+  const sessionFile = await fs.readFile(keys.sessionPath(), 'utf8');
+  assert.ok(!sessionFile.includes(partyAKey.slice(2)));
+  await assert.rejects(new KeyStore({ dir, session: 'ab'.repeat(32) }).unlock(), /No passphrase/);
+
+  assert.equal(await keys.endSession(), true);
+  await assert.rejects(new KeyStore({ dir, session: token }).unlock(), /No passphrase/);
+});
+
+test('changing the passphrase re-encrypts the key and ends the session', async () => {
+  const dir = await keystoreDir();
+  const keys = new KeyStore({ dir, passphraseFile: await passphraseFile(dir, 'old'), scrypt });
+  await keys.importPrivateKey(partyAKey);
+  const params = newKeyParams();
+  await keys.startSession({ ttl: 60000, stateKey: { salt: params.salt, key: await keys.stateKey(params) } });
+
+  await keys.changePassphrase('new');
+
+  await assert.rejects(fs.access(keys.sessionPath()));
+  await assert.rejects(new KeyStore({ dir, passphraseFile: await passphraseFile(dir, 'old') }).unlock(), /Wrong passphrase/);
+  assert.equal((await new KeyStore({ dir, passphraseFile: await passphraseFile(dir, 'new') }).unlock()).address, partyAAddress);
+});
\ No newline at end of file
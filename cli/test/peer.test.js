@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { PaymentManager } from '../lib/payment-manager.js';
+import { StateManager } from '../lib/state-manager.js';
+import { PaymentExchange } from '../lib/exchange.js';
+import { PeerServer, PeerClient, sealMessage, openMessage } from '../lib/peer.js';
+import { ETH_ASSET } from '../lib/asset.js';
+
+// Anvil accounts used by app/server/client.js (PartyA) and app/server/server.js (PartyB)
+const partyA = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const partyB = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const outsider = ethers.Wallet.createRandom();
+const channelAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+// Seals the secrets in each node's state; the nodes never prompt for a passphrase
+const stateKey = Buffer.alloc(32, 1);
+
+// A CLI node with its own data directory; the chain only answers who the parties are
+async function createNode(wallet) {
+  process.env.DATA_PATH = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-peer-'));
+  const stateManager = new StateManager({ keys: { stateKey: async () => stateKey } });
+  await stateManager.updateChannelState(channelAddress, {
+    nonce: 0,
+    balanceA: ethers.parseEther('0.6').toString(),
+    balanceB: ethers.parseEther('0.4').toString()
+  });
+
+  const paymentManager = new PaymentManager();
+  paymentManager.signer = wallet;
+  paymentManager.chainId = 31337n;
+  paymentManager.initialized = true;
+  paymentManager.assets.set(channelAddress.toLowerCase(), ETH_ASSET);
+
+  const channelManager = {
+    getAsset: async () => ETH_ASSET,
+    getRole: async () => (wallet.address === partyA.address
+      ? { side: 'A', counterparty: partyB.address }
+      : { side: 'B', counterparty: partyA.address })
+  };
+
+  const exchange = new PaymentExchange({ channelManager, paymentManager, stateManager });
+  return { wallet, stateManager, channelManager, exchange };
+}
+
+async function listen(node) {
+  const server = new PeerServer({ exchange: node.exchange, channelManager: node.channelManager, signer: node.wallet });
+  const { port } = await server.listen(0);
+  return { server, url: `http://127.0.0.1:${port}` };
+}
+
+function clientFor(node, url, options = {}) {
+  return new PeerClient({
+    url,
+    channelAddress,
+    exchange: node.exchange,
+    channelManager: node.channelManager,
+    signer: node.wallet,
+    retryDelay: 20,
+    ...options
+  });
+}
+
+test('envelopes only open for the expected signer while fresh', async () => {
+  const envelope = await sealMessage(partyA, channelAddress, 'hello', { nonce: 1 });
+
+  assert.deepEqual(openMessage(envelope, partyA.address), { nonce: 1 });
+  assert.throws(() => openMessage(envelope, partyB.address), /not the channel counterparty/);
+  assert.throws(() => openMessage({ ...envelope, payload: { nonce: 2 } }, partyA.address), /not the channel counterparty/);
+  assert.throws(() => openMessage(envelope, partyA.address, envelope.timestamp + 10 * 60 * 1000), /too far from our clock/);
+});
+
+test('both parties pay each other over the peer transport', async () => {
+  const nodeA = await createNode(partyA);
+  const nodeB = await createNode(partyB);
+  const listenerA = await listen(nodeA);
+  const listenerB = await listen(nodeB);
+
+  try {
+    // A pays B through B's listener
+    const first = await clientFor(nodeA, listenerB.url).pay(ethers.parseEther('0.1'));
+    assert.equal(first.nonce, '1');
+    assert.equal(first.balanceA, ethers.parseEther('0.5').toString());
+
+    const firstAtB = await nodeB.stateManager.getCommitment(channelAddress, 1);
+    assert.equal(firstAtB.signatureA, first.signatureA);
+    assert.equal(firstAtB.signatureB, first.signatureB);
+
+    // B pays back through A's listener, which revokes commitment #1 on both sides
+    const second = await clientFor(nodeB, listenerA.url).pay(ethers.parseEther('0.25'));
+    assert.equal(second.nonce, '2');
+    assert.equal(second.payer, 'B');
+    assert.equal(second.balanceA, ethers.parseEther('0.75').toString());
+    assert.equal(second.balanceB, ethers.parseEther('0.25').toString());
+
+    assert.equal((await nodeA.stateManager.getCommitment(channelAddress, 1)).revoked, true);
+    assert.equal((await nodeB.stateManager.getCommitment(channelAddress, 1)).revoked, true);
+    assert.deepEqual(
+      await nodeA.stateManager.getChannelState(channelAddress),
+      await nodeB.stateManager.getChannelState(channelAddress)
+    );
+  } finally {
+    await listenerA.server.close();
+    await listenerB.server.close();
+  }
+});
+
+test('an interrupted payment resumes on the next connect', async () => {
+  const nodeA = await createNode(partyA);
+  const nodeB = await createNode(partyB);
+  const listenerB = await listen(nodeB);
+
+  try {
+    await clientFor(nodeA, listenerB.url).pay(ethers.parseEther('0.1'));
+
+    // Proposed, then disconnected before the peer answered
+    await nodeA.exchange.propose(channelAddress, ethers.parseEther('0.2'));
+    await clientFor(nodeA, listenerB.url).connect();
+
+    const resumed = await nodeB.stateManager.getCommitment(channelAddress, 2);
+    assert.ok(resumed.signatureA && resumed.signatureB);
+    assert.equal(resumed.balanceB, ethers.parseEther('0.7').toString());
+    assert.equal((await nodeA.stateManager.getCommitment(channelAddress, 1)).revoked, true);
+  } finally {
+    await listenerB.server.close();
+  }
+});
+
+test('messages are retried until the peer comes up', async () => {
+  const nodeA = await createNode(partyA);
+  const nodeB = await createNode(partyB);
+
+  // Reserve a port, then start B on it only after A's first attempt failed
+  const probe = await listen(nodeB);
+  const url = probe.url;
+  await probe.server.close();
+
+  const late = new PeerServer({ exchange: nodeB.exchange, channelManager: nodeB.channelManager, signer: nodeB.wallet });
+  const warnings = [];
+  const client = clientFor(nodeA, url, { log: (message, level) => level === 'warning' && warnings.push(message) });
+  const starting = new Promise(resolve => setTimeout(resolve, 30)).then(() => late.listen(new URL(url).port));
+
+  try {
+    const [commitment] = await Promise.all([client.pay(ethers.parseEther('0.1')), starting]);
+    assert.equal(commitment.nonce, '1');
+    assert.ok(warnings.length > 0);
+  } finally {
+    await late.close();
+  }
+});
+
+test('the listener only answers the channel counterparty', async () => {
+  const nodeB = await createNode(partyB);
+  const listenerB = await listen(nodeB);
+  const impostor = await createNode(outsider);
+
+  try {
+    await assert.rejects(
+      clientFor(impostor, listenerB.url).connect(),
+      /Peer rejected hello: Message signed by .* not the channel counterparty/
+    );
+  } finally {
+    await listenerB.server.close();
+  }
+});
\ No newline at end of file
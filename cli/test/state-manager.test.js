@@ -0,0 +1,224 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { StateManager, STATE_VERSION, SECRET_FIELDS, legacyAmountToWei } from '../lib/state-manager.js';
+
+const ethChannel = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const tokenChannel = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+// A data directory written before amounts were kept in wei
+async function legacyDataDir() {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  await fs.writeFile(path.join(dataDir, 'channels.json'), JSON.stringify([{ address: ethChannel }]));
+  await fs.writeFile(path.join(dataDir, 'states.json'), JSON.stringify({
+    [ethChannel]: { nonce: 2, balanceA: '0.7', balanceB: '0.30000000000000004', commitments: [], funded: true },
+    [tokenChannel]: { nonce: 1, balanceA: '7.25', balanceB: '2.75', commitments: [], funded: true }
+  }));
+  await fs.writeFile(path.join(dataDir, 'commitments.json'), JSON.stringify({
+    [ethChannel]: [
+      { nonce: '1', balanceA: '0.9', balanceB: '0.1' },
+      { nonce: '2', balanceA: '0.7', balanceB: '0.30000000000000004' }
+    ],
+    [tokenChannel]: [
+      { nonce: '1', balanceA: '7.25', balanceB: '2.75', splice: { proposer: 'A', depositA: '5', depositB: '0', withdrawA: '0', withdrawB: '0' } }
+    ]
+  }));
+  return dataDir;
+}
+
+// Stands in for the KeyStore, which derives the key from the passphrase
+function keysFor(key) {
+  return { stateKey: async () => key };
+}
+
+function stateManagerFor(dataDir, key = Buffer.alloc(32, 1)) {
+  process.env.DATA_PATH = dataDir;
+  return new StateManager({
+    getAsset: async address => ({ decimals: address === tokenChannel ? 6 : 18 }),
+    keys: keysFor(key)
+  });
+}
+
+test('legacy amounts convert to wei in the asset\'s decimals', () => {
+  assert.equal(legacyAmountToWei('0.95'), '950000000000000000');
+  assert.equal(legacyAmountToWei('7.25', 6), '7250000');
+  assert.equal(legacyAmountToWei('1e-7'), '100000000000');
+  assert.equal(legacyAmountToWei('0.30000000000000004', 6), '300000');
+  assert.equal(legacyAmountToWei('0.0000005', 6), '1');
+  assert.equal(legacyAmountToWei(undefined), '0');
+});
+
+test('version 1 state files are migrated to wei once', async () => {
+  const dataDir = await legacyDataDir();
+  const stateManager = stateManagerFor(dataDir);
+
+  const ethState = await stateManager.getChannelState(ethChannel);
+  assert.equal(ethState.balanceA, '700000000000000000');
+  assert.equal(ethState.balanceB, '300000000000000040');
+  assert.equal((await stateManager.getChannelState(tokenChannel)).balanceA, '7250000');
+
+  const [splice] = await stateManager.getCommitments(tokenChannel);
+  assert.equal(splice.balanceB, '2750000');
+  assert.equal(splice.splice.depositA, '5000000');
+  assert.equal(splice.splice.withdrawB, '0');
+  assert.equal((await stateManager.getCommitment(ethChannel, 1)).balanceB, '100000000000000000');
+
+  // Originals are kept and the version is recorded
+  const backup = JSON.parse(await fs.readFile(path.join(dataDir, 'states.v1.json'), 'utf8'));
+  assert.equal(backup[ethChannel].balanceA, '0.7');
+  const state = JSON.parse(await fs.readFile(path.join(dataDir, 'state.json'), 'utf8'));
+  assert.equal(state.version, STATE_VERSION);
+  await assert.rejects(fs.access(path.join(dataDir, 'states.json')));
+
+  // A second start does not convert the amounts again
+  const restarted = stateManagerFor(dataDir);
+  assert.equal((await restarted.getChannelState(ethChannel)).balanceA, '700000000000000000');
+
+  await fs.rm(dataDir, { recursive: true });
+});
+
+test('a fresh data directory starts at the current version', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  const stateManager = stateManagerFor(dataDir);
+
+  await stateManager.saveChannel(ethChannel, tokenChannel, false);
+
+  const state = JSON.parse(await fs.readFile(path.join(dataDir, 'state.json'), 'utf8'));
+  assert.equal(state.version, STATE_VERSION);
+  assert.equal(state.channels[0].address, ethChannel);
+  await assert.rejects(fs.access(path.join(dataDir, 'states.v1.json')));
+
+  await fs.rm(dataDir, { recursive: true });
+});
+
+test('version 2 files are merged into state.json as they are', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  const commitment = { nonce: '1', balanceA: '900', balanceB: '100', signatureA: '0xa', signatureB: '0xb' };
+  await fs.writeFile(path.join(dataDir, 'meta.json'), JSON.stringify({ version: 2 }));
+  await fs.writeFile(path.join(dataDir, 'channels.json'), JSON.stringify([{ address: ethChannel }]));
+  await fs.writeFile(path.join(dataDir, 'states.json'), JSON.stringify({ [ethChannel]: { nonce: 1, balanceA: '900', balanceB: '100' } }));
+  await fs.writeFile(path.join(dataDir, 'commitments.json'), JSON.stringify({ [ethChannel]: [commitment] }));
+
+  const stateManager = stateManagerFor(dataDir);
+  assert.deepEqual(await stateManager.getLatestSignedCommitment(ethChannel), commitment);
+  assert.equal((await stateManager.getAllChannels())[0].address, ethChannel);
+
+  for (const name of ['meta', 'channels', 'states', 'commitments']) {
+    await assert.rejects(fs.access(path.join(dataDir, `${name}.json`)));
+    await fs.access(path.join(dataDir, `${name}.v2.json`));
+  }
+
+  await fs.rm(dataDir, { recursive: true });
+});
+
+test('a corrupted state file fails loudly instead of starting empty', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  await stateManagerFor(dataDir).saveCommitment(ethChannel, { nonce: '1', balanceA: '900', balanceB: '100' });
+
+  const stateFile = path.join(dataDir, 'state.json');
+  const intact = await fs.readFile(stateFile, 'utf8');
+  await fs.writeFile(stateFile, intact.slice(0, intact.length / 2));
+  await assert.rejects(stateManagerFor(dataDir).getCommitments(ethChannel), /is corrupted/);
+  await assert.rejects(stateManagerFor(dataDir).saveChannel(tokenChannel, ethChannel), /is corrupted/);
+
+  // Nothing was overwritten
+  assert.equal(await fs.readFile(stateFile, 'utf8'), intact.slice(0, intact.length / 2));
+
+  await fs.writeFile(stateFile, JSON.stringify({ version: STATE_VERSION, channels: {} }));
+  await assert.rejects(stateManagerFor(dataDir).getAllChannels(), /unexpected structure/);
+
+  await fs.rm(dataDir, { recursive: true });
+});
+
+test('concurrent writers to one data directory lose no updates', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  // Separate instances share nothing but the files, like separate CLI processes
+  const writers = [stateManagerFor(dataDir), stateManagerFor(dataDir), stateManagerFor(dataDir)];
+
+  await Promise.all(Array.from({ length: 30 }, (_, i) =>
+    writers[i % writers.length].saveCommitment(ethChannel, { nonce: String(i + 1), balanceA: '0', balanceB: '0' })
+  ));
+
+  const commitments = await stateManagerFor(dataDir).getCommitments(ethChannel);
+  assert.equal(commitments.length, 30);
+  await assert.rejects(fs.access(path.join(dataDir, 'state.lock')));
+
+  await fs.rm(dataDir, { recursive: true });
+});
+
+test('a lock left by a dead process is taken over', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  const stateManager = stateManagerFor(dataDir);
+  await stateManager.init();
+
+  // No process has this pid; the CLI that held the lock crashed
+  await fs.writeFile(path.join(dataDir, 'state.lock'), JSON.stringify({ pid: 2 ** 22 + 1, host: os.hostname(), createdAt: Date.now() }));
+  await stateManager.saveChannel(ethChannel, tokenChannel);
+  assert.equal((await stateManager.getAllChannels()).length, 1);
+
+  await fs.rm(dataDir, { recursive: true });
+});
+
+test('secrets are encrypted on disk and opened for readers', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  const secret = '0x' + 'ab'.repeat(32);
+  const commitment = { nonce: '1', balanceA: '900', balanceB: '100', revocationPreimage: secret, signatureA: '0x' + '12'.repeat(65) };
+  await stateManagerFor(dataDir).saveCommitment(ethChannel, commitment);
+
+  const onDisk = await fs.readFile(path.join(dataDir, 'state.json'), 'utf8');
+  assert.ok(!onDisk.includes('ab'.repeat(32)));
+  assert.ok(!onDisk.includes('12'.repeat(65)));
+  const [stored] = JSON.parse(onDisk).commitments[ethChannel];
+  assert.equal(stored.balanceA, '900');
+  assert.match(stored.revocationPreimage, /^enc:/);
+
+  assert.deepEqual(await stateManagerFor(dataDir).getCommitment(ethChannel, 1), commitment);
+  await stateManagerFor(dataDir).markCommitmentRevoked(ethChannel, 1, secret);
+  assert.equal(await stateManagerFor(dataDir).getCounterpartyRevocationSecret(ethChannel, 1), secret);
+
+  // Balances need no key; secrets do, and only the right one
+  const wrongKey = stateManagerFor(dataDir, Buffer.alloc(32, 2));
+  assert.equal((await wrongKey.getChannelState(ethChannel)).balanceA, '900');
+  await assert.rejects(wrongKey.getCommitments(ethChannel), /cannot decrypt the secrets/);
+
+  await fs.rm(dataDir, { recursive: true });
+});
+
+test('version 3 secrets are sealed without a plaintext copy', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  const commitment = { nonce: '1', balanceA: '900', balanceB: '100', revocationPreimage: '0x' + 'cd'.repeat(32), signature: '0x' + '34'.repeat(65) };
+  await fs.writeFile(path.join(dataDir, 'state.json'), JSON.stringify({
+    version: 3,
+    channels: [{ address: ethChannel }],
+    states: { [ethChannel]: { nonce: 1, balanceA: '900', balanceB: '100' } },
+    commitments: { [ethChannel]: [commitment] }
+  }));
+
+  assert.deepEqual(await stateManagerFor(dataDir).getCommitments(ethChannel), [commitment]);
+
+  const stored = JSON.parse(await fs.readFile(path.join(dataDir, 'state.json'), 'utf8'));
+  assert.equal(stored.version, STATE_VERSION);
+  for (const field of SECRET_FIELDS.filter(field => field in commitment)) {
+    assert.match(stored.commitments[ethChannel][0][field], /^enc:/);
+  }
+  assert.deepEqual((await fs.readdir(dataDir)).filter(name => name.includes('.v3')), []);
+
+  await fs.rm(dataDir, { recursive: true });
+});
+
+test('re-keying seals every secret under the new key', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  const oldKey = Buffer.alloc(32, 1);
+  const newKey = Buffer.alloc(32, 2);
+  const commitment = { nonce: '1', balanceA: '900', balanceB: '100', revocationPreimage: '0x' + 'ef'.repeat(32) };
+  await stateManagerFor(dataDir, oldKey).saveCommitment(ethChannel, commitment);
+
+  await stateManagerFor(dataDir, oldKey).rekey(async () => newKey);
+
+  assert.deepEqual(await stateManagerFor(dataDir, newKey).getCommitment(ethChannel, 1), commitment);
+  await assert.rejects(stateManagerFor(dataDir, oldKey).getCommitment(ethChannel, 1), /cannot decrypt the secrets/);
+
+  await fs.rm(dataDir, { recursive: true });
+});
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { replayChannelEvents } from '../lib/channel-manager.js';
+import { StateManager } from '../lib/state-manager.js';
+
+const channelAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const me = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const counterparty = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+let block = 0;
+function event(name, args) {
+  block++;
+  return { name, blockNumber: block, txHash: `0x${block.toString(16).padStart(64, '0')}`, args };
+}
+
+const funded = event('ChannelFunded', { totalBalance: '600' });
+const opened = event('ChannelOpened', { partyA: me, partyB: counterparty, totalBalance: '1000', depositA: '600', depositB: '400' });
+
+// Two signed payments; we hold the counterparty's secret for #1
+const commitments = [
+  { nonce: '1', balanceA: '500', balanceB: '500', signatureA: '0xa', signatureB: '0xb', revoked: true },
+  { nonce: '2', balanceA: '300', balanceB: '700', signatureA: '0xa', signatureB: '0xb' }
+];
+
+function local(channel = { status: 'PRE_FUNDING' }) {
+  return { myAddress: me, channel, state: { nonce: 2, balanceA: '300', balanceB: '700' }, commitments };
+}
+
+test('funding and opening logs move the status forward', () => {
+  const result = replayChannelEvents([funded, opened], { ...local(), commitments: [] });
+  assert.equal(result.status, 'OPEN');
+  assert.equal(result.totalBalance, '1000');
+  assert.deepEqual(result.deposits, { A: '600', B: '400' });
+  assert.deepEqual([result.balanceA, result.balanceB], ['600', '400']);
+  assert.deepEqual(result.discrepancies, []);
+
+  // Replaying old logs never moves a channel back
+  assert.equal(replayChannelEvents([funded], local({ status: 'OPEN' })).status, 'OPEN');
+});
+
+test('splices update the on-chain total and deposits', () => {
+  const added = event('ChannelSpliced', { nonce: '3', depositA: '250', depositB: '0', withdrawA: '0', withdrawB: '0', totalBalance: '1250' });
+  const withdrawn = event('ChannelSpliced', { nonce: '4', depositA: '0', depositB: '0', withdrawA: '150', withdrawB: '0', totalBalance: '1100' });
+  const result = replayChannelEvents([funded, opened, added, withdrawn], local());
+
+  assert.equal(result.status, 'OPEN');
+  assert.equal(result.totalBalance, '1100');
+  assert.deepEqual(result.deposits, { A: '850', B: '400' });
+  assert.deepEqual(result.discrepancies, []);
+
+  // A later sync starts from the stored record
+  const later = event('ChannelSpliced', { nonce: '5', depositA: '0', depositB: '100', withdrawA: '0', withdrawB: '0', totalBalance: '1200' });
+  const resumed = replayChannelEvents([later], local({ status: 'OPEN', totalBalance: '1100', deposits: { A: '850', B: '400' } }));
+  assert.equal(resumed.totalBalance, '1200');
+  assert.deepEqual(resumed.deposits, { A: '850', B: '500' });
+});
+
+test('reclaimed deposits reach RECLAIMED, and CLOSED once the channel is empty', () => {
+  const fundedBoth = event('ChannelFunded', { totalBalance: '1000' });
+  const ours = event('DepositReclaimed', { party: me, amount: '600' });
+  const theirs = event('DepositReclaimed', { party: counterparty, amount: '400' });
+  const fresh = { ...local(), commitments: [] };
+
+  const reclaimed = replayChannelEvents([funded, fundedBoth, ours], fresh);
+  assert.equal(reclaimed.status, 'RECLAIMED');
+  assert.equal(reclaimed.totalBalance, '400');
+
+  // The counterparty reclaiming first leaves us in FUNDING
+  assert.equal(replayChannelEvents([funded, fundedBoth, theirs], fresh).status, 'FUNDING');
+
+  const closed = replayChannelEvents([funded, fundedBoth, ours, theirs], fresh);
+  assert.equal(closed.status, 'CLOSED');
+  assert.equal(closed.totalBalance, '0');
+  assert.deepEqual(closed.discrepancies, []);
+});
+
+test('a cooperative close at our latest balances settles without discrepancies', () => {
+  const settled = event('ChannelSettled', { balanceA: '300', balanceB: '700' });
+  const result = replayChannelEvents([funded, opened, settled], local());
+
+  assert.equal(result.status, 'CLOSED');
+  assert.deepEqual(result.settlement, { balanceA: '300', balanceB: '700', txHash: settled.txHash });
+  assert.deepEqual(result.discrepancies, []);
+});
+
+test('a counterparty dispute with a revoked nonce is flagged', () => {
+  const dispute = event('DisputeInitiated', { initiator: counterparty, nonce: '1', deadline: '1700000000' });
+  const result = replayChannelEvents([funded, opened, dispute], local());
+
+  assert.equal(result.status, 'DISPUTED');
+  assert.equal(result.dispute.nonce, '1');
+  assert.equal(result.dispute.deadline, '2023-11-14T22:13:20.000Z');
+  assert.deepEqual(result.discrepancies.map(d => [d.kind, d.nonce, d.txHash]), [['revoked-dispute', 1, dispute.txHash]]);
+});
+
+test('stale and unknown disputes, settlements and penalties are flagged', () => {
+  const kinds = events => replayChannelEvents(events, local({ status: 'OPEN' })).discrepancies.map(d => d.kind);
+
+  const unrevoked = commitments.map(c => ({ ...c, revoked: false }));
+  const stale = event('DisputeInitiated', { initiator: counterparty, nonce: '1', deadline: '1700000000' });
+  assert.deepEqual(replayChannelEvents([stale], { ...local(), commitments: unrevoked }).discrepancies.map(d => d.kind), ['stale-dispute']);
+
+  assert.deepEqual(kinds([event('DisputeInitiated', { initiator: counterparty, nonce: '5', deadline: '1700000000' })]), ['unknown-dispute']);
+  assert.deepEqual(kinds([event('DisputeInitiated', { initiator: me, nonce: '2', deadline: '1700000000' })]), []);
+
+  const settled = event('ChannelSettled', { balanceA: '500', balanceB: '500' });
+  const [mismatch] = replayChannelEvents([settled], local({ status: 'DISPUTED' })).discrepancies;
+  assert.equal(mismatch.kind, 'settlement-mismatch');
+  assert.deepEqual(mismatch.expected, { balanceA: '300', balanceB: '700' });
+
+  // The penalty and its settlement come from one transaction
+  const penalty = event('PenaltyApplied', { cheater: me, amount: '1000' });
+  const penaltySettled = { ...event('ChannelSettled', { balanceA: '0', balanceB: '1000' }), txHash: penalty.txHash };
+  assert.deepEqual(kinds([penalty, penaltySettled]), ['penalized']);
+});
+
+test('sync results are stored once per discrepancy', async () => {
+  process.env.DATA_PATH = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-cli-'));
+  const stateManager = new StateManager({ getAsset: async () => ({ decimals: 18 }), keys: { stateKey: async () => Buffer.alloc(32, 1) } });
+  await stateManager.saveChannel(channelAddress, counterparty, true);
+
+  const dispute = event('DisputeInitiated', { initiator: counterparty, nonce: '1', deadline: '1700000000' });
+  const sync = { ...replayChannelEvents([opened, dispute], local()), syncedBlock: dispute.blockNumber };
+
+  assert.equal((await stateManager.recordSync(channelAddress, sync)).length, 1);
+  assert.equal((await stateManager.recordSync(channelAddress, sync)).length, 0);
+
+  const [channel] = await stateManager.getAllChannels();
+  assert.equal(channel.status, 'DISPUTED');
+  assert.equal(channel.syncedBlock, dispute.blockNumber);
+  assert.equal(channel.discrepancies.length, 1);
+  assert.deepEqual(channel.deposits, { A: '600', B: '400' });
+});
\ No newline at end of file
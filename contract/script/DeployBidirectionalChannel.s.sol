@@ -2,7 +2,23 @@
 pragma solidity ^0.8.20;
 
 import "forge-std/Script.sol";
-import "../src/BidirectionalChannel.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../src/BidirectionalChannelFactory.sol";
+
+contract DeployChannelFactory is Script {
+    function run() external returns (BidirectionalChannelFactory) {
+        uint256 deployerPrivateKey = vm.envUint("PRIVATE_KEY");
+
+        vm.startBroadcast(deployerPrivateKey);
+        BidirectionalChannelFactory factory = new BidirectionalChannelFactory();
+        vm.stopBroadcast();
+
+        console.log("BidirectionalChannelFactory deployed at:", address(factory));
+        console.log("Implementation:", factory.implementation());
+
+        return factory;
+    }
+}
 
 contract DeployBidirectionalChannel is Script {
     function run() external returns (BidirectionalChannel) {
@@ -11,28 +27,32 @@ contract DeployBidirectionalChannel is Script {
         address partyB = vm.envAddress("PARTY_B");
         uint256 fundingDeadline = block.timestamp + vm.envOr("FUNDING_DEADLINE", uint256(3600)); // Default 1 hour
         uint256 disputePeriod = vm.envOr("DISPUTE_PERIOD", uint256(86400)); // Default 24 hours
+        address token = vm.envOr("TOKEN", address(0)); // Default ETH
+        BidirectionalChannelFactory factory = BidirectionalChannelFactory(vm.envAddress("CHANNEL_FACTORY"));
 
         // Get deployer's private key
         uint256 deployerPrivateKey = vm.envUint("PRIVATE_KEY");
 
         vm.startBroadcast(deployerPrivateKey);
 
-        // Deploy the channel contract
-        BidirectionalChannel channel = new BidirectionalChannel(
+        // Create the channel through the factory (the deployer must be one of the parties)
+        BidirectionalChannel channel = BidirectionalChannel(factory.createChannel(
             partyA,
             partyB,
             fundingDeadline,
-            disputePeriod
-        );
+            disputePeriod,
+            token
+        ));
 
         vm.stopBroadcast();
 
         // Log deployment information
-        console.log("BidirectionalChannel deployed at:", address(channel));
+        console.log("BidirectionalChannel created at:", address(channel));
         console.log("Party A:", partyA);
         console.log("Party B:", partyB);
         console.log("Funding Deadline:", fundingDeadline);
         console.log("Dispute Period:", disputePeriod);
+        console.log("Token:", token);
 
         return channel;
     }
@@ -45,6 +65,8 @@ contract DeployAndFundChannel is Script {
         address partyB = vm.envAddress("PARTY_B");
         uint256 fundingDeadline = block.timestamp + vm.envOr("FUNDING_DEADLINE", uint256(3600));
         uint256 disputePeriod = vm.envOr("DISPUTE_PERIOD", uint256(86400));
+        address token = vm.envOr("TOKEN", address(0));
+        BidirectionalChannelFactory factory = BidirectionalChannelFactory(vm.envAddress("CHANNEL_FACTORY"));
         uint256 fundingAmount = vm.envOr("FUNDING_AMOUNT", uint256(1 ether));
 
         // Get deployer's private key
@@ -52,24 +74,31 @@ contract DeployAndFundChannel is Script {
 
         vm.startBroadcast(deployerPrivateKey);
 
-        // Deploy the channel contract
-        BidirectionalChannel channel = new BidirectionalChannel(
+        // Create the channel through the factory (the deployer must be one of the parties)
+        BidirectionalChannel channel = BidirectionalChannel(factory.createChannel(
             partyA,
             partyB,
             fundingDeadline,
-            disputePeriod
-        );
+            disputePeriod,
+            token
+        ));
 
         // Fund the channel if deployer is one of the parties
         address deployer = vm.addr(deployerPrivateKey);
         if (deployer == partyA || deployer == partyB) {
-            channel.fundChannel{value: fundingAmount}();
+            if (token == address(0)) {
+                channel.fundChannel{value: fundingAmount}();
+            } else {
+                // FUNDING_AMOUNT is in the token's smallest unit
+                IERC20(token).approve(address(channel), fundingAmount);
+                channel.fundChannelToken(fundingAmount);
+            }
             console.log("Channel funded with:", fundingAmount);
         }
 
         vm.stopBroadcast();
 
-        console.log("Channel deployed and funded at:", address(channel));
+        console.log("Channel created and funded at:", address(channel));
 
         return channel;
     }
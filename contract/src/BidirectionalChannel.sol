@@ -1,23 +1,45 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title BidirectionalChannel
- * @dev Bidirectional payment channel with revocation mechanism similar to Lightning Network
+ * @dev Bidirectional payment channel with revocation mechanism similar to Lightning Network.
+ * Commitments and cooperative closes are signed as EIP-712 typed data bound to
+ * this channel's address and the chain it is deployed on.
+ * A channel holds either ETH or a single ERC-20 token, chosen at deployment;
+ * all balances and amounts are in that asset's smallest unit.
+ * Channels are minimal proxies created by BidirectionalChannelFactory; the
+ * implementation itself can never be initialized.
  */
-contract BidirectionalChannel is ReentrancyGuard {
+contract BidirectionalChannel is Initializable, ReentrancyGuard, EIP712 {
+    using SafeERC20 for IERC20;
+
+    // EIP-712 struct type hashes
+    bytes32 public constant COMMITMENT_TYPEHASH = keccak256(
+        "Commitment(uint256 nonce,uint256 balanceA,uint256 balanceB,bytes32 revocationHashA,bytes32 revocationHashB)"
+    );
+    bytes32 public constant CLOSE_TYPEHASH = keccak256(
+        "Close(uint256 balanceA,uint256 balanceB)"
+    );
+    bytes32 public constant SPLICE_TYPEHASH = keccak256(
+        "Splice(uint256 nonce,uint256 balanceA,uint256 balanceB,uint256 depositA,uint256 depositB,uint256 withdrawA,uint256 withdrawB,uint256 deadline)"
+    );
 
     // Channel participants
-    address public immutable partyA;
-    address public immutable partyB;
+    address public partyA;
+    address public partyB;
 
-    // Channel parameters
-    uint256 public immutable fundingDeadline;
-    uint256 public immutable disputePeriod;
+    // Channel parameters (token is address(0) for an ETH channel)
+    address public token;
+    uint256 public fundingDeadline;
+    uint256 public disputePeriod;
     uint256 public channelBalance;
 
     // Channel state
@@ -27,7 +49,7 @@ contract BidirectionalChannel is ReentrancyGuard {
     // Funding tracking
     mapping(address => uint256) public deposits;
 
-    // Commitment tracking
+    // Commitment tracking (latestNonce is the nonce of the last splice; older commitments are void)
     uint256 public latestNonce;
     mapping(bytes32 => bool) public revokedCommitments;
 
@@ -37,6 +59,8 @@ contract BidirectionalChannel is ReentrancyGuard {
     uint256 public disputedBalanceA;
     uint256 public disputedBalanceB;
     uint256 public disputedNonce;
+    bytes32 public disputedRevocationHashA;
+    bytes32 public disputedRevocationHashB;
 
     // Events
     event ChannelFunded(uint256 totalBalance);
@@ -45,6 +69,8 @@ contract BidirectionalChannel is ReentrancyGuard {
     event DisputeInitiated(address indexed initiator, uint256 nonce, uint256 deadline);
     event ChannelSettled(uint256 balanceA, uint256 balanceB);
     event PenaltyApplied(address indexed cheater, uint256 amount);
+    event DepositReclaimed(address indexed party, uint256 amount);
+    event ChannelSpliced(uint256 nonce, uint256 depositA, uint256 depositB, uint256 withdrawA, uint256 withdrawB, uint256 totalBalance);
 
     modifier onlyParticipants() {
         require(msg.sender == partyA || msg.sender == partyB, "Not a participant");
@@ -56,12 +82,21 @@ contract BidirectionalChannel is ReentrancyGuard {
         _;
     }
 
-    constructor(
+    constructor() EIP712("BidirectionalChannel", "1") {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Set up a freshly cloned channel. Called by the factory in the
+     * transaction that creates the clone.
+     */
+    function initialize(
         address _partyA,
         address _partyB,
         uint256 _fundingDeadline,
-        uint256 _disputePeriod
-    ) {
+        uint256 _disputePeriod,
+        address _token
+    ) external initializer {
         require(_partyA != address(0) && _partyB != address(0), "Invalid addresses");
         require(_partyA != _partyB, "Parties must be different");
         require(_fundingDeadline > block.timestamp, "Invalid funding deadline");
@@ -71,64 +106,219 @@ contract BidirectionalChannel is ReentrancyGuard {
         partyB = _partyB;
         fundingDeadline = _fundingDeadline;
         disputePeriod = _disputePeriod;
+        token = _token;
         channelState = State.FUNDING;
     }
 
     /**
-     * @dev Fund the channel during the funding phase
+     * @dev Fund an ETH channel during the funding phase
      */
     function fundChannel() external payable onlyParticipants inState(State.FUNDING) {
-        require(block.timestamp <= fundingDeadline, "Funding deadline passed");
-        require(msg.value > 0, "Must send funds");
-
-        deposits[msg.sender] += msg.value;
-        channelBalance += msg.value;
+        require(token == address(0), "Channel takes tokens");
+        _fund(msg.value);
+    }
 
-        emit ChannelFunded(channelBalance);
+    /**
+     * @dev Fund a token channel during the funding phase. The caller must
+     * have approved the channel for amount.
+     */
+    function fundChannelToken(uint256 amount) external nonReentrant onlyParticipants inState(State.FUNDING) {
+        require(token != address(0), "Channel takes ETH");
+        _fund(amount);
     }
 
     /**
      * @dev Open the channel once it has been funded
      */
     function openChannel() external onlyParticipants inState(State.FUNDING) {
+        require(block.timestamp <= fundingDeadline, "Funding deadline passed");
         require(channelBalance > 0, "Channel must have funds");
         channelState = State.OPEN;
         emit ChannelOpened(partyA, partyB, channelBalance, deposits[partyA], deposits[partyB]);
     }
 
     /**
-     * @dev Fund and open the channel in a single transaction
+     * @dev Fund and open an ETH channel in a single transaction
      */
     function fundAndOpenChannel() external payable onlyParticipants inState(State.FUNDING) {
-        require(block.timestamp <= fundingDeadline, "Funding deadline passed");
-        require(msg.value > 0, "Must send funds");
+        require(token == address(0), "Channel takes tokens");
+        _fund(msg.value);
 
-        deposits[msg.sender] += msg.value;
-        channelBalance += msg.value;
+        channelState = State.OPEN;
+        emit ChannelOpened(partyA, partyB, channelBalance, deposits[partyA], deposits[partyB]);
+    }
 
-        emit ChannelFunded(channelBalance);
+    /**
+     * @dev Fund and open a token channel in a single transaction
+     */
+    function fundAndOpenChannelToken(uint256 amount) external nonReentrant onlyParticipants inState(State.FUNDING) {
+        require(token != address(0), "Channel takes ETH");
+        _fund(amount);
 
         channelState = State.OPEN;
         emit ChannelOpened(partyA, partyB, channelBalance, deposits[partyA], deposits[partyB]);
     }
 
+    /**
+     * @dev Withdraw the caller's deposit from a channel that was never opened.
+     * Once the funding deadline has passed the channel can no longer open, so
+     * each party takes back exactly what it deposited; the channel closes when
+     * the last deposit is withdrawn.
+     */
+    function reclaimDeposit() external nonReentrant onlyParticipants inState(State.FUNDING) {
+        require(block.timestamp > fundingDeadline, "Funding deadline not passed");
+
+        uint256 amount = deposits[msg.sender];
+        require(amount > 0, "No deposit to reclaim");
+
+        deposits[msg.sender] = 0;
+        channelBalance -= amount;
+        if (channelBalance == 0) {
+            channelState = State.CLOSED;
+        }
+
+        _pay(msg.sender, amount, "Refund transfer failed");
+
+        emit DepositReclaimed(msg.sender, amount);
+    }
+
+    /**
+     * @dev Add funds to or withdraw funds from an open channel. Both parties sign
+     * the new base state: balances after the splice, the caller's deposit
+     * and the amounts paid out to each party. Commitments with a nonce below
+     * the splice nonce can no longer be used in a dispute.
+     * ETH channels take the deposit as msg.value; token channels pull
+     * whatever the balances require from the caller, who must have approved it.
+     * A signed splice expires at its deadline, so neither party has to wait
+     * indefinitely to learn whether the other will execute it.
+     * @param nonce Nonce of the new base state, above every earlier splice
+     * @param balanceA Party A's balance after the splice
+     * @param balanceB Party B's balance after the splice
+     * @param withdrawA Amount paid out to party A
+     * @param withdrawB Amount paid out to party B
+     * @param deadline Last timestamp at which the splice can be executed
+     * @param signatureA Party A's signature
+     * @param signatureB Party B's signature
+     */
+    function splice(
+        uint256 nonce,
+        uint256 balanceA,
+        uint256 balanceB,
+        uint256 withdrawA,
+        uint256 withdrawB,
+        uint256 deadline,
+        bytes memory signatureA,
+        bytes memory signatureB
+    ) external payable nonReentrant onlyParticipants inState(State.OPEN) {
+        require(nonce > latestNonce, "Splice nonce too low");
+        require(block.timestamp <= deadline, "Splice deadline passed");
+        require(balanceA + balanceB > 0, "Channel must have funds");
+
+        uint256 deposit = msg.value;
+        if (token != address(0)) {
+            require(msg.value == 0, "Channel takes tokens");
+            uint256 required = balanceA + balanceB + withdrawA + withdrawB;
+            deposit = required > channelBalance ? required - channelBalance : 0;
+        }
+        require(
+            channelBalance + deposit == balanceA + balanceB + withdrawA + withdrawB,
+            "Invalid balances"
+        );
+
+        // Only the caller can bring funds, so the signatures bind who deposits
+        uint256 depositA = msg.sender == partyA ? deposit : 0;
+        uint256 depositB = msg.sender == partyB ? deposit : 0;
+
+        bytes32 spliceHash = hashSplice(nonce, balanceA, balanceB, depositA, depositB, withdrawA, withdrawB, deadline);
+        require(ECDSA.recover(spliceHash, signatureA) == partyA, "Invalid signature from A");
+        require(ECDSA.recover(spliceHash, signatureB) == partyB, "Invalid signature from B");
+
+        latestNonce = nonce;
+        channelBalance = balanceA + balanceB;
+        deposits[msg.sender] += deposit;
+
+        if (token != address(0) && deposit > 0) {
+            IERC20(token).safeTransferFrom(msg.sender, address(this), deposit);
+        }
+
+        _pay(partyA, withdrawA, "Transfer to A failed");
+        _pay(partyB, withdrawB, "Transfer to B failed");
+
+        emit ChannelSpliced(nonce, depositA, depositB, withdrawA, withdrawB, channelBalance);
+    }
+
     /**
      * @dev Submit a revocation secret to revoke an old commitment
-     * @param commitmentHash Hash of the commitment being revoked
+     * @param revocationHash Revocation hash committed to in the commitment being revoked
      * @param revocationSecret The secret that proves revocation
      */
     function submitRevocation(
-        bytes32 commitmentHash,
+        bytes32 revocationHash,
         bytes32 revocationSecret
     ) external onlyParticipants inState(State.OPEN) {
-        // Verify the revocation secret matches the commitment
+        // Verify the revocation secret matches the revocation hash
         bytes32 secretHash = keccak256(abi.encodePacked(revocationSecret));
-        require(secretHash == commitmentHash, "Invalid revocation secret");
+        require(secretHash == revocationHash, "Invalid revocation secret");
 
         // Mark commitment as revoked
-        revokedCommitments[commitmentHash] = true;
+        revokedCommitments[revocationHash] = true;
+
+        emit CommitmentRevoked(revocationHash);
+    }
+
+    /**
+     * @dev EIP-712 digest of a commitment signed by both parties off-chain
+     * @param nonce The sequence number of the commitment
+     * @param balanceA Balance for party A in this commitment
+     * @param balanceB Balance for party B in this commitment
+     * @param revocationHashA Hash of party A's revocation secret for this commitment
+     * @param revocationHashB Hash of party B's revocation secret for this commitment
+     */
+    function hashCommitment(
+        uint256 nonce,
+        uint256 balanceA,
+        uint256 balanceB,
+        bytes32 revocationHashA,
+        bytes32 revocationHashB
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(abi.encode(COMMITMENT_TYPEHASH, nonce, balanceA, balanceB, revocationHashA, revocationHashB))
+        );
+    }
 
-        emit CommitmentRevoked(commitmentHash);
+    /**
+     * @dev EIP-712 digest of a cooperative close signed by both parties off-chain
+     * @param balanceA Final balance for party A
+     * @param balanceB Final balance for party B
+     */
+    function hashClose(uint256 balanceA, uint256 balanceB) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(CLOSE_TYPEHASH, balanceA, balanceB)));
+    }
+
+    /**
+     * @dev EIP-712 digest of a splice signed by both parties off-chain
+     * @param nonce Nonce of the new base state
+     * @param balanceA Party A's balance after the splice
+     * @param balanceB Party B's balance after the splice
+     * @param depositA Amount party A adds to the channel
+     * @param depositB Amount party B adds to the channel
+     * @param withdrawA Amount paid out to party A
+     * @param withdrawB Amount paid out to party B
+     * @param deadline Last timestamp at which the splice can be executed
+     */
+    function hashSplice(
+        uint256 nonce,
+        uint256 balanceA,
+        uint256 balanceB,
+        uint256 depositA,
+        uint256 depositB,
+        uint256 withdrawA,
+        uint256 withdrawB,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(abi.encode(SPLICE_TYPEHASH, nonce, balanceA, balanceB, depositA, depositB, withdrawA, withdrawB, deadline))
+        );
     }
 
     /**
@@ -136,6 +326,8 @@ contract BidirectionalChannel is ReentrancyGuard {
      * @param nonce The sequence number of the commitment
      * @param balanceA Balance for party A in this commitment
      * @param balanceB Balance for party B in this commitment
+     * @param revocationHashA Party A's revocation hash for this commitment
+     * @param revocationHashB Party B's revocation hash for this commitment
      * @param signatureA Party A's signature
      * @param signatureB Party B's signature
      */
@@ -143,27 +335,19 @@ contract BidirectionalChannel is ReentrancyGuard {
         uint256 nonce,
         uint256 balanceA,
         uint256 balanceB,
+        bytes32 revocationHashA,
+        bytes32 revocationHashB,
         bytes memory signatureA,
         bytes memory signatureB
     ) external onlyParticipants inState(State.OPEN) {
+        require(nonce >= latestNonce, "Commitment predates latest splice");
         require(balanceA + balanceB == channelBalance, "Invalid balances");
 
-        // Create commitment hash
-        bytes32 commitmentHash = keccak256(
-            abi.encodePacked(address(this), nonce, balanceA, balanceB)
-        );
-
-        // Verify signatures
-        bytes32 ethSignedMessageHash = MessageHashUtils.toEthSignedMessageHash(commitmentHash);
-        address signerA = ECDSA.recover(ethSignedMessageHash, signatureA);
-        address signerB = ECDSA.recover(ethSignedMessageHash, signatureB);
+        _verifyCommitment(nonce, balanceA, balanceB, revocationHashA, revocationHashB, signatureA, signatureB);
 
-        require(signerA == partyA, "Invalid signature from A");
-        require(signerB == partyB, "Invalid signature from B");
-
-        // Check if this commitment has been revoked
-        bytes32 revocationHash = keccak256(abi.encodePacked(commitmentHash));
-        if (revokedCommitments[revocationHash]) {
+        // Check if the initiator already revoked this commitment on-chain
+        bytes32 initiatorRevocationHash = msg.sender == partyA ? revocationHashA : revocationHashB;
+        if (revokedCommitments[initiatorRevocationHash]) {
             // Penalize the cheater - they tried to use a revoked commitment
             _applyPenalty(msg.sender);
             return;
@@ -176,6 +360,8 @@ contract BidirectionalChannel is ReentrancyGuard {
         disputedBalanceA = balanceA;
         disputedBalanceB = balanceB;
         disputedNonce = nonce;
+        disputedRevocationHashA = revocationHashA;
+        disputedRevocationHashB = revocationHashB;
 
         emit DisputeInitiated(msg.sender, nonce, disputeDeadline);
     }
@@ -185,6 +371,8 @@ contract BidirectionalChannel is ReentrancyGuard {
      * @param nonce The sequence number of the newer commitment
      * @param balanceA Balance for party A in this commitment
      * @param balanceB Balance for party B in this commitment
+     * @param revocationHashA Party A's revocation hash for this commitment
+     * @param revocationHashB Party B's revocation hash for this commitment
      * @param signatureA Party A's signature
      * @param signatureB Party B's signature
      */
@@ -192,48 +380,36 @@ contract BidirectionalChannel is ReentrancyGuard {
         uint256 nonce,
         uint256 balanceA,
         uint256 balanceB,
+        bytes32 revocationHashA,
+        bytes32 revocationHashB,
         bytes memory signatureA,
         bytes memory signatureB
     ) external onlyParticipants inState(State.DISPUTED) {
         require(nonce > disputedNonce, "Must provide newer commitment");
         require(balanceA + balanceB == channelBalance, "Invalid balances");
 
-        // Create commitment hash
-        bytes32 commitmentHash = keccak256(
-            abi.encodePacked(address(this), nonce, balanceA, balanceB)
-        );
-
-        // Verify signatures
-        bytes32 ethSignedMessageHash = MessageHashUtils.toEthSignedMessageHash(commitmentHash);
-        address signerA = ECDSA.recover(ethSignedMessageHash, signatureA);
-        address signerB = ECDSA.recover(ethSignedMessageHash, signatureB);
-
-        require(signerA == partyA, "Invalid signature from A");
-        require(signerB == partyB, "Invalid signature from B");
+        _verifyCommitment(nonce, balanceA, balanceB, revocationHashA, revocationHashB, signatureA, signatureB);
 
         // Update disputed state with newer commitment
         disputedBalanceA = balanceA;
         disputedBalanceB = balanceB;
         disputedNonce = nonce;
+        disputedRevocationHashA = revocationHashA;
+        disputedRevocationHashB = revocationHashB;
         disputeInitiator = msg.sender;
         disputeDeadline = block.timestamp + disputePeriod; // Reset timer
     }
 
     /**
      * @dev Prove that the counterparty used a revoked commitment
-     * @param revocationSecret The secret that proves the commitment was revoked
+     * @param revocationSecret The initiator's revealed secret for the disputed commitment
      */
     function proveRevocationBreach(
         bytes32 revocationSecret
     ) external onlyParticipants inState(State.DISPUTED) {
-        // Calculate the commitment hash from disputed state
-        bytes32 commitmentHash = keccak256(
-            abi.encodePacked(address(this), disputedNonce, disputedBalanceA, disputedBalanceB)
-        );
-
-        // Verify the revocation secret matches
+        // The secret must open the revocation hash the initiator committed to
+        bytes32 revocationHash = disputeInitiator == partyA ? disputedRevocationHashA : disputedRevocationHashB;
         bytes32 secretHash = keccak256(abi.encodePacked(revocationSecret));
-        bytes32 revocationHash = keccak256(abi.encodePacked(commitmentHash));
 
         require(secretHash == revocationHash, "Invalid revocation proof");
 
@@ -250,15 +426,8 @@ contract BidirectionalChannel is ReentrancyGuard {
         channelState = State.CLOSED;
 
         // Distribute funds according to the disputed commitment
-        if (disputedBalanceA > 0) {
-            (bool successA, ) = partyA.call{value: disputedBalanceA}("");
-            require(successA, "Transfer to A failed");
-        }
-
-        if (disputedBalanceB > 0) {
-            (bool successB, ) = partyB.call{value: disputedBalanceB}("");
-            require(successB, "Transfer to B failed");
-        }
+        _pay(partyA, disputedBalanceA, "Transfer to A failed");
+        _pay(partyB, disputedBalanceB, "Transfer to B failed");
 
         emit ChannelSettled(disputedBalanceA, disputedBalanceB);
     }
@@ -278,15 +447,10 @@ contract BidirectionalChannel is ReentrancyGuard {
     ) external nonReentrant onlyParticipants inState(State.OPEN) {
         require(balanceA + balanceB == channelBalance, "Invalid balances");
 
-        // Create close message hash
-        bytes32 closeHash = keccak256(
-            abi.encodePacked("CLOSE", address(this), balanceA, balanceB)
-        );
-
-        // Verify signatures
-        bytes32 ethSignedCloseHash = MessageHashUtils.toEthSignedMessageHash(closeHash);
-        address signerA = ECDSA.recover(ethSignedCloseHash, signatureA);
-        address signerB = ECDSA.recover(ethSignedCloseHash, signatureB);
+        // Verify signatures over the typed close message
+        bytes32 closeHash = hashClose(balanceA, balanceB);
+        address signerA = ECDSA.recover(closeHash, signatureA);
+        address signerB = ECDSA.recover(closeHash, signatureB);
 
         require(signerA == partyA, "Invalid signature from A");
         require(signerB == partyB, "Invalid signature from B");
@@ -294,19 +458,32 @@ contract BidirectionalChannel is ReentrancyGuard {
         channelState = State.CLOSED;
 
         // Distribute funds
-        if (balanceA > 0) {
-            (bool successA, ) = partyA.call{value: balanceA}("");
-            require(successA, "Transfer to A failed");
-        }
-
-        if (balanceB > 0) {
-            (bool successB, ) = partyB.call{value: balanceB}("");
-            require(successB, "Transfer to B failed");
-        }
+        _pay(partyA, balanceA, "Transfer to A failed");
+        _pay(partyB, balanceB, "Transfer to B failed");
 
         emit ChannelSettled(balanceA, balanceB);
     }
 
+    /**
+     * @dev Verify both parties signed the given commitment
+     */
+    function _verifyCommitment(
+        uint256 nonce,
+        uint256 balanceA,
+        uint256 balanceB,
+        bytes32 revocationHashA,
+        bytes32 revocationHashB,
+        bytes memory signatureA,
+        bytes memory signatureB
+    ) private view returns (bytes32 commitmentHash) {
+        commitmentHash = hashCommitment(nonce, balanceA, balanceB, revocationHashA, revocationHashB);
+        address signerA = ECDSA.recover(commitmentHash, signatureA);
+        address signerB = ECDSA.recover(commitmentHash, signatureB);
+
+        require(signerA == partyA, "Invalid signature from A");
+        require(signerB == partyB, "Invalid signature from B");
+    }
+
     /**
      * @dev Apply penalty to a cheater (gives all funds to honest party)
      * @param cheater The address that tried to cheat
@@ -317,8 +494,7 @@ contract BidirectionalChannel is ReentrancyGuard {
         address honestParty = (cheater == partyA) ? partyB : partyA;
 
         // Transfer all funds to the honest party
-        (bool success, ) = honestParty.call{value: channelBalance}("");
-        require(success, "Penalty transfer failed");
+        _pay(honestParty, channelBalance, "Penalty transfer failed");
 
         emit PenaltyApplied(cheater, channelBalance);
         emit ChannelSettled(
@@ -327,6 +503,38 @@ contract BidirectionalChannel is ReentrancyGuard {
         );
     }
 
+    /**
+     * @dev Record a deposit during the funding phase. ETH arrives as msg.value;
+     * tokens are pulled from the caller.
+     */
+    function _fund(uint256 amount) private {
+        require(block.timestamp <= fundingDeadline, "Funding deadline passed");
+        require(amount > 0, "Must send funds");
+
+        deposits[msg.sender] += amount;
+        channelBalance += amount;
+
+        if (token != address(0)) {
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        }
+
+        emit ChannelFunded(channelBalance);
+    }
+
+    /**
+     * @dev Pay out ETH or tokens; zero amounts are skipped
+     */
+    function _pay(address to, uint256 amount, string memory failureMessage) private {
+        if (amount == 0) return;
+
+        if (token == address(0)) {
+            (bool success, ) = to.call{value: amount}("");
+            require(success, failureMessage);
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+
     /**
      * @dev Get channel info
      */
@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./BidirectionalChannel.sol";
+
+/**
+ * @title BidirectionalChannelFactory
+ * @dev Creates BidirectionalChannel instances as EIP-1167 minimal proxies of a
+ * single implementation and keeps a registry of every channel it created.
+ * Counterparties can trust a channel's code by checking isChannel on a known
+ * factory instead of inspecting its bytecode.
+ */
+contract BidirectionalChannelFactory {
+    // Implementation every channel delegates to
+    address public immutable implementation;
+
+    // Registry of channels created by this factory
+    mapping(address => bool) public isChannel;
+    address[] public channels;
+
+    event ChannelCreated(address indexed partyA, address indexed partyB, address indexed channel);
+
+    constructor() {
+        implementation = address(new BidirectionalChannel());
+    }
+
+    /**
+     * @dev Create a channel between partyA and partyB. Only one of the parties
+     * may create it, so nobody can open channels in someone else's name.
+     */
+    function createChannel(
+        address partyA,
+        address partyB,
+        uint256 fundingDeadline,
+        uint256 disputePeriod,
+        address token
+    ) external returns (address channel) {
+        require(msg.sender == partyA || msg.sender == partyB, "Not a participant");
+
+        channel = Clones.clone(implementation);
+        BidirectionalChannel(channel).initialize(partyA, partyB, fundingDeadline, disputePeriod, token);
+
+        isChannel[channel] = true;
+        channels.push(channel);
+
+        emit ChannelCreated(partyA, partyB, channel);
+    }
+
+    /**
+     * @dev Number of channels created by this factory
+     */
+    function channelCount() external view returns (uint256) {
+        return channels.length;
+    }
+}
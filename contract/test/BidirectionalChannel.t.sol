@@ -2,9 +2,10 @@
 pragma solidity ^0.8.20;
 
 import "forge-std/Test.sol";
-import "../src/BidirectionalChannel.sol";
+import "../src/BidirectionalChannelFactory.sol";
 
 contract BidirectionalChannelTest is Test {
+    BidirectionalChannelFactory public factory;
     BidirectionalChannel public channel;
 
     address public partyA;
@@ -15,12 +16,19 @@ contract BidirectionalChannelTest is Test {
     uint256 public fundingDeadline;
     uint256 public disputePeriod;
 
+    // Shared EIP-712 vectors with cli/test/commitment.test.js (chainId 31337, channel 0xC4)
+    bytes32 constant COMMITMENT_VECTOR = 0x6492b4ca5f699003ce32ce1743e898e3ef6e37756aedda074e3a8b6dfc4b3677;
+    bytes32 constant CLOSE_VECTOR = 0x4ebc3f386ee06cd2c9b50aaf1011a07d51e96d39d1ccf33c57587761a608f480;
+    bytes32 constant SPLICE_VECTOR = 0xb33ad76002fa2de99071a7e996a1522cdd9eb3f53e0339db5d3b49ddbaa2924f;
+
     event ChannelFunded(uint256 totalBalance);
     event ChannelOpened(address indexed partyA, address indexed partyB, uint256 totalBalance, uint256 depositA, uint256 depositB);
     event CommitmentRevoked(bytes32 indexed commitmentHash);
     event DisputeInitiated(address indexed initiator, uint256 nonce, uint256 deadline);
     event ChannelSettled(uint256 balanceA, uint256 balanceB);
     event PenaltyApplied(address indexed cheater, uint256 amount);
+    event DepositReclaimed(address indexed party, uint256 amount);
+    event ChannelSpliced(uint256 nonce, uint256 depositA, uint256 depositB, uint256 withdrawA, uint256 withdrawB, uint256 totalBalance);
 
     function setUp() public {
         // Setup test accounts
@@ -37,12 +45,15 @@ contract BidirectionalChannelTest is Test {
         fundingDeadline = block.timestamp + 1 hours;
         disputePeriod = 1 days;
 
-        channel = new BidirectionalChannel(
+        factory = new BidirectionalChannelFactory();
+        vm.prank(partyA);
+        channel = BidirectionalChannel(factory.createChannel(
             partyA,
             partyB,
             fundingDeadline,
-            disputePeriod
-        );
+            disputePeriod,
+            address(0)
+        ));
     }
 
     function test_InitialState() public view {
@@ -149,6 +160,81 @@ contract BidirectionalChannelTest is Test {
         channel.fundAndOpenChannel{value: 0}();
     }
 
+    function test_ReclaimDepositAfterFundingDeadline() public {
+        vm.prank(partyA);
+        channel.fundChannel{value: 3 ether}();
+
+        vm.prank(partyB);
+        channel.fundChannel{value: 2 ether}();
+
+        vm.warp(fundingDeadline + 1);
+
+        uint256 balanceBefore = partyA.balance;
+        vm.prank(partyA);
+        vm.expectEmit(true, false, false, true);
+        emit DepositReclaimed(partyA, 3 ether);
+        channel.reclaimDeposit();
+
+        assertEq(partyA.balance, balanceBefore + 3 ether);
+        assertEq(channel.deposits(partyA), 0);
+        assertEq(channel.channelBalance(), 2 ether);
+        assertEq(uint(channel.channelState()), 0); // Still FUNDING until B withdraws
+
+        vm.prank(partyB);
+        channel.reclaimDeposit();
+
+        assertEq(channel.channelBalance(), 0);
+        assertEq(address(channel).balance, 0);
+        assertEq(uint(channel.channelState()), 3); // CLOSED
+    }
+
+    function test_CannotReclaimDepositBeforeFundingDeadline() public {
+        vm.prank(partyA);
+        channel.fundChannel{value: 5 ether}();
+
+        vm.prank(partyA);
+        vm.expectRevert("Funding deadline not passed");
+        channel.reclaimDeposit();
+    }
+
+    function test_CannotReclaimDepositTwice() public {
+        vm.prank(partyA);
+        channel.fundChannel{value: 5 ether}();
+
+        vm.prank(partyB);
+        channel.fundChannel{value: 1 ether}();
+
+        vm.warp(fundingDeadline + 1);
+
+        vm.prank(partyA);
+        channel.reclaimDeposit();
+
+        vm.prank(partyA);
+        vm.expectRevert("No deposit to reclaim");
+        channel.reclaimDeposit();
+    }
+
+    function test_CannotReclaimDepositFromOpenChannel() public {
+        _fundAndOpenChannel();
+
+        vm.warp(fundingDeadline + 1);
+
+        vm.prank(partyA);
+        vm.expectRevert("Invalid state");
+        channel.reclaimDeposit();
+    }
+
+    function test_CannotOpenChannelAfterFundingDeadline() public {
+        vm.prank(partyA);
+        channel.fundChannel{value: 5 ether}();
+
+        vm.warp(fundingDeadline + 1);
+
+        vm.prank(partyA);
+        vm.expectRevert("Funding deadline passed");
+        channel.openChannel();
+    }
+
     function test_SubmitRevocation() public {
         // Setup: fund and open channel
         _fundAndOpenChannel();
@@ -185,7 +271,15 @@ contract BidirectionalChannelTest is Test {
         vm.prank(partyA);
         vm.expectEmit(true, false, false, true);
         emit DisputeInitiated(partyA, nonce, block.timestamp + disputePeriod);
-        channel.initiateDispute(nonce, balanceA, balanceB, sigA, sigB);
+        channel.initiateDispute(
+            nonce,
+            balanceA,
+            balanceB,
+            _revocationHash(partyAPrivateKey, nonce),
+            _revocationHash(partyBPrivateKey, nonce),
+            sigA,
+            sigB
+        );
 
         assertEq(uint(channel.channelState()), 2); // DISPUTED state
         assertEq(channel.disputeInitiator(), partyA);
@@ -205,7 +299,15 @@ contract BidirectionalChannelTest is Test {
         );
 
         vm.prank(partyA);
-        channel.initiateDispute(nonce1, 4 ether, 6 ether, sigA1, sigB1);
+        channel.initiateDispute(
+            nonce1,
+            4 ether,
+            6 ether,
+            _revocationHash(partyAPrivateKey, nonce1),
+            _revocationHash(partyBPrivateKey, nonce1),
+            sigA1,
+            sigB1
+        );
 
         // Challenge with newer commitment (nonce 2)
         uint256 nonce2 = 2;
@@ -216,7 +318,15 @@ contract BidirectionalChannelTest is Test {
         );
 
         vm.prank(partyB);
-        channel.challengeDispute(nonce2, 3 ether, 7 ether, sigA2, sigB2);
+        channel.challengeDispute(
+            nonce2,
+            3 ether,
+            7 ether,
+            _revocationHash(partyAPrivateKey, nonce2),
+            _revocationHash(partyBPrivateKey, nonce2),
+            sigA2,
+            sigB2
+        );
 
         assertEq(channel.disputedNonce(), nonce2);
         assertEq(channel.disputedBalanceA(), 3 ether);
@@ -238,7 +348,15 @@ contract BidirectionalChannelTest is Test {
         );
 
         vm.prank(partyA);
-        channel.initiateDispute(nonce, balanceA, balanceB, sigA, sigB);
+        channel.initiateDispute(
+            nonce,
+            balanceA,
+            balanceB,
+            _revocationHash(partyAPrivateKey, nonce),
+            _revocationHash(partyBPrivateKey, nonce),
+            sigA,
+            sigB
+        );
 
         // Advance time past dispute period
         vm.warp(block.timestamp + disputePeriod + 1);
@@ -263,13 +381,11 @@ contract BidirectionalChannelTest is Test {
         uint256 balanceA = 4 ether;
         uint256 balanceB = 6 ether;
 
-        // Create close message signatures
-        bytes32 closeHash = keccak256(
-            abi.encodePacked("CLOSE", address(channel), balanceA, balanceB)
-        );
+        // Create typed close message signatures
+        bytes32 closeHash = _closeDigest(address(channel), block.chainid, balanceA, balanceB);
 
-        (uint8 vA, bytes32 rA, bytes32 sA) = vm.sign(partyAPrivateKey, _toEthSignedMessageHash(closeHash));
-        (uint8 vB, bytes32 rB, bytes32 sB) = vm.sign(partyBPrivateKey, _toEthSignedMessageHash(closeHash));
+        (uint8 vA, bytes32 rA, bytes32 sA) = vm.sign(partyAPrivateKey, closeHash);
+        (uint8 vB, bytes32 rB, bytes32 sB) = vm.sign(partyBPrivateKey, closeHash);
 
         bytes memory sigA = abi.encodePacked(rA, sA, vA);
         bytes memory sigB = abi.encodePacked(rB, sB, vB);
@@ -294,43 +410,327 @@ contract BidirectionalChannelTest is Test {
 
         // First, create and revoke a commitment
         bytes32 revocationSecret = keccak256("secret");
-        bytes32 secretHash = keccak256(abi.encodePacked(revocationSecret));
+        bytes32 revocationHash = keccak256(abi.encodePacked(revocationSecret));
 
-        // Create commitment that will be revoked
+        // Create commitment that will be revoked (party A committed to revocationHash)
         uint256 nonce = 1;
         uint256 balanceA = 4 ether;
         uint256 balanceB = 6 ether;
+        bytes32 revocationHashB = _revocationHash(partyBPrivateKey, nonce);
 
-        bytes32 commitmentHash = keccak256(
-            abi.encodePacked(address(channel), nonce, balanceA, balanceB)
+        (bytes memory sigA, bytes memory sigB) = _createSignedCommitment(
+            nonce,
+            balanceA,
+            balanceB,
+            revocationHash,
+            revocationHashB
         );
 
-        bytes32 revocationHash = keccak256(abi.encodePacked(commitmentHash));
-
         // Mark as revoked
         vm.prank(partyA);
         channel.submitRevocation(revocationHash, revocationSecret);
 
-        // Now try to use this revoked commitment in a dispute
+        // PartyA tries to cheat by using revoked commitment
+        uint256 partyBBalanceBefore = partyB.balance;
+
+        vm.prank(partyA);
+        vm.expectEmit(true, false, false, true);
+        emit PenaltyApplied(partyA, 10 ether);
+        channel.initiateDispute(nonce, balanceA, balanceB, revocationHash, revocationHashB, sigA, sigB);
+
+        // PartyB should get all funds as penalty
+        assertEq(partyB.balance, partyBBalanceBefore + 10 ether);
+        assertEq(uint(channel.channelState()), 3); // CLOSED state
+    }
+
+    function test_HashCommitmentMatchesOffChainEncoding() public view {
+        uint256 nonce = 3;
+        bytes32 revocationHashA = _revocationHash(partyAPrivateKey, nonce);
+        bytes32 revocationHashB = _revocationHash(partyBPrivateKey, nonce);
+
+        bytes32 expected = _commitmentDigest(
+            address(channel), block.chainid, nonce, 4 ether, 6 ether, revocationHashA, revocationHashB
+        );
+
+        assertEq(channel.hashCommitment(nonce, 4 ether, 6 ether, revocationHashA, revocationHashB), expected);
+        assertEq(channel.hashClose(4 ether, 6 ether), _closeDigest(address(channel), block.chainid, 4 ether, 6 ether));
+
+        bytes32 vector = _commitmentDigest(
+            address(0xC4), 31337, 1, 0.95 ether, 0.05 ether, keccak256("a"), keccak256("b")
+        );
+        assertEq(vector, COMMITMENT_VECTOR);
+        assertEq(_closeDigest(address(0xC4), 31337, 0.95 ether, 0.05 ether), CLOSE_VECTOR);
+
+        assertEq(
+            channel.hashSplice(2, 5 ether, 6 ether, 1 ether, 0, 0, 0, 1000),
+            _spliceDigest(address(channel), block.chainid, 2, 5 ether, 6 ether, 1 ether, 0, 0, 0, 1000)
+        );
+        assertEq(
+            _spliceDigest(address(0xC4), 31337, 1, 1.45 ether, 0.05 ether, 0.5 ether, 0, 0, 0, 1700000000),
+            SPLICE_VECTOR
+        );
+    }
+
+    function test_CommitmentSignedForAnotherChainIsRejected() public {
+        _fundAndOpenChannel();
+
+        uint256 nonce = 1;
+        (bytes memory sigA, bytes memory sigB) = _createSignedCommitment(nonce, 4 ether, 6 ether);
+        bytes32 revocationHashA = _revocationHash(partyAPrivateKey, nonce);
+        bytes32 revocationHashB = _revocationHash(partyBPrivateKey, nonce);
+
+        // The same channel address on a fork must not accept the signatures
+        vm.chainId(block.chainid + 1);
+
+        vm.prank(partyA);
+        vm.expectRevert("Invalid signature from A");
+        channel.initiateDispute(nonce, 4 ether, 6 ether, revocationHashA, revocationHashB, sigA, sigB);
+    }
+
+    function test_CooperativeCloseRejectsCommitmentSignature() public {
+        _fundAndOpenChannel();
+
+        // A commitment signature cannot be replayed as a close of the same balances
+        (bytes memory sigA, bytes memory sigB) = _createSignedCommitment(1, 4 ether, 6 ether);
+
+        vm.prank(partyA);
+        vm.expectRevert("Invalid signature from A");
+        channel.cooperativeClose(4 ether, 6 ether, sigA, sigB);
+    }
+
+    function test_WebSignedPurchaseCommitmentWinsDispute() public {
+        // Buyer (A) funds alone, as the web app does with fundAndOpenChannel
+        vm.prank(partyA);
+        channel.fundAndOpenChannel{value: 1 ether}();
+
+        // A video purchase moves 0.05 ether to the server (B); both sign the typed commitment
+        uint256 nonce = 1;
+        uint256 balanceA = 0.95 ether;
+        uint256 balanceB = 0.05 ether;
+        bytes32 revocationHashA = _revocationHash(partyAPrivateKey, nonce);
+        bytes32 revocationHashB = _revocationHash(partyBPrivateKey, nonce);
+
         (bytes memory sigA, bytes memory sigB) = _createSignedCommitment(
             nonce,
             balanceA,
-            balanceB
+            balanceB,
+            revocationHashA,
+            revocationHashB
         );
 
-        // PartyA tries to cheat by using revoked commitment
+        // Server disputes with the co-signed purchase
+        vm.prank(partyB);
+        channel.initiateDispute(nonce, balanceA, balanceB, revocationHashA, revocationHashB, sigA, sigB);
+
+        assertEq(channel.disputedRevocationHashA(), revocationHashA);
+        assertEq(channel.disputedRevocationHashB(), revocationHashB);
+
+        vm.warp(block.timestamp + disputePeriod + 1);
+
         uint256 partyBBalanceBefore = partyB.balance;
+        channel.finalizeDispute();
+
+        assertEq(partyB.balance, partyBBalanceBefore + balanceB);
+        assertEq(uint(channel.channelState()), 3); // CLOSED state
+    }
+
+    function test_ProveRevocationBreach() public {
+        _fundAndOpenChannel();
+
+        // Commitment #1 is later superseded and revoked by party A revealing its secret
+        uint256 nonce = 1;
+        (bytes memory sigA, bytes memory sigB) = _createSignedCommitment(nonce, 6 ether, 4 ether);
 
         vm.prank(partyA);
+        channel.initiateDispute(
+            nonce,
+            6 ether,
+            4 ether,
+            _revocationHash(partyAPrivateKey, nonce),
+            _revocationHash(partyBPrivateKey, nonce),
+            sigA,
+            sigB
+        );
+
+        // Party B holds A's revealed secret for nonce 1 and claims every fund
+        uint256 partyBBalanceBefore = partyB.balance;
+
+        vm.prank(partyB);
         vm.expectEmit(true, false, false, true);
         emit PenaltyApplied(partyA, 10 ether);
-        channel.initiateDispute(nonce, balanceA, balanceB, sigA, sigB);
+        channel.proveRevocationBreach(_revocationSecret(partyAPrivateKey, nonce));
 
-        // PartyB should get all funds as penalty
         assertEq(partyB.balance, partyBBalanceBefore + 10 ether);
         assertEq(uint(channel.channelState()), 3); // CLOSED state
     }
 
+    function test_ProveRevocationBreachRejectsWrongSecret() public {
+        _fundAndOpenChannel();
+
+        uint256 nonce = 1;
+        (bytes memory sigA, bytes memory sigB) = _createSignedCommitment(nonce, 6 ether, 4 ether);
+
+        vm.prank(partyA);
+        channel.initiateDispute(
+            nonce,
+            6 ether,
+            4 ether,
+            _revocationHash(partyAPrivateKey, nonce),
+            _revocationHash(partyBPrivateKey, nonce),
+            sigA,
+            sigB
+        );
+
+        // B's own secret does not revoke a state A broadcast
+        vm.prank(partyB);
+        vm.expectRevert("Invalid revocation proof");
+        channel.proveRevocationBreach(_revocationSecret(partyBPrivateKey, nonce));
+    }
+
+    function test_DisputeRejectsMismatchedRevocationHashes() public {
+        _fundAndOpenChannel();
+
+        uint256 nonce = 1;
+        (bytes memory sigA, bytes memory sigB) = _createSignedCommitment(nonce, 4 ether, 6 ether);
+
+        // Signatures cover the revocation hashes, so swapping them invalidates the commitment
+        vm.prank(partyA);
+        vm.expectRevert("Invalid signature from A");
+        channel.initiateDispute(
+            nonce,
+            4 ether,
+            6 ether,
+            _revocationHash(partyBPrivateKey, nonce),
+            _revocationHash(partyAPrivateKey, nonce),
+            sigA,
+            sigB
+        );
+    }
+
+    function test_SpliceInAddsFunds() public {
+        _fundAndOpenChannel();
+
+        // PartyA tops up 2 ether on top of a 4/6 split
+        (bytes memory sigA, bytes memory sigB) = _createSignedSplice(2, 6 ether, 6 ether, 2 ether, 0, 0, 0);
+
+        vm.prank(partyA);
+        vm.expectEmit(false, false, false, true);
+        emit ChannelSpliced(2, 2 ether, 0, 0, 0, 12 ether);
+        channel.splice{value: 2 ether}(2, 6 ether, 6 ether, 0, 0, _spliceDeadline(), sigA, sigB);
+
+        assertEq(channel.channelBalance(), 12 ether);
+        assertEq(channel.latestNonce(), 2);
+        assertEq(channel.deposits(partyA), 7 ether);
+        assertEq(uint(channel.channelState()), 1); // still OPEN
+    }
+
+    function test_SpliceOutPaysWithdrawal() public {
+        _fundAndOpenChannel();
+
+        uint256 partyBBefore = partyB.balance;
+        (bytes memory sigA, bytes memory sigB) = _createSignedSplice(1, 5 ether, 2 ether, 0, 0, 0, 3 ether);
+
+        vm.prank(partyA);
+        channel.splice(1, 5 ether, 2 ether, 0, 3 ether, _spliceDeadline(), sigA, sigB);
+
+        assertEq(channel.channelBalance(), 7 ether);
+        assertEq(partyB.balance, partyBBefore + 3 ether);
+        assertEq(address(channel).balance, 7 ether);
+    }
+
+    function test_SpliceRejectsUnbalancedAmounts() public {
+        _fundAndOpenChannel();
+
+        (bytes memory sigA, bytes memory sigB) = _createSignedSplice(1, 6 ether, 6 ether, 1 ether, 0, 0, 0);
+
+        vm.prank(partyA);
+        vm.expectRevert("Invalid balances");
+        channel.splice{value: 1 ether}(1, 6 ether, 6 ether, 0, 0, _spliceDeadline(), sigA, sigB);
+    }
+
+    function test_SpliceDepositMustComeFromSigner() public {
+        _fundAndOpenChannel();
+
+        // Both parties agreed that A deposits; B cannot pay in A's place
+        (bytes memory sigA, bytes memory sigB) = _createSignedSplice(1, 6 ether, 5 ether, 1 ether, 0, 0, 0);
+
+        vm.prank(partyB);
+        vm.expectRevert("Invalid signature from A");
+        channel.splice{value: 1 ether}(1, 6 ether, 5 ether, 0, 0, _spliceDeadline(), sigA, sigB);
+    }
+
+    function test_SpliceCannotBeReplayed() public {
+        _fundAndOpenChannel();
+
+        (bytes memory sigA, bytes memory sigB) = _createSignedSplice(1, 5 ether, 4 ether, 0, 0, 1 ether, 0);
+
+        vm.prank(partyA);
+        channel.splice(1, 5 ether, 4 ether, 1 ether, 0, _spliceDeadline(), sigA, sigB);
+
+        vm.prank(partyA);
+        vm.expectRevert("Splice nonce too low");
+        channel.splice(1, 5 ether, 4 ether, 1 ether, 0, _spliceDeadline(), sigA, sigB);
+    }
+
+    function test_SpliceExpiresAtDeadline() public {
+        _fundAndOpenChannel();
+
+        uint256 deadline = _spliceDeadline();
+        (bytes memory sigA, bytes memory sigB) = _createSignedSplice(1, 5 ether, 4 ether, 0, 0, 1 ether, 0);
+
+        vm.warp(deadline + 1);
+        vm.prank(partyA);
+        vm.expectRevert("Splice deadline passed");
+        channel.splice(1, 5 ether, 4 ether, 1 ether, 0, deadline, sigA, sigB);
+        assertEq(channel.latestNonce(), 0);
+    }
+
+    function test_DisputeRejectsCommitmentBeforeSplice() public {
+        _fundAndOpenChannel();
+
+        // A commitment from before the splice, with the same total
+        (bytes memory oldSigA, bytes memory oldSigB) = _createSignedCommitment(1, 8 ether, 2 ether);
+
+        // Splice 1 ether in for A and 1 ether out for B, keeping the total at 10
+        (bytes memory sigA, bytes memory sigB) = _createSignedSplice(2, 5 ether, 5 ether, 1 ether, 0, 0, 1 ether);
+        vm.prank(partyA);
+        channel.splice{value: 1 ether}(2, 5 ether, 5 ether, 0, 1 ether, _spliceDeadline(), sigA, sigB);
+
+        vm.prank(partyA);
+        vm.expectRevert("Commitment predates latest splice");
+        channel.initiateDispute(
+            1,
+            8 ether,
+            2 ether,
+            _revocationHash(partyAPrivateKey, 1),
+            _revocationHash(partyBPrivateKey, 1),
+            oldSigA,
+            oldSigB
+        );
+
+        // The commitment signed for the new base state is still disputable
+        (bytes memory newSigA, bytes memory newSigB) = _createSignedCommitment(2, 5 ether, 5 ether);
+        vm.prank(partyA);
+        channel.initiateDispute(
+            2,
+            5 ether,
+            5 ether,
+            _revocationHash(partyAPrivateKey, 2),
+            _revocationHash(partyBPrivateKey, 2),
+            newSigA,
+            newSigB
+        );
+        assertEq(uint(channel.channelState()), 2); // DISPUTED state
+    }
+
+    function test_CannotSpliceFundingChannel() public {
+        (bytes memory sigA, bytes memory sigB) = _createSignedSplice(1, 1 ether, 0, 1 ether, 0, 0, 0);
+
+        vm.prank(partyA);
+        vm.expectRevert("Invalid state");
+        channel.splice{value: 1 ether}(1, 1 ether, 0, 0, 0, _spliceDeadline(), sigA, sigB);
+    }
+
     // Helper functions
 
     function _fundAndOpenChannel() private {
@@ -349,22 +749,142 @@ contract BidirectionalChannelTest is Test {
         uint256 balanceA,
         uint256 balanceB
     ) private view returns (bytes memory sigA, bytes memory sigB) {
-        bytes32 commitmentHash = keccak256(
-            abi.encodePacked(address(channel), nonce, balanceA, balanceB)
+        return _createSignedCommitment(
+            nonce,
+            balanceA,
+            balanceB,
+            _revocationHash(partyAPrivateKey, nonce),
+            _revocationHash(partyBPrivateKey, nonce)
         );
+    }
 
-        bytes32 messageHash = _toEthSignedMessageHash(commitmentHash);
+    function _createSignedCommitment(
+        uint256 nonce,
+        uint256 balanceA,
+        uint256 balanceB,
+        bytes32 revocationHashA,
+        bytes32 revocationHashB
+    ) private view returns (bytes memory sigA, bytes memory sigB) {
+        // Same typed data the CLI, server and web app sign off-chain
+        bytes32 commitmentHash = _commitmentDigest(
+            address(channel), block.chainid, nonce, balanceA, balanceB, revocationHashA, revocationHashB
+        );
 
-        (uint8 vA, bytes32 rA, bytes32 sA) = vm.sign(partyAPrivateKey, messageHash);
-        (uint8 vB, bytes32 rB, bytes32 sB) = vm.sign(partyBPrivateKey, messageHash);
+        (uint8 vA, bytes32 rA, bytes32 sA) = vm.sign(partyAPrivateKey, commitmentHash);
+        (uint8 vB, bytes32 rB, bytes32 sB) = vm.sign(partyBPrivateKey, commitmentHash);
 
         sigA = abi.encodePacked(rA, sA, vA);
         sigB = abi.encodePacked(rB, sB, vB);
     }
 
-    function _toEthSignedMessageHash(bytes32 hash) private pure returns (bytes32) {
+    function _createSignedSplice(
+        uint256 nonce,
+        uint256 balanceA,
+        uint256 balanceB,
+        uint256 depositA,
+        uint256 depositB,
+        uint256 withdrawA,
+        uint256 withdrawB
+    ) private view returns (bytes memory sigA, bytes memory sigB) {
+        bytes32 spliceHash = channel.hashSplice(
+            nonce, balanceA, balanceB, depositA, depositB, withdrawA, withdrawB, _spliceDeadline()
+        );
+
+        (uint8 vA, bytes32 rA, bytes32 sA) = vm.sign(partyAPrivateKey, spliceHash);
+        (uint8 vB, bytes32 rB, bytes32 sB) = vm.sign(partyBPrivateKey, spliceHash);
+
+        sigA = abi.encodePacked(rA, sA, vA);
+        sigB = abi.encodePacked(rB, sB, vB);
+    }
+
+    // Splices in these tests are signed and executed within the hour
+    function _spliceDeadline() private view returns (uint256) {
+        return block.timestamp + 1 hours;
+    }
+
+    function _revocationSecret(uint256 privateKey, uint256 nonce) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(privateKey, nonce));
+    }
+
+    function _revocationHash(uint256 privateKey, uint256 nonce) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_revocationSecret(privateKey, nonce)));
+    }
+
+    function _domainSeparator(address verifyingContract, uint256 chainId) private pure returns (bytes32) {
         return keccak256(
-            abi.encodePacked("\x19Ethereum Signed Message:\n32", hash)
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256("BidirectionalChannel"),
+                keccak256("1"),
+                chainId,
+                verifyingContract
+            )
+        );
+    }
+
+    function _commitmentDigest(
+        address verifyingContract,
+        uint256 chainId,
+        uint256 nonce,
+        uint256 balanceA,
+        uint256 balanceB,
+        bytes32 revocationHashA,
+        bytes32 revocationHashB
+    ) private pure returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256(
+                    "Commitment(uint256 nonce,uint256 balanceA,uint256 balanceB,bytes32 revocationHashA,bytes32 revocationHashB)"
+                ),
+                nonce,
+                balanceA,
+                balanceB,
+                revocationHashA,
+                revocationHashB
+            )
+        );
+        return keccak256(abi.encodePacked("\x19\x01", _domainSeparator(verifyingContract, chainId), structHash));
+    }
+
+    function _closeDigest(
+        address verifyingContract,
+        uint256 chainId,
+        uint256 balanceA,
+        uint256 balanceB
+    ) private pure returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(keccak256("Close(uint256 balanceA,uint256 balanceB)"), balanceA, balanceB)
+        );
+        return keccak256(abi.encodePacked("\x19\x01", _domainSeparator(verifyingContract, chainId), structHash));
+    }
+
+    function _spliceDigest(
+        address verifyingContract,
+        uint256 chainId,
+        uint256 nonce,
+        uint256 balanceA,
+        uint256 balanceB,
+        uint256 depositA,
+        uint256 depositB,
+        uint256 withdrawA,
+        uint256 withdrawB,
+        uint256 deadline
+    ) private pure returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256(
+                    "Splice(uint256 nonce,uint256 balanceA,uint256 balanceB,uint256 depositA,uint256 depositB,uint256 withdrawA,uint256 withdrawB,uint256 deadline)"
+                ),
+                nonce,
+                balanceA,
+                balanceB,
+                depositA,
+                depositB,
+                withdrawA,
+                withdrawB,
+                deadline
+            )
         );
+        return keccak256(abi.encodePacked("\x19\x01", _domainSeparator(verifyingContract, chainId), structHash));
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "../src/BidirectionalChannelFactory.sol";
+
+contract BidirectionalChannelFactoryTest is Test {
+    BidirectionalChannelFactory public factory;
+
+    address public partyA;
+    address public partyB;
+    uint256 public partyAPrivateKey;
+    uint256 public partyBPrivateKey;
+
+    event ChannelCreated(address indexed partyA, address indexed partyB, address indexed channel);
+
+    function setUp() public {
+        partyAPrivateKey = 0xa11ce;
+        partyBPrivateKey = 0xb0b;
+        partyA = vm.addr(partyAPrivateKey);
+        partyB = vm.addr(partyBPrivateKey);
+        vm.deal(partyA, 100 ether);
+
+        factory = new BidirectionalChannelFactory();
+    }
+
+    function test_CreateChannelRegistersClone() public {
+        vm.prank(partyA);
+        vm.expectEmit(true, true, false, false);
+        emit ChannelCreated(partyA, partyB, address(0));
+        BidirectionalChannel channel = _createChannel();
+
+        assertTrue(factory.isChannel(address(channel)));
+        assertEq(factory.channelCount(), 1);
+        assertEq(factory.channels(0), address(channel));
+
+        assertEq(channel.partyA(), partyA);
+        assertEq(channel.partyB(), partyB);
+        assertEq(channel.fundingDeadline(), block.timestamp + 1 hours);
+        assertEq(channel.disputePeriod(), 1 days);
+        assertEq(channel.token(), address(0));
+        assertEq(uint(channel.channelState()), 0); // FUNDING state
+    }
+
+    function test_CloneIsMinimalProxy() public {
+        vm.prank(partyA);
+        BidirectionalChannel channel = _createChannel();
+
+        // EIP-1167 runtime code is 45 bytes and embeds the implementation address
+        assertEq(address(channel).code.length, 45);
+        assertEq(
+            keccak256(address(channel).code),
+            keccak256(abi.encodePacked(hex"363d3d373d3d3d363d73", factory.implementation(), hex"5af43d82803e903d91602b57fd5bf3"))
+        );
+    }
+
+    function test_EitherPartyCanCreateChannel() public {
+        vm.prank(partyB);
+        BidirectionalChannel channel = _createChannel();
+
+        assertTrue(factory.isChannel(address(channel)));
+        assertEq(channel.partyA(), partyA);
+    }
+
+    function test_OutsiderCannotCreateChannel() public {
+        vm.prank(address(0xbad));
+        vm.expectRevert("Not a participant");
+        factory.createChannel(partyA, partyB, block.timestamp + 1 hours, 1 days, address(0));
+    }
+
+    function test_CreateChannelValidatesParameters() public {
+        vm.startPrank(partyA);
+
+        vm.expectRevert("Parties must be different");
+        factory.createChannel(partyA, partyA, block.timestamp + 1 hours, 1 days, address(0));
+
+        vm.expectRevert("Invalid funding deadline");
+        factory.createChannel(partyA, partyB, block.timestamp, 1 days, address(0));
+
+        vm.expectRevert("Invalid dispute period");
+        factory.createChannel(partyA, partyB, block.timestamp + 1 hours, 0, address(0));
+
+        vm.stopPrank();
+        assertEq(factory.channelCount(), 0);
+    }
+
+    function test_ChannelCannotBeReinitialized() public {
+        vm.prank(partyA);
+        BidirectionalChannel channel = _createChannel();
+
+        vm.expectRevert(Initializable.InvalidInitialization.selector);
+        channel.initialize(address(0xbad), partyB, block.timestamp + 1 hours, 1 days, address(0));
+    }
+
+    function test_ImplementationCannotBeInitialized() public {
+        BidirectionalChannel implementation = BidirectionalChannel(factory.implementation());
+
+        vm.expectRevert(Initializable.InvalidInitialization.selector);
+        implementation.initialize(partyA, partyB, block.timestamp + 1 hours, 1 days, address(0));
+        assertFalse(factory.isChannel(address(implementation)));
+    }
+
+    function test_ClonesHaveSeparateSigningDomains() public {
+        vm.startPrank(partyA);
+        BidirectionalChannel first = _createChannel();
+        BidirectionalChannel second = _createChannel();
+        vm.stopPrank();
+
+        // A close signed for one clone must not settle another between the same parties
+        assertTrue(first.hashClose(1 ether, 0) != second.hashClose(1 ether, 0));
+
+        vm.prank(partyA);
+        second.fundAndOpenChannel{value: 1 ether}();
+
+        bytes32 closeHash = first.hashClose(1 ether, 0);
+        bytes memory sigA = _sign(partyAPrivateKey, closeHash);
+        bytes memory sigB = _sign(partyBPrivateKey, closeHash);
+
+        vm.prank(partyA);
+        vm.expectRevert("Invalid signature from A");
+        second.cooperativeClose(1 ether, 0, sigA, sigB);
+    }
+
+    function _createChannel() private returns (BidirectionalChannel) {
+        return BidirectionalChannel(factory.createChannel(partyA, partyB, block.timestamp + 1 hours, 1 days, address(0)));
+    }
+
+    function _sign(uint256 privateKey, bytes32 digest) private pure returns (bytes memory) {
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(privateKey, digest);
+        return abi.encodePacked(r, s, v);
+    }
+}
@@ -0,0 +1,224 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "../src/BidirectionalChannelFactory.sol";
+
+/**
+ * @dev Stablecoin stand-in with 6 decimals, like USDC
+ */
+contract MockStablecoin is ERC20 {
+    constructor() ERC20("Mock USD", "mUSD") {}
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
+
+contract BidirectionalChannelTokenTest is Test {
+    BidirectionalChannelFactory public factory;
+    BidirectionalChannel public channel;
+    MockStablecoin public token;
+
+    address public partyA;
+    address public partyB;
+    uint256 public partyAPrivateKey;
+    uint256 public partyBPrivateKey;
+
+    uint256 constant USD = 1e6;
+
+    event ChannelOpened(address indexed partyA, address indexed partyB, uint256 totalBalance, uint256 depositA, uint256 depositB);
+    event PenaltyApplied(address indexed cheater, uint256 amount);
+
+    function setUp() public {
+        partyAPrivateKey = 0xa11ce;
+        partyBPrivateKey = 0xb0b;
+        partyA = vm.addr(partyAPrivateKey);
+        partyB = vm.addr(partyBPrivateKey);
+
+        token = new MockStablecoin();
+        token.mint(partyA, 100 * USD);
+        token.mint(partyB, 100 * USD);
+
+        factory = new BidirectionalChannelFactory();
+        vm.prank(partyA);
+        channel = BidirectionalChannel(factory.createChannel(
+            partyA,
+            partyB,
+            block.timestamp + 1 hours,
+            1 days,
+            address(token)
+        ));
+
+        vm.prank(partyA);
+        token.approve(address(channel), type(uint256).max);
+        vm.prank(partyB);
+        token.approve(address(channel), type(uint256).max);
+    }
+
+    function test_FundAndOpenWithTokens() public {
+        vm.prank(partyA);
+        vm.expectEmit(true, true, false, true);
+        emit ChannelOpened(partyA, partyB, 10 * USD, 10 * USD, 0);
+        channel.fundAndOpenChannelToken(10 * USD);
+
+        assertEq(channel.token(), address(token));
+        assertEq(channel.channelBalance(), 10 * USD);
+        assertEq(token.balanceOf(address(channel)), 10 * USD);
+        assertEq(token.balanceOf(partyA), 90 * USD);
+    }
+
+    function test_FundingRequiresApproval() public {
+        vm.prank(partyA);
+        token.approve(address(channel), 0);
+
+        vm.prank(partyA);
+        vm.expectRevert();
+        channel.fundChannelToken(10 * USD);
+    }
+
+    function test_TokenChannelRejectsEth() public {
+        vm.deal(partyA, 1 ether);
+
+        vm.prank(partyA);
+        vm.expectRevert("Channel takes tokens");
+        channel.fundChannel{value: 1 ether}();
+    }
+
+    function test_EthChannelRejectsTokenFunding() public {
+        vm.prank(partyA);
+        BidirectionalChannel ethChannel = BidirectionalChannel(factory.createChannel(
+            partyA, partyB, block.timestamp + 1 hours, 1 days, address(0)
+        ));
+
+        vm.prank(partyA);
+        vm.expectRevert("Channel takes ETH");
+        ethChannel.fundChannelToken(10 * USD);
+    }
+
+    function test_CooperativeClosePaysTokens() public {
+        vm.prank(partyA);
+        channel.fundAndOpenChannelToken(10 * USD);
+
+        // 7.25 USD to A, 2.75 USD to B: fractional amounts stay exact in 6 decimals
+        uint256 balanceA = 7_250_000;
+        uint256 balanceB = 2_750_000;
+        bytes32 closeHash = channel.hashClose(balanceA, balanceB);
+
+        vm.prank(partyA);
+        channel.cooperativeClose(balanceA, balanceB, _sign(partyAPrivateKey, closeHash), _sign(partyBPrivateKey, closeHash));
+
+        assertEq(token.balanceOf(partyA), 90 * USD + balanceA);
+        assertEq(token.balanceOf(partyB), 100 * USD + balanceB);
+        assertEq(token.balanceOf(address(channel)), 0);
+        assertEq(uint(channel.channelState()), 3); // CLOSED state
+    }
+
+    function test_FinalizeDisputePaysTokens() public {
+        vm.prank(partyA);
+        channel.fundAndOpenChannelToken(10 * USD);
+
+        _initiateDispute(1, 4 * USD, 6 * USD);
+
+        vm.warp(block.timestamp + 1 days + 1);
+        channel.finalizeDispute();
+
+        assertEq(token.balanceOf(partyA), 94 * USD);
+        assertEq(token.balanceOf(partyB), 106 * USD);
+    }
+
+    function test_PenaltyPaysTokensToHonestParty() public {
+        vm.prank(partyA);
+        channel.fundAndOpenChannelToken(10 * USD);
+
+        _initiateDispute(1, 9 * USD, 1 * USD);
+
+        vm.prank(partyB);
+        vm.expectEmit(true, false, false, true);
+        emit PenaltyApplied(partyA, 10 * USD);
+        channel.proveRevocationBreach(_revocationSecret(partyAPrivateKey, 1));
+
+        assertEq(token.balanceOf(partyB), 110 * USD);
+        assertEq(token.balanceOf(address(channel)), 0);
+    }
+
+    function test_ReclaimTokenDeposit() public {
+        vm.prank(partyB);
+        channel.fundChannelToken(5 * USD);
+
+        vm.warp(block.timestamp + 1 hours + 1);
+        vm.prank(partyB);
+        channel.reclaimDeposit();
+
+        assertEq(token.balanceOf(partyB), 100 * USD);
+        assertEq(uint(channel.channelState()), 3); // CLOSED state
+    }
+
+    function test_SplicePullsTokenDeposit() public {
+        vm.prank(partyA);
+        channel.fundAndOpenChannelToken(10 * USD);
+
+        // A adds 5 USD while B withdraws 1 USD of its earnings
+        uint256 nonce = 2;
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes32 spliceHash = channel.hashSplice(nonce, 12 * USD, 2 * USD, 5 * USD, 0, 0, 1 * USD, deadline);
+
+        vm.prank(partyA);
+        channel.splice(
+            nonce, 12 * USD, 2 * USD, 0, 1 * USD, deadline,
+            _sign(partyAPrivateKey, spliceHash), _sign(partyBPrivateKey, spliceHash)
+        );
+
+        assertEq(channel.channelBalance(), 14 * USD);
+        assertEq(channel.deposits(partyA), 15 * USD);
+        assertEq(token.balanceOf(address(channel)), 14 * USD);
+        assertEq(token.balanceOf(partyA), 85 * USD);
+        assertEq(token.balanceOf(partyB), 101 * USD);
+    }
+
+    function test_TokenSpliceRejectsEth() public {
+        vm.prank(partyA);
+        channel.fundAndOpenChannelToken(10 * USD);
+        vm.deal(partyA, 1 ether);
+
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes32 spliceHash = channel.hashSplice(1, 10 * USD, 0, 0, 0, 0, 0, deadline);
+        bytes memory sigA = _sign(partyAPrivateKey, spliceHash);
+        bytes memory sigB = _sign(partyBPrivateKey, spliceHash);
+
+        vm.prank(partyA);
+        vm.expectRevert("Channel takes tokens");
+        channel.splice{value: 1 ether}(1, 10 * USD, 0, 0, 0, deadline, sigA, sigB);
+    }
+
+    function _initiateDispute(uint256 nonce, uint256 balanceA, uint256 balanceB) private {
+        bytes32 revocationHashA = keccak256(abi.encodePacked(_revocationSecret(partyAPrivateKey, nonce)));
+        bytes32 revocationHashB = keccak256(abi.encodePacked(_revocationSecret(partyBPrivateKey, nonce)));
+        bytes32 commitmentHash = channel.hashCommitment(nonce, balanceA, balanceB, revocationHashA, revocationHashB);
+
+        vm.prank(partyA);
+        channel.initiateDispute(
+            nonce,
+            balanceA,
+            balanceB,
+            revocationHashA,
+            revocationHashB,
+            _sign(partyAPrivateKey, commitmentHash),
+            _sign(partyBPrivateKey, commitmentHash)
+        );
+    }
+
+    function _revocationSecret(uint256 privateKey, uint256 nonce) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(privateKey, nonce));
+    }
+
+    function _sign(uint256 privateKey, bytes32 digest) private pure returns (bytes memory) {
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(privateKey, digest);
+        return abi.encodePacked(r, s, v);
+    }
+}
@@ -50,13 +50,25 @@ echo -e "${GREEN}✓ Data directories created${NC}"
 
 # Helper functions
 partyA() {
-    PRIVATE_KEY=$PARTYA_KEY RPC_URL=$RPC_URL DATA_PATH=$PARTYA_DATA $CLI "$@"
+    KEYSTORE_PASSPHRASE_FILE=$PARTYA_DATA/passphrase RPC_URL=$RPC_URL DATA_PATH=$PARTYA_DATA $CLI "$@"
 }
 
 partyB() {
-    PRIVATE_KEY=$PARTYB_KEY RPC_URL=$RPC_URL DATA_PATH=$PARTYB_DATA $CLI "$@"
+    KEYSTORE_PASSPHRASE_FILE=$PARTYB_DATA/passphrase RPC_URL=$RPC_URL DATA_PATH=$PARTYB_DATA $CLI "$@"
 }
 
+# Keep each party's Anvil key in an encrypted keystore in its data directory
+import_key() {
+    local data=$1 key=$2
+    echo "test-passphrase-$RANDOM" > "$data/passphrase"
+    echo "$key" > "$data/private-key"
+    KEYSTORE_PASSPHRASE_FILE=$data/passphrase DATA_PATH=$data $CLI key import -k "$data/private-key" > /dev/null
+    rm "$data/private-key"
+}
+import_key "$PARTYA_DATA" "$PARTYA_KEY"
+import_key "$PARTYB_DATA" "$PARTYB_KEY"
+echo -e "${GREEN}✓ Keys imported into keystores${NC}"
+
 # Step 1: PartyA creates initial commitment (no funding)
 echo -e "\n${BLUE}═══ Step 1: PartyA Creates Initial Commitment ═══${NC}"
 echo -e "${YELLOW}PartyA creates channel with initial commitment (1 ETH planned)...${NC}"